@@ -1,6 +1,8 @@
 const createApp = require('./src/app');
 const connectDB = require('./src/config/database');
 const redisClient = require('./src/config/redis');
+const jobs = require('./src/jobs');
+const migrations = require('./src/migrations');
 const config = require('./src/config');
 const logger = require('./src/utils/logger');
 
@@ -40,6 +42,15 @@ const startServer = async () => {
       throw new Error(`Redis connection failed: ${redisError.message}`);
     }
 
+    //Data migrations (opening balances, backfills, index changes)
+    try {
+      const applied = await migrations.run();
+      logger.info(`Migrations up to date (${applied.length} applied)`);
+    } catch (migrationError) {
+      logger.error('Migration failed:', migrationError.message);
+      throw new Error(`Migration failed: ${migrationError.message}`);
+    }
+
     //Create Express application
     logger.info('Creating Express application...');
     let app;
@@ -68,6 +79,9 @@ const startServer = async () => {
       logger.info(`Server running in ${config.env} mode on port ${config.port}`);
       logger.info(`API: http://localhost:${config.port}/api`);
       logger.info(`Health: http://localhost:${config.port}/health`);
+
+      // Background jobs (reservation expiry, ...)
+      jobs.start();
     });
 
     // Handle server errors
@@ -88,6 +102,8 @@ const startServer = async () => {
     const gracefulShutdown = async (signal) => {
       logger.info(`\n${signal} received. Starting graceful shutdown...`);
       
+      jobs.stop();
+
       // Stop accepting new connections
       server.close(async () => {
         logger.info('HTTP server closed');
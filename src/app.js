@@ -18,6 +18,17 @@ const authRoutes = require('./routes/auth');
 const productRoutes = require('./routes/products');
 const cartRoutes = require('./routes/cart');
 const orderRoutes = require('./routes/orders');
+const paymentRoutes = require('./routes/payments');
+const returnRoutes = require('./routes/returns');
+const warehouseRoutes = require('./routes/warehouses');
+const attributeRoutes = require('./routes/attributes');
+const categoryRoutes = require('./routes/categories');
+const searchRoutes = require('./routes/search');
+const reviewRoutes = require('./routes/reviews');
+const promotionRoutes = require('./routes/promotions');
+const giftCardRoutes = require('./routes/giftCards');
+const walletRoutes = require('./routes/wallets');
+const shippingZoneRoutes = require('./routes/shippingZones');
 
 /**
  * Express application configuration
@@ -49,7 +60,15 @@ const createApp = async () => {
   app.use(corsMiddleware);
 
   // Body parser middleware
-  app.use(express.json({ limit: '10mb' }));
+  app.use(express.json({
+    limit: '10mb',
+    verify: (req, res, buf) => {
+      // Keep the unparsed body for webhook signature verification
+      if (req.originalUrl.startsWith('/api/payments/webhook')) {
+        req.rawBody = buf;
+      }
+    }
+  }));
   app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
   // Session middleware (with Redis)
@@ -99,8 +118,10 @@ const createApp = async () => {
       return req.userIdentifier || req.ip;
     },
     skip: (req) => {
-      // Skip rate limiting for static assets
-      return req.path.startsWith('/static/');
+      // Skip rate limiting for static assets and provider webhooks
+      return req.path.startsWith('/static/') ||
+        req.path.startsWith(config.storage.local.publicUrl) ||
+        req.path.startsWith('/api/payments/webhook');
     }
   });
 
@@ -118,11 +139,33 @@ const createApp = async () => {
     });
   });
 
+  // Uploaded files (local storage driver)
+  if (config.storage.driver === 'local') {
+    app.use(config.storage.local.publicUrl, express.static(config.storage.local.directory, {
+      maxAge: '7d',
+      setHeaders: (res) => {
+        // Storefronts on other origins display the images
+        res.set('Cross-Origin-Resource-Policy', 'cross-origin');
+      }
+    }));
+  }
+
   // API Routes
   app.use('/api/auth', authRoutes);
   app.use('/api/products', productRoutes);
   app.use('/api/cart', cartRoutes);
   app.use('/api/orders', orderRoutes);
+  app.use('/api/payments', paymentRoutes);
+  app.use('/api/returns', returnRoutes);
+  app.use('/api/warehouses', warehouseRoutes);
+  app.use('/api/attributes', attributeRoutes);
+  app.use('/api/categories', categoryRoutes);
+  app.use('/api/search', searchRoutes);
+  app.use('/api/reviews', reviewRoutes);
+  app.use('/api/promotions', promotionRoutes);
+  app.use('/api/gift-cards', giftCardRoutes);
+  app.use('/api/wallets', walletRoutes);
+  app.use('/api/shipping-zones', shippingZoneRoutes);
 
   // API documentation endpoint
   app.get('/api', (req, res) => {
@@ -134,6 +177,17 @@ const createApp = async () => {
         products: '/api/products',
         cart: '/api/cart',
         orders: '/api/orders',
+        payments: '/api/payments',
+        returns: '/api/returns',
+        warehouses: '/api/warehouses',
+        attributes: '/api/attributes',
+        categories: '/api/categories',
+        search: '/api/search',
+        reviews: '/api/reviews',
+        promotions: '/api/promotions',
+        giftCards: '/api/gift-cards',
+        wallets: '/api/wallets',
+        shippingZones: '/api/shipping-zones',
         health: '/health'
       },
       documentation: ''
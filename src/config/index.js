@@ -57,6 +57,128 @@ const config = {
   security: {
     bcryptSaltRounts: 12,
   },
+
+  //Inventory settings
+  inventory: {
+    reservationMinutes: parseInt(process.env.RESERVATION_MINUTES) || 15,
+    reservationSweepMs: parseInt(process.env.RESERVATION_SWEEP_MS) || 60 * 1000, //1 minute
+    reconciliationMs: parseInt(process.env.STOCK_RECONCILIATION_MS) || 60 * 60 * 1000, //1 hour
+    //Bank transfer orders not paid by then are cancelled and their stock released
+    unpaidOrderHours: parseInt(process.env.UNPAID_ORDER_HOURS) || 72,
+    unpaidOrderSweepMs: parseInt(process.env.UNPAID_ORDER_SWEEP_MS) || 15 * 60 * 1000, //15 minutes
+  },
+
+  //Idempotency-Key settings
+  idempotency: {
+    ttlSeconds: parseInt(process.env.IDEMPOTENCY_TTL_SECONDS) || 60 * 60 * 24, //24 hours
+    processingTtlSeconds: parseInt(process.env.IDEMPOTENCY_PROCESSING_TTL_SECONDS) || 5 * 60, //5 minutes => a crashed request's key frees up
+  },
+
+  //Product search settings
+  search: {
+    facetCacheSeconds: parseInt(process.env.FACET_CACHE_SECONDS) || 5 * 60, //5 minutes
+    //Price facet bucket boundaries => the last one is open-ended
+    priceBuckets: (process.env.FACET_PRICE_BUCKETS || "0,100,250,500,1000,2500,5000")
+      .split(",")
+      .map(Number),
+    //Suggestion index => rebuilt after product changes and periodically for popularity
+    suggestRebuildMs: parseInt(process.env.SUGGEST_REBUILD_MS) || 15 * 60 * 1000, //15 minutes
+    popularityDays: parseInt(process.env.SUGGEST_POPULARITY_DAYS) || 90,
+    synonymCacheMs: parseInt(process.env.SYNONYM_CACHE_MS) || 60 * 1000, //1 minute
+  },
+
+  //File storage settings
+  storage: {
+    driver: process.env.STORAGE_DRIVER || "local",
+    local: {
+      directory: process.env.UPLOAD_DIR || "uploads",
+      //URL prefix the directory is served under
+      publicUrl: process.env.UPLOAD_PUBLIC_URL || "/uploads",
+    },
+  },
+
+  //Image upload settings
+  images: {
+    maxFileSize: parseInt(process.env.IMAGE_MAX_FILE_SIZE) || 5 * 1024 * 1024, //5MB
+    maxFiles: parseInt(process.env.IMAGE_MAX_FILES) || 10,
+    //Rendition name => longest side in pixels
+    renditions: {
+      thumbnail: 200,
+      medium: 800,
+    },
+  },
+
+  //Scheduled prices and sales
+  pricing: {
+    scheduleSweepMs: parseInt(process.env.PRICE_SCHEDULE_SWEEP_MS) || 60 * 1000, //1 minute
+  },
+
+  //Catalog import/export settings
+  catalog: {
+    importMaxFileSize: parseInt(process.env.IMPORT_MAX_FILE_SIZE) || 10 * 1024 * 1024, //10MB
+    importMaxRows: parseInt(process.env.IMPORT_MAX_ROWS) || 10000,
+    //Larger imports run as a background job
+    importSyncRows: parseInt(process.env.IMPORT_SYNC_ROWS) || 100,
+    //Background imports without progress for this long were interrupted (e.g. by a restart) and are failed
+    importStaleMinutes: parseInt(process.env.IMPORT_STALE_MINUTES) || 30,
+    importStaleSweepMs: parseInt(process.env.IMPORT_STALE_SWEEP_MS) || 5 * 60 * 1000, //5 minutes
+  },
+
+  //Return settings
+  returns: {
+    windowDays: parseInt(process.env.RETURN_WINDOW_DAYS) || 14,
+  },
+
+  //Payment settings
+  payment: {
+    provider: process.env.PAYMENT_PROVIDER || "mock",
+    currency: process.env.PAYMENT_CURRENCY || "TRY",
+    timeoutMs: parseInt(process.env.PAYMENT_TIMEOUT_MS) || 10000,
+    webhookSecret: process.env.PAYMENT_WEBHOOK_SECRET,
+    webhookToleranceSec: parseInt(process.env.PAYMENT_WEBHOOK_TOLERANCE_SEC) || 300,
+    webhookProcessingTimeoutMs: parseInt(process.env.PAYMENT_WEBHOOK_PROCESSING_TIMEOUT_MS) || 5 * 60 * 1000, //5 minutes => stuck "processing" events are retried
+    //Mock gateway => outcome is decided by the card number
+    mock: {
+      approveCards: (process.env.MOCK_APPROVE_CARDS || "4242424242424242").split(","),
+      declineCards: (process.env.MOCK_DECLINE_CARDS || "4000000000000002").split(","),
+      timeoutCards: (process.env.MOCK_TIMEOUT_CARDS || "4000000000000119").split(","),
+    },
+  },
+
+  //Gift card settings
+  giftCards: {
+    validityDays: parseInt(process.env.GIFT_CARD_VALIDITY_DAYS) || 365, //when issued without an expiry date
+    maxPerOrder: parseInt(process.env.GIFT_CARDS_PER_ORDER) || 5,
+  },
+
+  //Shipping rate settings
+  shipping: {
+    //Dimensional weight (kg) = length x width x height (cm) / divisor
+    dimensionalDivisor: parseInt(process.env.SHIPPING_DIMENSIONAL_DIVISOR) || 5000,
+    //Standard rate used until shipping zones are set up
+    defaultRate: parseFloat(process.env.SHIPPING_DEFAULT_RATE) || 29.99,
+    defaultFreeThreshold: parseFloat(process.env.SHIPPING_DEFAULT_FREE_THRESHOLD) || 500,
+  },
+
+  //Store credit wallet settings
+  wallet: {
+    expirySweepMs: parseInt(process.env.WALLET_EXPIRY_SWEEP_MS) || 60 * 60 * 1000, //1 hour
+  },
+
+  //Loyalty program settings
+  loyalty: {
+    pointsPerUnit: parseFloat(process.env.LOYALTY_POINTS_PER_UNIT) || 1, //points earned per currency unit paid
+    pointValue: parseFloat(process.env.LOYALTY_POINT_VALUE) || 0.01, //discount per point at checkout
+    minRedeemPoints: parseInt(process.env.LOYALTY_MIN_REDEEM_POINTS) || 100,
+    //Earned points become available once the return window is over
+    releaseSweepMs: parseInt(process.env.LOYALTY_RELEASE_SWEEP_MS) || 60 * 60 * 1000, //1 hour
+    //Tiers by spend over the last 12 months => earn multiplier, lowest first
+    tiers: [
+      { name: "standard", minSpend: 0, multiplier: 1 },
+      { name: "silver", minSpend: parseInt(process.env.LOYALTY_SILVER_SPEND) || 5000, multiplier: 1.25 },
+      { name: "gold", minSpend: parseInt(process.env.LOYALTY_GOLD_SPEND) || 15000, multiplier: 1.5 },
+    ],
+  },
 };
 
 if (config.env === "production") {
@@ -65,6 +187,7 @@ if (config.env === "production") {
     "JWT_REFRESH_SECRET",
     "SESSION_SECRET",
     "MONGODB_URI",
+    "PAYMENT_WEBHOOK_SECRET",
   ];
 
   requiredEnvVars.forEach((envVar) => {
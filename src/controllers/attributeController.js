@@ -0,0 +1,54 @@
+const AttributeService = require('../services/attributeService');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+/**
+ * Product attribute definition controller
+ * Routes HTTP requests to AttributeService
+ */
+class AttributeController {
+  /**
+   * Get attribute definitions
+   * @route GET /api/attributes
+   * @access Public
+   */
+  getDefinitions = asyncHandler(async (req, res) => {
+    const result = await AttributeService.getDefinitions({ category: req.query.category });
+    
+    res.json(result);
+  });
+
+  /**
+   * Create attribute definition
+   * @route POST /api/attributes
+   * @access Private (Admin)
+   */
+  createDefinition = asyncHandler(async (req, res) => {
+    const result = await AttributeService.createDefinition(req.validated.body);
+    
+    res.status(201).json(result);
+  });
+
+  /**
+   * Update attribute definition
+   * @route PUT /api/attributes/:id
+   * @access Private (Admin)
+   */
+  updateDefinition = asyncHandler(async (req, res) => {
+    const result = await AttributeService.updateDefinition(req.params.id, req.validated.body);
+    
+    res.json(result);
+  });
+
+  /**
+   * Delete attribute definition
+   * @route DELETE /api/attributes/:id
+   * @access Private (Admin)
+   */
+  deleteDefinition = asyncHandler(async (req, res) => {
+    const result = await AttributeService.deleteDefinition(req.params.id);
+    
+    res.json(result);
+  });
+}
+
+module.exports = new AttributeController();
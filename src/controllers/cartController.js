@@ -1,4 +1,5 @@
 const CartService = require('../services/cartService');
+const ReservationService = require('../services/reservationService');
 const { asyncHandler } = require('../middleware/errorHandler');
 const logger = require('../utils/logger');
 
@@ -29,9 +30,9 @@ class CartController {
    */
   addToCart = asyncHandler(async (req, res) => {
     const identifier = req.user ? req.user._id : req.sessionID;
-    const { productId, quantity } = req.validated.body;
+    const { productId, quantity, variantId } = req.validated.body;
     
-    const result = await CartService.addToCart(identifier, productId, quantity);
+    const result = await CartService.addToCart(identifier, productId, quantity, variantId);
     
     res.status(201).json(result);
   });
@@ -43,9 +44,9 @@ class CartController {
    */
   updateCartItem = asyncHandler(async (req, res) => {
     const identifier = req.user ? req.user._id : req.sessionID;
-    const { productId, quantity } = req.validated.body;
+    const { productId, quantity, variantId } = req.validated.body;
     
-    const result = await CartService.updateCartItem(identifier, productId, quantity);
+    const result = await CartService.updateCartItem(identifier, productId, quantity, variantId);
     
     res.json(result);
   });
@@ -59,7 +60,7 @@ class CartController {
     const identifier = req.user ? req.user._id : req.sessionID;
     const { productId } = req.params;
     
-    const result = await CartService.removeFromCart(identifier, productId);
+    const result = await CartService.removeFromCart(identifier, productId, req.query.variantId);
     
     res.json(result);
   });
@@ -76,6 +77,69 @@ class CartController {
     res.json(result);
   });
 
+  /**
+   * Apply coupon code
+   * @route POST /api/cart/coupon
+   * @access Public (Session or User)
+   */
+  applyCoupon = asyncHandler(async (req, res) => {
+    const identifier = req.user ? req.user._id : req.sessionID;
+    
+    const result = await CartService.applyCoupon(identifier, req.validated.body.code, req.user ? req.user._id : null);
+    
+    res.json(result);
+  });
+
+  /**
+   * Quote shipping for an address
+   * @route POST /api/cart/shipping-quote
+   * @access Public (Session or User)
+   */
+  getShippingQuote = asyncHandler(async (req, res) => {
+    const identifier = req.user ? req.user._id : req.sessionID;
+    
+    const result = await CartService.getShippingQuote(identifier, req.validated.body.address);
+    
+    res.json(result);
+  });
+
+  /**
+   * Remove coupon code
+   * @route DELETE /api/cart/coupon/:code
+   * @access Public (Session or User)
+   */
+  removeCoupon = asyncHandler(async (req, res) => {
+    const identifier = req.user ? req.user._id : req.sessionID;
+    
+    const result = await CartService.removeCoupon(identifier, req.params.code);
+    
+    res.json(result);
+  });
+
+  /**
+   * Begin checkout - reserve cart stock
+   * @route POST /api/cart/checkout
+   * @access Public (Session or User)
+   */
+  beginCheckout = asyncHandler(async (req, res) => {
+    const identifier = req.user ? req.user._id : req.sessionID;
+    const result = await ReservationService.reserveCart(identifier);
+    
+    res.status(201).json(result);
+  });
+
+  /**
+   * Abandon checkout - release cart stock
+   * @route DELETE /api/cart/checkout
+   * @access Public (Session or User)
+   */
+  cancelCheckout = asyncHandler(async (req, res) => {
+    const identifier = req.user ? req.user._id : req.sessionID;
+    const result = await ReservationService.releaseCart(identifier);
+    
+    res.json(result);
+  });
+
   /**
    * Save cart (after login)
    * @route POST /api/cart/save
@@ -109,13 +173,16 @@ class CartController {
       if (sessionCart.items.length > 0) {
         // Add each item to user cart
         for (const item of sessionCart.items) {
-          await CartService.addToCart(req.user._id, item.product, item.quantity);
+          await CartService.addToCart(req.user._id, item.product, item.quantity, item.variant);
         }
 
         // Clear session cart
         await CartService.clearCart(sessionId);
       }
 
+      // Checkout holds of the guest cart now belong to the user's cart
+      await ReservationService.transferCart(sessionId, req.user._id);
+
       // Get updated cart
       const updatedCart = await CartService.getCart(req.user._id);
       
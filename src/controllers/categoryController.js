@@ -0,0 +1,89 @@
+const CategoryService = require('../services/categoryService');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+/**
+ * Category controller
+ * Routes HTTP requests to CategoryService
+ */
+class CategoryController {
+  /**
+   * Get categories as a flat list (admins can include inactive ones)
+   * @route GET /api/categories
+   * @access Public
+   */
+  getCategories = asyncHandler(async (req, res) => {
+    const result = await CategoryService.getCategories({
+      includeInactive: req.user?.role === 'admin' && req.query.includeInactive === 'true'
+    });
+    
+    res.json(result);
+  });
+
+  /**
+   * Get category tree
+   * @route GET /api/categories/tree
+   * @access Public
+   */
+  getCategoryTree = asyncHandler(async (req, res) => {
+    const result = await CategoryService.getCategoryTree();
+    
+    res.json(result);
+  });
+
+  /**
+   * Get category details
+   * @route GET /api/categories/:id
+   * @access Public
+   */
+  getCategoryById = asyncHandler(async (req, res) => {
+    const result = await CategoryService.getCategoryById(req.params.id);
+    
+    res.json(result);
+  });
+
+  /**
+   * Create category
+   * @route POST /api/categories
+   * @access Private (Admin)
+   */
+  createCategory = asyncHandler(async (req, res) => {
+    const result = await CategoryService.createCategory(req.validated.body);
+    
+    res.status(201).json(result);
+  });
+
+  /**
+   * Update category
+   * @route PUT /api/categories/:id
+   * @access Private (Admin)
+   */
+  updateCategory = asyncHandler(async (req, res) => {
+    const result = await CategoryService.updateCategory(req.params.id, req.validated.body);
+    
+    res.json(result);
+  });
+
+  /**
+   * Move category under another parent
+   * @route PATCH /api/categories/:id/move
+   * @access Private (Admin)
+   */
+  moveCategory = asyncHandler(async (req, res) => {
+    const result = await CategoryService.moveCategory(req.params.id, req.validated.body.parentId);
+    
+    res.json(result);
+  });
+
+  /**
+   * Delete category
+   * @route DELETE /api/categories/:id
+   * @access Private (Admin)
+   */
+  deleteCategory = asyncHandler(async (req, res) => {
+    const result = await CategoryService.deleteCategory(req.params.id);
+    
+    res.json(result);
+  });
+}
+
+module.exports = new CategoryController();
@@ -0,0 +1,72 @@
+const GiftCardService = require('../services/giftCardService');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+/**
+ * Gift card controller
+ * Routes HTTP requests to GiftCardService
+ */
+class GiftCardController {
+  /**
+   * Check gift card balance
+   * @route POST /api/gift-cards/check
+   * @access Public
+   */
+  checkBalance = asyncHandler(async (req, res) => {
+    const result = await GiftCardService.checkBalance(req.validated.body.code);
+    
+    res.json(result);
+  });
+
+  /**
+   * Get gift cards
+   * @route GET /api/gift-cards
+   * @access Private (Admin)
+   */
+  getGiftCards = asyncHandler(async (req, res) => {
+    const options = {
+      page: req.pagination.page,
+      limit: req.pagination.limit,
+      code: req.query.code,
+      ...(req.query.isActive !== undefined && { isActive: req.query.isActive === 'true' })
+    };
+
+    const result = await GiftCardService.getGiftCards(options);
+    
+    res.json(result);
+  });
+
+  /**
+   * Get gift card details
+   * @route GET /api/gift-cards/:id
+   * @access Private (Admin)
+   */
+  getGiftCardById = asyncHandler(async (req, res) => {
+    const result = await GiftCardService.getGiftCardById(req.params.id);
+    
+    res.json(result);
+  });
+
+  /**
+   * Issue gift card
+   * @route POST /api/gift-cards
+   * @access Private (Admin)
+   */
+  issueGiftCard = asyncHandler(async (req, res) => {
+    const result = await GiftCardService.issueGiftCard(req.validated.body, req.user._id);
+    
+    res.status(201).json(result);
+  });
+
+  /**
+   * Update gift card
+   * @route PATCH /api/gift-cards/:id
+   * @access Private (Admin)
+   */
+  updateGiftCard = asyncHandler(async (req, res) => {
+    const result = await GiftCardService.updateGiftCard(req.params.id, req.validated.body);
+    
+    res.json(result);
+  });
+}
+
+module.exports = new GiftCardController();
@@ -0,0 +1,27 @@
+const LoyaltyService = require('../services/loyaltyService');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+/**
+ * Loyalty program controller
+ * Routes HTTP requests to LoyaltyService
+ */
+class LoyaltyController {
+  /**
+   * Get the current user's points, tier and points history
+   * @route GET /api/auth/me/loyalty
+   * @access Private
+   */
+  getMyLoyalty = asyncHandler(async (req, res) => {
+    const options = {
+      page: req.pagination.page,
+      limit: req.pagination.limit,
+      type: req.query.type
+    };
+
+    const result = await LoyaltyService.getLoyalty(req.user._id, options);
+    
+    res.json(result);
+  });
+}
+
+module.exports = new LoyaltyController();
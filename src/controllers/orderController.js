@@ -1,3 +1,4 @@
+const Order = require('../models/Order');
 const OrderService = require('../services/orderService');
 const { asyncHandler } = require('../middleware/errorHandler');
 const logger = require('../utils/logger');
@@ -92,7 +93,7 @@ class OrderController {
       });
     }
 
-    const allowedStatuses = ['pending', 'confirmed', 'processing', 'shipped', 'delivered', 'cancelled'];
+    const allowedStatuses = Object.keys(Order.TRANSITIONS);
     if (!allowedStatuses.includes(status)) {
       return res.status(400).json({
         success: false,
@@ -105,6 +106,28 @@ class OrderController {
     res.json(result);
   });
 
+  /**
+   * Refund order (Admin)
+   * @route POST /api/orders/:id/refunds
+   * @access Private (Admin)
+   */
+  refundOrder = asyncHandler(async (req, res) => {
+    const result = await OrderService.refundOrder(req.params.id, req.validated.body, req.user._id);
+    
+    res.status(201).json(result);
+  });
+
+  /**
+   * Get allowed status transitions (Admin)
+   * @route GET /api/orders/:id/transitions
+   * @access Private (Admin)
+   */
+  getOrderTransitions = asyncHandler(async (req, res) => {
+    const result = await OrderService.getOrderTransitions(req.params.id);
+    
+    res.json(result);
+  });
+
   /**
    * Order statistics (Admin)
    * @route GET /api/orders/admin/stats
@@ -130,7 +153,7 @@ class OrderController {
         {
           $group: {
             _id: null,
-            total: { $sum: '$total' }
+            total: { $sum: { $ifNull: ['$netTotal', '$total'] } }
           }
         }
       ]);
@@ -0,0 +1,21 @@
+const PaymentService = require('../services/paymentService');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+/**
+ * Payment controller
+ * Routes provider callbacks to PaymentService
+ */
+class PaymentController {
+  /**
+   * Receive a payment provider webhook
+   * @route POST /api/payments/webhook
+   * @access Public (signed)
+   */
+  handleWebhook = asyncHandler(async (req, res) => {
+    const result = await PaymentService.handleWebhookEvent(req.validated.body);
+    
+    res.json(result);
+  });
+}
+
+module.exports = new PaymentController();
@@ -1,4 +1,11 @@
 const ProductService = require('../services/productService');
+const WarehouseService = require('../services/warehouseService');
+const AttributeService = require('../services/attributeService');
+const SearchService = require('../services/searchService');
+const ReviewService = require('../services/reviewService');
+const ImageService = require('../services/imageService');
+const CatalogService = require('../services/catalogService');
+const PricingService = require('../services/pricingService');
 const { asyncHandler } = require('../middleware/errorHandler');
 const logger = require('../utils/logger');
 
@@ -20,10 +27,12 @@ class ProductController {
       brand: req.query.brand,
       minPrice: req.query.minPrice ? parseFloat(req.query.minPrice) : undefined,
       maxPrice: req.query.maxPrice ? parseFloat(req.query.maxPrice) : undefined,
-      sortBy: req.query.sortBy || 'createdAt',
+      sortBy: req.query.sortBy || (req.query.search ? 'relevance' : 'createdAt'),
       sortOrder: req.query.sortOrder || 'desc',
       featured: req.query.featured === 'true' ? true : undefined,
-      inStock: req.query.inStock === 'true' ? true : undefined
+      inStock: req.query.inStock === 'true' ? true : undefined,
+      attributes: AttributeService.parseQueryFilters(req.query),
+      facets: req.query.facets !== 'false'
     };
 
     const result = await ProductService.getProducts(options);
@@ -39,6 +48,18 @@ class ProductController {
     res.json(result);
   });
 
+  /**
+   * Get search suggestions
+   * @route GET /api/products/suggest
+   * @access Public
+   */
+  getSuggestions = asyncHandler(async (req, res) => {
+    const { q, limit } = req.validated.query;
+    const result = await SearchService.suggest(q, { limit });
+    
+    res.json(result);
+  });
+
   /**
    * Get product details
    * @route GET /api/products/:id
@@ -56,7 +77,7 @@ class ProductController {
    * @access Private (Admin)
    */
   createProduct = asyncHandler(async (req, res) => {
-    const result = await ProductService.createProduct(req.validated.body);
+    const result = await ProductService.createProduct(req.validated.body, req.user._id);
     
     res.status(201).json(result);
   });
@@ -67,7 +88,7 @@ class ProductController {
    * @access Private (Admin)
    */
   updateProduct = asyncHandler(async (req, res) => {
-    const result = await ProductService.updateProduct(req.params.id, req.validated.body);
+    const result = await ProductService.updateProduct(req.params.id, req.validated.body, req.user._id);
     
     res.json(result);
   });
@@ -117,13 +138,46 @@ class ProductController {
     res.json(result);
   });
 
+  /**
+   * Add product variant
+   * @route POST /api/products/:id/variants
+   * @access Private (Admin)
+   */
+  addVariant = asyncHandler(async (req, res) => {
+    const result = await ProductService.addVariant(req.params.id, req.validated.body, req.user._id);
+    
+    res.status(201).json(result);
+  });
+
+  /**
+   * Update product variant
+   * @route PUT /api/products/:id/variants/:variantId
+   * @access Private (Admin)
+   */
+  updateVariant = asyncHandler(async (req, res) => {
+    const result = await ProductService.updateVariant(req.params.id, req.params.variantId, req.validated.body, req.user._id);
+    
+    res.json(result);
+  });
+
+  /**
+   * Delete product variant
+   * @route DELETE /api/products/:id/variants/:variantId
+   * @access Private (Admin)
+   */
+  deleteVariant = asyncHandler(async (req, res) => {
+    const result = await ProductService.deleteVariant(req.params.id, req.params.variantId);
+    
+    res.json(result);
+  });
+
   /**
    * Update product stock
    * @route PATCH /api/products/:id/stock
    * @access Private (Admin)
    */
   updateStock = asyncHandler(async (req, res) => {
-    const { quantity } = req.body;
+    const { quantity, note, warehouseId, variantId } = req.body;
     
     if (typeof quantity !== 'number') {
       return res.status(400).json({
@@ -132,7 +186,221 @@ class ProductController {
       });
     }
 
-    const result = await ProductService.updateStock(req.params.id, quantity);
+    if (warehouseId) {
+      await WarehouseService.findWarehouse(warehouseId);
+    }
+
+    const result = await ProductService.updateStock(req.params.id, quantity, {
+      variant: variantId,
+      warehouse: warehouseId,
+      reason: 'adjustment',
+      actor: req.user._id,
+      note
+    });
+    
+    res.json(result);
+  });
+
+  /**
+   * Get product stock movement history
+   * @route GET /api/products/:id/stock/history
+   * @access Private (Admin)
+   */
+  getStockHistory = asyncHandler(async (req, res) => {
+    const options = {
+      page: req.pagination.page,
+      limit: req.pagination.limit,
+      reason: req.query.reason
+    };
+
+    const result = await ProductService.getStockHistory(req.params.id, options);
+    
+    res.json(result);
+  });
+
+  /**
+   * Get product price history
+   * @route GET /api/products/:id/price-history
+   * @access Private (Admin)
+   */
+  getPriceHistory = asyncHandler(async (req, res) => {
+    const options = {
+      page: req.pagination.page,
+      limit: req.pagination.limit,
+      reason: req.query.reason
+    };
+
+    const result = await PricingService.getPriceHistory(req.params.id, options);
+    
+    res.json(result);
+  });
+
+  /**
+   * Get product price schedules
+   * @route GET /api/products/:id/price-schedules
+   * @access Private (Admin)
+   */
+  getPriceSchedules = asyncHandler(async (req, res) => {
+    const options = {
+      page: req.pagination.page,
+      limit: req.pagination.limit,
+      status: req.query.status
+    };
+
+    const result = await PricingService.getPriceSchedules(req.params.id, options);
+    
+    res.json(result);
+  });
+
+  /**
+   * Schedule a price change or a sale
+   * @route POST /api/products/:id/price-schedules
+   * @access Private (Admin)
+   */
+  createPriceSchedule = asyncHandler(async (req, res) => {
+    const result = await PricingService.createPriceSchedule(req.params.id, req.validated.body, req.user._id);
+    
+    res.status(201).json(result);
+  });
+
+  /**
+   * Cancel a price schedule
+   * @route DELETE /api/products/:id/price-schedules/:scheduleId
+   * @access Private (Admin)
+   */
+  cancelPriceSchedule = asyncHandler(async (req, res) => {
+    const result = await PricingService.cancelPriceSchedule(req.params.id, req.params.scheduleId, req.user._id);
+    
+    res.json(result);
+  });
+
+  /**
+   * Get products flagged by stock reconciliation
+   * @route GET /api/products/stock/discrepancies
+   * @access Private (Admin)
+   */
+  getStockDiscrepancies = asyncHandler(async (req, res) => {
+    const result = await ProductService.getStockDiscrepancies();
+    
+    res.json(result);
+  });
+
+  /**
+   * Import products from a CSV or JSON file
+   * @route POST /api/products/import
+   * @access Private (Admin)
+   */
+  importProducts = asyncHandler(async (req, res) => {
+    const result = await CatalogService.importProducts(req.files[0], req.validated.body, req.user._id);
+    
+    res.status(result.queued ? 202 : 200).json(result);
+  });
+
+  /**
+   * Get import job
+   * @route GET /api/products/import/:jobId
+   * @access Private (Admin)
+   */
+  getImportJob = asyncHandler(async (req, res) => {
+    const result = await CatalogService.getImportJob(req.params.jobId);
+    
+    res.json(result);
+  });
+
+  /**
+   * Export the catalog
+   * @route GET /api/products/export
+   * @access Private (Admin)
+   */
+  exportProducts = asyncHandler(async (req, res) => {
+    const format = req.query.format === 'json' ? 'json' : 'csv';
+    const options = {
+      format,
+      search: req.query.search,
+      category: req.query.category,
+      brand: req.query.brand,
+      minPrice: req.query.minPrice ? parseFloat(req.query.minPrice) : undefined,
+      maxPrice: req.query.maxPrice ? parseFloat(req.query.maxPrice) : undefined,
+      inStock: req.query.inStock === 'true' ? true : undefined,
+      includeInactive: req.query.includeInactive === 'true',
+      attributes: AttributeService.parseQueryFilters(req.query)
+    };
+
+    const date = new Date().toISOString().slice(0, 10);
+    res.set({
+      'Content-Type': format === 'json' ? 'application/json; charset=utf-8' : 'text/csv; charset=utf-8',
+      'Content-Disposition': `attachment; filename="products-${date}.${format}"`
+    });
+
+    try {
+      await CatalogService.exportProducts(options, res);
+      res.end();
+    } catch (error) {
+      // Once streaming started the status can't change anymore; cut the download short
+      if (!res.headersSent) throw error;
+      logger.error('Error exporting products:', { error: error.message });
+      res.destroy(error);
+    }
+  });
+
+  /**
+   * Upload product images
+   * @route POST /api/products/:id/images
+   * @access Private (Admin)
+   */
+  uploadImages = asyncHandler(async (req, res) => {
+    const result = await ImageService.uploadProductImages(req.params.id, req.files, req.validated.body);
+    
+    res.status(201).json(result);
+  });
+
+  /**
+   * Set primary product image
+   * @route PATCH /api/products/:id/images/:imageId/primary
+   * @access Private (Admin)
+   */
+  setPrimaryImage = asyncHandler(async (req, res) => {
+    const result = await ImageService.setPrimaryImage(req.params.id, req.params.imageId);
+    
+    res.json(result);
+  });
+
+  /**
+   * Delete product image
+   * @route DELETE /api/products/:id/images/:imageId
+   * @access Private (Admin)
+   */
+  deleteImage = asyncHandler(async (req, res) => {
+    const result = await ImageService.deleteImage(req.params.id, req.params.imageId);
+    
+    res.json(result);
+  });
+
+  /**
+   * Get product reviews
+   * @route GET /api/products/:id/reviews
+   * @access Public
+   */
+  getProductReviews = asyncHandler(async (req, res) => {
+    const options = {
+      page: req.pagination.page,
+      limit: req.pagination.limit,
+      sort: req.query.sort,
+      verifiedOnly: req.query.verified === 'true'
+    };
+
+    const result = await ReviewService.getProductReviews(req.params.id, options);
+    
+    res.json(result);
+  });
+
+  /**
+   * Get product stock per warehouse
+   * @route GET /api/products/:id/inventory
+   * @access Private (Admin)
+   */
+  getInventory = asyncHandler(async (req, res) => {
+    const result = await ProductService.getInventory(req.params.id);
     
     res.json(result);
   });
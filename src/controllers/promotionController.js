@@ -0,0 +1,72 @@
+const PromotionService = require('../services/promotionService');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+/**
+ * Promotion controller
+ * Routes HTTP requests to PromotionService (coupons and automatic promotions)
+ */
+class PromotionController {
+  /**
+   * Get promotions
+   * @route GET /api/promotions
+   * @access Private (Admin)
+   */
+  getPromotions = asyncHandler(async (req, res) => {
+    const options = {
+      page: req.pagination.page,
+      limit: req.pagination.limit,
+      code: req.query.code,
+      ...(req.query.isActive !== undefined && { isActive: req.query.isActive === 'true' })
+    };
+
+    const result = await PromotionService.getPromotions(options);
+    
+    res.json(result);
+  });
+
+  /**
+   * Get promotion details
+   * @route GET /api/promotions/:id
+   * @access Private (Admin)
+   */
+  getPromotionById = asyncHandler(async (req, res) => {
+    const result = await PromotionService.getPromotionById(req.params.id);
+    
+    res.json(result);
+  });
+
+  /**
+   * Create promotion
+   * @route POST /api/promotions
+   * @access Private (Admin)
+   */
+  createPromotion = asyncHandler(async (req, res) => {
+    const result = await PromotionService.createPromotion(req.validated.body, req.user._id);
+    
+    res.status(201).json(result);
+  });
+
+  /**
+   * Update promotion
+   * @route PUT /api/promotions/:id
+   * @access Private (Admin)
+   */
+  updatePromotion = asyncHandler(async (req, res) => {
+    const result = await PromotionService.updatePromotion(req.params.id, req.validated.body);
+    
+    res.json(result);
+  });
+
+  /**
+   * Delete promotion
+   * @route DELETE /api/promotions/:id
+   * @access Private (Admin)
+   */
+  deletePromotion = asyncHandler(async (req, res) => {
+    const result = await PromotionService.deletePromotion(req.params.id);
+    
+    res.json(result);
+  });
+}
+
+module.exports = new PromotionController();
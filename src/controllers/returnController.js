@@ -0,0 +1,98 @@
+const ReturnService = require('../services/returnService');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+/**
+ * Return (RMA) controller
+ * Routes HTTP requests to ReturnService
+ */
+class ReturnController {
+  /**
+   * Open return request
+   * @route POST /api/returns
+   * @access Private
+   */
+  createReturn = asyncHandler(async (req, res) => {
+    const result = await ReturnService.createReturn(req.user._id, req.validated.body);
+    
+    res.status(201).json(result);
+  });
+
+  /**
+   * Get user return requests
+   * @route GET /api/returns
+   * @access Private
+   */
+  getUserReturns = asyncHandler(async (req, res) => {
+    const options = {
+      page: req.pagination.page,
+      limit: req.pagination.limit
+    };
+
+    const result = await ReturnService.getUserReturns(req.user._id, options);
+    
+    res.json(result);
+  });
+
+  /**
+   * Get return request details
+   * @route GET /api/returns/:id
+   * @access Private
+   */
+  getReturnById = asyncHandler(async (req, res) => {
+    const result = await ReturnService.getReturnById(req.params.id, req.user);
+    
+    res.json(result);
+  });
+
+  /**
+   * Get all return requests (Admin)
+   * @route GET /api/returns/admin/all
+   * @access Private (Admin)
+   */
+  getAllReturns = asyncHandler(async (req, res) => {
+    const options = {
+      page: req.pagination.page,
+      limit: req.pagination.limit,
+      status: req.query.status
+    };
+
+    const result = await ReturnService.getAllReturns(options);
+    
+    res.json(result);
+  });
+
+  /**
+   * Approve return request (Admin)
+   * @route PATCH /api/returns/:id/approve
+   * @access Private (Admin)
+   */
+  approveReturn = asyncHandler(async (req, res) => {
+    const result = await ReturnService.approveReturn(req.params.id, req.user._id, req.validated.body.note);
+    
+    res.json(result);
+  });
+
+  /**
+   * Reject return request (Admin)
+   * @route PATCH /api/returns/:id/reject
+   * @access Private (Admin)
+   */
+  rejectReturn = asyncHandler(async (req, res) => {
+    const result = await ReturnService.rejectReturn(req.params.id, req.user._id, req.validated.body.note);
+    
+    res.json(result);
+  });
+
+  /**
+   * Receive returned goods (Admin)
+   * @route PATCH /api/returns/:id/receive
+   * @access Private (Admin)
+   */
+  receiveReturn = asyncHandler(async (req, res) => {
+    const result = await ReturnService.receiveReturn(req.params.id, req.user._id, req.validated.body);
+    
+    res.json(result);
+  });
+}
+
+module.exports = new ReturnController();
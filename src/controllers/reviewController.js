@@ -0,0 +1,121 @@
+const ReviewService = require('../services/reviewService');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+/**
+ * Product review controller
+ * Routes HTTP requests to ReviewService
+ */
+class ReviewController {
+  /**
+   * Write a review
+   * @route POST /api/reviews
+   * @access Private
+   */
+  createReview = asyncHandler(async (req, res) => {
+    const result = await ReviewService.createReview(req.user._id, req.validated.body);
+    
+    res.status(201).json(result);
+  });
+
+  /**
+   * Get user reviews
+   * @route GET /api/reviews
+   * @access Private
+   */
+  getUserReviews = asyncHandler(async (req, res) => {
+    const options = {
+      page: req.pagination.page,
+      limit: req.pagination.limit
+    };
+
+    const result = await ReviewService.getUserReviews(req.user._id, options);
+    
+    res.json(result);
+  });
+
+  /**
+   * Get all reviews (Admin)
+   * @route GET /api/reviews/admin/all
+   * @access Private (Admin)
+   */
+  getAllReviews = asyncHandler(async (req, res) => {
+    const options = {
+      page: req.pagination.page,
+      limit: req.pagination.limit,
+      status: req.query.status,
+      product: req.query.product
+    };
+
+    const result = await ReviewService.getAllReviews(options);
+    
+    res.json(result);
+  });
+
+  /**
+   * Edit own review
+   * @route PUT /api/reviews/:id
+   * @access Private
+   */
+  updateReview = asyncHandler(async (req, res) => {
+    const result = await ReviewService.updateReview(req.user._id, req.params.id, req.validated.body);
+    
+    res.json(result);
+  });
+
+  /**
+   * Delete review
+   * @route DELETE /api/reviews/:id
+   * @access Private
+   */
+  deleteReview = asyncHandler(async (req, res) => {
+    const result = await ReviewService.deleteReview(req.params.id, req.user);
+    
+    res.json(result);
+  });
+
+  /**
+   * Approve review (Admin)
+   * @route PATCH /api/reviews/:id/approve
+   * @access Private (Admin)
+   */
+  approveReview = asyncHandler(async (req, res) => {
+    const result = await ReviewService.moderateReview(req.params.id, 'approved', req.user._id, req.validated.body.note);
+    
+    res.json(result);
+  });
+
+  /**
+   * Reject review (Admin)
+   * @route PATCH /api/reviews/:id/reject
+   * @access Private (Admin)
+   */
+  rejectReview = asyncHandler(async (req, res) => {
+    const result = await ReviewService.moderateReview(req.params.id, 'rejected', req.user._id, req.validated.body.note);
+    
+    res.json(result);
+  });
+
+  /**
+   * Mark review as helpful
+   * @route POST /api/reviews/:id/helpful
+   * @access Private
+   */
+  voteHelpful = asyncHandler(async (req, res) => {
+    const result = await ReviewService.voteHelpful(req.params.id, req.user._id);
+    
+    res.json(result);
+  });
+
+  /**
+   * Withdraw helpful vote
+   * @route DELETE /api/reviews/:id/helpful
+   * @access Private
+   */
+  removeHelpfulVote = asyncHandler(async (req, res) => {
+    const result = await ReviewService.removeHelpfulVote(req.params.id, req.user._id);
+    
+    res.json(result);
+  });
+}
+
+module.exports = new ReviewController();
@@ -0,0 +1,98 @@
+const SearchService = require('../services/searchService');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+/**
+ * Search controls controller
+ * Routes HTTP requests to SearchService (synonyms and merchandising pins)
+ */
+class SearchController {
+  /**
+   * Get synonym groups
+   * @route GET /api/search/synonyms
+   * @access Private (Admin)
+   */
+  getSynonyms = asyncHandler(async (req, res) => {
+    const result = await SearchService.getSynonyms();
+    
+    res.json(result);
+  });
+
+  /**
+   * Create synonym group
+   * @route POST /api/search/synonyms
+   * @access Private (Admin)
+   */
+  createSynonym = asyncHandler(async (req, res) => {
+    const result = await SearchService.createSynonym(req.validated.body);
+    
+    res.status(201).json(result);
+  });
+
+  /**
+   * Update synonym group
+   * @route PUT /api/search/synonyms/:id
+   * @access Private (Admin)
+   */
+  updateSynonym = asyncHandler(async (req, res) => {
+    const result = await SearchService.updateSynonym(req.params.id, req.validated.body);
+    
+    res.json(result);
+  });
+
+  /**
+   * Delete synonym group
+   * @route DELETE /api/search/synonyms/:id
+   * @access Private (Admin)
+   */
+  deleteSynonym = asyncHandler(async (req, res) => {
+    const result = await SearchService.deleteSynonym(req.params.id);
+    
+    res.json(result);
+  });
+
+  /**
+   * Get merchandising pins
+   * @route GET /api/search/pins
+   * @access Private (Admin)
+   */
+  getPins = asyncHandler(async (req, res) => {
+    const result = await SearchService.getPins();
+    
+    res.json(result);
+  });
+
+  /**
+   * Create merchandising pin
+   * @route POST /api/search/pins
+   * @access Private (Admin)
+   */
+  createPin = asyncHandler(async (req, res) => {
+    const result = await SearchService.createPin(req.validated.body);
+    
+    res.status(201).json(result);
+  });
+
+  /**
+   * Update merchandising pin
+   * @route PUT /api/search/pins/:id
+   * @access Private (Admin)
+   */
+  updatePin = asyncHandler(async (req, res) => {
+    const result = await SearchService.updatePin(req.params.id, req.validated.body);
+    
+    res.json(result);
+  });
+
+  /**
+   * Delete merchandising pin
+   * @route DELETE /api/search/pins/:id
+   * @access Private (Admin)
+   */
+  deletePin = asyncHandler(async (req, res) => {
+    const result = await SearchService.deletePin(req.params.id);
+    
+    res.json(result);
+  });
+}
+
+module.exports = new SearchController();
@@ -0,0 +1,67 @@
+const ShippingService = require('../services/shippingService');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+/**
+ * Shipping zone controller
+ * Routes HTTP requests to ShippingService
+ */
+class ShippingController {
+  /**
+   * Get shipping zones
+   * @route GET /api/shipping-zones
+   * @access Private (Admin)
+   */
+  getZones = asyncHandler(async (req, res) => {
+    const result = await ShippingService.getZones({
+      includeInactive: req.query.includeInactive === 'true'
+    });
+    
+    res.json(result);
+  });
+
+  /**
+   * Get shipping zone details
+   * @route GET /api/shipping-zones/:id
+   * @access Private (Admin)
+   */
+  getZoneById = asyncHandler(async (req, res) => {
+    const result = await ShippingService.getZoneById(req.params.id);
+    
+    res.json(result);
+  });
+
+  /**
+   * Create shipping zone
+   * @route POST /api/shipping-zones
+   * @access Private (Admin)
+   */
+  createZone = asyncHandler(async (req, res) => {
+    const result = await ShippingService.createZone(req.validated.body);
+    
+    res.status(201).json(result);
+  });
+
+  /**
+   * Update shipping zone
+   * @route PUT /api/shipping-zones/:id
+   * @access Private (Admin)
+   */
+  updateZone = asyncHandler(async (req, res) => {
+    const result = await ShippingService.updateZone(req.params.id, req.validated.body);
+    
+    res.json(result);
+  });
+
+  /**
+   * Delete shipping zone
+   * @route DELETE /api/shipping-zones/:id
+   * @access Private (Admin)
+   */
+  deleteZone = asyncHandler(async (req, res) => {
+    const result = await ShippingService.deleteZone(req.params.id);
+    
+    res.json(result);
+  });
+}
+
+module.exports = new ShippingController();
@@ -0,0 +1,66 @@
+const WalletService = require('../services/walletService');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+/**
+ * Store credit wallet controller
+ * Routes HTTP requests to WalletService
+ */
+class WalletController {
+  /**
+   * Get the current user's wallet
+   * @route GET /api/auth/me/wallet
+   * @access Private
+   */
+  getMyWallet = asyncHandler(async (req, res) => {
+    const options = {
+      page: req.pagination.page,
+      limit: req.pagination.limit,
+      type: req.query.type
+    };
+
+    const result = await WalletService.getWallet(req.user._id, options);
+    
+    res.json(result);
+  });
+
+  /**
+   * Get a user's wallet
+   * @route GET /api/wallets/:userId
+   * @access Private (Admin)
+   */
+  getWallet = asyncHandler(async (req, res) => {
+    const options = {
+      page: req.pagination.page,
+      limit: req.pagination.limit,
+      type: req.query.type
+    };
+
+    const result = await WalletService.getWallet(req.params.userId, options);
+    
+    res.json(result);
+  });
+
+  /**
+   * Grant store credit
+   * @route POST /api/wallets/:userId/credits
+   * @access Private (Admin)
+   */
+  grantCredit = asyncHandler(async (req, res) => {
+    const result = await WalletService.grantCredit(req.params.userId, req.validated.body, req.user._id);
+    
+    res.status(201).json(result);
+  });
+
+  /**
+   * Revoke store credit
+   * @route POST /api/wallets/:userId/debits
+   * @access Private (Admin)
+   */
+  revokeCredit = asyncHandler(async (req, res) => {
+    const result = await WalletService.revokeCredit(req.params.userId, req.validated.body, req.user._id);
+    
+    res.status(201).json(result);
+  });
+}
+
+module.exports = new WalletController();
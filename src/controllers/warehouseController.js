@@ -0,0 +1,78 @@
+const WarehouseService = require('../services/warehouseService');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+/**
+ * Warehouse controller
+ * Routes HTTP requests to WarehouseService
+ */
+class WarehouseController {
+  /**
+   * Get warehouses
+   * @route GET /api/warehouses
+   * @access Private (Admin)
+   */
+  getWarehouses = asyncHandler(async (req, res) => {
+    const result = await WarehouseService.getWarehouses({
+      includeInactive: req.query.includeInactive === 'true'
+    });
+    
+    res.json(result);
+  });
+
+  /**
+   * Get warehouse details
+   * @route GET /api/warehouses/:id
+   * @access Private (Admin)
+   */
+  getWarehouseById = asyncHandler(async (req, res) => {
+    const result = await WarehouseService.getWarehouseById(req.params.id);
+    
+    res.json(result);
+  });
+
+  /**
+   * Create warehouse
+   * @route POST /api/warehouses
+   * @access Private (Admin)
+   */
+  createWarehouse = asyncHandler(async (req, res) => {
+    const result = await WarehouseService.createWarehouse(req.validated.body);
+    
+    res.status(201).json(result);
+  });
+
+  /**
+   * Update warehouse
+   * @route PUT /api/warehouses/:id
+   * @access Private (Admin)
+   */
+  updateWarehouse = asyncHandler(async (req, res) => {
+    const result = await WarehouseService.updateWarehouse(req.params.id, req.validated.body);
+    
+    res.json(result);
+  });
+
+  /**
+   * Deactivate warehouse
+   * @route DELETE /api/warehouses/:id
+   * @access Private (Admin)
+   */
+  deleteWarehouse = asyncHandler(async (req, res) => {
+    const result = await WarehouseService.deleteWarehouse(req.params.id);
+    
+    res.json(result);
+  });
+
+  /**
+   * Transfer stock between warehouses
+   * @route POST /api/warehouses/transfers
+   * @access Private (Admin)
+   */
+  transferStock = asyncHandler(async (req, res) => {
+    const result = await WarehouseService.transferStock(req.validated.body, req.user._id);
+    
+    res.status(201).json(result);
+  });
+}
+
+module.exports = new WarehouseController();
@@ -0,0 +1,63 @@
+const scheduler = require('./scheduler');
+const config = require('../config');
+const ReservationService = require('../services/reservationService');
+const ProductService = require('../services/productService');
+const OrderService = require('../services/orderService');
+const SearchService = require('../services/searchService');
+const PricingService = require('../services/pricingService');
+const WalletService = require('../services/walletService');
+const LoyaltyService = require('../services/loyaltyService');
+const CatalogService = require('../services/catalogService');
+
+/**
+ * Background job registry
+ */
+scheduler.register(
+  'release-expired-reservations',
+  config.inventory.reservationSweepMs,
+  () => ReservationService.releaseExpired()
+);
+
+scheduler.register(
+  'cancel-unpaid-orders',
+  config.inventory.unpaidOrderSweepMs,
+  () => OrderService.cancelUnpaidOrders()
+);
+
+scheduler.register(
+  'reconcile-stock',
+  config.inventory.reconciliationMs,
+  () => ProductService.reconcileStock()
+);
+
+scheduler.register(
+  'rebuild-search-index',
+  config.search.suggestRebuildMs,
+  () => SearchService.rebuildIndex()
+);
+
+scheduler.register(
+  'apply-price-schedules',
+  config.pricing.scheduleSweepMs,
+  () => PricingService.applyPriceSchedules()
+);
+
+scheduler.register(
+  'expire-store-credit',
+  config.wallet.expirySweepMs,
+  () => WalletService.expireCredits()
+);
+
+scheduler.register(
+  'release-loyalty-points',
+  config.loyalty.releaseSweepMs,
+  () => LoyaltyService.releasePoints()
+);
+
+scheduler.register(
+  'fail-stale-import-jobs',
+  config.catalog.importStaleSweepMs,
+  () => CatalogService.failStaleImportJobs()
+);
+
+module.exports = scheduler;
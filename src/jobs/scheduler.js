@@ -0,0 +1,67 @@
+const logger = require('../utils/logger');
+
+/**
+ * Interval job scheduler - runs registered background jobs in-process
+ * A job never overlaps with itself: a run that is still going skips the next tick.
+ */
+class JobScheduler {
+  constructor() {
+    this.jobs = new Map();
+  }
+
+  /**
+   * Register a job
+   * @param {String} name - Job name
+   * @param {Number} intervalMs - Run interval
+   * @param {Function} handler - Async function to run
+   */
+  register(name, intervalMs, handler) {
+    this.jobs.set(name, { name, intervalMs, handler, timer: null, running: false });
+  }
+
+  /**
+   * Start all registered jobs
+   */
+  start() {
+    for (const job of this.jobs.values()) {
+      if (job.timer) continue;
+
+      job.timer = setInterval(() => this.run(job.name), job.intervalMs);
+      job.timer.unref();
+      logger.info('Job scheduled:', { job: job.name, intervalMs: job.intervalMs });
+    }
+  }
+
+  /**
+   * Run a job once now
+   * @param {String} name - Job name
+   */
+  async run(name) {
+    const job = this.jobs.get(name);
+
+    if (!job || job.running) {
+      return;
+    }
+
+    job.running = true;
+    try {
+      await job.handler();
+    } catch (error) {
+      logger.error('Job failed:', { job: name, error: error.message });
+    } finally {
+      job.running = false;
+    }
+  }
+
+  /**
+   * Stop all jobs
+   */
+  stop() {
+    for (const job of this.jobs.values()) {
+      clearInterval(job.timer);
+      job.timer = null;
+    }
+  }
+}
+
+module.exports = new JobScheduler();
@@ -31,9 +31,10 @@ const corsOptions = {
     'Authorization',
     'X-Requested-With',
     'Accept',
-    'Origin'
+    'Origin',
+    'Idempotency-Key'
   ],
-  exposedHeaders: ['X-Total-Count', 'X-Page-Count']
+  exposedHeaders: ['X-Total-Count', 'X-Page-Count', 'Idempotent-Replayed']
 };
 
 module.exports = cors(corsOptions);
\ No newline at end of file
@@ -6,7 +6,8 @@ const logger = require('../utils/logger');
 const errorHandler = (error, req, res, next) => {
   let statusCode = error.statusCode || 500;
   let message = error.message || 'Server error';
-  let errors = null;
+  // Services may attach a list of error details (e.g. products that ran out of stock)
+  let errors = Array.isArray(error.errors) ? error.errors : null;
 
   // MongoDB/Mongoose errors
   if (error.name === 'ValidationError') {
@@ -0,0 +1,122 @@
+const crypto = require('crypto');
+const config = require('../config');
+const redisClient = require('../config/redis');
+const logger = require('../utils/logger');
+
+/**
+ * Idempotency-Key middleware factory - replays the stored response when a client retries an unsafe request
+ * Keys are scoped per user (or session), stored in Redis with the request hash and the first response.
+ * Same key + same body returns the original response; same key + different body is rejected with 422.
+ * The key stays "processing" while the handler runs, even if the client disconnects, so a retry cannot run the
+ * request a second time. Responses with status >= 500 (including errors thrown by the handler) are not stored,
+ * so the request can be retried.
+ * @param {Object} options - { ttlSeconds, processingTtlSeconds, required }
+ * @returns {Function} Express middleware function
+ */
+const idempotent = (options = {}) => {
+  const {
+    ttlSeconds = config.idempotency.ttlSeconds,
+    processingTtlSeconds = config.idempotency.processingTtlSeconds,
+    required = false
+  } = options;
+
+  return async (req, res, next) => {
+    const idempotencyKey = req.get('Idempotency-Key');
+
+    if (!idempotencyKey) {
+      if (required) {
+        return res.status(400).json({
+          success: false,
+          message: 'Idempotency-Key header is required'
+        });
+      }
+      return next();
+    }
+
+    if (idempotencyKey.length > 255) {
+      return res.status(400).json({
+        success: false,
+        message: 'Idempotency-Key must be at most 255 characters'
+      });
+    }
+
+    try {
+      const client = redisClient.getClient();
+      const scope = req.user ? req.user._id : req.sessionID;
+      const redisKey = `idempotency:${scope}:${req.method}:${req.baseUrl}${req.path}:${idempotencyKey}`;
+      const requestHash = crypto
+        .createHash('sha256')
+        .update(JSON.stringify(req.body || {}))
+        .digest('hex');
+
+      const claimed = await client.set(
+        redisKey,
+        JSON.stringify({ status: 'processing', requestHash }),
+        { condition: 'NX', expiration: { type: 'EX', value: processingTtlSeconds } }
+      );
+
+      if (!claimed) {
+        const stored = JSON.parse(await client.get(redisKey));
+
+        if (stored && stored.requestHash !== requestHash) {
+          return res.status(422).json({
+            success: false,
+            message: 'Idempotency-Key was already used with a different request body'
+          });
+        }
+
+        if (!stored || stored.status === 'processing') {
+          return res.status(409).json({
+            success: false,
+            message: 'A request with this Idempotency-Key is still being processed'
+          });
+        }
+
+        logger.info('Idempotent request replayed:', { key: idempotencyKey, path: req.originalUrl });
+
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(stored.statusCode).json(stored.body);
+      }
+
+      // Store the first response before it is sent; a 5xx releases the key instead
+      let settled = false;
+      const sendJson = res.json.bind(res);
+
+      const settle = (body) => {
+        settled = true;
+
+        const store = res.statusCode < 500
+          ? client.set(
+            redisKey,
+            JSON.stringify({ status: 'completed', requestHash, statusCode: res.statusCode, body }),
+            { expiration: { type: 'EX', value: ttlSeconds } }
+          )
+          : client.del(redisKey);
+
+        return store.catch(error => logger.error('Idempotency store error:', { error: error.message }));
+      };
+
+      res.json = (body) => {
+        settle(body).finally(() => sendJson(body));
+        return res;
+      };
+
+      // Responses sent without res.json (e.g. 204) are settled once they finish; a client that disconnects
+      // early doesn't settle anything, the handler's own response does
+      res.on('finish', () => {
+        if (!settled) {
+          settle();
+        }
+      });
+
+      next();
+    } catch (error) {
+      logger.error('Idempotency check error:', { error: error.message });
+      next(error);
+    }
+  };
+};
+
+module.exports = {
+  idempotent
+};
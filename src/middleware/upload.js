@@ -0,0 +1,64 @@
+const multer = require('multer');
+const config = require('../config');
+
+/**
+ * Multipart upload middleware factory (files are kept in memory for processing and land in req.files)
+ * Follow it with validateFileUpload for type checks.
+ * @param {String} field - Form field name
+ * @param {Number} maxCount - Maximum number of files
+ * @param {Number} maxSize - Maximum file size in bytes
+ * @returns {Function} Express middleware function
+ */
+const createUpload = (field, maxCount, maxSize) => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+      files: maxCount,
+      fileSize: maxSize
+    }
+  }).array(field, maxCount);
+
+  return (req, res, next) => {
+    upload(req, res, (error) => {
+      if (error instanceof multer.MulterError) {
+        const messages = {
+          LIMIT_FILE_SIZE: `File too large. Maximum size: ${maxSize / 1024 / 1024}MB`,
+          LIMIT_FILE_COUNT: `Too many files. Maximum: ${maxCount}`,
+          LIMIT_UNEXPECTED_FILE: `Unexpected file field: ${error.field}`
+        };
+
+        return res.status(400).json({
+          success: false,
+          message: messages[error.code] || error.message
+        });
+      }
+
+      next(error);
+    });
+  };
+};
+
+/**
+ * Product image upload
+ * @param {String} field - Form field name
+ * @param {Number} maxCount - Maximum number of files
+ * @returns {Function} Express middleware function
+ */
+const uploadImages = (field = 'images', maxCount = config.images.maxFiles) => {
+  return createUpload(field, maxCount, config.images.maxFileSize);
+};
+
+/**
+ * Single data file upload (e.g. catalog imports)
+ * @param {String} field - Form field name
+ * @param {Number} maxSize - Maximum file size in bytes
+ * @returns {Function} Express middleware function
+ */
+const uploadFile = (field = 'file', maxSize = config.catalog.importMaxFileSize) => {
+  return createUpload(field, 1, maxSize);
+};
+
+module.exports = {
+  uploadImages,
+  uploadFile
+};
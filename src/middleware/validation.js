@@ -68,16 +68,17 @@ const validateFileUpload = (options = {}) => {
   } = options;
 
   return (req, res, next) => {
-    if (!req.files && required) {
+    // multer leaves an empty array when no file was sent
+    const files = req.files ? [].concat(req.files) : [];
+
+    if (files.length === 0 && required) {
       return res.status(400).json({
         success: false,
         message: 'File upload is required'
       });
     }
 
-    if (req.files) {
-      const files = Array.isArray(req.files) ? req.files : [req.files];
-      
+    if (files.length > 0) {
       for (const file of files) { 
         // File type check
         if (!allowedTypes.includes(file.mimetype)) {
@@ -127,7 +128,7 @@ const validateQueryParams = (req, res, next) => {
   }
 
   // Sorting parameter check
-  const allowedSortFields = ['createdAt', 'price', 'name', 'rating'];
+  const allowedSortFields = ['relevance', 'createdAt', 'price', 'name', 'rating'];
   const allowedSortOrders = ['asc', 'desc', '1', '-1'];
 
   if (req.query.sortBy && !allowedSortFields.includes(req.query.sortBy)) {
@@ -0,0 +1,24 @@
+const PaymentService = require('../services/paymentService');
+const logger = require('../utils/logger');
+
+/**
+ * Payment webhook signature middleware - rejects requests not signed with the webhook secret
+ */
+const verifyPaymentSignature = (req, res, next) => {
+  const signature = req.get('X-Payment-Signature');
+
+  if (!PaymentService.verifyWebhookSignature(req.rawBody, signature)) {
+    logger.warn('Payment webhook signature rejected:', { ip: req.ip });
+
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid webhook signature'
+    });
+  }
+
+  next();
+};
+
+module.exports = {
+  verifyPaymentSignature
+};
@@ -0,0 +1,15 @@
+const migrations = require('./runner');
+const openingStockMovements = require('./openingStockMovements');
+const productCategories = require('./productCategories');
+const productTextIndex = require('./productTextIndex');
+const productDimensionWidth = require('./productDimensionWidth');
+
+/**
+ * Data migration registry - applied in this order at startup
+ */
+migrations.register('opening-stock-movements', openingStockMovements);
+migrations.register('product-categories', productCategories);
+migrations.register('product-text-index', productTextIndex);
+migrations.register('product-dimension-width', productDimensionWidth);
+
+module.exports = migrations;
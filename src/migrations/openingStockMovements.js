@@ -0,0 +1,40 @@
+const Product = require('../models/Product');
+const StockMovement = require('../models/StockMovement');
+
+/**
+ * Write an opening 'initial' movement for the stock of products created before the movement ledger existed,
+ * so reconciliation has a baseline for them (one per variant for products with variants)
+ * @returns {Object} Count of products given an opening balance
+ */
+const openingStockMovements = async () => {
+  const tracked = await StockMovement.distinct('product');
+  const products = await Product.find({ _id: { $nin: tracked } }).select('stock variants._id variants.stock');
+
+  const movements = [];
+  for (const product of products) {
+    const lines = product.variants.length > 0
+      ? product.variants.map(variant => ({ variant: variant._id, quantity: variant.stock }))
+      : [{ quantity: product.stock }];
+
+    let balance = 0;
+    for (const { variant, quantity } of lines.filter(line => line.quantity !== 0)) {
+      balance += quantity;
+      movements.push({
+        product: product._id,
+        variant,
+        quantity,
+        balance,
+        reason: 'initial',
+        note: 'Opening balance'
+      });
+    }
+  }
+
+  if (movements.length > 0) {
+    await StockMovement.insertMany(movements);
+  }
+
+  return { products: products.length };
+};
+
+module.exports = openingStockMovements;
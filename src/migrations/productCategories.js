@@ -0,0 +1,35 @@
+const Category = require('../models/Category');
+const Product = require('../models/Product');
+
+/**
+ * Create a root category for every category name products already use, so products created before
+ * categories were managed keep passing the category check on update (slugs get a suffix on collision)
+ * @returns {Object} Count of categories created
+ */
+const productCategories = async () => {
+  const names = (await Product.distinct('category')).filter(Boolean);
+  const existing = await Category.find({}).select('name slug');
+
+  const known = new Set(existing.map(category => category.name));
+  const slugs = new Set(existing.map(category => category.slug));
+
+  const categories = [];
+  for (const name of names.filter(entry => !known.has(entry))) {
+    const base = Category.slugify(name) || 'category';
+    let slug = base;
+    for (let suffix = 2; slugs.has(slug); suffix++) {
+      slug = `${base}-${suffix}`;
+    }
+
+    slugs.add(slug);
+    categories.push({ name, slug });
+  }
+
+  if (categories.length > 0) {
+    await Category.insertMany(categories);
+  }
+
+  return { categories: categories.length };
+};
+
+module.exports = productCategories;
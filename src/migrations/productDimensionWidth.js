@@ -0,0 +1,17 @@
+const Product = require('../models/Product');
+
+/**
+ * Move the product width from the misspelled "dimensions.widht" to "dimensions.width"
+ * (runs on the collection directly: the schema no longer knows the old path)
+ * @returns {Object} Count of products updated
+ */
+const productDimensionWidth = async () => {
+  const result = await Product.collection.updateMany(
+    { 'dimensions.widht': { $exists: true } },
+    { $rename: { 'dimensions.widht': 'dimensions.width' } }
+  );
+
+  return { products: result.modifiedCount };
+};
+
+module.exports = productDimensionWidth;
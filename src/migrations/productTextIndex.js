@@ -0,0 +1,45 @@
+const Product = require('../models/Product');
+
+const TEXT_INDEX = 'product_text_search';
+
+// Server error codes: collection not created yet, index already dropped
+const NAMESPACE_NOT_FOUND = 26;
+const INDEX_NOT_FOUND = 27;
+
+/**
+ * Replace older text indexes on products (e.g. the unweighted "name_text_description_text_brand_text")
+ * with the weighted product_text_search index; a collection allows one text index, so the schema index
+ * can't be built next to an old one
+ * @returns {Object} Names of the dropped indexes
+ */
+const productTextIndex = async () => {
+  let indexes = [];
+  try {
+    indexes = await Product.collection.indexes();
+  } catch (error) {
+    if (error.code !== NAMESPACE_NOT_FOUND) {
+      throw error;
+    }
+  }
+
+  const dropped = indexes
+    .filter(index => index.key._fts === 'text' && index.name !== TEXT_INDEX)
+    .map(index => index.name);
+
+  for (const name of dropped) {
+    try {
+      await Product.collection.dropIndex(name);
+    } catch (error) {
+      if (error.code !== INDEX_NOT_FOUND) {
+        throw error;
+      }
+    }
+  }
+
+  const [fields, options] = Product.schema.indexes().find(([, entry]) => entry.name === TEXT_INDEX);
+  await Product.collection.createIndex(fields, options);
+
+  return { dropped };
+};
+
+module.exports = productTextIndex;
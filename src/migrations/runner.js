@@ -0,0 +1,53 @@
+const Migration = require('../models/Migration');
+const logger = require('../utils/logger');
+
+/**
+ * Data migration runner - applies registered migrations once per database, in registration order
+ * Applied migrations are recorded in the migrations collection. Each migration must be safe to run again,
+ * since instances starting at the same time may both run a pending one.
+ */
+class MigrationRunner {
+  constructor() {
+    this.migrations = [];
+  }
+
+  /**
+   * Register a migration
+   * @param {String} name - Unique migration name
+   * @param {Function} up - Async function applying the migration; may return a result to record
+   */
+  register(name, up) {
+    this.migrations.push({ name, up });
+  }
+
+  /**
+   * Apply every pending migration; stops at the first failure
+   * @returns {Array} Names of the applied migrations
+   */
+  async run() {
+    const applied = new Set((await Migration.find({}).select('name')).map(migration => migration.name));
+    const ran = [];
+
+    for (const { name, up } of this.migrations) {
+      if (applied.has(name)) {
+        continue;
+      }
+
+      logger.info('Applying migration:', { migration: name });
+      const result = await up();
+
+      await Migration.updateOne(
+        { name },
+        { $setOnInsert: { name, appliedAt: new Date(), result } },
+        { upsert: true }
+      );
+      ran.push(name);
+
+      logger.info('Migration applied:', { migration: name, result });
+    }
+
+    return ran;
+  }
+}
+
+module.exports = new MigrationRunner();
@@ -0,0 +1,91 @@
+const mongoose = require("mongoose");
+
+//Value types an attribute may have
+const ATTRIBUTE_TYPES = ["number", "string", "boolean"];
+
+//Attribute definition => how a product specification is typed within a category (e.g. RAM: number, GB)
+const attributeDefinitionSchema = new mongoose.Schema(
+  {
+    category: {
+      type: String,
+      required: [true, "Category is required."],
+      trim: true,
+    },
+    //Key used on products and in filters => attr.<key>
+    key: {
+      type: String,
+      required: [true, "Attribute key is required."],
+      trim: true,
+      lowercase: true,
+      match: [/^[a-z0-9_]+$/, "Key may only contain letters, digits and underscores."],
+    },
+    label: {
+      type: String,
+      required: [true, "Attribute label is required."],
+      trim: true,
+    },
+    type: {
+      type: String,
+      enum: ATTRIBUTE_TYPES,
+      default: "string",
+    },
+    unit: {
+      type: String,
+      trim: true,
+    },
+    //Allowed values for string attributes (empty => any value)
+    values: [{ type: String, trim: true }],
+    required: {
+      type: Boolean,
+      default: false,
+    },
+    filterable: {
+      type: Boolean,
+      default: true,
+    },
+    sortOrder: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+//Indexes
+attributeDefinitionSchema.index({ category: 1, key: 1 }, { unique: true });
+attributeDefinitionSchema.index({ key: 1 });
+
+//Static: attribute value types
+attributeDefinitionSchema.statics.TYPES = ATTRIBUTE_TYPES;
+
+//Static method: specification name => attribute key ("Screen Size" => "screen_size")
+attributeDefinitionSchema.statics.normalizeKey = function (name) {
+  return String(name)
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "_")
+    .replace(/^_+|_+$/g, "");
+};
+
+//Instance method: convert a raw value to the attribute type, undefined if it doesn't fit
+attributeDefinitionSchema.methods.coerce = function (value) {
+  if (this.type === "number") {
+    const number = typeof value === "number" ? value : parseFloat(value);
+    return Number.isFinite(number) ? number : undefined;
+  }
+
+  if (this.type === "boolean") {
+    if (typeof value === "boolean") return value;
+    if (["true", "1", "yes"].includes(String(value).toLowerCase())) return true;
+    if (["false", "0", "no"].includes(String(value).toLowerCase())) return false;
+    return undefined;
+  }
+
+  const text = String(value).trim();
+  if (this.values.length > 0 && !this.values.includes(text)) return undefined;
+  return text;
+};
+
+module.exports = mongoose.model("AttributeDefinition", attributeDefinitionSchema);
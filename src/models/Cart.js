@@ -19,6 +19,7 @@ const cartSchema = new mongoose.Schema(
           ref: "Product",
           required: true,
         },
+        variant: mongoose.Schema.Types.ObjectId,
         quantity: {
           type: Number,
           required: true,
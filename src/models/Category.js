@@ -0,0 +1,79 @@
+const mongoose = require("mongoose");
+
+const categorySchema = new mongoose.Schema(
+  {
+    //Products refer to their category by name
+    name: {
+      type: String,
+      required: [true, "Category name is required."],
+      trim: true,
+      unique: true,
+      maxlength: [100, "Name must be at most 100 characters."],
+    },
+    slug: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      unique: true,
+    },
+    description: {
+      type: String,
+      maxlength: [2000, "Description must be at most 2000 characters."],
+    },
+    parent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Category",
+      default: null,
+    },
+    //Path from the root down to the parent => descendants are found with { ancestors: id }
+    ancestors: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Category",
+      },
+    ],
+    sortOrder: {
+      type: Number,
+      default: 0,
+    },
+    //Loyalty points multiplier for its products (null => inherited from the parent, 1 at the root)
+    pointsMultiplier: {
+      type: Number,
+      min: [0, "Points multiplier isn't letter than 0."],
+      default: null,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+//Indexes
+categorySchema.index({ parent: 1, sortOrder: 1 });
+categorySchema.index({ ancestors: 1 });
+
+//Static method: name => URL slug ("Gaming Laptops" => "gaming-laptops")
+categorySchema.statics.slugify = function (name) {
+  return String(name)
+    .trim()
+    .toLowerCase()
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/ı/g, "i")
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+};
+
+//Pre-Validate: Generate slug from the name
+categorySchema.pre("validate", function (next) {
+  if (!this.slug && this.name) {
+    this.slug = this.constructor.slugify(this.name);
+  }
+  next();
+});
+
+module.exports = mongoose.model("Category", categorySchema);
@@ -0,0 +1,84 @@
+const mongoose = require("mongoose");
+
+//Gift card => a prepaid balance spent at checkout, with its transaction history
+const giftCardSchema = new mongoose.Schema(
+  {
+    code: {
+      type: String,
+      required: true,
+      trim: true,
+      uppercase: true,
+    },
+    initialBalance: {
+      type: Number,
+      required: [true, "Initial balance is required."],
+      min: [0.01, "Initial balance must be greater than 0."],
+    },
+    balance: {
+      type: Number,
+      required: true,
+      min: [0, "Balance isn't letter than 0."],
+    },
+    expiresAt: Date,
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    recipientEmail: {
+      type: String,
+      trim: true,
+      lowercase: true,
+    },
+    note: String,
+    issuedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    //Balance changes, oldest first => amount is signed, balance is the balance right after
+    transactions: [
+      {
+        type: {
+          type: String,
+          enum: ["issue", "redeem", "restore"],
+          required: true,
+        },
+        amount: {
+          type: Number,
+          required: true,
+        },
+        balance: {
+          type: Number,
+          required: true,
+        },
+        order: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Order",
+        },
+        note: String,
+        createdAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+//Indexes
+giftCardSchema.index({ code: 1 }, { unique: true });
+giftCardSchema.index({ "transactions.order": 1 });
+
+//Instance method: can it pay at a time (active, not expired, balance left)
+giftCardSchema.methods.isUsable = function (at = new Date()) {
+  return this.isActive && this.balance > 0 && (!this.expiresAt || this.expiresAt > at);
+};
+
+//Instance method: code with all but the last group hidden
+giftCardSchema.methods.getMaskedCode = function () {
+  return `****-${this.code.slice(-4)}`;
+};
+
+module.exports = mongoose.model("GiftCard", giftCardSchema);
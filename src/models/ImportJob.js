@@ -0,0 +1,64 @@
+const mongoose = require("mongoose");
+
+//Background product import => progress and per-row error report
+const importJobSchema = new mongoose.Schema(
+  {
+    format: {
+      type: String,
+      enum: ["csv", "json"],
+      required: true,
+    },
+    fileName: String,
+    status: {
+      type: String,
+      enum: ["queued", "running", "completed", "failed"],
+      default: "queued",
+    },
+    total: {
+      type: Number,
+      default: 0,
+    },
+    processed: {
+      type: Number,
+      default: 0,
+    },
+    created: {
+      type: Number,
+      default: 0,
+    },
+    updated: {
+      type: Number,
+      default: 0,
+    },
+    failed: {
+      type: Number,
+      default: 0,
+    },
+    //Rows that could not be imported => row is the 1-based data row (CSV: excluding the header)
+    rowErrors: [
+      {
+        _id: false,
+        row: Number,
+        sku: String,
+        field: String,
+        message: String,
+      },
+    ],
+    //Job-level failure (e.g. the worker crashed)
+    error: String,
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    startedAt: Date,
+    finishedAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+//Indexes
+importJobSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model("ImportJob", importJobSchema);
@@ -0,0 +1,30 @@
+const mongoose = require("mongoose");
+
+//Loyalty points account => one per user
+const loyaltyAccountSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    //Points that can be redeemed => negative when clawed-back points had already been spent
+    points: {
+      type: Number,
+      default: 0,
+    },
+    //Earned points still inside the return window
+    pendingPoints: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+//Indexes
+loyaltyAccountSchema.index({ user: 1 }, { unique: true });
+
+module.exports = mongoose.model("LoyaltyAccount", loyaltyAccountSchema);
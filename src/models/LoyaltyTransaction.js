@@ -0,0 +1,51 @@
+const mongoose = require("mongoose");
+
+//Loyalty points history entry => points are signed
+const loyaltyTransactionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    //earn: delivered order, redeem: spent at checkout, restore: redemption of a cancelled order given back,
+    //clawback: earned points taken back by a refund
+    type: {
+      type: String,
+      enum: ["earn", "redeem", "restore", "clawback"],
+      required: true,
+    },
+    points: {
+      type: Number,
+      required: true,
+    },
+    //Earned points => pending until availableAt (the end of the return window)
+    status: {
+      type: String,
+      enum: ["pending", "available"],
+    },
+    availableAt: Date,
+    //Earned points not released yet (clawbacks inside the window reduce it)
+    pending: {
+      type: Number,
+      min: 0,
+    },
+    //Tier the points were earned in
+    tier: String,
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+    },
+    note: String,
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+//Indexes
+loyaltyTransactionSchema.index({ user: 1, createdAt: -1 });
+loyaltyTransactionSchema.index({ status: 1, availableAt: 1 });
+loyaltyTransactionSchema.index({ order: 1, type: 1 });
+
+module.exports = mongoose.model("LoyaltyTransaction", loyaltyTransactionSchema);
@@ -0,0 +1,23 @@
+const mongoose = require("mongoose");
+
+const migrationSchema = new mongoose.Schema(
+  {
+    //Registered migration name => applied once per database
+    name: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    appliedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    //What the migration reported (counts of changed documents, ...)
+    result: mongoose.Schema.Types.Mixed,
+  },
+  {
+    timestamps: false,
+  }
+);
+
+module.exports = mongoose.model("Migration", migrationSchema);
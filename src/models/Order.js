@@ -1,5 +1,36 @@
 const mongoose = require("mongoose");
 
+//Order lifecycle: status => statuses it may move to next
+const ORDER_TRANSITIONS = {
+  pending: ["confirmed", "cancelled"],
+  confirmed: ["processing", "cancelled"],
+  processing: ["shipped", "cancelled"],
+  shipped: ["delivered", "returned"],
+  delivered: ["returned"],
+  cancelled: [],
+  returned: [],
+};
+
+//Payment lifecycle: payment status => statuses it may move to next
+const PAYMENT_TRANSITIONS = {
+  pending: ["authorized", "completed", "failed"],
+  authorized: ["completed", "failed", "voided"],
+  completed: ["partially_refunded", "refunded"],
+  partially_refunded: ["refunded"],
+  failed: ["authorized", "completed"],
+  voided: [],
+  refunded: [],
+};
+
+//Timestamp field stamped when an order enters the status
+const STATUS_TIMESTAMPS = {
+  confirmed: "confirmedAt",
+  shipped: "shippedAt",
+  delivered: "deliveredAt",
+  cancelled: "cancelledAt",
+  returned: "returnedAt",
+};
+
 const orderSchema = new mongoose.Schema(
   {
     orderNumber: {
@@ -18,7 +49,15 @@ const orderSchema = new mongoose.Schema(
           ref: "Product",
           required: true,
         },
+        //Variant of a product with variants
+        variant: mongoose.Schema.Types.ObjectId,
         name: String,
+        sku: String,
+        //Variant option values at the time of ordering, e.g. { size: "M" }
+        options: {
+          type: Map,
+          of: String,
+        },
         quantity: {
           type: Number,
           required: true,
@@ -37,6 +76,34 @@ const orderSchema = new mongoose.Schema(
           required: true,
           min: 0,
         },
+        //Share of the order discounts taken off this line
+        discount: {
+          type: Number,
+          default: 0,
+          min: 0,
+        },
+        refundedQuantity: {
+          type: Number,
+          default: 0,
+          min: 0,
+        },
+        //Units already put back into stock (restocking refunds, returns, cancellation)
+        restockedQuantity: {
+          type: Number,
+          default: 0,
+          min: 0,
+        },
+        //Where the units ship from (warehouse empty => unlocated stock)
+        allocations: [
+          {
+            _id: false,
+            warehouse: {
+              type: mongoose.Schema.Types.ObjectId,
+              ref: "Warehouse",
+            },
+            quantity: Number,
+          },
+        ],
       },
     ],
     shippingAddress: {
@@ -62,32 +129,33 @@ const orderSchema = new mongoose.Schema(
     payment: {
       method: {
         type: String,
-        enum: ["credit_card", "bank_transfer", "cash_on_delivery"],
+        //gift_card/store_credit => fully paid by gift cards and store credit
+        enum: ["credit_card", "bank_transfer", "cash_on_delivery", "gift_card", "store_credit"],
         required: true,
       },
       status: {
         type: String,
-        enum: ["pending", "completed", "failed", "refunded"],
+        enum: Object.keys(PAYMENT_TRANSITIONS),
         default: "pending",
       },
+      provider: String,
       transactionId: String,
+      cardLast4: String,
+      failureReason: String,
+      authorizedAt: Date,
       paidAt: Date,
+      //Payment that arrived after the order was cancelled => to be refunded/voided at the provider
+      refundRequired: Boolean,
     },
     status: {
       type: String,
-      enum: [
-        "pending",
-        "confirmed",
-        "processing",
-        "shipped",
-        "delivered",
-        "cancelled",
-      ],
+      enum: Object.keys(ORDER_TRANSITIONS),
       default: "pending",
     },
     statusHistory: [
       {
         status: String,
+        note: String,
         updatedAt: {
           type: Date,
           default: Date.now,
@@ -99,6 +167,93 @@ const orderSchema = new mongoose.Schema(
       required: true,
       min: 0,
     },
+    //Promotions applied => free_shipping lines carry the waived shipping cost, which is not part of discountTotal;
+    //redeemed loyalty points are a loyalty_points line without a promotion
+    discounts: [
+      {
+        _id: false,
+        promotion: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Promotion",
+        },
+        code: String,
+        name: String,
+        type: {
+          type: String,
+        },
+        amount: {
+          type: Number,
+          default: 0,
+          min: 0,
+        },
+      },
+    ],
+    discountTotal: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    //Gift cards paying part of the total => the payment method covers the rest
+    giftCards: [
+      {
+        _id: false,
+        giftCard: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "GiftCard",
+          required: true,
+        },
+        //Masked code, e.g. ****-7KQD
+        code: String,
+        amount: {
+          type: Number,
+          required: true,
+          min: 0,
+        },
+        //Put back on the card by refunds/cancellation
+        restored: {
+          type: Number,
+          default: 0,
+          min: 0,
+        },
+      },
+    ],
+    giftCardTotal: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    //Store credit from the customer's wallet paying part of the total (after gift cards)
+    storeCredit: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    //Part of storeCredit put back in the wallet by refunds/cancellation
+    storeCreditRestored: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    //Loyalty points => redeemed as a discount at checkout (a loyalty_points line in discounts),
+    //earned once delivered and partly clawed back by refunds
+    loyalty: {
+      pointsRedeemed: {
+        type: Number,
+        default: 0,
+      },
+      redemptionRestored: {
+        type: Boolean,
+        default: false,
+      },
+      pointsEarned: {
+        type: Number,
+        default: 0,
+      },
+      pointsClawedBack: {
+        type: Number,
+        default: 0,
+      },
+    },
     shipping: {
       cost: {
         type: Number,
@@ -116,10 +271,75 @@ const orderSchema = new mongoose.Schema(
       default: 0,
       min: 0,
     },
+    //Refund ledger => one entry per refund, newest last
+    refunds: [
+      {
+        amount: {
+          type: Number,
+          required: true,
+          min: 0,
+        },
+        items: [
+          {
+            itemId: mongoose.Schema.Types.ObjectId,
+            product: {
+              type: mongoose.Schema.Types.ObjectId,
+              ref: "Product",
+            },
+            quantity: Number,
+            amount: Number,
+          },
+        ],
+        //Part of the amount put back on gift cards (the rest went to the payment method)
+        giftCardAmount: {
+          type: Number,
+          default: 0,
+        },
+        //Part of the amount paid into the store credit wallet (spent store credit, or a refund paid as credit)
+        storeCreditAmount: {
+          type: Number,
+          default: 0,
+        },
+        //Part of the amount paid back to the payment method at the provider
+        paymentAmount: {
+          type: Number,
+          default: 0,
+        },
+        restocked: {
+          type: Boolean,
+          default: false,
+        },
+        reason: String,
+        transactionId: String,
+        //Provider's refund id => webhooks for a refund already in the ledger are skipped
+        refundId: String,
+        refundedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+        createdAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+    refundedAmount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    //total - refundedAmount, kept in sync on validate
+    netTotal: {
+      type: Number,
+      min: 0,
+    },
     notes: String,
+    confirmedAt: Date,
+    shippedAt: Date,
     deliveredAt: Date,
     cancelledAt: Date,
     cancelledReason: String,
+    returnedAt: Date,
   },
   {
     timestamps: true,
@@ -131,33 +351,107 @@ orderSchema.index({ orderNumber: 1 }, { unique: true });
 //order-status
 orderSchema.index({ status: 1 });
 //payment-status
-orderSchema.index({ "paymet.status": 1 });
+orderSchema.index({ "payment.status": 1 });
+//payment-transaction (webhook lookups)
+orderSchema.index({ "payment.transactionId": 1 }, { sparse: true });
 
-//PRE-SAVE: generate order number
-orderSchema.pre("save", function (next) {
+//PRE-VALIDATE: generate order number (runs before the required check)
+orderSchema.pre("validate", function (next) {
   if (!this.orderNumber) {
     const timestamp = Date.now().toString(36);
     const random = Math.random().toString(36).substring(2, 5);
     this.orderNumber = `ORD-${timestamp}-${random}`.toUpperCase();
   }
+  next();
 });
 
-//Instance method: order status update
+//PRE-VALIDATE: net total after refunds
+orderSchema.pre("validate", function (next) {
+  this.netTotal = Math.max(this.total - this.refundedAmount, 0);
+  next();
+});
+
+//Instance method: amount paid for units of a line (after its share of the discounts)
+orderSchema.methods.getItemPaidAmount = function (orderItem, quantity = orderItem.quantity) {
+  const paid = orderItem.total - (orderItem.discount || 0);
+  return Math.round((paid / orderItem.quantity) * quantity * 100) / 100;
+};
 
+//Instance method: amount charged to the payment method (total less gift cards and store credit)
+orderSchema.methods.getAmountDue = function () {
+  const prepaid = (this.giftCardTotal || 0) + (this.storeCredit || 0);
+  return Math.max(Math.round((this.total - prepaid) * 100) / 100, 0);
+};
+
+//Instance method: amount that can still be refunded => gift cards and store credit count as paid,
+//the payment method once captured
+orderSchema.methods.getRefundableAmount = function () {
+  const captured = ["completed", "partially_refunded"].includes(this.payment.status)
+    ? this.getAmountDue()
+    : 0;
+  const prepaid = (this.giftCardTotal || 0) + (this.storeCredit || 0);
+  return Math.max(captured + prepaid - this.refundedAmount, 0);
+};
+
+//Instance method: captured amount not yet paid back to the payment method
+orderSchema.methods.getRefundablePaymentAmount = function () {
+  if (!["completed", "partially_refunded"].includes(this.payment.status)) {
+    return 0;
+  }
+  const refunded = (this.refunds || []).reduce((total, refund) => total + (refund.paymentAmount || 0), 0);
+  return Math.max(Math.round((this.getAmountDue() - refunded) * 100) / 100, 0);
+};
+
+//Instance method: gift card amount not yet put back on the cards
+orderSchema.methods.getRestorableGiftCardAmount = function () {
+  const restored = (this.giftCards || []).reduce((total, card) => total + card.restored, 0);
+  return Math.max(Math.round(((this.giftCardTotal || 0) - restored) * 100) / 100, 0);
+};
+
+//Instance method: store credit not yet put back in the wallet
+orderSchema.methods.getRestorableStoreCredit = function () {
+  return Math.max(Math.round(((this.storeCredit || 0) - (this.storeCreditRestored || 0)) * 100) / 100, 0);
+};
+
+//Static: lifecycle transition tables
+orderSchema.statics.TRANSITIONS = ORDER_TRANSITIONS;
+orderSchema.statics.PAYMENT_TRANSITIONS = PAYMENT_TRANSITIONS;
+
+//Instance method: statuses reachable from the current one
+orderSchema.methods.getAvailableTransitions = function () {
+  return ORDER_TRANSITIONS[this.status] || [];
+};
+
+//Instance method: is the move to newStatus allowed
+orderSchema.methods.canTransitionTo = function (newStatus) {
+  return this.getAvailableTransitions().includes(newStatus);
+};
+
+//Instance method: order status update
 orderSchema.methods.updateStatus = function (newStatus, note = "") {
-  ((this.status = newStatus),
-    this.statusHistory.push[
-      {
-        status: newStatus,
-        note: note,
-        updatedAt: new Date(),
-      }
-    ]);
-
-  if (newStatus === "delivered") {
-    this.deliveredAt = new Date();
-  } else if (newStatus == "cancelled") {
-    this.cancelledAt = new Date();
+  if (!this.canTransitionTo(newStatus)) {
+    const error = new Error(
+      `Order cannot move from ${this.status} to ${newStatus}`
+    );
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const now = new Date();
+  this.status = newStatus;
+  this.statusHistory.push({
+    status: newStatus,
+    note: note,
+    updatedAt: now,
+  });
+
+  const timestampField = STATUS_TIMESTAMPS[newStatus];
+  if (timestampField) {
+    this[timestampField] = now;
+  }
+
+  if (newStatus === "cancelled") {
+    this.cancelledReason = note;
   }
 };
 
@@ -0,0 +1,48 @@
+const mongoose = require("mongoose");
+
+const paymentEventSchema = new mongoose.Schema(
+  {
+    //Provider's event id => one document per event, retries hit the unique index
+    eventId: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    provider: {
+      type: String,
+      required: true,
+    },
+    type: {
+      type: String,
+      required: true,
+    },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+    },
+    transactionId: String,
+    status: {
+      type: String,
+      enum: ["processing", "processed", "ignored", "failed"],
+      default: "processing",
+    },
+    //Why an event was ignored or failed (duplicate, out_of_order, ...)
+    reason: String,
+    deliveryCount: {
+      type: Number,
+      default: 1,
+    },
+    payload: mongoose.Schema.Types.Mixed,
+    occurredAt: Date,
+    processedAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+//Indexes
+paymentEventSchema.index({ order: 1, createdAt: -1 });
+paymentEventSchema.index({ status: 1 });
+
+module.exports = mongoose.model("PaymentEvent", paymentEventSchema);
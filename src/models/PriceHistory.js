@@ -0,0 +1,45 @@
+const mongoose = require("mongoose");
+
+//Price history => one entry per price change of a product (or one of its variants)
+const priceHistorySchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+    //Variant with its own price
+    variant: mongoose.Schema.Types.ObjectId,
+    //Prices right after the change
+    price: {
+      type: Number,
+      required: true,
+    },
+    discountPrice: Number,
+    finalPrice: {
+      type: Number,
+      required: true,
+    },
+    reason: {
+      type: String,
+      enum: ["initial", "manual", "import", "price_change", "sale_start", "sale_end"],
+      required: true,
+    },
+    schedule: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "PriceSchedule",
+    },
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+//Indexes
+priceHistorySchema.index({ product: 1, createdAt: -1 });
+
+module.exports = mongoose.model("PriceHistory", priceHistorySchema);
@@ -0,0 +1,100 @@
+const mongoose = require("mongoose");
+
+//Scheduled pricing => a future list price change or a time-boxed sale
+const priceScheduleSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: ["price_change", "sale"],
+      required: true,
+    },
+    //Merchandising label, e.g. "Black Friday"
+    name: {
+      type: String,
+      trim: true,
+      maxlength: [100, "Name must be at most 100 characters."],
+    },
+    //price_change => the new list price, sale => a fixed sale price
+    price: {
+      type: Number,
+      min: [0, "Price isn't letter than 0."],
+    },
+    //price_change => discount price from then on (empty => none)
+    discountPrice: {
+      type: Number,
+      min: [0, "Discount price isn't letter than 0."],
+    },
+    //sale => percentage off the list price instead of a fixed price
+    percentOff: {
+      type: Number,
+      min: 1,
+      max: 99,
+    },
+    startsAt: {
+      type: Date,
+      required: true,
+    },
+    //Sales only
+    endsAt: Date,
+    //scheduled => active (sales) => completed, or cancelled/failed
+    status: {
+      type: String,
+      enum: ["scheduled", "active", "completed", "cancelled", "failed"],
+      default: "scheduled",
+    },
+    //Why a failed price change could not be applied
+    error: String,
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    cancelledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    //Price change applied / sale started
+    appliedAt: Date,
+    //Sale ended or cancelled
+    endedAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+//Indexes
+priceScheduleSchema.index({ status: 1, startsAt: 1 });
+priceScheduleSchema.index({ status: 1, endsAt: 1 });
+priceScheduleSchema.index({ product: 1, startsAt: 1 });
+
+//Pre-Validate: price changes need a price, sales a window and either a price or a percentage
+priceScheduleSchema.pre("validate", function (next) {
+  if (this.type === "price_change") {
+    if (this.price == null) {
+      this.invalidate("price", "A price change needs the new price.");
+    } else if (this.discountPrice && this.discountPrice >= this.price) {
+      this.invalidate("discountPrice", "Discount price is letter the price.");
+    }
+    if (this.endsAt || this.percentOff != null) {
+      this.invalidate("type", "A price change has no end date or percentage.");
+    }
+  }
+
+  if (this.type === "sale") {
+    if ((this.price == null) === (this.percentOff == null)) {
+      this.invalidate("price", "A sale needs either a price or a percentage off.");
+    }
+    if (!this.endsAt || this.endsAt <= this.startsAt) {
+      this.invalidate("endsAt", "A sale needs an end date after its start.");
+    }
+  }
+
+  next();
+});
+
+module.exports = mongoose.model("PriceSchedule", priceScheduleSchema);
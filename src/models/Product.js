@@ -1,4 +1,79 @@
 const mongoose = require("mongoose");
+const { roundAmount } = require("../utils/money");
+
+//Variant => one purchasable combination of the product options (e.g. size M, colour Red)
+const variantSchema = new mongoose.Schema(
+  {
+    sku: {
+      type: String,
+      required: [true, "Variant sku is required."],
+      trim: true,
+      uppercase: true,
+    },
+    //Option name => value
+    options: {
+      type: Map,
+      of: String,
+      default: {},
+    },
+    //Empty => the product price applies
+    price: {
+      type: Number,
+      min: [0, "Price isn't letter than 0."],
+    },
+    discountPrice: {
+      type: Number,
+      min: [0, "Discount price isn't letter than 0."],
+      validate: function (value) {
+        return !value || (this.price != null && value < this.price);
+      },
+      message: "Discount price is letter the price.",
+    },
+    stock: {
+      type: Number,
+      min: [0, "Stock isn't letter than 0."],
+      default: 0,
+    },
+    reservedStock: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    images: [
+      {
+        url: { type: String, required: true },
+        alt: String,
+      },
+    ],
+    weight: Number,
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+//Own price => a running percentage sale of the product applies to it too (a fixed sale price doesn't)
+variantSchema.virtual("finalPrice").get(function () {
+  if (this.price == null) return this.parent().finalPrice;
+
+  const regular = this.discountPrice || this.price;
+  const { sale } = this.parent().getPricing();
+  if (!sale || !sale.percentOff) return regular;
+  return Math.min(regular, roundAmount(this.price * (1 - sale.percentOff / 100)));
+});
+
+variantSchema.virtual("availableStock").get(function () {
+  return Math.max(this.stock - (this.reservedStock || 0), 0);
+});
+
+variantSchema.virtual("inStock").get(function () {
+  return this.isActive && this.availableStock > 0;
+});
 
 const productSchema = new mongoose.Schema(
   {
@@ -29,6 +104,28 @@ const productSchema = new mongoose.Schema(
       },
       message: "Discount price is letter the price.",
     },
+    //Sale running now or coming up next (from PriceSchedule) => finalPrice follows it inside its window
+    sale: {
+      schedule: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "PriceSchedule",
+      },
+      //Fixed sale price or percentage off the list price
+      price: Number,
+      percentOff: Number,
+      startsAt: Date,
+      endsAt: Date,
+    },
+    //Next scheduled price change => in effect from effectiveAt until the scheduler writes it to price
+    pendingPrice: {
+      schedule: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "PriceSchedule",
+      },
+      price: Number,
+      discountPrice: Number,
+      effectiveAt: Date,
+    },
     category: {
       type: String,
       required: [true, "Category is required."],
@@ -53,6 +150,54 @@ const productSchema = new mongoose.Schema(
       min: [0, "Stock isn't letter than 0."],
       default: 0,
     },
+    //Option definitions, e.g. { name: "size", values: ["S", "M", "L"] }
+    options: [
+      {
+        _id: false,
+        name: { type: String, required: true, trim: true },
+        values: [{ type: String, trim: true }],
+      },
+    ],
+    //With variants, stock and reservedStock are the totals over all variants
+    variants: [variantSchema],
+    //Per-warehouse stock levels => stock is the total across all of them
+    //(stock not placed in any warehouse yet counts as unlocated)
+    inventory: {
+      type: [
+        {
+          _id: false,
+          warehouse: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Warehouse",
+            required: true,
+          },
+          //Set for products with variants
+          variant: mongoose.Schema.Types.ObjectId,
+          stock: {
+            type: Number,
+            min: 0,
+            default: 0,
+          },
+        },
+      ],
+      select: false,
+    },
+    //Units held by active checkout reservations
+    reservedStock: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    //Last stock reconciliation against the movement ledger
+    stockAudit: {
+      type: {
+        status: { type: String, enum: ["ok", "mismatch"] },
+        expected: Number,
+        actual: Number,
+        checkedAt: Date,
+      },
+      select: false,
+    },
     isActive: {
       type: Boolean,
       default: true,
@@ -60,23 +205,41 @@ const productSchema = new mongoose.Schema(
     images: [
       {
         url: { type: String, required: true },
-        alt: { String },
+        alt: String,
         isPrimary: {
           type: Boolean,
           default: false,
         },
+        //Uploaded images => resized copies and the storage keys of all their files
+        renditions: {
+          thumbnail: String,
+          medium: String,
+        },
+        width: Number,
+        height: Number,
+        storageKeys: [String],
       },
     ],
     tags: [String],
+    //Typed specifications => { k: "ram", v: 16, unit: "GB" }
+    attributes: [
+      {
+        _id: false,
+        k: { type: String, required: true, lowercase: true, trim: true },
+        v: { type: mongoose.Schema.Types.Mixed, required: true },
+        unit: String,
+      },
+    ],
     rating: {
       average: { type: Number, default: 0, min: 0, max: 5 },
       count: { type: Number, default: 0 },
     },
     featured: { type: Boolean, default: true },
     weight: Number,
+    //Centimetres (older documents stored the width as "widht" => product-dimension-width migration)
     dimensions: {
       length: Number,
-      widht: Number,
+      width: Number,
       height: Number,
     },
   },
@@ -88,26 +251,272 @@ const productSchema = new mongoose.Schema(
 );
 
 //Virtual fields.
+//Prices effective now => see getPricing
 productSchema.virtual("finalPrice").get(function () {
-  return this.discountPrice || this.price;
+  return this.getPricing().finalPrice;
 });
 
 productSchema.virtual("discountPercentage").get(function () {
-  if (!this.discountPrice) return 0;
-  return Math.round(((this.price - this.discountPrice) / this.price) * 100);
+  const { price, finalPrice } = this.getPricing();
+  if (!price || finalPrice >= price) return 0;
+  return Math.round(((price - finalPrice) / price) * 100);
+});
+
+productSchema.virtual("onSale").get(function () {
+  return Boolean(this.getPricing().sale);
+});
+
+productSchema.virtual("availableStock").get(function () {
+  return Math.max(this.stock - (this.reservedStock || 0), 0);
 });
 
 productSchema.virtual("inStock").get(function () {
-  return this.stock > 0;
+  return this.availableStock > 0;
+});
+
+//Attributes as a plain { key: value } map
+productSchema.virtual("specifications").get(function () {
+  return Object.fromEntries((this.attributes || []).map((attribute) => [attribute.k, attribute.v]));
 });
 
 //Indexes for product collection.
-productSchema.index({ name: "text", description: "text", brand: "text" }); //full-text-search => $text
+//full-text-search => $text, ranked by textScore with name > brand > description
+//(replaces the unweighted "name_text_description_text_brand_text" index => the product-text-index migration swaps it)
+productSchema.index(
+  { name: "text", description: "text", brand: "text" },
+  { name: "product_text_search", weights: { name: 10, brand: 5, description: 1 } }
+);
 productSchema.index({ category: 1 });
 productSchema.index({ brand: 1 });
 productSchema.index({ price: 1 });
 productSchema.index({ featured: -1, createdAt: -1 });
 productSchema.index({ sku: 1 }, { unique: true });
+productSchema.index({ "inventory.warehouse": 1 });
+productSchema.index({ "variants.sku": 1 }, { unique: true, sparse: true });
+productSchema.index({ "attributes.k": 1, "attributes.v": 1 }); //attr.<key> filters => $elemMatch
+
+//Static: stock - reservedStock for $expr filters (older products may lack reservedStock)
+productSchema.statics.AVAILABLE_STOCK_EXPR = {
+  $subtract: ["$stock", { $ifNull: ["$reservedStock", 0] }],
+};
+
+//Static: available stock of one variant, for $expr filters
+productSchema.statics.variantAvailableStockExpr = function (variantId) {
+  return {
+    $let: {
+      vars: {
+        variant: {
+          $first: {
+            $filter: {
+              input: { $ifNull: ["$variants", []] },
+              cond: { $eq: ["$$this._id", new mongoose.Types.ObjectId(variantId)] },
+            },
+          },
+        },
+      },
+      in: {
+        $subtract: [
+          { $ifNull: ["$$variant.stock", 0] },
+          { $ifNull: ["$$variant.reservedStock", 0] },
+        ],
+      },
+    },
+  };
+};
+
+//Static: finalPrice at a time (see getPricing), for $expr filters and aggregations
+productSchema.statics.finalPriceExpr = function (at = new Date()) {
+  const isSet = (path) => ({ $ne: [{ $ifNull: [path, null] }, null] });
+  const round = (value) => ({ $divide: [{ $floor: { $add: [{ $multiply: [value, 100] }, 0.5] } }, 100] });
+
+  const changed = { $and: [isSet("$pendingPrice.effectiveAt"), { $lte: ["$pendingPrice.effectiveAt", at] }] };
+  const price = { $cond: [changed, "$pendingPrice.price", "$price"] };
+  const discountPrice = {
+    $cond: [changed, { $ifNull: ["$pendingPrice.discountPrice", 0] }, { $ifNull: ["$discountPrice", 0] }],
+  };
+  const regular = { $cond: [{ $gt: [discountPrice, 0] }, discountPrice, price] };
+
+  const onSale = {
+    $and: [
+      isSet("$sale.startsAt"),
+      { $lte: ["$sale.startsAt", at] },
+      { $or: [{ $not: [isSet("$sale.endsAt")] }, { $gt: ["$sale.endsAt", at] }] },
+    ],
+  };
+  const salePrice = {
+    $cond: [
+      { $gt: [{ $ifNull: ["$sale.percentOff", 0] }, 0] },
+      round({ $multiply: [price, { $subtract: [1, { $divide: ["$sale.percentOff", 100] }] }] }),
+      "$sale.price",
+    ],
+  };
+
+  return { $cond: [onSale, { $min: [regular, salePrice] }, regular] };
+};
+
+//Static: stock of the product (or one variant) not placed in any warehouse, for $expr filters
+productSchema.statics.unlocatedStockExpr = function (variantId) {
+  const variant = variantId ? new mongoose.Types.ObjectId(variantId) : null;
+
+  const stock = variant
+    ? {
+        $sum: {
+          $map: {
+            input: {
+              $filter: {
+                input: { $ifNull: ["$variants", []] },
+                cond: { $eq: ["$$this._id", variant] },
+              },
+            },
+            in: "$$this.stock",
+          },
+        },
+      }
+    : "$stock";
+
+  const located = {
+    $sum: {
+      $map: {
+        input: {
+          $filter: {
+            input: { $ifNull: ["$inventory", []] },
+            cond: { $eq: [{ $ifNull: ["$$this.variant", null] }, variant] },
+          },
+        },
+        in: "$$this.stock",
+      },
+    },
+  };
+
+  return { $subtract: [stock, located] };
+};
+
+//Helper: does the inventory entry belong to the variant (none => product level)
+const isVariantEntry = (location, variantId) =>
+  String(location.variant || "") === String(variantId || "");
+
+//Instance method: stock held in a warehouse (needs inventory selected)
+productSchema.methods.getWarehouseStock = function (warehouseId, variantId) {
+  const entry = (this.inventory || []).find(
+    (location) =>
+      location.warehouse.toString() === warehouseId.toString() &&
+      isVariantEntry(location, variantId)
+  );
+  return entry ? entry.stock : 0;
+};
+
+//Instance method: stock not placed in any warehouse (needs inventory selected)
+productSchema.methods.getUnlocatedStock = function (variantId) {
+  const stock = variantId ? this.findVariant(variantId)?.stock || 0 : this.stock;
+  const located = (this.inventory || [])
+    .filter((location) => isVariantEntry(location, variantId))
+    .reduce((total, location) => total + location.stock, 0);
+  return Math.max(stock - located, 0);
+};
+
+//Instance method: prices in effect at a time => a due price change counts before the scheduler
+//has applied it, a sale only inside its window (and never above the regular price)
+productSchema.methods.getPricing = function (at = new Date()) {
+  const pending = this.pendingPrice;
+  const changed = pending && pending.effectiveAt && pending.effectiveAt <= at;
+
+  const price = changed ? pending.price : this.price;
+  const discountPrice = changed ? pending.discountPrice || 0 : this.discountPrice;
+  const regular = discountPrice || price;
+
+  const sale = this.sale;
+  const onSale = sale && sale.startsAt && sale.startsAt <= at && (!sale.endsAt || sale.endsAt > at);
+  if (!onSale) {
+    return { price, discountPrice, finalPrice: regular, sale: null };
+  }
+
+  const salePrice = sale.percentOff ? roundAmount(price * (1 - sale.percentOff / 100)) : sale.price;
+  return {
+    price,
+    discountPrice,
+    finalPrice: Math.min(regular, salePrice),
+    sale: {
+      schedule: sale.schedule,
+      price: salePrice,
+      percentOff: sale.percentOff,
+      endsAt: sale.endsAt,
+    },
+  };
+};
+
+//Instance method: find a variant by ID
+productSchema.methods.findVariant = function (variantId) {
+  return variantId ? this.variants.id(variantId) : null;
+};
+
+//Instance method: options and each active variant with its availability
+productSchema.methods.getVariantMatrix = function () {
+  return {
+    options: this.options,
+    variants: this.variants
+      .filter((variant) => variant.isActive)
+      .map((variant) => ({
+        _id: variant._id,
+        sku: variant.sku,
+        options: Object.fromEntries(variant.options),
+        price: variant.price ?? this.getPricing().price,
+        finalPrice: variant.finalPrice,
+        availableStock: variant.availableStock,
+        inStock: variant.inStock,
+        images: variant.images,
+        weight: variant.weight ?? this.weight,
+      })),
+  };
+};
+
+//Pre-Validate: variants must match the option definitions, one variant per combination
+productSchema.pre("validate", function (next) {
+  if (this.variants.length === 0) return next();
+
+  const optionNames = this.options.map((option) => option.name);
+  const skus = new Set();
+  const combinations = new Set();
+
+  for (const variant of this.variants) {
+    const names = [...variant.options.keys()];
+
+    const invalid =
+      names.length !== optionNames.length ||
+      this.options.some(
+        (option) => !option.values.includes(variant.options.get(option.name))
+      );
+    if (invalid) {
+      this.invalidate("variants", `Variant ${variant.sku} doesn't match the product options.`);
+      continue;
+    }
+
+    const combination = optionNames.map((name) => variant.options.get(name)).join("|");
+    if (combinations.has(combination) || skus.has(variant.sku)) {
+      this.invalidate("variants", `Duplicate variant: ${variant.sku}`);
+    }
+    combinations.add(combination);
+    skus.add(variant.sku);
+  }
+
+  //New products start with the sum of their variant stock
+  if (this.isNew) {
+    this.stock = this.variants.reduce((total, variant) => total + variant.stock, 0);
+  }
+
+  next();
+});
+
+//Pre-Validate: exactly one primary image (the first one unless another is marked)
+productSchema.pre("validate", function (next) {
+  if (this.images.length === 0) return next();
+
+  const primary = this.images.find((image) => image.isPrimary) || this.images[0];
+  this.images.forEach((image) => {
+    image.isPrimary = image === primary;
+  });
+
+  next();
+});
 
 //Static method: Searh
 productSchema.statics.search = function (query, options = {}) {
@@ -0,0 +1,140 @@
+const mongoose = require("mongoose");
+
+//Promotion => a coupon (with a code) or an automatic cart promotion (without one)
+const promotionSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Promotion name is required."],
+      trim: true,
+      maxlength: [100, "Name must be at most 100 characters."],
+    },
+    description: String,
+    //Coupon code => empty for promotions that apply on their own
+    code: {
+      type: String,
+      trim: true,
+      uppercase: true,
+    },
+    //percentage / fixed => off the eligible items, buy_x_get_y => cheapest units discounted,
+    //free_shipping => no shipping cost
+    type: {
+      type: String,
+      enum: ["percentage", "fixed", "buy_x_get_y", "free_shipping"],
+      required: true,
+    },
+    //percentage => 1-100, fixed => amount
+    value: {
+      type: Number,
+      min: 0,
+    },
+    //Cap on a percentage discount
+    maxDiscount: {
+      type: Number,
+      min: 0,
+    },
+    //buy_x_get_y => for every buyQuantity + getQuantity eligible units, getQuantity of the cheapest
+    //are discounted by getPercent
+    buyQuantity: {
+      type: Number,
+      min: 1,
+    },
+    getQuantity: {
+      type: Number,
+      min: 1,
+    },
+    getPercent: {
+      type: Number,
+      min: 1,
+      max: 100,
+      default: 100,
+    },
+    //Minimum spend on the eligible items
+    minSubtotal: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    //Eligible items => empty lists match everything (categories include their subcategories)
+    scope: {
+      categories: [{ type: String, trim: true }],
+      brands: [{ type: String, trim: true }],
+      products: [
+        {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Product",
+        },
+      ],
+    },
+    startsAt: Date,
+    endsAt: Date,
+    //Redemptions over all customers / per customer (empty => unlimited)
+    usageLimit: {
+      type: Number,
+      min: 1,
+    },
+    perUserLimit: {
+      type: Number,
+      min: 1,
+    },
+    usedCount: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    //Stackable promotions combine with each other; others only apply alone
+    stackable: {
+      type: Boolean,
+      default: false,
+    },
+    //Higher first => decides which promotion wins when they can't stack
+    priority: {
+      type: Number,
+      default: 0,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+//Indexes
+promotionSchema.index({ code: 1 }, { unique: true, sparse: true });
+promotionSchema.index({ isActive: 1, priority: -1 });
+
+//Pre-Validate: each type needs its own settings
+promotionSchema.pre("validate", function (next) {
+  if (this.type === "percentage" && !(this.value > 0 && this.value <= 100)) {
+    this.invalidate("value", "A percentage promotion needs a value between 1 and 100.");
+  }
+  if (this.type === "fixed" && !(this.value > 0)) {
+    this.invalidate("value", "A fixed promotion needs an amount.");
+  }
+  if (this.type === "buy_x_get_y" && (!this.buyQuantity || !this.getQuantity)) {
+    this.invalidate("buyQuantity", "A buy X get Y promotion needs buyQuantity and getQuantity.");
+  }
+  if (this.startsAt && this.endsAt && this.endsAt <= this.startsAt) {
+    this.invalidate("endsAt", "End date must be after the start date.");
+  }
+
+  next();
+});
+
+//Instance method: is it running at a time (active and inside its window)
+promotionSchema.methods.isRunning = function (at = new Date()) {
+  return (
+    this.isActive &&
+    (!this.startsAt || this.startsAt <= at) &&
+    (!this.endsAt || this.endsAt > at)
+  );
+};
+
+module.exports = mongoose.model("Promotion", promotionSchema);
@@ -0,0 +1,48 @@
+const mongoose = require("mongoose");
+
+//Promotion used by an order => counts towards the per-user limit until released
+const promotionRedemptionSchema = new mongoose.Schema(
+  {
+    promotion: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Promotion",
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      required: true,
+    },
+    code: String,
+    //1..perUserLimit => unique per promotion and user while redeemed, so concurrent orders can't exceed the limit
+    slot: Number,
+    amount: {
+      type: Number,
+      default: 0,
+    },
+    //released => the order was cancelled, the use is given back
+    status: {
+      type: String,
+      enum: ["redeemed", "released"],
+      default: "redeemed",
+    },
+    releasedAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+//Indexes
+promotionRedemptionSchema.index({ promotion: 1, user: 1, status: 1 });
+promotionRedemptionSchema.index({ order: 1 });
+promotionRedemptionSchema.index(
+  { promotion: 1, user: 1, slot: 1 },
+  { unique: true, partialFilterExpression: { status: "redeemed", slot: { $exists: true } } }
+);
+
+module.exports = mongoose.model("PromotionRedemption", promotionRedemptionSchema);
@@ -0,0 +1,135 @@
+const mongoose = require("mongoose");
+
+//Return lifecycle: status => statuses it may move to next
+const RETURN_TRANSITIONS = {
+  requested: ["approved", "rejected"],
+  approved: ["receiving"],
+  //Receipt claimed => refund and restock in progress; back to approved if they fail
+  receiving: ["received", "approved"],
+  rejected: [],
+  received: [],
+};
+
+const returnRequestSchema = new mongoose.Schema(
+  {
+    rmaNumber: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    items: [
+      {
+        //Order line item the return refers to
+        itemId: {
+          type: mongoose.Schema.Types.ObjectId,
+          required: true,
+        },
+        product: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Product",
+          required: true,
+        },
+        name: String,
+        quantity: {
+          type: Number,
+          required: true,
+          min: 1,
+        },
+        reason: String,
+      },
+    ],
+    reason: {
+      type: String,
+      required: [true, "Return reason is required."],
+      maxlength: [500, "Reason must be at most 500 characters."],
+    },
+    status: {
+      type: String,
+      enum: Object.keys(RETURN_TRANSITIONS),
+      default: "requested",
+    },
+    statusHistory: [
+      {
+        status: String,
+        note: String,
+        updatedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+        updatedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+    refund: {
+      amount: Number,
+      //Entry in the order's refund ledger
+      refundId: mongoose.Schema.Types.ObjectId,
+    },
+    restocked: {
+      type: Boolean,
+      default: false,
+    },
+    approvedAt: Date,
+    rejectedAt: Date,
+    receivedAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+//Indexes
+returnRequestSchema.index({ user: 1, createdAt: -1 });
+returnRequestSchema.index({ order: 1 });
+returnRequestSchema.index({ status: 1, createdAt: -1 });
+
+//PRE-VALIDATE: generate RMA number and the initial history entry
+returnRequestSchema.pre("validate", function (next) {
+  if (!this.rmaNumber) {
+    const timestamp = Date.now().toString(36);
+    const random = Math.random().toString(36).substring(2, 5);
+    this.rmaNumber = `RMA-${timestamp}-${random}`.toUpperCase();
+  }
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({ status: this.status, updatedBy: this.user });
+  }
+  next();
+});
+
+//Static: lifecycle transition table
+returnRequestSchema.statics.TRANSITIONS = RETURN_TRANSITIONS;
+
+//Instance method: return status update
+returnRequestSchema.methods.updateStatus = function (newStatus, note = "", actorId) {
+  if (!RETURN_TRANSITIONS[this.status].includes(newStatus)) {
+    const error = new Error(
+      `Return request cannot move from ${this.status} to ${newStatus}`
+    );
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const now = new Date();
+  this.status = newStatus;
+  this.statusHistory.push({
+    status: newStatus,
+    note: note,
+    updatedBy: actorId,
+    updatedAt: now,
+  });
+  this[`${newStatus}At`] = now;
+};
+
+module.exports = mongoose.model("ReturnRequest", returnRequestSchema);
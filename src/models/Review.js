@@ -0,0 +1,81 @@
+const mongoose = require("mongoose");
+
+//Moderation statuses => only approved reviews are public and count towards the product rating
+const REVIEW_STATUSES = ["pending", "approved", "rejected"];
+
+const reviewSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    rating: {
+      type: Number,
+      required: [true, "Rating is required."],
+      min: [1, "Rating must be between 1 and 5."],
+      max: [5, "Rating must be between 1 and 5."],
+    },
+    title: {
+      type: String,
+      trim: true,
+      maxlength: [100, "Title must be at most 100 characters."],
+    },
+    body: {
+      type: String,
+      trim: true,
+      maxlength: [5000, "Review must be at most 5000 characters."],
+    },
+    //The user has a delivered order containing the product
+    verifiedPurchase: {
+      type: Boolean,
+      default: false,
+    },
+    status: {
+      type: String,
+      enum: REVIEW_STATUSES,
+      default: "pending",
+    },
+    moderation: {
+      note: String,
+      moderatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+      moderatedAt: Date,
+    },
+    //Users who found the review helpful
+    helpfulVotes: {
+      type: [
+        {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+      ],
+      select: false,
+    },
+    helpfulCount: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+//Indexes
+reviewSchema.index({ product: 1, user: 1 }, { unique: true }); //one review per user per product
+reviewSchema.index({ product: 1, status: 1, createdAt: -1 });
+reviewSchema.index({ status: 1, createdAt: -1 });
+reviewSchema.index({ user: 1, createdAt: -1 });
+
+//Static: moderation statuses
+reviewSchema.statics.STATUSES = REVIEW_STATUSES;
+
+module.exports = mongoose.model("Review", reviewSchema);
@@ -0,0 +1,30 @@
+const mongoose = require("mongoose");
+
+//Merchandising pin => products forced to the top of the results for a search query
+const searchPinSchema = new mongoose.Schema(
+  {
+    //Normalized search query the pin applies to (exact match)
+    query: {
+      type: String,
+      required: [true, "Query is required."],
+      trim: true,
+      unique: true,
+    },
+    //Pinned products, in display order
+    products: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Product",
+      },
+    ],
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+module.exports = mongoose.model("SearchPin", searchPinSchema);
@@ -0,0 +1,27 @@
+const mongoose = require("mongoose");
+
+//Synonym group => every term matches the others in product search ("tv", "television")
+const searchSynonymSchema = new mongoose.Schema(
+  {
+    //Normalized search terms (lowercase, no accents); a term may be several words
+    terms: {
+      type: [{ type: String, trim: true }],
+      validate: {
+        validator: (terms) => terms.length >= 2 && new Set(terms).size === terms.length,
+        message: "A synonym group needs at least two different terms.",
+      },
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+//Indexes
+searchSynonymSchema.index({ terms: 1 });
+
+module.exports = mongoose.model("SearchSynonym", searchSynonymSchema);
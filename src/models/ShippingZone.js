@@ -0,0 +1,167 @@
+const mongoose = require("mongoose");
+
+//Shipping zone => where it applies, the methods offered there and their rate tables
+const shippingZoneSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Zone name is required."],
+      trim: true,
+      maxlength: [100, "Name must be at most 100 characters."],
+    },
+    //Country codes/names of the address (empty => every country)
+    countries: [
+      {
+        type: String,
+        trim: true,
+        uppercase: true,
+      },
+    ],
+    //States/regions within those countries (empty => the whole country)
+    regions: [
+      {
+        type: String,
+        trim: true,
+        lowercase: true,
+      },
+    ],
+    //Inclusive zip code ranges (empty => any zip code)
+    zipRanges: [
+      {
+        _id: false,
+        from: {
+          type: String,
+          required: true,
+          trim: true,
+          uppercase: true,
+        },
+        to: {
+          type: String,
+          required: true,
+          trim: true,
+          uppercase: true,
+        },
+      },
+    ],
+    //Standard shipping is free from this subtotal (after discounts) on
+    freeShippingThreshold: {
+      type: Number,
+      min: [0, "Free shipping threshold isn't letter than 0."],
+      default: null,
+    },
+    methods: [
+      {
+        type: {
+          type: String,
+          enum: ["standard", "express", "pickup"],
+          required: true,
+        },
+        name: {
+          type: String,
+          trim: true,
+        },
+        //Weight brackets (kg, billable weight) => the first bracket covering the weight sets the price;
+        //maxWeight null => no upper limit. A heavier parcel can't use the method.
+        rates: [
+          {
+            _id: false,
+            maxWeight: {
+              type: Number,
+              min: 0,
+              default: null,
+            },
+            price: {
+              type: Number,
+              required: true,
+              min: [0, "Price isn't letter than 0."],
+            },
+          },
+        ],
+        estimatedDays: {
+          min: Number,
+          max: Number,
+        },
+        isActive: {
+          type: Boolean,
+          default: true,
+        },
+      },
+    ],
+    //Lower number => checked first; the first matching zone is used
+    priority: {
+      type: Number,
+      default: 100,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+//Indexes
+shippingZoneSchema.index({ isActive: 1, priority: 1 });
+
+/**
+ * Is a zip code within an inclusive range (numeric codes compare as numbers)
+ * @param {String} zip - Zip code
+ * @param {Object} range - { from, to }
+ * @returns {Boolean} In range
+ */
+const inZipRange = (zip, { from, to }) => {
+  if ([zip, from, to].every(value => /^\d+$/.test(value))) {
+    return Number(zip) >= Number(from) && Number(zip) <= Number(to);
+  }
+  return zip >= from && zip <= to;
+};
+
+//Pre-Validate: one method per type, and rate brackets in increasing weight order
+shippingZoneSchema.pre("validate", function (next) {
+  const types = this.methods.map((method) => method.type);
+  if (new Set(types).size !== types.length) {
+    this.invalidate("methods", "A zone can offer each shipping method once.");
+  }
+
+  this.methods.forEach((method, index) => {
+    if (method.rates.length === 0) {
+      this.invalidate(`methods.${index}.rates`, "A shipping method needs at least one rate.");
+    }
+
+    const limits = method.rates.map((rate) => rate.maxWeight ?? Infinity);
+    if (limits.some((limit, i) => i > 0 && limit <= limits[i - 1])) {
+      this.invalidate(`methods.${index}.rates`, "Rates must be ordered by increasing maxWeight.");
+    }
+  });
+
+  this.zipRanges.forEach((range, index) => {
+    if (!inZipRange(range.from, range)) {
+      this.invalidate(`zipRanges.${index}`, "Zip range must start before it ends.");
+    }
+  });
+
+  next();
+});
+
+//Instance method: does the zone cover a shipping address
+shippingZoneSchema.methods.matchesAddress = function (address = {}) {
+  const country = (address.country || "").trim().toUpperCase();
+  const region = (address.state || "").trim().toLowerCase();
+  const zip = (address.zipCode || "").replace(/\s/g, "").toUpperCase();
+
+  if (this.countries.length > 0 && !this.countries.includes(country)) {
+    return false;
+  }
+  if (this.regions.length > 0 && !this.regions.includes(region)) {
+    return false;
+  }
+  if (this.zipRanges.length > 0 && !this.zipRanges.some((range) => inZipRange(zip, range))) {
+    return false;
+  }
+
+  return true;
+};
+
+module.exports = mongoose.model("ShippingZone", shippingZoneSchema);
@@ -0,0 +1,61 @@
+const mongoose = require("mongoose");
+
+const stockMovementSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+    //Signed change => positive: stock in, negative: stock out
+    quantity: {
+      type: Number,
+      required: true,
+    },
+    //Variant of a product with variants
+    variant: mongoose.Schema.Types.ObjectId,
+    //Location the units moved in or out of (empty => unlocated stock)
+    warehouse: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Warehouse",
+    },
+    //Product stock right after the movement
+    balance: {
+      type: Number,
+      required: true,
+    },
+    reason: {
+      type: String,
+      enum: [
+        "initial",
+        "sale",
+        "cancellation",
+        "return",
+        "refund",
+        "adjustment",
+        "import",
+        "transfer",
+      ],
+      required: true,
+    },
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+    },
+    note: String,
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+//Indexes
+stockMovementSchema.index({ product: 1, createdAt: -1 });
+stockMovementSchema.index({ order: 1 });
+stockMovementSchema.index({ warehouse: 1, createdAt: -1 });
+
+module.exports = mongoose.model("StockMovement", stockMovementSchema);
@@ -0,0 +1,50 @@
+const mongoose = require("mongoose");
+
+const stockReservationSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+    //Variant of a product with variants
+    variant: mongoose.Schema.Types.ObjectId,
+    //Cart identifier => user ID or session ID
+    cartId: {
+      type: String,
+      required: true,
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    //ordered => stock deducted for an order that is not paid yet; converted once it is paid, released if it is cancelled first
+    status: {
+      type: String,
+      enum: ["active", "ordered", "released", "expired", "converted"],
+      default: "active",
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+    },
+    releasedAt: Date,
+    convertedAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+//Indexes
+stockReservationSchema.index({ cartId: 1, status: 1 });
+stockReservationSchema.index({ status: 1, expiresAt: 1 });
+stockReservationSchema.index({ product: 1, status: 1 });
+stockReservationSchema.index({ order: 1, status: 1 });
+
+module.exports = mongoose.model("StockReservation", stockReservationSchema);
@@ -0,0 +1,25 @@
+const mongoose = require("mongoose");
+
+//Store credit wallet => one per user; the balance is the sum of the unspent credits in the ledger
+const walletSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    balance: {
+      type: Number,
+      default: 0,
+      min: [0, "Balance isn't letter than 0."],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+//Indexes
+walletSchema.index({ user: 1 }, { unique: true });
+
+module.exports = mongoose.model("Wallet", walletSchema);
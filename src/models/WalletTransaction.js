@@ -0,0 +1,68 @@
+const mongoose = require("mongoose");
+
+//Store credit ledger entry => amount is signed, balance is the wallet balance right after
+const walletTransactionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    //Credits => grant: goodwill, refund: refund paid as credit, restore: store credit of a cancelled/refunded order
+    //Debits => revoke: taken back by an admin, redeem: spent on an order, expire: credit that ran out
+    type: {
+      type: String,
+      enum: ["grant", "refund", "restore", "revoke", "redeem", "expire"],
+      required: true,
+    },
+    amount: {
+      type: Number,
+      required: true,
+    },
+    balance: {
+      type: Number,
+      required: true,
+    },
+    //Credits => part not spent yet, and when it runs out (empty => never)
+    remaining: {
+      type: Number,
+      min: 0,
+    },
+    expiresAt: Date,
+    //Debits => the credits they were taken from, earliest expiry first
+    allocations: [
+      {
+        _id: false,
+        credit: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "WalletTransaction",
+        },
+        amount: Number,
+        expiresAt: Date,
+      },
+    ],
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+    },
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    note: String,
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+//Indexes
+walletTransactionSchema.index({ user: 1, createdAt: -1 });
+walletTransactionSchema.index({ user: 1, remaining: 1 });
+walletTransactionSchema.index({ expiresAt: 1, remaining: 1 });
+walletTransactionSchema.index({ order: 1 });
+
+//Static: credit types (positive amounts)
+walletTransactionSchema.statics.CREDIT_TYPES = ["grant", "refund", "restore"];
+
+module.exports = mongoose.model("WalletTransaction", walletTransactionSchema);
@@ -0,0 +1,56 @@
+const mongoose = require("mongoose");
+
+const warehouseSchema = new mongoose.Schema(
+  {
+    code: {
+      type: String,
+      required: [true, "Warehouse code is required."],
+      trim: true,
+      uppercase: true,
+      unique: true,
+    },
+    name: {
+      type: String,
+      required: [true, "Warehouse name is required."],
+      trim: true,
+      maxlength: [100, "Name must be at most 100 characters."],
+    },
+    address: {
+      street: String,
+      city: String,
+      state: String,
+      zipCode: String,
+      country: String,
+    },
+    //Shipping countries this warehouse is preferred for
+    countries: [
+      {
+        type: String,
+        trim: true,
+        uppercase: true,
+      },
+    ],
+    //Lower number => picked first when several warehouses qualify
+    priority: {
+      type: Number,
+      default: 100,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+//Indexes
+warehouseSchema.index({ isActive: 1, priority: 1 });
+
+//Instance method: does the warehouse serve the shipping country
+warehouseSchema.methods.servesCountry = function (country) {
+  return !!country && this.countries.includes(country.trim().toUpperCase());
+};
+
+module.exports = mongoose.model("Warehouse", warehouseSchema);
@@ -0,0 +1,50 @@
+const express = require('express');
+const AttributeController = require('../controllers/attributeController');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { validateRequest, validateObjectId } = require('../middleware/validation');
+const  ValidationUtils  = require('../utils/validation');
+
+const router = express.Router();
+
+/**
+ * Attribute Routes
+ * Product attribute definitions per category
+ */
+
+// @route   GET /api/attributes
+// @desc    Get attribute definitions (?category=)
+// @access  Public
+router.get('/', AttributeController.getDefinitions);
+
+// @route   POST /api/attributes
+// @desc    Create attribute definition
+// @access  Private (Admin)
+router.post('/', 
+  authenticateToken,
+  requireAdmin,
+  validateRequest(ValidationUtils.attributeSchemas.create),
+  AttributeController.createDefinition
+);
+
+// @route   PUT /api/attributes/:id
+// @desc    Update attribute definition
+// @access  Private (Admin)
+router.put('/:id', 
+  authenticateToken,
+  requireAdmin,
+  validateObjectId(),
+  validateRequest(ValidationUtils.attributeSchemas.update),
+  AttributeController.updateDefinition
+);
+
+// @route   DELETE /api/attributes/:id
+// @desc    Delete attribute definition
+// @access  Private (Admin)
+router.delete('/:id', 
+  authenticateToken,
+  requireAdmin,
+  validateObjectId(),
+  AttributeController.deleteDefinition
+);
+
+module.exports = router;
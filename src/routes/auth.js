@@ -1,7 +1,9 @@
 const express = require('express');
 const AuthController = require('../controllers/authController');
+const WalletController = require('../controllers/walletController');
+const LoyaltyController = require('../controllers/loyaltyController');
 const { authenticateToken } = require('../middleware/auth');
-const { validateRequest } = require('../middleware/validation');
+const { validateRequest, validateQueryParams } = require('../middleware/validation');
 const  ValidationUtils  = require('../utils/validation');
 
 const router = express.Router();
@@ -46,6 +48,16 @@ router.post('/logout-all', authenticateToken, AuthController.logoutAll);
 // @access  Private
 router.get('/me', authenticateToken, AuthController.getMe);
 
+// @route   GET /api/auth/me/wallet
+// @desc    Get store credit balance, upcoming expiries and ledger
+// @access  Private
+router.get('/me/wallet', authenticateToken, validateQueryParams, WalletController.getMyWallet);
+
+// @route   GET /api/auth/me/loyalty
+// @desc    Get loyalty points, tier and points history (?type=earn|redeem|restore|clawback)
+// @access  Private
+router.get('/me/loyalty', authenticateToken, validateQueryParams, LoyaltyController.getMyLoyalty);
+
 // @route   PUT /api/auth/profile
 // @desc    Update profile
 // @access  Private
@@ -35,7 +35,7 @@ router.put('/update',
 );
 
 // @route   DELETE /api/cart/remove/:productId
-// @desc    Remove product from cart
+// @desc    Remove product from cart (?variantId= for a variant line)
 // @access  Public (Session veya User)
 router.delete('/remove/:productId', 
   optionalAuth,
@@ -48,6 +48,39 @@ router.delete('/remove/:productId',
 // @access  Public (Session veya User)
 router.delete('/clear', optionalAuth, CartController.clearCart);
 
+// @route   POST /api/cart/coupon
+// @desc    Apply coupon code
+// @access  Public (Session or User)
+router.post('/coupon', 
+  optionalAuth,
+  validateRequest(ValidationUtils.cartSchemas.applyCoupon),
+  CartController.applyCoupon
+);
+
+// @route   POST /api/cart/shipping-quote
+// @desc    Get available shipping methods and prices for an address
+// @access  Public (Session or User)
+router.post('/shipping-quote', 
+  optionalAuth,
+  validateRequest(ValidationUtils.cartSchemas.shippingQuote),
+  CartController.getShippingQuote
+);
+
+// @route   DELETE /api/cart/coupon/:code
+// @desc    Remove coupon code
+// @access  Public (Session or User)
+router.delete('/coupon/:code', optionalAuth, CartController.removeCoupon);
+
+// @route   POST /api/cart/checkout
+// @desc    Begin checkout, reserve cart stock
+// @access  Public (Session or User)
+router.post('/checkout', optionalAuth, CartController.beginCheckout);
+
+// @route   DELETE /api/cart/checkout
+// @desc    Abandon checkout, release reserved stock
+// @access  Public (Session or User)
+router.delete('/checkout', optionalAuth, CartController.cancelCheckout);
+
 // @route   POST /api/cart/save
 // @desc    Save cart (after login)
 // @access  Private
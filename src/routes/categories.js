@@ -0,0 +1,71 @@
+const express = require('express');
+const CategoryController = require('../controllers/categoryController');
+const { authenticateToken, requireAdmin, optionalAuth } = require('../middleware/auth');
+const { validateRequest, validateObjectId } = require('../middleware/validation');
+const  ValidationUtils  = require('../utils/validation');
+
+const router = express.Router();
+
+/**
+ * Category Routes
+ * Category tree; products refer to categories by name
+ */
+
+// @route   GET /api/categories
+// @desc    Get categories as a flat list
+// @access  Public
+router.get('/', optionalAuth, CategoryController.getCategories);
+
+// @route   GET /api/categories/tree
+// @desc    Get active categories as a nested tree
+// @access  Public
+router.get('/tree', CategoryController.getCategoryTree);
+
+// @route   GET /api/categories/:id
+// @desc    Get category details with its path and subcategories
+// @access  Public
+router.get('/:id', validateObjectId(), CategoryController.getCategoryById);
+
+// @route   POST /api/categories
+// @desc    Create category
+// @access  Private (Admin)
+router.post('/', 
+  authenticateToken,
+  requireAdmin,
+  validateRequest(ValidationUtils.categorySchemas.create),
+  CategoryController.createCategory
+);
+
+// @route   PUT /api/categories/:id
+// @desc    Update category
+// @access  Private (Admin)
+router.put('/:id', 
+  authenticateToken,
+  requireAdmin,
+  validateObjectId(),
+  validateRequest(ValidationUtils.categorySchemas.update),
+  CategoryController.updateCategory
+);
+
+// @route   PATCH /api/categories/:id/move
+// @desc    Move category (with its subtree) under another parent or to the root
+// @access  Private (Admin)
+router.patch('/:id/move', 
+  authenticateToken,
+  requireAdmin,
+  validateObjectId(),
+  validateRequest(ValidationUtils.categorySchemas.move),
+  CategoryController.moveCategory
+);
+
+// @route   DELETE /api/categories/:id
+// @desc    Delete category
+// @access  Private (Admin)
+router.delete('/:id', 
+  authenticateToken,
+  requireAdmin,
+  validateObjectId(),
+  CategoryController.deleteCategory
+);
+
+module.exports = router;
@@ -0,0 +1,63 @@
+const express = require('express');
+const GiftCardController = require('../controllers/giftCardController');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { validateRequest, validateObjectId, validateQueryParams } = require('../middleware/validation');
+const  ValidationUtils  = require('../utils/validation');
+
+const router = express.Router();
+
+/**
+ * Gift Card Routes
+ * Balance checks and gift card management; cards are spent through POST /api/orders (giftCards)
+ */
+
+// @route   POST /api/gift-cards/check
+// @desc    Check gift card balance
+// @access  Public
+router.post('/check', 
+  validateRequest(ValidationUtils.giftCardSchemas.check),
+  GiftCardController.checkBalance
+);
+
+// @route   GET /api/gift-cards
+// @desc    Get gift cards (?isActive=true|false&code=...)
+// @access  Private (Admin)
+router.get('/', 
+  authenticateToken,
+  requireAdmin,
+  validateQueryParams,
+  GiftCardController.getGiftCards
+);
+
+// @route   GET /api/gift-cards/:id
+// @desc    Get gift card details with its transactions
+// @access  Private (Admin)
+router.get('/:id', 
+  authenticateToken,
+  requireAdmin,
+  validateObjectId(),
+  GiftCardController.getGiftCardById
+);
+
+// @route   POST /api/gift-cards
+// @desc    Issue gift card
+// @access  Private (Admin)
+router.post('/', 
+  authenticateToken,
+  requireAdmin,
+  validateRequest(ValidationUtils.giftCardSchemas.issue),
+  GiftCardController.issueGiftCard
+);
+
+// @route   PATCH /api/gift-cards/:id
+// @desc    Update gift card (deactivate, expiry, note)
+// @access  Private (Admin)
+router.patch('/:id', 
+  authenticateToken,
+  requireAdmin,
+  validateObjectId(),
+  validateRequest(ValidationUtils.giftCardSchemas.update),
+  GiftCardController.updateGiftCard
+);
+
+module.exports = router;
@@ -1,6 +1,7 @@
 const express = require('express');
 const OrderController = require('../controllers/orderController');
 const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
 const { validateRequest, validateObjectId, validateQueryParams } = require('../middleware/validation');
 const  ValidationUtils  = require('../utils/validation');
 
@@ -16,6 +17,7 @@ const router = express.Router();
 // @access  Private
 router.post('/', 
   authenticateToken,
+  idempotent(),
   validateRequest(ValidationUtils.orderSchemas.create),
   OrderController.createOrder
 );
@@ -77,4 +79,26 @@ router.patch('/:id/status',
   OrderController.updateOrderStatus
 );
 
+// @route   POST /api/orders/:id/refunds
+// @desc    Refund order items or an amount (Admin)
+// @access  Private (Admin)
+router.post('/:id/refunds', 
+  authenticateToken,
+  requireAdmin,
+  validateObjectId(),
+  idempotent(),
+  validateRequest(ValidationUtils.orderSchemas.refund),
+  OrderController.refundOrder
+);
+
+// @route   GET /api/orders/:id/transitions
+// @desc    List allowed status transitions (Admin)
+// @access  Private (Admin)
+router.get('/:id/transitions', 
+  authenticateToken,
+  requireAdmin,
+  validateObjectId(),
+  OrderController.getOrderTransitions
+);
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,23 @@
+const express = require('express');
+const PaymentController = require('../controllers/paymentController');
+const { verifyPaymentSignature } = require('../middleware/webhook');
+const { validateRequest } = require('../middleware/validation');
+const  ValidationUtils  = require('../utils/validation');
+
+const router = express.Router();
+
+/**
+ * Payment Routes
+ * Payment provider endpoints
+ */
+
+// @route   POST /api/payments/webhook
+// @desc    Payment provider webhook
+// @access  Public (HMAC signed)
+router.post('/webhook', 
+  verifyPaymentSignature,
+  validateRequest(ValidationUtils.paymentSchemas.webhookEvent),
+  PaymentController.handleWebhook
+);
+
+module.exports = router;
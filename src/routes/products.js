@@ -1,7 +1,9 @@
 const express = require('express');
 const ProductController = require('../controllers/productController');
 const { authenticateToken, requireAdmin } = require('../middleware/auth');
-const { validateRequest, validateObjectId, validateQueryParams } = require('../middleware/validation');
+const { validateRequest, validateObjectId, validateQueryParams, validateFileUpload } = require('../middleware/validation');
+const { uploadImages, uploadFile } = require('../middleware/upload');
+const config = require('../config');
 const  ValidationUtils  = require('../utils/validation');
 
 const router = express.Router();
@@ -26,11 +28,63 @@ router.get('/categories', ProductController.getCategories);
 // @access  Public
 router.get('/brands', ProductController.getBrands);
 
+// @route   GET /api/products/suggest
+// @desc    Autocomplete product names, brands and categories (?q=)
+// @access  Public
+router.get('/suggest', 
+  validateRequest(ValidationUtils.productSchemas.suggest, 'query'),
+  ProductController.getSuggestions
+);
+
 // @route   GET /api/products/featured
 // @desc    Get featured products
 // @access  Public
 router.get('/featured', ProductController.getFeaturedProducts);
 
+// @route   GET /api/products/stock/discrepancies
+// @desc    Products whose stock doesn't match the movement ledger
+// @access  Private (Admin)
+router.get('/stock/discrepancies', 
+  authenticateToken,
+  requireAdmin,
+  ProductController.getStockDiscrepancies
+);
+
+// @route   GET /api/products/export
+// @desc    Export the catalog as CSV or JSON (?format=csv|json, list filters, includeInactive)
+// @access  Private (Admin)
+router.get('/export', 
+  authenticateToken,
+  requireAdmin,
+  ProductController.exportProducts
+);
+
+// @route   POST /api/products/import
+// @desc    Import products from a CSV or JSON file (multipart, field "file"; dryRun to only validate)
+// @access  Private (Admin)
+router.post('/import', 
+  authenticateToken,
+  requireAdmin,
+  uploadFile('file'),
+  validateFileUpload({
+    allowedTypes: ['text/csv', 'application/json', 'application/vnd.ms-excel', 'text/plain'],
+    maxSize: config.catalog.importMaxFileSize,
+    required: true
+  }),
+  validateRequest(ValidationUtils.productSchemas.import),
+  ProductController.importProducts
+);
+
+// @route   GET /api/products/import/:jobId
+// @desc    Background import job progress and error report
+// @access  Private (Admin)
+router.get('/import/:jobId', 
+  authenticateToken,
+  requireAdmin,
+  validateObjectId('jobId'),
+  ProductController.getImportJob
+);
+
 // @route   GET /api/products/:id
 // @desc    Get product details
 // @access  Public
@@ -67,8 +121,42 @@ router.delete('/:id',
   ProductController.deleteProduct
 );
 
+// @route   POST /api/products/:id/variants
+// @desc    Add product variant
+// @access  Private (Admin)
+router.post('/:id/variants', 
+  authenticateToken,
+  requireAdmin,
+  validateObjectId(),
+  validateRequest(ValidationUtils.variantSchemas.create),
+  ProductController.addVariant
+);
+
+// @route   PUT /api/products/:id/variants/:variantId
+// @desc    Update product variant
+// @access  Private (Admin)
+router.put('/:id/variants/:variantId', 
+  authenticateToken,
+  requireAdmin,
+  validateObjectId(),
+  validateObjectId('variantId'),
+  validateRequest(ValidationUtils.variantSchemas.update),
+  ProductController.updateVariant
+);
+
+// @route   DELETE /api/products/:id/variants/:variantId
+// @desc    Delete product variant
+// @access  Private (Admin)
+router.delete('/:id/variants/:variantId', 
+  authenticateToken,
+  requireAdmin,
+  validateObjectId(),
+  validateObjectId('variantId'),
+  ProductController.deleteVariant
+);
+
 // @route   PATCH /api/products/:id/stock
-// @desc    Update product stock
+// @desc    Update product stock (optionally of one variant / in one warehouse)
 // @access  Private (Admin)
 router.patch('/:id/stock', 
   authenticateToken,
@@ -77,4 +165,113 @@ router.patch('/:id/stock',
   ProductController.updateStock
 );
 
+// @route   GET /api/products/:id/stock/history
+// @desc    Product stock movement history
+// @access  Private (Admin)
+router.get('/:id/stock/history', 
+  authenticateToken,
+  requireAdmin,
+  validateObjectId(),
+  validateQueryParams,
+  ProductController.getStockHistory
+);
+
+// @route   GET /api/products/:id/price-history
+// @desc    Product price history (?reason=...) with the prices in effect now
+// @access  Private (Admin)
+router.get('/:id/price-history', 
+  authenticateToken,
+  requireAdmin,
+  validateObjectId(),
+  validateQueryParams,
+  ProductController.getPriceHistory
+);
+
+// @route   GET /api/products/:id/price-schedules
+// @desc    Scheduled price changes and sales of a product (?status=...)
+// @access  Private (Admin)
+router.get('/:id/price-schedules', 
+  authenticateToken,
+  requireAdmin,
+  validateObjectId(),
+  validateQueryParams,
+  ProductController.getPriceSchedules
+);
+
+// @route   POST /api/products/:id/price-schedules
+// @desc    Schedule a price change or a time-boxed sale
+// @access  Private (Admin)
+router.post('/:id/price-schedules', 
+  authenticateToken,
+  requireAdmin,
+  validateObjectId(),
+  validateRequest(ValidationUtils.productSchemas.priceSchedule),
+  ProductController.createPriceSchedule
+);
+
+// @route   DELETE /api/products/:id/price-schedules/:scheduleId
+// @desc    Cancel a pending price change or a pending/running sale
+// @access  Private (Admin)
+router.delete('/:id/price-schedules/:scheduleId', 
+  authenticateToken,
+  requireAdmin,
+  validateObjectId(),
+  validateObjectId('scheduleId'),
+  ProductController.cancelPriceSchedule
+);
+
+// @route   POST /api/products/:id/images
+// @desc    Upload product images (multipart, field "images")
+// @access  Private (Admin)
+router.post('/:id/images', 
+  authenticateToken,
+  requireAdmin,
+  validateObjectId(),
+  uploadImages('images'),
+  validateFileUpload({ maxSize: config.images.maxFileSize, required: true }),
+  validateRequest(ValidationUtils.productSchemas.uploadImages),
+  ProductController.uploadImages
+);
+
+// @route   PATCH /api/products/:id/images/:imageId/primary
+// @desc    Make an image the primary product image
+// @access  Private (Admin)
+router.patch('/:id/images/:imageId/primary', 
+  authenticateToken,
+  requireAdmin,
+  validateObjectId(),
+  validateObjectId('imageId'),
+  ProductController.setPrimaryImage
+);
+
+// @route   DELETE /api/products/:id/images/:imageId
+// @desc    Delete product image
+// @access  Private (Admin)
+router.delete('/:id/images/:imageId', 
+  authenticateToken,
+  requireAdmin,
+  validateObjectId(),
+  validateObjectId('imageId'),
+  ProductController.deleteImage
+);
+
+// @route   GET /api/products/:id/reviews
+// @desc    Approved reviews of a product with its rating summary (?sort=recent|helpful|highest|lowest)
+// @access  Public
+router.get('/:id/reviews', 
+  validateObjectId(),
+  validateQueryParams,
+  ProductController.getProductReviews
+);
+
+// @route   GET /api/products/:id/inventory
+// @desc    Product stock per warehouse
+// @access  Private (Admin)
+router.get('/:id/inventory', 
+  authenticateToken,
+  requireAdmin,
+  validateObjectId(),
+  ProductController.getInventory
+);
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,65 @@
+const express = require('express');
+const PromotionController = require('../controllers/promotionController');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { validateRequest, validateObjectId, validateQueryParams } = require('../middleware/validation');
+const  ValidationUtils  = require('../utils/validation');
+
+const router = express.Router();
+
+/**
+ * Promotion Routes
+ * Coupon and promotion management (Admin); coupons are applied through /api/cart/coupon
+ */
+
+// @route   GET /api/promotions
+// @desc    Get promotions (?isActive=true|false&code=...)
+// @access  Private (Admin)
+router.get('/', 
+  authenticateToken,
+  requireAdmin,
+  validateQueryParams,
+  PromotionController.getPromotions
+);
+
+// @route   GET /api/promotions/:id
+// @desc    Get promotion details
+// @access  Private (Admin)
+router.get('/:id', 
+  authenticateToken,
+  requireAdmin,
+  validateObjectId(),
+  PromotionController.getPromotionById
+);
+
+// @route   POST /api/promotions
+// @desc    Create promotion
+// @access  Private (Admin)
+router.post('/', 
+  authenticateToken,
+  requireAdmin,
+  validateRequest(ValidationUtils.promotionSchemas.create),
+  PromotionController.createPromotion
+);
+
+// @route   PUT /api/promotions/:id
+// @desc    Update promotion
+// @access  Private (Admin)
+router.put('/:id', 
+  authenticateToken,
+  requireAdmin,
+  validateObjectId(),
+  validateRequest(ValidationUtils.promotionSchemas.update),
+  PromotionController.updatePromotion
+);
+
+// @route   DELETE /api/promotions/:id
+// @desc    Delete an unused promotion
+// @access  Private (Admin)
+router.delete('/:id', 
+  authenticateToken,
+  requireAdmin,
+  validateObjectId(),
+  PromotionController.deletePromotion
+);
+
+module.exports = router;
@@ -0,0 +1,88 @@
+const express = require('express');
+const ReturnController = require('../controllers/returnController');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
+const { validateRequest, validateObjectId, validateQueryParams } = require('../middleware/validation');
+const  ValidationUtils  = require('../utils/validation');
+
+const router = express.Router();
+
+/**
+ * Return Routes
+ * Return (RMA) request endpoints
+ */
+
+// @route   POST /api/returns
+// @desc    Open return request
+// @access  Private
+router.post('/', 
+  authenticateToken,
+  idempotent(),
+  validateRequest(ValidationUtils.returnSchemas.create),
+  ReturnController.createReturn
+);
+
+// @route   GET /api/returns
+// @desc    Get user return requests
+// @access  Private
+router.get('/', 
+  authenticateToken,
+  validateQueryParams,
+  ReturnController.getUserReturns
+);
+
+// Admin Routes
+// @route   GET /api/returns/admin/all
+// @desc    Get all return requests (Admin)
+// @access  Private (Admin)
+router.get('/admin/all', 
+  authenticateToken,
+  requireAdmin,
+  validateQueryParams,
+  ReturnController.getAllReturns
+);
+
+// @route   GET /api/returns/:id
+// @desc    Get return request details
+// @access  Private
+router.get('/:id', 
+  authenticateToken,
+  validateObjectId(),
+  ReturnController.getReturnById
+);
+
+// @route   PATCH /api/returns/:id/approve
+// @desc    Approve return request (Admin)
+// @access  Private (Admin)
+router.patch('/:id/approve', 
+  authenticateToken,
+  requireAdmin,
+  validateObjectId(),
+  validateRequest(ValidationUtils.returnSchemas.review),
+  ReturnController.approveReturn
+);
+
+// @route   PATCH /api/returns/:id/reject
+// @desc    Reject return request (Admin)
+// @access  Private (Admin)
+router.patch('/:id/reject', 
+  authenticateToken,
+  requireAdmin,
+  validateObjectId(),
+  validateRequest(ValidationUtils.returnSchemas.review),
+  ReturnController.rejectReturn
+);
+
+// @route   PATCH /api/returns/:id/receive
+// @desc    Receive returned goods, restock and refund (Admin)
+// @access  Private (Admin)
+router.patch('/:id/receive', 
+  authenticateToken,
+  requireAdmin,
+  validateObjectId(),
+  idempotent(),
+  validateRequest(ValidationUtils.returnSchemas.receive),
+  ReturnController.receiveReturn
+);
+
+module.exports = router;
@@ -0,0 +1,102 @@
+const express = require('express');
+const ReviewController = require('../controllers/reviewController');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { validateRequest, validateObjectId, validateQueryParams } = require('../middleware/validation');
+const  ValidationUtils  = require('../utils/validation');
+
+const router = express.Router();
+
+/**
+ * Review Routes
+ * Product review and moderation endpoints (public lists: GET /api/products/:id/reviews)
+ */
+
+// @route   POST /api/reviews
+// @desc    Write a review
+// @access  Private
+router.post('/', 
+  authenticateToken,
+  validateRequest(ValidationUtils.reviewSchemas.create),
+  ReviewController.createReview
+);
+
+// @route   GET /api/reviews
+// @desc    Get user reviews
+// @access  Private
+router.get('/', 
+  authenticateToken,
+  validateQueryParams,
+  ReviewController.getUserReviews
+);
+
+// Admin Routes
+// @route   GET /api/reviews/admin/all
+// @desc    Get all reviews, e.g. ?status=pending (Admin)
+// @access  Private (Admin)
+router.get('/admin/all', 
+  authenticateToken,
+  requireAdmin,
+  validateQueryParams,
+  ReviewController.getAllReviews
+);
+
+// @route   PUT /api/reviews/:id
+// @desc    Edit own review
+// @access  Private
+router.put('/:id', 
+  authenticateToken,
+  validateObjectId(),
+  validateRequest(ValidationUtils.reviewSchemas.update),
+  ReviewController.updateReview
+);
+
+// @route   DELETE /api/reviews/:id
+// @desc    Delete review (author or admin)
+// @access  Private
+router.delete('/:id', 
+  authenticateToken,
+  validateObjectId(),
+  ReviewController.deleteReview
+);
+
+// @route   PATCH /api/reviews/:id/approve
+// @desc    Approve review (Admin)
+// @access  Private (Admin)
+router.patch('/:id/approve', 
+  authenticateToken,
+  requireAdmin,
+  validateObjectId(),
+  validateRequest(ValidationUtils.reviewSchemas.moderate),
+  ReviewController.approveReview
+);
+
+// @route   PATCH /api/reviews/:id/reject
+// @desc    Reject review (Admin)
+// @access  Private (Admin)
+router.patch('/:id/reject', 
+  authenticateToken,
+  requireAdmin,
+  validateObjectId(),
+  validateRequest(ValidationUtils.reviewSchemas.moderate),
+  ReviewController.rejectReview
+);
+
+// @route   POST /api/reviews/:id/helpful
+// @desc    Mark review as helpful
+// @access  Private
+router.post('/:id/helpful', 
+  authenticateToken,
+  validateObjectId(),
+  ReviewController.voteHelpful
+);
+
+// @route   DELETE /api/reviews/:id/helpful
+// @desc    Withdraw helpful vote
+// @access  Private
+router.delete('/:id/helpful', 
+  authenticateToken,
+  validateObjectId(),
+  ReviewController.removeHelpfulVote
+);
+
+module.exports = router;
@@ -0,0 +1,94 @@
+const express = require('express');
+const SearchController = require('../controllers/searchController');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { validateRequest, validateObjectId } = require('../middleware/validation');
+const  ValidationUtils  = require('../utils/validation');
+
+const router = express.Router();
+
+/**
+ * Search Routes
+ * Search synonyms and merchandising pins (Admin)
+ */
+
+// @route   GET /api/search/synonyms
+// @desc    Get synonym groups
+// @access  Private (Admin)
+router.get('/synonyms', 
+  authenticateToken,
+  requireAdmin,
+  SearchController.getSynonyms
+);
+
+// @route   POST /api/search/synonyms
+// @desc    Create synonym group
+// @access  Private (Admin)
+router.post('/synonyms', 
+  authenticateToken,
+  requireAdmin,
+  validateRequest(ValidationUtils.searchSchemas.createSynonym),
+  SearchController.createSynonym
+);
+
+// @route   PUT /api/search/synonyms/:id
+// @desc    Update synonym group
+// @access  Private (Admin)
+router.put('/synonyms/:id', 
+  authenticateToken,
+  requireAdmin,
+  validateObjectId(),
+  validateRequest(ValidationUtils.searchSchemas.updateSynonym),
+  SearchController.updateSynonym
+);
+
+// @route   DELETE /api/search/synonyms/:id
+// @desc    Delete synonym group
+// @access  Private (Admin)
+router.delete('/synonyms/:id', 
+  authenticateToken,
+  requireAdmin,
+  validateObjectId(),
+  SearchController.deleteSynonym
+);
+
+// @route   GET /api/search/pins
+// @desc    Get merchandising pins
+// @access  Private (Admin)
+router.get('/pins', 
+  authenticateToken,
+  requireAdmin,
+  SearchController.getPins
+);
+
+// @route   POST /api/search/pins
+// @desc    Create merchandising pin
+// @access  Private (Admin)
+router.post('/pins', 
+  authenticateToken,
+  requireAdmin,
+  validateRequest(ValidationUtils.searchSchemas.createPin),
+  SearchController.createPin
+);
+
+// @route   PUT /api/search/pins/:id
+// @desc    Update merchandising pin
+// @access  Private (Admin)
+router.put('/pins/:id', 
+  authenticateToken,
+  requireAdmin,
+  validateObjectId(),
+  validateRequest(ValidationUtils.searchSchemas.updatePin),
+  SearchController.updatePin
+);
+
+// @route   DELETE /api/search/pins/:id
+// @desc    Delete merchandising pin
+// @access  Private (Admin)
+router.delete('/pins/:id', 
+  authenticateToken,
+  requireAdmin,
+  validateObjectId(),
+  SearchController.deletePin
+);
+
+module.exports = router;
@@ -0,0 +1,64 @@
+const express = require('express');
+const ShippingController = require('../controllers/shippingController');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { validateRequest, validateObjectId } = require('../middleware/validation');
+const  ValidationUtils  = require('../utils/validation');
+
+const router = express.Router();
+
+/**
+ * Shipping Zone Routes
+ * Zone, method and rate table management (Admin); customers get quotes from POST /api/cart/shipping-quote
+ */
+
+// @route   GET /api/shipping-zones
+// @desc    Get shipping zones (?includeInactive=true)
+// @access  Private (Admin)
+router.get('/', 
+  authenticateToken,
+  requireAdmin,
+  ShippingController.getZones
+);
+
+// @route   POST /api/shipping-zones
+// @desc    Create shipping zone
+// @access  Private (Admin)
+router.post('/', 
+  authenticateToken,
+  requireAdmin,
+  validateRequest(ValidationUtils.shippingZoneSchemas.create),
+  ShippingController.createZone
+);
+
+// @route   GET /api/shipping-zones/:id
+// @desc    Get shipping zone details
+// @access  Private (Admin)
+router.get('/:id', 
+  authenticateToken,
+  requireAdmin,
+  validateObjectId(),
+  ShippingController.getZoneById
+);
+
+// @route   PUT /api/shipping-zones/:id
+// @desc    Update shipping zone
+// @access  Private (Admin)
+router.put('/:id', 
+  authenticateToken,
+  requireAdmin,
+  validateObjectId(),
+  validateRequest(ValidationUtils.shippingZoneSchemas.update),
+  ShippingController.updateZone
+);
+
+// @route   DELETE /api/shipping-zones/:id
+// @desc    Delete shipping zone
+// @access  Private (Admin)
+router.delete('/:id', 
+  authenticateToken,
+  requireAdmin,
+  validateObjectId(),
+  ShippingController.deleteZone
+);
+
+module.exports = router;
@@ -0,0 +1,47 @@
+const express = require('express');
+const WalletController = require('../controllers/walletController');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { validateRequest, validateObjectId, validateQueryParams } = require('../middleware/validation');
+const  ValidationUtils  = require('../utils/validation');
+
+const router = express.Router();
+
+/**
+ * Store Credit Wallet Routes (Admin)
+ * Customers see their own wallet at GET /api/auth/me/wallet and spend it through POST /api/orders (useStoreCredit)
+ */
+
+// @route   GET /api/wallets/:userId
+// @desc    Get a user's store credit balance and ledger (?type=grant|refund|restore|revoke|redeem|expire)
+// @access  Private (Admin)
+router.get('/:userId', 
+  authenticateToken,
+  requireAdmin,
+  validateObjectId('userId'),
+  validateQueryParams,
+  WalletController.getWallet
+);
+
+// @route   POST /api/wallets/:userId/credits
+// @desc    Grant store credit with a reason
+// @access  Private (Admin)
+router.post('/:userId/credits', 
+  authenticateToken,
+  requireAdmin,
+  validateObjectId('userId'),
+  validateRequest(ValidationUtils.walletSchemas.grant),
+  WalletController.grantCredit
+);
+
+// @route   POST /api/wallets/:userId/debits
+// @desc    Revoke store credit with a reason
+// @access  Private (Admin)
+router.post('/:userId/debits', 
+  authenticateToken,
+  requireAdmin,
+  validateObjectId('userId'),
+  validateRequest(ValidationUtils.walletSchemas.revoke),
+  WalletController.revokeCredit
+);
+
+module.exports = router;
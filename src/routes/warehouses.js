@@ -0,0 +1,76 @@
+const express = require('express');
+const WarehouseController = require('../controllers/warehouseController');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
+const { validateRequest, validateObjectId } = require('../middleware/validation');
+const  ValidationUtils  = require('../utils/validation');
+
+const router = express.Router();
+
+/**
+ * Warehouse Routes
+ * Warehouse management and stock transfer endpoints (Admin)
+ */
+
+// @route   GET /api/warehouses
+// @desc    Get warehouses
+// @access  Private (Admin)
+router.get('/', 
+  authenticateToken,
+  requireAdmin,
+  WarehouseController.getWarehouses
+);
+
+// @route   POST /api/warehouses
+// @desc    Create warehouse
+// @access  Private (Admin)
+router.post('/', 
+  authenticateToken,
+  requireAdmin,
+  validateRequest(ValidationUtils.warehouseSchemas.create),
+  WarehouseController.createWarehouse
+);
+
+// @route   POST /api/warehouses/transfers
+// @desc    Transfer stock between warehouses
+// @access  Private (Admin)
+router.post('/transfers', 
+  authenticateToken,
+  requireAdmin,
+  idempotent(),
+  validateRequest(ValidationUtils.warehouseSchemas.transfer),
+  WarehouseController.transferStock
+);
+
+// @route   GET /api/warehouses/:id
+// @desc    Get warehouse details and stock
+// @access  Private (Admin)
+router.get('/:id', 
+  authenticateToken,
+  requireAdmin,
+  validateObjectId(),
+  WarehouseController.getWarehouseById
+);
+
+// @route   PUT /api/warehouses/:id
+// @desc    Update warehouse
+// @access  Private (Admin)
+router.put('/:id', 
+  authenticateToken,
+  requireAdmin,
+  validateObjectId(),
+  validateRequest(ValidationUtils.warehouseSchemas.update),
+  WarehouseController.updateWarehouse
+);
+
+// @route   DELETE /api/warehouses/:id
+// @desc    Deactivate warehouse
+// @access  Private (Admin)
+router.delete('/:id', 
+  authenticateToken,
+  requireAdmin,
+  validateObjectId(),
+  WarehouseController.deleteWarehouse
+);
+
+module.exports = router;
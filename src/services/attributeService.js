@@ -0,0 +1,281 @@
+const AttributeDefinition = require('../models/AttributeDefinition');
+const CategoryService = require('./categoryService');
+const logger = require('../utils/logger');
+
+// attr.<key> or attr.<key>[<operator>]
+const FILTER_KEY_PATTERN = /^attr\.([a-z0-9_]+)(?:\[([a-z]+)\])?$/i;
+
+// Query operator => Mongo operator
+const FILTER_OPERATORS = {
+  eq: '$eq',
+  gt: '$gt',
+  gte: '$gte',
+  lt: '$lt',
+  lte: '$lte',
+  in: '$in'
+};
+
+/**
+ * Product attribute service class
+ * Attribute definitions per category, typing of product specifications and attr.* list filters
+ */
+class AttributeService {
+  /**
+   * Get attribute definitions
+   * @param {Object} options - { category }
+   * @returns {Object} Definition list
+   */
+  async getDefinitions(options = {}) {
+    try {
+      const filter = {};
+      if (options.category) {
+        filter.category = options.category;
+      }
+
+      const definitions = await AttributeDefinition.find(filter).sort({ category: 1, sortOrder: 1, key: 1 });
+
+      return {
+        success: true,
+        definitions
+      };
+    } catch (error) {
+      logger.error('Error fetching attribute definitions:', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Create attribute definition (Admin)
+   * @param {Object} definitionData - Definition information
+   * @returns {Object} Created definition
+   */
+  async createDefinition(definitionData) {
+    try {
+      await CategoryService.assertCategory(definitionData.category);
+
+      const definition = new AttributeDefinition({
+        ...definitionData,
+        key: AttributeDefinition.normalizeKey(definitionData.key)
+      });
+      await definition.save();
+
+      logger.info('Attribute definition created:', { category: definition.category, key: definition.key });
+
+      return {
+        success: true,
+        message: 'Attribute definition created successfully',
+        definition
+      };
+    } catch (error) {
+      logger.error('Error creating attribute definition:', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Update attribute definition (Admin)
+   * Products keep their stored values; they are re-typed the next time their specifications are saved.
+   * @param {String} definitionId - Definition ID
+   * @param {Object} updateData - Data to update
+   * @returns {Object} Updated definition
+   */
+  async updateDefinition(definitionId, updateData) {
+    try {
+      const definition = await AttributeDefinition.findById(definitionId);
+
+      if (!definition) {
+        throw new Error('Attribute definition not found');
+      }
+
+      Object.assign(definition, updateData);
+      await definition.save();
+
+      logger.info('Attribute definition updated:', { definitionId });
+
+      return {
+        success: true,
+        message: 'Attribute definition updated successfully',
+        definition
+      };
+    } catch (error) {
+      logger.error('Error updating attribute definition:', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Delete attribute definition (Admin)
+   * @param {String} definitionId - Definition ID
+   * @returns {Object} Deletion result
+   */
+  async deleteDefinition(definitionId) {
+    try {
+      const definition = await AttributeDefinition.findByIdAndDelete(definitionId);
+
+      if (!definition) {
+        throw new Error('Attribute definition not found');
+      }
+
+      logger.info('Attribute definition deleted:', { definitionId });
+
+      return {
+        success: true,
+        message: 'Attribute definition deleted successfully'
+      };
+    } catch (error) {
+      logger.error('Error deleting attribute definition:', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Turn a { name: value } specifications map into typed product attributes
+   * Specifications with a definition in the category (or an ancestor category) are converted to its type;
+   * others are stored as given.
+   * @param {String} category - Product category
+   * @param {Object} specifications - Raw specifications
+   * @returns {Array} Attributes: [{ k, v, unit }]
+   */
+  async buildAttributes(category, specifications = {}) {
+    const lineage = await CategoryService.getLineageNames(category);
+    const definitions = await AttributeDefinition.find({ category: { $in: lineage } });
+
+    // The closest category's definition wins
+    const definitionsByKey = new Map(definitions
+      .sort((a, b) => lineage.indexOf(a.category) - lineage.indexOf(b.category))
+      .map(definition => [definition.key, definition]));
+
+    const attributes = [];
+    const errors = [];
+
+    for (const [name, value] of Object.entries(specifications)) {
+      const key = AttributeDefinition.normalizeKey(name);
+      const definition = definitionsByKey.get(key);
+
+      if (!definition) {
+        attributes.push({ k: key, v: typeof value === 'string' ? value.trim() : value });
+        continue;
+      }
+
+      const typed = definition.coerce(value);
+      if (typed === undefined) {
+        errors.push({
+          field: `specifications.${name}`,
+          message: definition.values.length > 0
+            ? `${definition.label} must be one of: ${definition.values.join(', ')}`
+            : `${definition.label} must be a ${definition.type}`
+        });
+        continue;
+      }
+
+      attributes.push({ k: key, v: typed, ...(definition.unit && { unit: definition.unit }) });
+    }
+
+    [...definitionsByKey.values()]
+      .filter(definition => definition.required && !attributes.some(attribute => attribute.k === definition.key))
+      .forEach(definition => errors.push({
+        field: `specifications.${definition.key}`,
+        message: `${definition.label} is required`
+      }));
+
+    if (errors.length > 0) {
+      const error = new Error('Invalid product specifications');
+      error.statusCode = 400;
+      error.errors = errors;
+      throw error;
+    }
+
+    return attributes;
+  }
+
+  /**
+   * Pick attr.* filters out of a parsed query string
+   * attr.ram=16, attr.ram[gte]=16, attr.color[in]=red,blue (a repeated key means "in")
+   * @param {Object} query - req.query
+   * @returns {Array} Filters: [{ key, operator, value }]
+   */
+  parseQueryFilters(query = {}) {
+    const filters = [];
+
+    for (const [param, value] of Object.entries(query)) {
+      const match = FILTER_KEY_PATTERN.exec(param);
+      if (!match) {
+        continue;
+      }
+
+      const operator = (match[2] || (Array.isArray(value) ? 'in' : 'eq')).toLowerCase();
+      if (!FILTER_OPERATORS[operator]) {
+        const error = new Error(`Invalid attribute filter operator: ${operator}`);
+        error.statusCode = 400;
+        throw error;
+      }
+
+      filters.push({
+        key: match[1].toLowerCase(),
+        operator,
+        value: operator === 'in' ? [].concat(value).flatMap(item => String(item).split(',')) : [].concat(value)[0]
+      });
+    }
+
+    return filters;
+  }
+
+  /**
+   * Build product filter conditions for attr.* filters, one $elemMatch per attribute
+   * Values are typed with the attribute definitions (of the categories when given), so numeric ranges compare numbers.
+   * @param {Array} filters - Parsed filters
+   * @param {Array} categories - Category names the list is limited to
+   * @returns {Array} Conditions for $and
+   */
+  async buildFilterConditions(filters, categories) {
+    if (filters.length === 0) {
+      return [];
+    }
+
+    const keys = [...new Set(filters.map(filter => filter.key))];
+    const definitionFilter = { key: { $in: keys } };
+    if (categories) {
+      definitionFilter.category = { $in: categories };
+    }
+
+    const definitions = await AttributeDefinition.find(definitionFilter);
+
+    const conditions = new Map();
+
+    for (const { key, operator, value } of filters) {
+      // A key may be typed differently across categories; each typing is tried
+      const typings = definitions.filter(definition => definition.key === key);
+
+      if (typings.length > 0 && !typings.some(definition => definition.filterable)) {
+        const error = new Error(`Attribute is not filterable: ${key}`);
+        error.statusCode = 400;
+        throw error;
+      }
+
+      // Untyped keys hold values as given, so numeric-looking values are matched as both text and number
+      const coerce = (raw) => {
+        const values = typings.map(definition => definition.coerce(raw)).filter(typed => typed !== undefined);
+        if (values.length > 0) {
+          return values;
+        }
+        return raw !== '' && Number.isFinite(Number(raw)) ? [Number(raw), raw] : [raw];
+      };
+
+      const condition = conditions.get(key) || {};
+
+      if (operator === 'in' || operator === 'eq') {
+        condition.$in = [...(condition.$in || []), ...[].concat(value).flatMap(coerce)];
+      } else {
+        condition[FILTER_OPERATORS[operator]] = coerce(value)[0];
+      }
+
+      conditions.set(key, condition);
+    }
+
+    return [...conditions].map(([key, condition]) => ({
+      attributes: { $elemMatch: { k: key, v: condition } }
+    }));
+  }
+}
+
+module.exports = new AttributeService();
@@ -1,5 +1,7 @@
 const Cart = require('../models/Cart');
 const Product = require('../models/Product');
+const PromotionService = require('./promotionService');
+const ShippingService = require('./shippingService');
 const redisClient = require('../config/redis');
 const logger = require('../utils/logger');
 
@@ -44,9 +46,10 @@ class CartService {
    * @param {String} identifier - User ID or session ID
    * @param {String} productId - Product ID
    * @param {Number} quantity - Quantity
+   * @param {String} variantId - Variant ID (required for products with variants)
    * @returns {Object} Updated cart
    */
-  async addToCart(identifier, productId, quantity) {
+  async addToCart(identifier, productId, quantity, variantId) {
     try {
       // Check product
       const product = await Product.findById(productId);
@@ -54,7 +57,10 @@ class CartService {
         throw new Error('Product not found');
       }
 
-      if (product.stock < quantity) {
+      const variant = this.resolveVariant(product, variantId);
+      const stock = variant || product;
+
+      if (stock.availableStock < quantity) {
         throw new Error('Insufficient stock');
       }
 
@@ -62,15 +68,13 @@ class CartService {
       const cart = await this.getCart(identifier);
 
       // Check if product exists in cart
-      const existingItemIndex = cart.items.findIndex(
-        item => item.product.toString() === productId
-      );
+      const existingItemIndex = this.findItemIndex(cart, productId, variantId);
 
       if (existingItemIndex > -1) {
         // Increase quantity of existing product
         const newQuantity = cart.items[existingItemIndex].quantity + quantity;
         
-        if (product.stock < newQuantity) {
+        if (stock.availableStock < newQuantity) {
           throw new Error('Insufficient stock');
         }
 
@@ -79,20 +83,25 @@ class CartService {
         // Add new product
         cart.items.push({
           product: productId,
+          ...(variant && {
+            variant: variant._id.toString(),
+            sku: variant.sku,
+            options: Object.fromEntries(variant.options)
+          }),
           name: product.name,
-          price: product.finalPrice,
+          price: stock.finalPrice,
           quantity,
-          image: product.images[0]?.url || null
+          image: variant?.images[0]?.url || product.images[0]?.url || null
         });
       }
 
       // Recalculate totals
-      this.calculateCartTotals(cart);
+      await this.calculateCartTotals(cart);
 
       // Save to Redis
       await this.saveCartToRedis(identifier, cart);
 
-      logger.info('Product added to cart:', { identifier, productId, quantity });
+      logger.info('Product added to cart:', { identifier, productId, variantId, quantity });
 
       return {
         success: true,
@@ -110,15 +119,14 @@ class CartService {
    * @param {String} identifier - User ID or session ID
    * @param {String} productId - Product ID
    * @param {Number} quantity - New quantity
+   * @param {String} variantId - Variant ID (products with variants)
    * @returns {Object} Updated cart
    */
-  async updateCartItem(identifier, productId, quantity) {
+  async updateCartItem(identifier, productId, quantity, variantId) {
     try {
       const cart = await this.getCart(identifier);
       
-      const itemIndex = cart.items.findIndex(
-        item => item.product.toString() === productId
-      );
+      const itemIndex = this.findItemIndex(cart, productId, variantId);
 
       if (itemIndex === -1) {
         throw new Error('Product not found in cart');
@@ -130,7 +138,8 @@ class CartService {
       } else {
         // Stock check
         const product = await Product.findById(productId);
-        if (product && product.stock < quantity) {
+        const stock = product && (product.findVariant(variantId) || product);
+        if (stock && stock.availableStock < quantity) {
           throw new Error('Insufficient stock');
         }
 
@@ -139,12 +148,12 @@ class CartService {
       }
 
       // Recalculate totals
-      this.calculateCartTotals(cart);
+      await this.calculateCartTotals(cart);
 
       // Save to Redis
       await this.saveCartToRedis(identifier, cart);
 
-      logger.info('Cart item updated:', { identifier, productId, quantity });
+      logger.info('Cart item updated:', { identifier, productId, variantId, quantity });
 
       return {
         success: true,
@@ -161,23 +170,25 @@ class CartService {
    * Remove product from cart
    * @param {String} identifier - User ID or session ID
    * @param {String} productId - Product ID
+   * @param {String} variantId - Variant ID (products with variants)
    * @returns {Object} Updated cart
    */
-  async removeFromCart(identifier, productId) {
+  async removeFromCart(identifier, productId, variantId) {
     try {
       const cart = await this.getCart(identifier);
       
-      cart.items = cart.items.filter(
-        item => item.product.toString() !== productId
-      );
+      const itemIndex = this.findItemIndex(cart, productId, variantId);
+      if (itemIndex > -1) {
+        cart.items.splice(itemIndex, 1);
+      }
 
       // Recalculate totals
-      this.calculateCartTotals(cart);
+      await this.calculateCartTotals(cart);
 
       // Save to Redis
       await this.saveCartToRedis(identifier, cart);
 
-      logger.info('Product removed from cart:', { identifier, productId });
+      logger.info('Product removed from cart:', { identifier, productId, variantId });
 
       return {
         success: true,
@@ -190,6 +201,52 @@ class CartService {
     }
   }
 
+  /**
+   * Find a cart line by product and variant
+   * @param {Object} cart - Cart object
+   * @param {String} productId - Product ID
+   * @param {String} variantId - Variant ID
+   * @returns {Number} Item index or -1
+   */
+  findItemIndex(cart, productId, variantId) {
+    return cart.items.findIndex(
+      item => item.product.toString() === productId.toString() &&
+        (item.variant || '') === (variantId ? variantId.toString() : '')
+    );
+  }
+
+  /**
+   * Get the variant a cart line refers to; products with variants must name an active one
+   * @param {Object} product - Product document
+   * @param {String} variantId - Variant ID
+   * @returns {Object|null} Variant subdocument
+   */
+  resolveVariant(product, variantId) {
+    if (product.variants.length === 0) {
+      if (variantId) {
+        const error = new Error('Variant not found');
+        error.statusCode = 404;
+        throw error;
+      }
+      return null;
+    }
+
+    if (!variantId) {
+      const error = new Error('Please select a variant');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const variant = product.findVariant(variantId);
+    if (!variant || !variant.isActive) {
+      const error = new Error('Variant not found');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    return variant;
+  }
+
   /**
    * Clear cart
    * @param {String} identifier - User ID or session ID
@@ -220,12 +277,152 @@ class CartService {
   }
 
   /**
-   * Calculate cart totals
+   * Apply a coupon code to the cart
+   * @param {String} identifier - User ID or session ID
+   * @param {String} code - Coupon code
+   * @param {String} userId - Logged-in user ID (null for guests)
+   * @returns {Object} Updated cart
+   */
+  async applyCoupon(identifier, code, userId) {
+    try {
+      const cart = await this.getCart(identifier);
+
+      if (cart.items.length === 0) {
+        const error = new Error('Cart is empty');
+        error.statusCode = 400;
+        throw error;
+      }
+
+      const coupon = code.trim().toUpperCase();
+      const coupons = cart.coupons || [];
+
+      if (coupons.includes(coupon)) {
+        const error = new Error('Coupon is already applied');
+        error.statusCode = 400;
+        throw error;
+      }
+
+      const pricing = await PromotionService.evaluate(cart.items, { coupons: [...coupons, coupon], userId });
+      const rejection = pricing.rejected.find(item => item.code === coupon);
+
+      if (rejection) {
+        const error = new Error(rejection.reason);
+        error.statusCode = 400;
+        throw error;
+      }
+
+      cart.coupons = [...coupons, coupon];
+      this.applyPricing(cart, pricing);
+
+      await this.saveCartToRedis(identifier, cart);
+
+      logger.info('Coupon applied to cart:', { identifier, code: coupon });
+
+      return {
+        success: true,
+        message: 'Coupon applied',
+        cart
+      };
+    } catch (error) {
+      logger.error('Error applying coupon:', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Remove a coupon code from the cart
+   * @param {String} identifier - User ID or session ID
+   * @param {String} code - Coupon code
+   * @returns {Object} Updated cart
+   */
+  async removeCoupon(identifier, code) {
+    try {
+      const cart = await this.getCart(identifier);
+      const coupon = code.trim().toUpperCase();
+
+      if (!(cart.coupons || []).includes(coupon)) {
+        const error = new Error('Coupon is not applied to the cart');
+        error.statusCode = 404;
+        throw error;
+      }
+
+      cart.coupons = cart.coupons.filter(item => item !== coupon);
+      await this.calculateCartTotals(cart);
+
+      await this.saveCartToRedis(identifier, cart);
+
+      logger.info('Coupon removed from cart:', { identifier, code: coupon });
+
+      return {
+        success: true,
+        message: 'Coupon removed',
+        cart
+      };
+    } catch (error) {
+      logger.error('Error removing coupon:', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Quote the shipping methods available for the cart and an address
+   * @param {String} identifier - User ID or session ID
+   * @param {Object} address - Shipping address
+   * @returns {Object} Shipping zone, billable weight and priced methods
+   */
+  async getShippingQuote(identifier, address) {
+    try {
+      const cart = await this.getCart(identifier);
+
+      if (!cart.items || cart.items.length === 0) {
+        const error = new Error('Cart is empty');
+        error.statusCode = 400;
+        throw error;
+      }
+
+      // Thresholds and free_shipping promotions go by the current discounted subtotal
+      await this.calculateCartTotals(cart);
+
+      const quote = await ShippingService.quote(cart.items, address, cart.totalAmount, {
+        freeShipping: cart.freeShipping
+      });
+
+      return {
+        success: true,
+        subtotal: cart.totalAmount,
+        ...quote
+      };
+    } catch (error) {
+      logger.error('Error quoting shipping:', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Calculate cart totals, promotions included
+   * Coupons that stop applying stay on the cart and are listed in rejectedCoupons.
    * @param {Object} cart - Cart object
    */
-  calculateCartTotals(cart) {
+  async calculateCartTotals(cart) {
+    const pricing = await PromotionService.evaluate(cart.items, { coupons: cart.coupons || [] });
+    this.applyPricing(cart, pricing);
+  }
+
+  /**
+   * Set cart totals from a promotion evaluation
+   * @param {Object} cart - Cart object
+   * @param {Object} pricing - PromotionService.evaluate result
+   */
+  applyPricing(cart, pricing) {
+    const subtotal = cart.items.reduce((total, item) => total + (item.price * item.quantity), 0);
+
     cart.totalItems = cart.items.reduce((total, item) => total + item.quantity, 0);
-    cart.totalAmount = cart.items.reduce((total, item) => total + (item.price * item.quantity), 0);
+    cart.subtotal = Math.round(subtotal * 100) / 100;
+    cart.discounts = pricing.discounts;
+    cart.discountTotal = pricing.discountTotal;
+    cart.freeShipping = pricing.freeShipping;
+    cart.rejectedCoupons = pricing.rejected;
+    cart.totalAmount = Math.round((subtotal - pricing.discountTotal) * 100) / 100;
     cart.lastUpdated = new Date();
   }
 
@@ -259,6 +456,7 @@ class CartService {
         // Update existing cart
         dbCart.items = cart.items.map(item => ({
           product: item.product,
+          variant: item.variant,
           quantity: item.quantity,
           price: item.price
         }));
@@ -268,6 +466,7 @@ class CartService {
           user: userId,
           items: cart.items.map(item => ({
             product: item.product,
+            variant: item.variant,
             quantity: item.quantity,
             price: item.price
           }))
@@ -0,0 +1,460 @@
+const { once } = require('events');
+const Product = require('../models/Product');
+const ImportJob = require('../models/ImportJob');
+const ProductService = require('./productService');
+const AttributeService = require('./attributeService');
+const CategoryService = require('./categoryService');
+const ValidationUtils = require('../utils/validation');
+const CsvUtils = require('../utils/csv');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+// Fixed CSV columns; specifications follow as spec.<name> columns
+const CSV_COLUMNS = [
+  'sku', 'name', 'description', 'price', 'discountPrice', 'category', 'brand', 'stock',
+  'images', 'tags', 'weight', 'dimensions.length', 'dimensions.width', 'dimensions.height'
+];
+
+// Separator of list values (images, tags) inside a CSV field
+const LIST_SEPARATOR = '|';
+
+// Row errors kept in a report (a broken file would otherwise flood it)
+const MAX_REPORTED_ERRORS = 1000;
+
+// Rows between progress updates of a background import
+const PROGRESS_INTERVAL = 50;
+
+/**
+ * Catalog import/export service class
+ * Bulk product upserts by SKU from CSV or JSON files (validated per row, with a dry run) and streamed exports
+ */
+class CatalogService {
+  /**
+   * Import products from an uploaded file (Admin)
+   * Existing SKUs are updated, new ones created. A dry run only validates and reports; files larger than
+   * the configured row count are imported by a background job.
+   * @param {Object} file - Uploaded file (multer, in memory)
+   * @param {Object} options - { dryRun }
+   * @param {String} actorId - Admin user ID
+   * @returns {Object} Import report, or the queued job
+   */
+  async importProducts(file, options = {}, actorId) {
+    try {
+      const { dryRun = false } = options;
+      const format = this.detectFormat(file);
+      const rows = this.parseFile(file.buffer.toString('utf8'), format);
+
+      if (rows.length === 0) {
+        const error = new Error('The file contains no products');
+        error.statusCode = 400;
+        throw error;
+      }
+
+      if (rows.length > config.catalog.importMaxRows) {
+        const error = new Error(`Too many products in one file. Maximum: ${config.catalog.importMaxRows}`);
+        error.statusCode = 400;
+        throw error;
+      }
+
+      if (dryRun || rows.length <= config.catalog.importSyncRows) {
+        const report = await this.processRows(rows, { dryRun, actorId });
+
+        logger.info('Product import finished:', { format, dryRun, ...report.summary, actorId });
+
+        return {
+          success: true,
+          message: dryRun ? 'Dry run finished; nothing was saved' : 'Import finished',
+          dryRun,
+          ...report
+        };
+      }
+
+      const job = await ImportJob.create({
+        format,
+        fileName: file.originalname,
+        total: rows.length,
+        createdBy: actorId
+      });
+
+      setImmediate(() => this.runImportJob(job._id, rows, actorId));
+
+      logger.info('Product import queued:', { jobId: job._id, rows: rows.length, actorId });
+
+      return {
+        success: true,
+        message: 'Import queued',
+        queued: true,
+        job
+      };
+    } catch (error) {
+      logger.error('Error importing products:', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Get a background import job with its progress and error report (Admin)
+   * @param {String} jobId - Import job ID
+   * @returns {Object} Import job
+   */
+  async getImportJob(jobId) {
+    try {
+      const job = await ImportJob.findById(jobId);
+
+      if (!job) {
+        throw new Error('Import job not found');
+      }
+
+      return {
+        success: true,
+        job
+      };
+    } catch (error) {
+      logger.error('Error fetching import job:', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Run a queued import job, saving its progress as it goes
+   * @param {String} jobId - Import job ID
+   * @param {Array} rows - Parsed rows
+   * @param {String} actorId - Admin user ID
+   */
+  async runImportJob(jobId, rows, actorId) {
+    try {
+      await ImportJob.updateOne({ _id: jobId }, { $set: { status: 'running', startedAt: new Date() } });
+
+      const report = await this.processRows(rows, {
+        actorId,
+        onProgress: (summary) => ImportJob.updateOne({ _id: jobId }, { $set: summary })
+      });
+
+      await ImportJob.updateOne({ _id: jobId }, {
+        $set: {
+          ...report.summary,
+          status: 'completed',
+          rowErrors: report.errors,
+          finishedAt: new Date()
+        }
+      });
+
+      logger.info('Product import job completed:', { jobId, ...report.summary });
+    } catch (error) {
+      logger.error('Product import job failed:', { jobId, error: error.message });
+
+      await ImportJob.updateOne({ _id: jobId }, {
+        $set: { status: 'failed', error: error.message, finishedAt: new Date() }
+      }).catch(() => {});
+    }
+  }
+
+  /**
+   * Fail background imports that stopped making progress (scheduler job)
+   * A job runs in the process that received the file and saves its progress every few rows; one that was not
+   * updated for longer than the configured time was lost to a restart and would otherwise stay running forever.
+   * Rows are upserted by SKU, so the file can simply be uploaded again.
+   * @param {Date} now - Reference time
+   * @returns {Object} Count of failed jobs
+   */
+  async failStaleImportJobs(now = new Date()) {
+    const cutoff = new Date(now.getTime() - config.catalog.importStaleMinutes * 60 * 1000);
+
+    const { modifiedCount } = await ImportJob.updateMany(
+      { status: { $in: ['queued', 'running'] }, updatedAt: { $lte: cutoff } },
+      { $set: { status: 'failed', error: 'Import was interrupted; upload the file again', finishedAt: now } }
+    );
+
+    if (modifiedCount > 0) {
+      logger.warn('Stale product import jobs failed:', { count: modifiedCount });
+    }
+
+    return { failed: modifiedCount };
+  }
+
+  /**
+   * Validate and (unless dry run) upsert rows by SKU
+   * @param {Array} rows - Parsed rows
+   * @param {Object} options - { dryRun, actorId, onProgress(summary) }
+   * @returns {Object} { summary: { total, processed, created, updated, failed }, errors }
+   */
+  async processRows(rows, options = {}) {
+    const { dryRun = false, actorId, onProgress } = options;
+
+    const summary = { total: rows.length, processed: 0, created: 0, updated: 0, failed: 0 };
+    const errors = [];
+    const seenSkus = new Set();
+
+    const fail = (row, sku, rowErrors) => {
+      summary.failed++;
+      errors.push(...rowErrors.map(error => ({ row, sku, ...error })).slice(0, Math.max(MAX_REPORTED_ERRORS - errors.length, 0)));
+    };
+
+    for (const [index, raw] of rows.entries()) {
+      const row = index + 1;
+      const sku = raw.sku ? String(raw.sku).trim().toUpperCase() : undefined;
+
+      try {
+        const validation = ValidationUtils.validate(raw, ValidationUtils.productSchemas.create);
+
+        if (!validation.isValid) {
+          fail(row, sku, validation.errors);
+          continue;
+        }
+
+        if (seenSkus.has(sku)) {
+          fail(row, sku, [{ field: 'sku', message: 'Duplicate SKU in file' }]);
+          continue;
+        }
+        seenSkus.add(sku);
+
+        const { sku: _sku, ...data } = validation.data;
+        const existing = await Product.findOne({ sku }).select('_id');
+
+        if (existing && data.variants) {
+          fail(row, sku, [{ field: 'variants', message: 'Variants of existing products are managed per variant' }]);
+          continue;
+        }
+
+        if (dryRun) {
+          await CategoryService.assertCategory(data.category);
+          if (data.specifications) {
+            await AttributeService.buildAttributes(data.category, data.specifications);
+          }
+        } else if (existing) {
+          await ProductService.updateProduct(existing._id, data, actorId, { reason: 'import', note: 'Product import' });
+        } else {
+          await ProductService.createProduct(validation.data, actorId, { reason: 'import' });
+        }
+
+        summary[existing ? 'updated' : 'created']++;
+      } catch (error) {
+        fail(row, sku, this.describeError(error));
+      } finally {
+        summary.processed++;
+      }
+
+      if (onProgress && summary.processed % PROGRESS_INTERVAL === 0) {
+        await onProgress({ ...summary });
+      }
+    }
+
+    return { summary, errors };
+  }
+
+  /**
+   * Stream the catalog (filtered like the product list) as CSV or JSON (Admin)
+   * The output is import-compatible.
+   * @param {Object} options - List filters, { format, includeInactive }
+   * @param {Object} output - Writable stream (the response)
+   * @returns {Number} Exported product count
+   */
+  async exportProducts(options, output) {
+    const { format = 'csv', includeInactive = false } = options;
+
+    const filter = await ProductService.buildProductFilter(options);
+    if (includeInactive) {
+      delete filter.isActive;
+    }
+
+    const write = async (chunk) => {
+      if (!output.write(chunk)) {
+        await once(output, 'drain');
+      }
+    };
+
+    // Spec columns have to be known before the first row
+    const specKeys = format === 'csv' ? (await Product.distinct('attributes.k', filter)).sort() : [];
+
+    const cursor = Product.find(filter).sort({ sku: 1 }).lean().cursor();
+    let count = 0;
+
+    if (format === 'csv') {
+      await write(CsvUtils.formatRow([...CSV_COLUMNS, ...specKeys.map(key => `spec.${key}`)]));
+    } else {
+      await write('[');
+    }
+
+    for await (const product of cursor) {
+      if (format === 'csv') {
+        await write(CsvUtils.formatRow(this.productToRow(product, specKeys)));
+      } else {
+        await write(`${count > 0 ? ',' : ''}\n${JSON.stringify(this.productToRecord(product))}`);
+      }
+      count++;
+    }
+
+    if (format === 'json') {
+      await write('\n]\n');
+    }
+
+    logger.info('Products exported:', { format, count });
+
+    return count;
+  }
+
+  /**
+   * File format from the file name or type
+   * @param {Object} file - Uploaded file
+   * @returns {String} 'csv' or 'json'
+   */
+  detectFormat(file) {
+    const name = (file.originalname || '').toLowerCase();
+    return name.endsWith('.json') || file.mimetype === 'application/json' ? 'json' : 'csv';
+  }
+
+  /**
+   * Parse an import file into product rows
+   * JSON: an array of products (or { products: [...] }). CSV: one product per line, list values
+   * separated by "|", specifications as spec.<name> columns.
+   * @param {String} text - File content
+   * @param {String} format - 'csv' or 'json'
+   * @returns {Array} Rows
+   */
+  parseFile(text, format) {
+    if (format === 'json') {
+      let parsed;
+      try {
+        parsed = JSON.parse(text);
+      } catch (parseError) {
+        const error = new Error(`Invalid JSON file: ${parseError.message}`);
+        error.statusCode = 400;
+        throw error;
+      }
+
+      const rows = Array.isArray(parsed) ? parsed : parsed && parsed.products;
+      if (!Array.isArray(rows)) {
+        const error = new Error('JSON file must contain an array of products');
+        error.statusCode = 400;
+        throw error;
+      }
+
+      return rows;
+    }
+
+    return CsvUtils.parseRecords(text).map(record => this.rowToProduct(record));
+  }
+
+  /**
+   * CSV record => product data (empty fields are left out; Joi converts the numbers)
+   * @param {Object} record - Column => value
+   * @returns {Object} Product data
+   */
+  rowToProduct(record) {
+    const product = {};
+    const list = (value) => value.split(LIST_SEPARATOR).map(item => item.trim()).filter(Boolean);
+
+    for (const [column, rawValue] of Object.entries(record)) {
+      const value = rawValue.trim();
+      if (value === '') continue;
+
+      if (column.startsWith('spec.')) {
+        product.specifications = { ...product.specifications, [column.slice(5)]: value };
+      } else if (column.startsWith('dimensions.')) {
+        product.dimensions = { ...product.dimensions, [column.slice(11)]: value };
+      } else if (column === 'images') {
+        product.images = list(value).map(url => ({ url }));
+      } else if (column === 'tags') {
+        product.tags = list(value);
+      } else {
+        product[column] = value;
+      }
+    }
+
+    return product;
+  }
+
+  /**
+   * Product => CSV fields (see CSV_COLUMNS)
+   * @param {Object} product - Lean product
+   * @param {Array} specKeys - Exported specification keys
+   * @returns {Array} Field values
+   */
+  productToRow(product, specKeys) {
+    const specifications = Object.fromEntries((product.attributes || []).map(attribute => [attribute.k, attribute.v]));
+    const dimensions = product.dimensions || {};
+
+    return [
+      product.sku,
+      product.name,
+      product.description,
+      product.price,
+      product.discountPrice,
+      product.category,
+      product.brand,
+      product.stock,
+      (product.images || []).map(image => image.url).join(LIST_SEPARATOR),
+      (product.tags || []).join(LIST_SEPARATOR),
+      product.weight,
+      dimensions.length,
+      dimensions.width,
+      dimensions.height,
+      ...specKeys.map(key => specifications[key])
+    ];
+  }
+
+  /**
+   * Product => JSON export record (the productSchemas.create shape)
+   * @param {Object} product - Lean product
+   * @returns {Object} Record
+   */
+  productToRecord(product) {
+    const hasVariants = (product.variants || []).length > 0;
+    const dimensions = product.dimensions || {};
+
+    return {
+      sku: product.sku,
+      name: product.name,
+      description: product.description,
+      price: product.price,
+      discountPrice: product.discountPrice,
+      category: product.category,
+      brand: product.brand,
+      ...(!hasVariants && { stock: product.stock }),
+      ...(hasVariants && {
+        options: product.options,
+        variants: product.variants.map(variant => ({
+          sku: variant.sku,
+          options: variant.options,
+          price: variant.price,
+          discountPrice: variant.discountPrice,
+          stock: variant.stock,
+          images: (variant.images || []).map(({ url, alt }) => ({ url, alt })),
+          weight: variant.weight,
+          isActive: variant.isActive
+        }))
+      }),
+      images: (product.images || []).map(({ url, alt, isPrimary }) => ({ url, alt, isPrimary })),
+      specifications: Object.fromEntries((product.attributes || []).map(attribute => [attribute.k, attribute.v])),
+      tags: product.tags,
+      weight: product.weight,
+      dimensions: { length: dimensions.length, width: dimensions.width, height: dimensions.height },
+      isActive: product.isActive,
+      featured: product.featured
+    };
+  }
+
+  /**
+   * Row errors from a failed create/update
+   * @param {Error} error - Thrown error
+   * @returns {Array} [{ field, message }]
+   */
+  describeError(error) {
+    if (error.name === 'ValidationError' && error.errors) {
+      return Object.values(error.errors).map(err => ({ field: err.path, message: err.message }));
+    }
+
+    if (error.code === 11000) {
+      const field = Object.keys(error.keyValue || {})[0];
+      return [{ field, message: `${field} is already in use` }];
+    }
+
+    if (Array.isArray(error.errors)) {
+      return error.errors;
+    }
+
+    return [{ message: error.message }];
+  }
+}
+
+module.exports = new CatalogService();
@@ -0,0 +1,346 @@
+const mongoose = require('mongoose');
+const Category = require('../models/Category');
+const Product = require('../models/Product');
+const AttributeDefinition = require('../models/AttributeDefinition');
+const Promotion = require('../models/Promotion');
+const logger = require('../utils/logger');
+
+/**
+ * Category management service class
+ * Category tree CRUD and re-parenting. Products, attribute definitions and promotion scopes refer to categories by name.
+ */
+class CategoryService {
+  /**
+   * Get categories as a flat list
+   * @param {Object} options - { includeInactive }
+   * @returns {Object} Category list
+   */
+  async getCategories(options = {}) {
+    try {
+      const filter = options.includeInactive ? {} : { isActive: true };
+
+      const categories = await Category.find(filter).sort({ sortOrder: 1, name: 1 });
+
+      return {
+        success: true,
+        categories
+      };
+    } catch (error) {
+      logger.error('Error fetching categories:', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Get the active categories as a nested tree (an inactive category hides its subtree)
+   * @returns {Object} Root categories with children
+   */
+  async getCategoryTree() {
+    try {
+      const categories = await Category.find({ isActive: true })
+        .select('name slug description parent sortOrder')
+        .sort({ sortOrder: 1, name: 1 })
+        .lean();
+
+      const nodes = new Map(categories.map(category => [category._id.toString(), { ...category, children: [] }]));
+      const tree = [];
+
+      for (const node of nodes.values()) {
+        if (!node.parent) {
+          tree.push(node);
+        } else if (nodes.has(node.parent.toString())) {
+          nodes.get(node.parent.toString()).children.push(node);
+        }
+      }
+
+      return {
+        success: true,
+        tree
+      };
+    } catch (error) {
+      logger.error('Error building category tree:', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Get category details with its path and direct children
+   * @param {String} categoryId - Category ID
+   * @returns {Object} Category details
+   */
+  async getCategoryById(categoryId) {
+    try {
+      const category = await Category.findById(categoryId).populate('ancestors', 'name slug');
+
+      if (!category) {
+        throw new Error('Category not found');
+      }
+
+      const children = await Category.find({ parent: category._id, isActive: true })
+        .select('name slug sortOrder')
+        .sort({ sortOrder: 1, name: 1 });
+
+      return {
+        success: true,
+        category,
+        children
+      };
+    } catch (error) {
+      logger.error('Error fetching category details:', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Create category (Admin)
+   * @param {Object} categoryData - Category information
+   * @returns {Object} Created category
+   */
+  async createCategory(categoryData) {
+    try {
+      const { parentId, ...data } = categoryData;
+
+      const category = new Category(data);
+
+      if (parentId) {
+        const parent = await this.findCategory(parentId);
+        category.parent = parent._id;
+        category.ancestors = [...parent.ancestors, parent._id];
+      }
+
+      await category.save();
+
+      logger.info('New category created:', { categoryId: category._id, name: category.name });
+
+      return {
+        success: true,
+        message: 'Category created successfully',
+        category
+      };
+    } catch (error) {
+      logger.error('Error creating category:', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Update category (Admin) - a rename is carried over to its products, attribute definitions and promotion scopes
+   * @param {String} categoryId - Category ID
+   * @param {Object} updateData - Data to update
+   * @returns {Object} Updated category
+   */
+  async updateCategory(categoryId, updateData) {
+    try {
+      const category = await this.findCategory(categoryId);
+      const oldName = category.name;
+
+      Object.assign(category, updateData);
+      if (updateData.name && !updateData.slug) {
+        category.slug = Category.slugify(updateData.name);
+      }
+
+      if (category.name === oldName) {
+        await category.save();
+      } else {
+        await mongoose.connection.transaction(async (session) => {
+          await category.save({ session });
+          await Product.updateMany({ category: oldName }, { $set: { category: category.name } }, { session });
+          await AttributeDefinition.updateMany({ category: oldName }, { $set: { category: category.name } }, { session });
+          await Promotion.updateMany(
+            { 'scope.categories': oldName },
+            { $set: { 'scope.categories.$[scoped]': category.name } },
+            { session, arrayFilters: [{ scoped: oldName }] }
+          );
+        });
+
+        // Required here: the product service depends on this service
+        const ProductService = require('./productService');
+
+        // Category facets and suggestions still carry the old name
+        await ProductService.productsChanged();
+      }
+
+      logger.info('Category updated:', { categoryId });
+
+      return {
+        success: true,
+        message: 'Category updated successfully',
+        category
+      };
+    } catch (error) {
+      logger.error('Error updating category:', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Move a category (with its subtree) under another parent, or to the root (Admin)
+   * @param {String} categoryId - Category ID
+   * @param {String|null} parentId - New parent ID (null: root)
+   * @returns {Object} Moved category
+   */
+  async moveCategory(categoryId, parentId) {
+    try {
+      const category = await this.findCategory(categoryId);
+
+      let ancestors = [];
+      if (parentId) {
+        const parent = await this.findCategory(parentId);
+
+        // A category can't move into its own subtree
+        if (parent._id.equals(category._id) || parent.ancestors.some(id => id.equals(category._id))) {
+          const error = new Error('A category cannot be moved under itself or its descendants');
+          error.statusCode = 400;
+          throw error;
+        }
+
+        ancestors = [...parent.ancestors, parent._id];
+      }
+
+      const oldDepth = category.ancestors.length;
+      const descendants = await Category.find({ ancestors: category._id }).select('ancestors');
+
+      await mongoose.connection.transaction(async (session) => {
+        category.parent = parentId || null;
+        category.ancestors = ancestors;
+        await category.save({ session });
+
+        // Descendants keep the part of their path below the moved category
+        if (descendants.length > 0) {
+          await Category.bulkWrite(descendants.map(descendant => ({
+            updateOne: {
+              filter: { _id: descendant._id },
+              update: { $set: { ancestors: [...ancestors, ...descendant.ancestors.slice(oldDepth)] } }
+            }
+          })), { session });
+        }
+      });
+
+      logger.info('Category moved:', { categoryId, parentId, descendants: descendants.length });
+
+      return {
+        success: true,
+        message: 'Category moved successfully',
+        category
+      };
+    } catch (error) {
+      logger.error('Error moving category:', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Delete category (Admin) - only when it has no subcategories and no products
+   * @param {String} categoryId - Category ID
+   * @returns {Object} Deletion result
+   */
+  async deleteCategory(categoryId) {
+    try {
+      const category = await this.findCategory(categoryId);
+
+      if (await Category.exists({ parent: category._id })) {
+        const error = new Error('Category has subcategories; move or delete them first');
+        error.statusCode = 400;
+        throw error;
+      }
+
+      if (await Product.exists({ category: category.name })) {
+        const error = new Error('Category still has products');
+        error.statusCode = 400;
+        throw error;
+      }
+
+      await category.deleteOne();
+
+      logger.info('Category deleted:', { categoryId });
+
+      return {
+        success: true,
+        message: 'Category deleted successfully'
+      };
+    } catch (error) {
+      logger.error('Error deleting category:', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Names of a category and all its descendants, for product filters
+   * The category is looked up by slug or name; an unknown value matches itself only.
+   * @param {String} category - Category slug or name
+   * @returns {Array} Category names
+   */
+  async getSubtreeNames(category) {
+    const root = await Category.findOne({ $or: [{ slug: category.toLowerCase() }, { name: category }] });
+
+    if (!root) {
+      return [category];
+    }
+
+    const descendants = await Category.find({ ancestors: root._id, isActive: true }).select('name');
+
+    return [root.name, ...descendants.map(descendant => descendant.name)];
+  }
+
+  /**
+   * Names of a category and its ancestors, root first
+   * @param {String} name - Category name
+   * @returns {Array} Category names
+   */
+  async getLineageNames(name) {
+    const category = await Category.findOne({ name }).populate('ancestors', 'name');
+
+    if (!category) {
+      return [name];
+    }
+
+    return [...category.ancestors.map(ancestor => ancestor.name), category.name];
+  }
+
+  /**
+   * Loyalty points multiplier of a category: its own, else the nearest ancestor's, else 1
+   * @param {String} name - Category name
+   * @returns {Number} Multiplier
+   */
+  async getPointsMultiplier(name) {
+    const category = await Category.findOne({ name }).populate('ancestors', 'pointsMultiplier');
+
+    if (!category) {
+      return 1;
+    }
+
+    const lineage = [...category.ancestors, category].reverse();
+    const source = lineage.find(entry => entry.pointsMultiplier !== null && entry.pointsMultiplier !== undefined);
+
+    return source ? source.pointsMultiplier : 1;
+  }
+
+  /**
+   * Fail unless an active category with the name exists
+   * @param {String} name - Category name
+   */
+  async assertCategory(name) {
+    if (!(await Category.exists({ name, isActive: true }))) {
+      const error = new Error(`Category not found: ${name}`);
+      error.statusCode = 400;
+      throw error;
+    }
+  }
+
+  /**
+   * Find a category or fail
+   * @param {String} categoryId - Category ID
+   * @returns {Object} Category document
+   */
+  async findCategory(categoryId) {
+    const category = await Category.findById(categoryId);
+
+    if (!category) {
+      throw new Error('Category not found');
+    }
+
+    return category;
+  }
+}
+
+module.exports = new CategoryService();
@@ -0,0 +1,325 @@
+const crypto = require('crypto');
+const GiftCard = require('../models/GiftCard');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { roundAmount } = require('../utils/money');
+
+// Code alphabet without look-alike characters (0/O, 1/I)
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+/**
+ * Gift card service class
+ * Admin issuance, balance checks, and the checkout side: cards are debited with the order and
+ * credited back when the order is cancelled or refunded.
+ */
+class GiftCardService {
+  /**
+   * Issue a gift card (Admin)
+   * @param {Object} giftCardData - { amount, expiresAt, recipientEmail, note }
+   * @param {String} actorId - Admin user ID
+   * @returns {Object} Issued gift card (with its full code)
+   */
+  async issueGiftCard(giftCardData, actorId) {
+    try {
+      const { amount, expiresAt, recipientEmail, note } = giftCardData;
+      const validityMs = config.giftCards.validityDays * 24 * 60 * 60 * 1000;
+
+      const giftCard = new GiftCard({
+        code: await this.generateCode(),
+        initialBalance: amount,
+        balance: amount,
+        expiresAt: expiresAt || new Date(Date.now() + validityMs),
+        recipientEmail,
+        note,
+        issuedBy: actorId,
+        transactions: [{ type: 'issue', amount, balance: amount, note }]
+      });
+
+      await giftCard.save();
+
+      logger.info('Gift card issued:', { giftCardId: giftCard._id, amount, actorId });
+
+      return {
+        success: true,
+        message: 'Gift card issued successfully',
+        giftCard
+      };
+    } catch (error) {
+      logger.error('Error issuing gift card:', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Get gift cards (Admin)
+   * @param {Object} options - Filtering and pagination options
+   * @returns {Object} Gift card list
+   */
+  async getGiftCards(options = {}) {
+    try {
+      const { page = 1, limit = 20, isActive, code } = options;
+      const skip = (page - 1) * limit;
+
+      const filter = {};
+      if (isActive !== undefined) {
+        filter.isActive = isActive;
+      }
+      if (code) {
+        filter.code = code.trim().toUpperCase();
+      }
+
+      const giftCards = await GiftCard.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .select('-transactions');
+
+      const total = await GiftCard.countDocuments(filter);
+
+      return {
+        success: true,
+        giftCards,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalItems: total,
+          itemsPerPage: limit
+        }
+      };
+    } catch (error) {
+      logger.error('Error fetching gift cards:', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Get gift card details with its transactions (Admin)
+   * @param {String} giftCardId - Gift card ID
+   * @returns {Object} Gift card details
+   */
+  async getGiftCardById(giftCardId) {
+    try {
+      const giftCard = await GiftCard.findById(giftCardId)
+        .populate('transactions.order', 'orderNumber status');
+
+      if (!giftCard) {
+        throw new Error('Gift card not found');
+      }
+
+      return {
+        success: true,
+        giftCard
+      };
+    } catch (error) {
+      logger.error('Error fetching gift card:', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Update a gift card - deactivate it, move its expiry, edit the note (Admin)
+   * @param {String} giftCardId - Gift card ID
+   * @param {Object} updateData - { isActive, expiresAt, note }
+   * @returns {Object} Updated gift card
+   */
+  async updateGiftCard(giftCardId, updateData) {
+    try {
+      const giftCard = await GiftCard.findById(giftCardId).select('-transactions');
+
+      if (!giftCard) {
+        throw new Error('Gift card not found');
+      }
+
+      giftCard.set(updateData);
+      await giftCard.save();
+
+      logger.info('Gift card updated:', { giftCardId });
+
+      return {
+        success: true,
+        message: 'Gift card updated successfully',
+        giftCard
+      };
+    } catch (error) {
+      logger.error('Error updating gift card:', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Look up the balance of a gift card by its code
+   * @param {String} code - Gift card code
+   * @returns {Object} Balance information
+   */
+  async checkBalance(code) {
+    try {
+      const giftCard = await GiftCard.findOne({ code: code.trim().toUpperCase(), isActive: true })
+        .select('code balance expiresAt isActive');
+
+      if (!giftCard) {
+        throw new Error('Gift card not found');
+      }
+
+      return {
+        success: true,
+        giftCard: {
+          code: giftCard.getMaskedCode(),
+          balance: giftCard.balance,
+          expiresAt: giftCard.expiresAt,
+          usable: giftCard.isUsable()
+        }
+      };
+    } catch (error) {
+      logger.error('Error checking gift card balance:', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Work out how much each gift card pays, in the given order, up to the amount
+   * @param {Array} codes - Gift card codes
+   * @param {Number} amount - Amount to cover
+   * @returns {Array} Order gift card lines: [{ giftCard, code, amount }]
+   */
+  async prepareRedemption(codes, amount) {
+    const normalized = codes.map(code => code.trim().toUpperCase());
+    const giftCards = await GiftCard.find({ code: { $in: normalized } }).select('-transactions');
+    const now = new Date();
+
+    const lines = [];
+    let left = roundAmount(amount);
+
+    for (const code of normalized) {
+      const giftCard = giftCards.find(card => card.code === code);
+      const masked = `****-${code.slice(-4)}`;
+
+      if (!giftCard || !giftCard.isActive) {
+        const error = new Error(`Gift card not found: ${masked}`);
+        error.statusCode = 400;
+        throw error;
+      }
+
+      if (giftCard.expiresAt && giftCard.expiresAt <= now) {
+        const error = new Error(`Gift card has expired: ${masked}`);
+        error.statusCode = 400;
+        throw error;
+      }
+
+      if (giftCard.balance <= 0) {
+        const error = new Error(`Gift card has no balance left: ${masked}`);
+        error.statusCode = 400;
+        throw error;
+      }
+
+      const take = roundAmount(Math.min(giftCard.balance, left));
+      if (take > 0) {
+        lines.push({ giftCard: giftCard._id, code: masked, amount: take });
+        left = roundAmount(left - take);
+      }
+    }
+
+    return lines;
+  }
+
+  /**
+   * Debit the order's gift cards (inside the order transaction)
+   * A card whose balance or state changed since checkout fails the order.
+   * @param {Object} order - Order document with its gift card lines
+   * @param {Object} session - Transaction session
+   */
+  async redeem(order, session) {
+    const now = new Date();
+
+    for (const line of order.giftCards) {
+      const giftCard = await GiftCard.findOneAndUpdate(
+        {
+          _id: line.giftCard,
+          isActive: true,
+          balance: { $gte: line.amount },
+          $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }]
+        },
+        { $inc: { balance: -line.amount } },
+        { session, new: true, projection: { balance: 1 } }
+      );
+
+      if (!giftCard) {
+        const error = new Error(`Gift card can no longer cover ${line.amount}: ${line.code}`);
+        error.statusCode = 409;
+        throw error;
+      }
+
+      await GiftCard.updateOne(
+        { _id: giftCard._id },
+        { $push: { transactions: { type: 'redeem', amount: -line.amount, balance: giftCard.balance, order: order._id } } },
+        { session }
+      );
+    }
+  }
+
+  /**
+   * Put an amount back on the order's gift cards, last used card first (caller saves the order)
+   * @param {Object} order - Order document
+   * @param {Number} amount - Amount to restore (at most what is still restorable)
+   * @param {String} note - Transaction note
+   * @param {Object} session - Transaction session
+   * @returns {Number} Restored amount
+   */
+  async restore(order, amount, note = '', session) {
+    let left = roundAmount(Math.min(amount, order.getRestorableGiftCardAmount()));
+    let restored = 0;
+
+    for (const line of [...order.giftCards].reverse()) {
+      if (left <= 0) {
+        break;
+      }
+
+      const take = roundAmount(Math.min(line.amount - line.restored, left));
+      if (take <= 0) {
+        continue;
+      }
+
+      const giftCard = await GiftCard.findByIdAndUpdate(
+        line.giftCard,
+        { $inc: { balance: take } },
+        { session, new: true, projection: { balance: 1 } }
+      );
+
+      if (giftCard) {
+        await GiftCard.updateOne(
+          { _id: giftCard._id },
+          { $push: { transactions: { type: 'restore', amount: take, balance: giftCard.balance, order: order._id, note } } },
+          { session }
+        );
+      } else {
+        logger.error('Gift card to restore not found:', { giftCardId: line.giftCard, orderId: order._id });
+      }
+
+      line.restored = roundAmount(line.restored + take);
+      left = roundAmount(left - take);
+      restored = roundAmount(restored + take);
+    }
+
+    if (restored > 0) {
+      logger.info('Gift card balance restored:', { orderId: order._id, amount: restored });
+    }
+
+    return restored;
+  }
+
+  /**
+   * Generate an unused code of the form XXXX-XXXX-XXXX-XXXX
+   * @returns {String} Gift card code
+   */
+  async generateCode() {
+    for (;;) {
+      const characters = [...crypto.randomBytes(16)].map(byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]);
+      const code = characters.join('').match(/.{4}/g).join('-');
+
+      if (!(await GiftCard.exists({ code }))) {
+        return code;
+      }
+    }
+  }
+}
+
+module.exports = new GiftCardService();
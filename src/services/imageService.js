@@ -0,0 +1,226 @@
+const mongoose = require('mongoose');
+const sharp = require('sharp');
+const Product = require('../models/Product');
+const storage = require('../storage');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+// Image formats accepted as originals => file extension
+const IMAGE_FORMATS = {
+  jpeg: 'jpg',
+  png: 'png',
+  webp: 'webp'
+};
+
+/**
+ * Product image service class
+ * Stores uploaded originals with resized renditions through the storage adapter and keeps Product.images
+ * (with its single primary image) in step.
+ */
+class ImageService {
+  /**
+   * Upload images to a product (Admin)
+   * @param {String} productId - Product ID
+   * @param {Array} files - Uploaded files (multer, in memory)
+   * @param {Object} options - { alt, isPrimary } applied to the uploaded images (primary: the first one)
+   * @returns {Object} Added images
+   */
+  async uploadProductImages(productId, files, options = {}) {
+    const storedKeys = [];
+
+    try {
+      const { alt, isPrimary = false } = options;
+
+      const product = await Product.findById(productId);
+
+      if (!product) {
+        throw new Error('Product not found');
+      }
+
+      const images = [];
+      for (const file of files) {
+        const image = await this.storeImage(productId, file, storedKeys);
+        images.push({ ...image, ...(alt && { alt }) });
+      }
+
+      if (isPrimary) {
+        product.images.forEach(image => {
+          image.isPrimary = false;
+        });
+        images[0].isPrimary = true;
+      }
+
+      product.images.push(...images);
+      await product.save();
+
+      logger.info('Product images uploaded:', { productId, count: images.length });
+
+      return {
+        success: true,
+        message: 'Images uploaded successfully',
+        images: product.images.slice(-images.length)
+      };
+    } catch (error) {
+      // Don't leave files behind for images that were never attached
+      await this.deleteFiles(storedKeys);
+
+      logger.error('Error uploading product images:', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Make an image the product's primary image (Admin)
+   * @param {String} productId - Product ID
+   * @param {String} imageId - Image ID
+   * @returns {Object} Product images
+   */
+  async setPrimaryImage(productId, imageId) {
+    try {
+      const product = await this.findProductImage(productId, imageId);
+
+      product.images.forEach(image => {
+        image.isPrimary = image._id.equals(imageId);
+      });
+      await product.save();
+
+      logger.info('Primary product image changed:', { productId, imageId });
+
+      return {
+        success: true,
+        message: 'Primary image updated',
+        images: product.images
+      };
+    } catch (error) {
+      logger.error('Error setting primary image:', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Remove an image from a product and delete its stored files (Admin)
+   * A removed primary image passes the role on to the first remaining image.
+   * @param {String} productId - Product ID
+   * @param {String} imageId - Image ID
+   * @returns {Object} Product images
+   */
+  async deleteImage(productId, imageId) {
+    try {
+      const product = await this.findProductImage(productId, imageId);
+      const image = product.images.id(imageId);
+      const storageKeys = [...(image.storageKeys || [])];
+
+      image.deleteOne();
+      await product.save();
+
+      await this.deleteFiles(storageKeys);
+
+      logger.info('Product image deleted:', { productId, imageId });
+
+      return {
+        success: true,
+        message: 'Image deleted successfully',
+        images: product.images
+      };
+    } catch (error) {
+      logger.error('Error deleting product image:', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Store an uploaded original and its renditions
+   * @param {String} productId - Product ID
+   * @param {Object} file - Uploaded file
+   * @param {Array} storedKeys - Collects the keys written (for cleanup)
+   * @returns {Object} Product image data
+   */
+  async storeImage(productId, file, storedKeys) {
+    let metadata;
+    try {
+      metadata = await sharp(file.buffer).metadata();
+    } catch (error) {
+      metadata = {};
+    }
+
+    // The declared type was checked already; the content has to agree
+    const extension = IMAGE_FORMATS[metadata.format];
+    if (!extension) {
+      const error = new Error(`Invalid image file: ${file.originalname}`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const imageId = new mongoose.Types.ObjectId();
+    const base = `products/${productId}/${imageId}`;
+
+    const save = async (key, buffer) => {
+      const url = await storage.save(key, buffer);
+      storedKeys.push(key);
+      return url;
+    };
+
+    const url = await save(`${base}/original.${extension}`, file.buffer);
+
+    const renditions = {};
+    for (const [name, size] of Object.entries(config.images.renditions)) {
+      const buffer = await sharp(file.buffer)
+        .rotate()
+        .resize({ width: size, height: size, fit: 'inside', withoutEnlargement: true })
+        .webp({ quality: 80 })
+        .toBuffer();
+
+      renditions[name] = await save(`${base}/${name}.webp`, buffer);
+    }
+
+    // Dimensions as displayed (EXIF orientation applied)
+    const { width, height } = metadata.autoOrient || metadata;
+
+    return {
+      _id: imageId,
+      url,
+      renditions,
+      width,
+      height,
+      storageKeys: storedKeys.filter(key => key.startsWith(base))
+    };
+  }
+
+  /**
+   * Delete stored files, logging (not throwing) failures
+   * @param {Array} keys - Storage keys
+   */
+  async deleteFiles(keys) {
+    for (const key of keys) {
+      try {
+        await storage.delete(key);
+      } catch (error) {
+        logger.error('Error deleting stored file:', { key, error: error.message });
+      }
+    }
+  }
+
+  /**
+   * Find a product having the image, or fail
+   * @param {String} productId - Product ID
+   * @param {String} imageId - Image ID
+   * @returns {Object} Product document
+   */
+  async findProductImage(productId, imageId) {
+    const product = await Product.findById(productId);
+
+    if (!product) {
+      throw new Error('Product not found');
+    }
+
+    if (!product.images.id(imageId)) {
+      const error = new Error('Image not found');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    return product;
+  }
+}
+
+module.exports = new ImageService();
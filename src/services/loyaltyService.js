@@ -0,0 +1,353 @@
+const mongoose = require('mongoose');
+const LoyaltyAccount = require('../models/LoyaltyAccount');
+const LoyaltyTransaction = require('../models/LoyaltyTransaction');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const CategoryService = require('./categoryService');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { roundAmount } = require('../utils/money');
+
+/**
+ * Loyalty program service class
+ * Delivered orders earn points (rate per currency unit paid, category and tier multipliers) that stay pending
+ * for the return window; available points are redeemed as a discount at checkout. Refunds claw earned points
+ * back, and the tier follows the spend of the last 12 months of delivered orders.
+ */
+class LoyaltyService {
+  /**
+   * Get a user's points, tier and points history
+   * @param {String} userId - User ID
+   * @param {Object} options - Pagination options and type filter
+   * @returns {Object} Loyalty information
+   */
+  async getLoyalty(userId, options = {}) {
+    try {
+      const { page = 1, limit = 20, type } = options;
+      const skip = (page - 1) * limit;
+
+      const account = await LoyaltyAccount.findOne({ user: userId });
+      const points = account ? account.points : 0;
+
+      const filter = { user: userId };
+      if (type) {
+        filter.type = type;
+      }
+
+      const transactions = await LoyaltyTransaction.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .populate('order', 'orderNumber status');
+
+      const total = await LoyaltyTransaction.countDocuments(filter);
+
+      return {
+        success: true,
+        loyalty: {
+          points,
+          pendingPoints: account ? account.pendingPoints : 0,
+          value: roundAmount(Math.max(points, 0) * config.loyalty.pointValue),
+          pointValue: config.loyalty.pointValue,
+          minRedeemPoints: config.loyalty.minRedeemPoints,
+          tier: await this.getTier(userId)
+        },
+        transactions,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalItems: total,
+          itemsPerPage: limit
+        }
+      };
+    } catch (error) {
+      logger.error('Error fetching loyalty points:', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Tier of a user from the spend (net of refunds) of orders delivered in the last 12 months
+   * @param {String} userId - User ID
+   * @param {Date} now - Reference time
+   * @returns {Object} { name, multiplier, spend, next: { name, minSpend, remaining } }
+   */
+  async getTier(userId, now = new Date()) {
+    const since = new Date(now);
+    since.setFullYear(since.getFullYear() - 1);
+
+    const [result] = await Order.aggregate([
+      {
+        $match: {
+          user: new mongoose.Types.ObjectId(String(userId)),
+          status: 'delivered',
+          deliveredAt: { $gte: since, $lte: now }
+        }
+      },
+      { $group: { _id: null, spend: { $sum: { $subtract: ['$total', '$refundedAmount'] } } } }
+    ]);
+
+    const spend = roundAmount(result ? result.spend : 0);
+    const tiers = config.loyalty.tiers;
+    const index = tiers.reduce((found, tier, i) => spend >= tier.minSpend ? i : found, 0);
+    const next = tiers[index + 1];
+
+    return {
+      name: tiers[index].name,
+      multiplier: tiers[index].multiplier,
+      spend,
+      next: next ? { name: next.name, minSpend: next.minSpend, remaining: roundAmount(next.minSpend - spend) } : null
+    };
+  }
+
+  /**
+   * Check a points redemption against the user's points and work out its discount
+   * @param {String} userId - User ID
+   * @param {Number} points - Points to redeem
+   * @param {Number} limit - Largest discount the order allows
+   * @returns {Object} { points, amount }
+   */
+  async prepareRedemption(userId, points, limit) {
+    const account = await LoyaltyAccount.findOne({ user: userId });
+    const available = account ? account.points : 0;
+
+    if (points > available) {
+      const error = new Error(`Not enough loyalty points. Available: ${Math.max(available, 0)}`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const amount = roundAmount(points * config.loyalty.pointValue);
+    if (amount > limit) {
+      const error = new Error(`At most ${Math.floor(limit / config.loyalty.pointValue)} points can be redeemed on this order`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    return { points, amount };
+  }
+
+  /**
+   * Debit the order's redeemed points (inside the order transaction)
+   * @param {Object} order - Order document
+   * @param {Object} session - Transaction session
+   */
+  async redeem(order, session) {
+    const points = order.loyalty.pointsRedeemed;
+
+    if (!points) {
+      return;
+    }
+
+    const account = await LoyaltyAccount.findOneAndUpdate(
+      { user: order.user, points: { $gte: points } },
+      { $inc: { points: -points } },
+      { session, new: true }
+    );
+
+    if (!account) {
+      const error = new Error(`Not enough loyalty points to redeem ${points}`);
+      error.statusCode = 409;
+      throw error;
+    }
+
+    await LoyaltyTransaction.create([{
+      user: order.user,
+      type: 'redeem',
+      points: -points,
+      order: order._id
+    }], { session });
+  }
+
+  /**
+   * Give back the points a cancelled order redeemed (inside the cancellation transaction, caller saves the order)
+   * @param {Object} order - Order document
+   * @param {Object} session - Transaction session
+   * @returns {Number} Restored points
+   */
+  async releaseRedemption(order, session) {
+    const points = order.loyalty.pointsRedeemed;
+
+    if (!points || order.loyalty.redemptionRestored) {
+      return 0;
+    }
+
+    await LoyaltyAccount.updateOne({ user: order.user }, { $inc: { points } }, { upsert: true, session });
+    await LoyaltyTransaction.create([{ user: order.user, type: 'restore', points, order: order._id }], { session });
+
+    order.loyalty.redemptionRestored = true;
+
+    logger.info('Loyalty points restored:', { orderId: order._id, points });
+
+    return points;
+  }
+
+  /**
+   * Award the points of a delivered order, pending until its return window is over (caller saves the order)
+   * @param {Object} order - Order document
+   * @returns {Number} Earned points
+   */
+  async awardPoints(order) {
+    if (order.loyalty.pointsEarned > 0 || await LoyaltyTransaction.exists({ order: order._id, type: 'earn' })) {
+      return 0;
+    }
+
+    const tier = await this.getTier(order.user);
+    const points = Math.floor(await this.calculateBase(order) * config.loyalty.pointsPerUnit * tier.multiplier);
+
+    if (points <= 0) {
+      return 0;
+    }
+
+    const windowMs = config.returns.windowDays * 24 * 60 * 60 * 1000;
+
+    await LoyaltyTransaction.create({
+      user: order.user,
+      type: 'earn',
+      points,
+      status: 'pending',
+      pending: points,
+      availableAt: new Date((order.deliveredAt || new Date()).getTime() + windowMs),
+      tier: tier.name,
+      order: order._id
+    });
+    await LoyaltyAccount.updateOne({ user: order.user }, { $inc: { pendingPoints: points } }, { upsert: true });
+
+    order.loyalty.pointsEarned = points;
+
+    logger.info('Loyalty points earned:', { orderId: order._id, points, tier: tier.name });
+
+    // Refunds made before delivery count right away
+    await this.clawback(order);
+
+    return points;
+  }
+
+  /**
+   * Take back the share of an order's earned points that its refunds cover (caller saves the order)
+   * Pending points go first; points already released come off the balance, which may go negative if
+   * they were spent.
+   * @param {Object} order - Order document
+   * @param {Object} session - Transaction session
+   * @returns {Number} Clawed back points
+   */
+  async clawback(order, session) {
+    const earned = order.loyalty.pointsEarned;
+
+    if (!earned || order.total <= 0) {
+      return 0;
+    }
+
+    const target = Math.min(earned, Math.round(earned * order.refundedAmount / order.total));
+    const points = target - order.loyalty.pointsClawedBack;
+
+    if (points <= 0) {
+      return 0;
+    }
+
+    let fromPending = 0;
+    const earn = await LoyaltyTransaction.findOne({ order: order._id, type: 'earn', status: 'pending' }).session(session);
+
+    if (earn) {
+      const take = Math.min(points, earn.pending);
+      const claimed = await LoyaltyTransaction.updateOne(
+        { _id: earn._id, status: 'pending', pending: earn.pending },
+        { $set: { pending: earn.pending - take } },
+        { session }
+      );
+
+      // Released in the meantime => the points come off the balance
+      if (claimed.modifiedCount > 0) {
+        fromPending = take;
+      }
+    }
+
+    await LoyaltyAccount.updateOne(
+      { user: order.user },
+      { $inc: { pendingPoints: -fromPending, points: -(points - fromPending) } },
+      { upsert: true, session }
+    );
+    await LoyaltyTransaction.create([{ user: order.user, type: 'clawback', points: -points, order: order._id }], { session });
+
+    order.loyalty.pointsClawedBack = target;
+
+    logger.info('Loyalty points clawed back:', { orderId: order._id, points });
+
+    return points;
+  }
+
+  /**
+   * Make earned points available once their return window is over (scheduler job)
+   * Entries are claimed one by one, so concurrent runs don't release one twice; each claim and its
+   * balance change share a transaction.
+   * @param {Date} now - Reference time
+   * @returns {Object} Count of released entries and points
+   */
+  async releasePoints(now = new Date()) {
+    const result = { released: 0, points: 0 };
+
+    const due = await LoyaltyTransaction.find({ type: 'earn', status: 'pending', availableAt: { $lte: now } })
+      .limit(500);
+
+    for (const entry of due) {
+      let claimed;
+
+      await mongoose.connection.transaction(async (session) => {
+        // The entry as it was when claimed carries what is left to release
+        claimed = await LoyaltyTransaction.findOneAndUpdate(
+          { _id: entry._id, status: 'pending' },
+          { $set: { status: 'available', pending: 0 } },
+          { session }
+        );
+
+        if (claimed) {
+          await LoyaltyAccount.updateOne(
+            { user: claimed.user },
+            { $inc: { pendingPoints: -claimed.pending, points: claimed.pending } },
+            { upsert: true, session }
+          );
+        }
+      });
+
+      if (!claimed) {
+        continue;
+      }
+
+      result.released++;
+      result.points += claimed.pending;
+    }
+
+    if (result.released > 0) {
+      logger.info('Loyalty points released:', result);
+    }
+
+    return result;
+  }
+
+  /**
+   * Amount an order earns on: what was paid for each line, weighted by its category multiplier
+   * @param {Object} order - Order document
+   * @returns {Number} Weighted amount
+   */
+  async calculateBase(order) {
+    const products = await Product.find({ _id: { $in: order.items.map(item => item.product) } })
+      .select('category');
+    const multipliers = new Map();
+
+    let base = 0;
+    for (const item of order.items) {
+      const product = products.find(entry => entry._id.equals(item.product));
+      const category = product ? product.category : null;
+
+      if (category && !multipliers.has(category)) {
+        multipliers.set(category, await CategoryService.getPointsMultiplier(category));
+      }
+
+      base += order.getItemPaidAmount(item) * (category ? multipliers.get(category) : 1);
+    }
+
+    return base;
+  }
+}
+
+module.exports = new LoyaltyService();
@@ -1,8 +1,22 @@
+const mongoose = require('mongoose');
 const Order = require('../models/Order');
 const Product = require('../models/Product');
 const CartService = require('./cartService');
 const ProductService = require('./productService');
+const PaymentService = require('./paymentService');
+const PromotionService = require('./promotionService');
+const GiftCardService = require('./giftCardService');
+const WalletService = require('./walletService');
+const LoyaltyService = require('./loyaltyService');
+const ShippingService = require('./shippingService');
+const ReservationService = require('./reservationService');
+const WarehouseService = require('./warehouseService');
+const config = require('../config');
 const logger = require('../utils/logger');
+const { roundAmount } = require('../utils/money');
+
+// Payment methods paid after the order is placed; their stock is held only until the payment deadline
+const DEFERRED_PAYMENT_METHODS = ['bank_transfer'];
 
 /**
  * Order management service class
@@ -24,8 +38,12 @@ class OrderService {
         throw new Error('Cart is empty');
       }
 
+      // Units this cart already holds from checkout count as available
+      const reserved = await ReservationService.getCartReservedQuantities(userId);
+
       // Check stock and prepare order item data
       const orderItems = [];
+      const outOfStock = [];
       let subtotal = 0;
 
       for (const item of cart.items) {
@@ -35,26 +53,104 @@ class OrderService {
           throw new Error(`Product not found: ${item.name}`);
         }
 
-        if (product.stock < item.quantity) {
-          throw new Error(`Insufficient stock: ${product.name}`);
+        // Lines of a product with variants always name the variant
+        const variant = product.findVariant(item.variant);
+        if (product.variants.length > 0 && (!variant || !variant.isActive)) {
+          throw new Error(`Product not found: ${item.name}`);
         }
 
-        const itemTotal = product.finalPrice * item.quantity;
+        const stock = variant || product;
+        const reservedQuantity = (reserved.get(ProductService.stockKey(item)) || {}).quantity || 0;
+
+        if (stock.availableStock + reservedQuantity < item.quantity) {
+          outOfStock.push(ProductService.describeShortage(product, item.quantity, item.variant));
+          continue;
+        }
+
+        const itemTotal = stock.finalPrice * item.quantity;
         subtotal += itemTotal;
 
         orderItems.push({
           product: product._id,
+          variant: variant ? variant._id : undefined,
           name: product.name,
+          sku: variant ? variant.sku : product.sku,
+          options: variant ? variant.options : undefined,
           quantity: item.quantity,
-          price: product.finalPrice,
+          price: stock.finalPrice,
           total: itemTotal
         });
       }
 
+      // Fail before touching the payment method
+      if (outOfStock.length > 0) {
+        throw ProductService.stockConflictError(outOfStock);
+      }
+
+      // Promotions are checked again against the prices charged now
+      const pricing = await PromotionService.evaluate(orderItems, { coupons: cart.coupons || [], userId });
+      if (pricing.rejected.length > 0) {
+        const [{ code, reason }] = pricing.rejected;
+        const error = new Error(`Coupon ${code} cannot be used: ${reason}`);
+        error.statusCode = 400;
+        throw error;
+      }
+
+      orderItems.forEach((item, index) => {
+        item.discount = pricing.itemDiscounts[index];
+      });
+      let discountTotal = pricing.discountTotal;
+
+      // Loyalty points are a discount on what promotions leave, spread over the lines
+      const redemption = orderData.loyaltyPoints
+        ? await LoyaltyService.prepareRedemption(userId, orderData.loyaltyPoints, roundAmount(subtotal - discountTotal))
+        : null;
+      if (redemption) {
+        const shares = PromotionService.allocate(
+          orderItems.map(item => ({ remaining: item.total - item.discount })),
+          redemption.amount
+        );
+        orderItems.forEach((item, index) => {
+          item.discount = roundAmount(item.discount + shares[index]);
+        });
+        discountTotal = roundAmount(discountTotal + redemption.amount);
+      }
+
+      const discountedSubtotal = roundAmount(subtotal - discountTotal);
+
       // Calculate shipping and tax
-      const shippingCost = this.calculateShipping(subtotal, orderData.shippingAddress);
-      const tax = this.calculateTax(subtotal, orderData.shippingAddress);
-      const total = subtotal + shippingCost + tax;
+      const shippingQuote = await ShippingService.quote(orderItems, orderData.shippingAddress, discountedSubtotal, {
+        freeShipping: pricing.freeShipping
+      });
+      const shippingMethod = shippingQuote.methods.find(method => method.type === orderData.shippingMethod);
+
+      if (!shippingMethod) {
+        const error = new Error(`Shipping method ${orderData.shippingMethod} is not available for this address`);
+        error.statusCode = 400;
+        throw error;
+      }
+
+      const shippingCost = shippingMethod.price;
+      const tax = this.calculateTax(discountedSubtotal, orderData.shippingAddress);
+      const total = roundAmount(discountedSubtotal + shippingCost + tax);
+
+      const discounts = pricing.discounts.map(line => ({
+        ...line,
+        amount: line.type === 'free_shipping' ? shippingMethod.promotionDiscount : line.amount
+      }));
+      if (redemption) {
+        discounts.push({ type: 'loyalty_points', name: `${redemption.points} loyalty points`, amount: redemption.amount });
+      }
+
+      // Gift cards pay first, then store credit; the payment method covers the rest
+      const giftCards = orderData.giftCards && orderData.giftCards.length > 0
+        ? await GiftCardService.prepareRedemption(orderData.giftCards, total)
+        : [];
+      const giftCardTotal = roundAmount(giftCards.reduce((sum, line) => sum + line.amount, 0));
+
+      const storeCredit = orderData.useStoreCredit
+        ? roundAmount(Math.min(await WalletService.getAvailableBalance(userId), total - giftCardTotal))
+        : 0;
 
       // Create order
       const order = new Order({
@@ -67,21 +163,58 @@ class OrderService {
           status: 'pending'
         },
         subtotal,
+        discounts,
+        discountTotal,
         shipping: {
           cost: shippingCost,
-          method: orderData.shippingMethod || 'standard'
+          method: shippingMethod.type,
+          estimatedDelivery: shippingMethod.estimatedDelivery
         },
         tax,
         total,
+        giftCards,
+        giftCardTotal,
+        storeCredit,
+        loyalty: {
+          pointsRedeemed: redemption ? redemption.points : 0
+        },
         notes: orderData.notes
       });
 
-      await order.save();
+      const amountDue = order.getAmountDue();
+      if (['gift_card', 'store_credit'].includes(order.payment.method) && amountDue > 0) {
+        const error = new Error(`Gift cards and store credit don't cover the order; choose a payment method for the remaining ${amountDue}`);
+        error.statusCode = 400;
+        throw error;
+      }
 
-      // Update product stock
-      for (const item of orderItems) {
-        await ProductService.updateStock(item.product, -item.quantity);
-      }        
+      // Nothing left to charge once gift cards and store credit cover the total
+      if (amountDue === 0) {
+        order.payment.status = 'completed';
+        order.payment.paidAt = new Date();
+      }
+
+      // Card payments are authorized before anything is persisted
+      const chargeNow = amountDue > 0 && PaymentService.requiresGateway(order.payment.method);
+      if (chargeNow) {
+        await order.validate();
+        await PaymentService.authorize(order, orderData.card);
+      }
+
+      try {
+        await this.placeOrder(order, userId);
+      } catch (error) {
+        if (order.payment.status === 'authorized') {
+          await PaymentService.void(order).catch(voidError => {
+            logger.error('Payment void error:', { orderNumber: order.orderNumber, error: voidError.message });
+          });
+        }
+        throw error;
+      }
+
+      if (chargeNow) {
+        await this.capturePayment(order);
+      }
 
       // Clear the cart
       await CartService.clearCart(userId);
@@ -99,6 +232,149 @@ class OrderService {
     }
   }
 
+  /**
+   * Decrement stock for every line and save the order in one transaction
+   * Each decrement only applies while enough unreserved stock is left, so concurrent checkouts cannot oversell;
+   * the cart's own reservations are handed to the order and freed by the deduction. Any shortage or failure rolls back every write.
+   * Each line is deducted from the warehouses it is allocated to; the order's promotions are counted as used
+   * and its gift cards, store credit and loyalty points debited.
+   * @param {Object} order - Unsaved order document
+   * @param {String} cartId - Cart identifier whose reservations are converted
+   * @returns {Object} Saved order
+   */
+  async placeOrder(order, cartId) {
+    await mongoose.connection.transaction(async (session) => {
+      const reserved = await ReservationService.holdForOrder(cartId, order, session);
+      const allocations = await WarehouseService.allocateItems(order.items, order.shippingAddress, session);
+      const outOfStock = [];
+
+      for (const [index, item] of order.items.entries()) {
+        const key = ProductService.stockKey(item);
+        let releaseReserved = (reserved.get(key) || {}).quantity || 0;
+        reserved.delete(key);
+
+        item.allocations = allocations[index];
+
+        try {
+          for (const allocation of item.allocations) {
+            await ProductService.updateStock(item.product, -allocation.quantity, {
+              session,
+              releaseReserved,
+              variant: item.variant,
+              warehouse: allocation.warehouse,
+              reason: 'sale',
+              actor: order.user,
+              order: order._id
+            });
+
+            // The line's reservation is freed with its first deduction
+            releaseReserved = 0;
+          }
+        } catch (error) {
+          if (error.statusCode !== 409) {
+            throw error;
+          }
+
+          const product = await Product.findById(item.product).session(session);
+          outOfStock.push(ProductService.describeShortage(product, item.quantity, item.variant));
+        }
+      }
+
+      if (outOfStock.length > 0) {
+        throw ProductService.stockConflictError(outOfStock);
+      }
+
+      // Reserved products that are no longer in the order
+      for (const { product, variant, quantity } of reserved.values()) {
+        await ReservationService.releaseReservedStock(product, quantity, session, variant);
+      }
+
+      // Usage limits are claimed, gift cards, store credit and points debited with the order
+      await PromotionService.redeem(order, session);
+      await GiftCardService.redeem(order, session);
+      await WalletService.redeem(order, session);
+      await LoyaltyService.redeem(order, session);
+
+      await order.save({ session });
+    });
+
+    return order;
+  }
+
+  /**
+   * Capture an authorized order payment; cancels the order if the capture fails
+   * @param {Object} order - Order document
+   * @returns {Object} Order document
+   */
+  async capturePayment(order) {
+    try {
+      await PaymentService.capture(order);
+
+      await mongoose.connection.transaction(async (session) => {
+        await order.save({ session });
+        await ReservationService.convertForOrder(order, session);
+      });
+
+      return order;
+    } catch (error) {
+      logger.error('Payment capture error:', { orderId: order._id, error: error.message });
+
+      // Cancelling restores stock and voids the authorization
+      try {
+        await this.transitionOrder(order, 'cancelled', 'Payment capture failed');
+      } catch (cancelError) {
+        logger.error('Error cancelling unpaid order:', { orderId: order._id, error: cancelError.message });
+      }
+
+      throw error;
+    }
+  }
+
+  /**
+   * Cancel orders whose payment didn't arrive in time, putting their stock back on sale (scheduler job)
+   * Each order is claimed by failing its pending payment first, so one paid in the meantime is kept.
+   * @param {Date} now - Reference time
+   * @returns {Object} Count of cancelled orders
+   */
+  async cancelUnpaidOrders(now = new Date()) {
+    const deadline = new Date(now.getTime() - config.inventory.unpaidOrderHours * 60 * 60 * 1000);
+    const result = { cancelled: 0 };
+
+    const due = await Order.find({
+      status: { $in: ['pending', 'confirmed'] },
+      'payment.method': { $in: DEFERRED_PAYMENT_METHODS },
+      'payment.status': 'pending',
+      createdAt: { $lte: deadline }
+    })
+      .select('_id')
+      .limit(500);
+
+    for (const { _id } of due) {
+      const order = await Order.findOneAndUpdate(
+        { _id, status: { $in: ['pending', 'confirmed'] }, 'payment.status': 'pending' },
+        { $set: { 'payment.status': 'failed', 'payment.failureReason': 'payment_expired' } },
+        { new: true }
+      );
+
+      if (!order) {
+        continue;
+      }
+
+      try {
+        await this.transitionOrder(order, 'cancelled', 'Payment not received in time');
+        result.cancelled++;
+      } catch (error) {
+        logger.error('Error cancelling unpaid order:', { orderId: _id, error: error.message });
+      }
+    }
+
+    if (result.cancelled > 0) {
+      logger.info('Unpaid orders cancelled:', result);
+    }
+
+    return result;
+  }
+
   /**
    * Get user orders
    * @param {String} userId - User ID
@@ -234,8 +510,7 @@ class OrderService {
         throw new Error('Order not found');
       }
 
-      order.updateStatus(status, note);
-      await order.save();
+      await this.transitionOrder(order, status, note);
 
       logger.info('Order status updated:', { orderId, status });
 
@@ -250,6 +525,31 @@ class OrderService {
     }
   }
 
+  /**
+   * Get the status transitions currently allowed for an order (Admin)
+   * @param {String} orderId - Order ID
+   * @returns {Object} Current status and allowed next statuses
+   */
+  async getOrderTransitions(orderId) {
+    try {
+      const order = await Order.findById(orderId);
+
+      if (!order) {
+        throw new Error('Order not found');
+      }
+
+      return {
+        success: true,
+        orderId: order._id,
+        status: order.status,
+        transitions: order.getAvailableTransitions()
+      };
+    } catch (error) {
+      logger.error('Error retrieving order transitions:', { error: error.message });
+      throw error;
+    }
+  }
+
   /**
    * Cancel order
    * @param {String} orderId - Order ID
@@ -265,19 +565,12 @@ class OrderService {
         throw new Error('Order not found');
       }
 
+      // Customers may only cancel before the order is being processed
       if (!['pending', 'confirmed'].includes(order.status)) {
         throw new Error('This order cannot be cancelled');
       }
 
-      // Restore product stock
-      for (const item of order.items) {
-        await ProductService.updateStock(item.product, item.quantity);
-      }
-
-      order.status = 'cancelled';
-      order.cancelReason = reason;
-      order.cancelledAt = new Date();
-      await order.save();
+      await this.transitionOrder(order, 'cancelled', reason);
 
       logger.info('Order cancelled:', { orderId, userId, reason });
 
@@ -293,29 +586,341 @@ class OrderService {
   }
 
   /**
-   * Calculate shipping cost
-   * @param {Number} subtotal - Subtotal amount
-   * @param {Object} address - Shipping address
-   * @returns {Number} Shipping cost
+   * Refund an order fully or partially (Admin)
+   * @param {String} orderId - Order ID
+   * @param {Object} refundData - { items: [{ itemId, quantity }], amount, restock, reason, toStoreCredit }
+   * @param {String} actorId - Admin user ID
+   * @returns {Object} Refund result
+   */
+  async refundOrder(orderId, refundData, actorId) {
+    try {
+      const order = await Order.findById(orderId);
+
+      if (!order) {
+        throw new Error('Order not found');
+      }
+
+      const refund = await this.recordRefund(order, { ...refundData, actorId });
+
+      logger.info('Order refunded:', { orderId, amount: refund.amount, actorId });
+
+      return {
+        success: true,
+        message: 'Refund processed',
+        refund,
+        order
+      };
+    } catch (error) {
+      logger.error('Error refunding order:', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Refund part of an order's payment, add it to the refund ledger and save the order
+   * The amount is the given amount, or the value of the selected items when no amount is given.
+   * Gift cards are paid back first, then spent store credit; the payment method gets the rest, or the
+   * customer's wallet when the refund is paid as store credit. A refund the provider already made (reported by
+   * webhook) is recorded against the payment method alone.
+   * The provider refund is keyed on the order's next ledger position, so a retry after a failed save gets the
+   * first refund back instead of paying twice; the local writes (balances, stock, points, order) share one transaction.
+   * @param {Object} order - Order document
+   * @param {Object} refundData - { items, amount, restock, reason, actorId, stockReason, toStoreCredit, providerRefund: { refundId, transactionId } }
+   * @param {Object} session - Caller's transaction session; a new transaction is opened without one
+   * @returns {Object} Ledger entry
+   */
+  async recordRefund(order, { items = [], amount, restock = false, reason = '', actorId, stockReason = 'refund', toStoreCredit = false, providerRefund } = {}, session) {
+    const refundable = providerRefund ? order.getRefundablePaymentAmount() : order.getRefundableAmount();
+
+    if (refundable <= 0) {
+      const error = new Error('Order has no captured payment left to refund');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    // Resolve the selected line items
+    const refundItems = [];
+    for (const { itemId, quantity } of items) {
+      const orderItem = order.items.id(itemId);
+
+      if (!orderItem) {
+        const error = new Error(`Order item not found: ${itemId}`);
+        error.statusCode = 400;
+        throw error;
+      }
+
+      if (orderItem.refundedQuantity + quantity > orderItem.quantity) {
+        const error = new Error(`Refund quantity exceeds ordered quantity: ${orderItem.name}`);
+        error.statusCode = 400;
+        throw error;
+      }
+
+      refundItems.push({
+        orderItem,
+        quantity,
+        amount: order.getItemPaidAmount(orderItem, quantity)
+      });
+    }
+
+    const refundAmount = roundAmount(
+      amount ?? refundItems.reduce((total, item) => total + item.amount, 0)
+    );
+
+    if (refundAmount <= 0) {
+      const error = new Error('Refund amount must be greater than 0');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    if (refundAmount > roundAmount(refundable)) {
+      const error = new Error(`Refund exceeds the paid amount. Refundable: ${roundAmount(refundable)}`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const giftCardAmount = providerRefund ? 0 : roundAmount(Math.min(refundAmount, order.getRestorableGiftCardAmount()));
+    const restoredCredit = providerRefund ? 0 : roundAmount(Math.min(refundAmount - giftCardAmount, order.getRestorableStoreCredit()));
+    const paymentAmount = roundAmount(refundAmount - giftCardAmount - restoredCredit);
+    const creditAmount = toStoreCredit && !providerRefund ? paymentAmount : 0;
+    const note = reason || `Refund of order ${order.orderNumber}`;
+
+    // Gateway payments are refunded at the provider; others are settled outside the system
+    let { transactionId, refundId } = providerRefund || {};
+    if (paymentAmount > 0 && !providerRefund && !toStoreCredit && order.payment.provider && order.payment.transactionId) {
+      const result = await PaymentService.refund(order, paymentAmount, `${order._id}:refund:${order.refunds.length + 1}`);
+      transactionId = result.transactionId;
+      refundId = result.refundId;
+    }
+
+    let attempts = 0;
+    await this.inTransaction(session, async (session) => {
+      // The order was already changed in memory by the aborted attempt; the caller retries with a fresh copy
+      if (attempts++ > 0) {
+        const error = new Error('Refund conflicted with a concurrent update, please retry');
+        error.statusCode = 409;
+        throw error;
+      }
+
+      if (giftCardAmount > 0) {
+        await GiftCardService.restore(order, giftCardAmount, note, session);
+      }
+
+      if (restoredCredit > 0) {
+        await WalletService.restore(order, restoredCredit, note, session);
+      }
+
+      if (creditAmount > 0) {
+        await WalletService.credit(order.user, creditAmount, { type: 'refund', order: order._id, actor: actorId, note, session });
+      }
+
+      if (restock) {
+        for (const { orderItem, quantity } of refundItems) {
+          await this.restockItem(orderItem, quantity, {
+            session,
+            reason: stockReason,
+            actor: actorId,
+            order: order._id,
+            note: reason
+          });
+        }
+      }
+
+      refundItems.forEach(({ orderItem, quantity }) => {
+        orderItem.refundedQuantity += quantity;
+      });
+
+      order.refundedAmount = roundAmount(order.refundedAmount + refundAmount);
+      // A payment that was never captured (e.g. voided) keeps its status
+      if (['completed', 'partially_refunded'].includes(order.payment.status)) {
+        order.payment.status = order.refundedAmount >= order.total ? 'refunded' : 'partially_refunded';
+      }
+
+      // Earned points follow the refunded share of the order
+      await LoyaltyService.clawback(order, session);
+
+      order.refunds.push({
+        amount: refundAmount,
+        items: refundItems.map(({ orderItem, quantity, amount: itemAmount }) => ({
+          itemId: orderItem._id,
+          product: orderItem.product,
+          quantity,
+          amount: itemAmount
+        })),
+        giftCardAmount,
+        storeCreditAmount: roundAmount(restoredCredit + creditAmount),
+        paymentAmount: roundAmount(paymentAmount - creditAmount),
+        restocked: restock && refundItems.length > 0,
+        reason,
+        transactionId,
+        refundId,
+        refundedBy: actorId
+      });
+
+      // A webhook may have recorded the same provider refund in the meantime
+      if (refundId) {
+        order.$where = { 'refunds.refundId': { $ne: refundId } };
+      }
+
+      await order.save({ session });
+      order.$where = undefined;
+    });
+
+    return order.refunds[order.refunds.length - 1];
+  }
+
+  /**
+   * Move an order to a new status and run that transition's side effects
+   * The move is claimed on the status the order was read with, so of two concurrent requests only one runs the
+   * effects; the claim, the effects and the order share one transaction, so a failing effect undoes the move.
+   * @param {Object} order - Order document
+   * @param {String} status - New status
+   * @param {String} note - Status note
+   * @returns {Object} Saved order
+   */
+  async transitionOrder(order, status, note = '') {
+    const from = order.status;
+
+    // Throws if the lifecycle doesn't allow the move
+    order.updateStatus(status, note);
+
+    let attempts = 0;
+    await mongoose.connection.transaction(async (session) => {
+      // The order was already changed in memory by the aborted attempt; the caller retries with a fresh copy
+      if (attempts++ > 0) {
+        const error = new Error('Order status conflicted with a concurrent update, please retry');
+        error.statusCode = 409;
+        throw error;
+      }
+
+      const claimed = await Order.findOneAndUpdate(
+        { _id: order._id, status: from },
+        { $set: { status } },
+        { session, projection: { _id: 1 } }
+      );
+
+      if (!claimed) {
+        const error = new Error(`Order is no longer ${from}`);
+        error.statusCode = 409;
+        throw error;
+      }
+
+      const effect = this.transitionEffects[status];
+      if (effect) {
+        await effect(order, session);
+      }
+
+      await order.save({ session });
+    });
+
+    return order;
+  }
+
+  /**
+   * Side effects per target status, run inside the transition's transaction
+   */
+  transitionEffects = {
+    cancelled: async (order, session) => {
+      await this.restoreStock(order, 'cancellation', session);
+      await ReservationService.releaseForOrder(order, session);
+      await this.releasePayment(order, 'Order cancelled', session);
+      await PromotionService.releaseRedemptions(order, session);
+      await LoyaltyService.releaseRedemption(order, session);
+    },
+    delivered: (order) => LoyaltyService.awardPoints(order),
+    returned: (order, session) => this.restoreStock(order, 'return', session)
+  };
+
+  /**
+   * Put the ordered quantities that are not back in stock yet (restocking refunds, returns) into stock
+   * @param {Object} order - Order document
+   * @param {String} reason - Stock movement reason
+   * @param {Object} session - Transaction session
+   */
+  async restoreStock(order, reason, session) {
+    for (const item of order.items) {
+      await this.restockItem(item, item.quantity - item.restockedQuantity, {
+        session,
+        reason,
+        order: order._id
+      });
+    }
+  }
+
+  /**
+   * Put units of an order line back into the warehouses they were allocated from (caller saves the order)
+   * Never more than the units not restocked yet; the line counts what came back.
+   * @param {Object} orderItem - Order item
+   * @param {Number} quantity - Units to restock
+   * @param {Object} options - Stock movement options (session, reason, actor, order, note)
+   * @returns {Number} Restocked units
+   */
+  async restockItem(orderItem, quantity, options = {}) {
+    // Orders placed before warehouses existed have no allocations
+    const allocations = orderItem.allocations && orderItem.allocations.length > 0
+      ? orderItem.allocations
+      : [{ quantity: orderItem.quantity }];
+
+    const restocked = Math.max(Math.min(quantity, orderItem.quantity - orderItem.restockedQuantity), 0);
+
+    let remaining = restocked;
+    for (const allocation of allocations) {
+      if (remaining <= 0) {
+        break;
+      }
+
+      const units = Math.min(allocation.quantity, remaining);
+      await ProductService.updateStock(orderItem.product, units, {
+        ...options,
+        variant: orderItem.variant,
+        warehouse: allocation.warehouse
+      });
+      remaining -= units;
+    }
+
+    orderItem.restockedQuantity += restocked;
+
+    return restocked;
+  }
+
+  /**
+   * Void an authorized payment, then refund whatever is left paid (a captured payment, gift cards, store credit)
+   * @param {Object} order - Order document
+   * @param {String} reason - Refund reason
+   * @param {Object} session - Caller's transaction session
+   */
+  async releasePayment(order, reason = '', session) {
+    if (order.payment.status === 'authorized') {
+      await PaymentService.void(order);
+    }
+
+    if (order.getRefundableAmount() > 0) {
+      await this.recordRefund(order, { amount: order.getRefundableAmount(), reason }, session);
+    }
+  }
+
+  /**
+   * Run a write in the caller's transaction, or in a new one when there is none
+   * @param {Object} session - Caller's transaction session
+   * @param {Function} fn - Async function receiving the session to write with
    */
-  calculateShipping(subtotal, address) {
-    // Basic shipping cost calculation
-    if (subtotal >= 500) {
-      return 0; // Free shipping for orders over 500
+  async inTransaction(session, fn) {
+    if (session) {
+      await fn(session);
+      return;
     }
 
-    return 29.99; // Standard shipping fee
+    await mongoose.connection.transaction(fn);
   }
 
   /**
-   * Calculate tax
+   * Calculate tax, rounded to cents
    * @param {Number} subtotal - Subtotal amount
    * @param {Object} address - Shipping address
    * @returns {Number} Tax amount
    */
   calculateTax(subtotal, address) {
     // Default VAT 20%
-    return subtotal * 0.20;
+    return roundAmount(subtotal * 0.20);
   }
 }
 
@@ -0,0 +1,483 @@
+const crypto = require('crypto');
+const config = require('../config');
+const Order = require('../models/Order');
+const PaymentEvent = require('../models/PaymentEvent');
+const MockGateway = require('./payments/mockGateway');
+const ReservationService = require('./reservationService');
+const logger = require('../utils/logger');
+
+// Payment methods that are charged through a gateway at checkout
+const GATEWAY_METHODS = ['credit_card'];
+
+// Webhook event type => payment status it sets on the order
+const WEBHOOK_EVENT_STATUSES = {
+  'payment.authorized': 'authorized',
+  'payment.completed': 'completed',
+  'payment.failed': 'failed',
+  'payment.voided': 'voided'
+};
+
+// Payment statuses that mean the customer's money was taken or held
+const CAPTURE_STATUSES = ['authorized', 'completed'];
+
+// Refunds made at the provider => recorded in the order's refund ledger, which sets the payment status
+const WEBHOOK_REFUND_EVENTS = ['payment.partially_refunded', 'payment.refunded'];
+
+/**
+ * Payment service class
+ * Routes authorize/capture/void/refund calls to the configured provider and records the result on the order
+ */
+class PaymentService {
+  constructor() {
+    this.providers = new Map();
+    this.registerProvider(new MockGateway());
+  }
+
+  /**
+   * Register a payment provider
+   * @param {Object} provider - PaymentProvider instance
+   */
+  registerProvider(provider) {
+    this.providers.set(provider.name, provider);
+  }
+
+  /**
+   * Get a payment provider
+   * @param {String} name - Provider name (default: configured provider)
+   * @returns {Object} PaymentProvider instance
+   */
+  getProvider(name = config.payment.provider) {
+    const provider = this.providers.get(name);
+
+    if (!provider) {
+      throw new Error(`Payment provider not registered: ${name}`);
+    }
+
+    return provider;
+  }
+
+  /**
+   * Is the payment method charged through a gateway
+   * @param {String} method - Payment method
+   * @returns {Boolean}
+   */
+  requiresGateway(method) {
+    return GATEWAY_METHODS.includes(method);
+  }
+
+  /**
+   * Call a provider operation, failing if it doesn't answer in time
+   * @param {Object} provider - PaymentProvider instance
+   * @param {String} operation - Method name
+   * @param {...*} args - Operation arguments
+   * @returns {Object} Provider result
+   */
+  async callProvider(provider, operation, ...args) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        const error = new Error('Payment provider did not respond in time');
+        error.statusCode = 504;
+        error.code = 'payment_timeout';
+        reject(error);
+      }, config.payment.timeoutMs);
+    });
+
+    try {
+      return await Promise.race([provider[operation](...args), timeout]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Turn an unsuccessful provider result into an error
+   * @param {Object} result - Provider result
+   * @param {String} operation - Method name
+   */
+  assertSuccess(result, operation) {
+    if (!result.success) {
+      const error = new Error(result.message || `Payment ${operation} failed`);
+      error.statusCode = 402;
+      error.code = result.code;
+      throw error;
+    }
+  }
+
+  /**
+   * Authorize the amount due (order total less gift cards)
+   * @param {Object} order - Order document (not saved yet)
+   * @param {Object} card - Card details from checkout
+   * @returns {Object} Order document
+   */
+  async authorize(order, card) {
+    const provider = this.getProvider();
+    order.payment.provider = provider.name;
+
+    try {
+      const result = await this.callProvider(provider, 'authorize', {
+        amount: order.getAmountDue(),
+        currency: config.payment.currency,
+        reference: order.orderNumber,
+        card
+      });
+      this.assertSuccess(result, 'authorize');
+
+      order.payment.status = 'authorized';
+      order.payment.transactionId = result.transactionId;
+      order.payment.authorizedAt = new Date();
+      order.payment.cardLast4 = String(card.number).replace(/\s+/g, '').slice(-4);
+
+      logger.info('Payment authorized:', { orderNumber: order.orderNumber, transactionId: result.transactionId });
+
+      return order;
+    } catch (error) {
+      order.payment.status = 'failed';
+      order.payment.failureReason = error.code || error.message;
+      logger.error('Payment authorization error:', { orderNumber: order.orderNumber, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Capture an authorized payment
+   * @param {Object} order - Order document
+   * @returns {Object} Order document
+   */
+  async capture(order) {
+    const provider = this.getProvider(order.payment.provider);
+    const result = await this.callProvider(provider, 'capture', order.payment.transactionId, order.getAmountDue());
+    this.assertSuccess(result, 'capture');
+
+    order.payment.status = 'completed';
+    order.payment.paidAt = new Date();
+
+    logger.info('Payment captured:', { orderNumber: order.orderNumber, transactionId: result.transactionId });
+
+    return order;
+  }
+
+  /**
+   * Release an authorized payment
+   * @param {Object} order - Order document
+   * @returns {Object} Order document
+   */
+  async void(order) {
+    const provider = this.getProvider(order.payment.provider);
+    const result = await this.callProvider(provider, 'void', order.payment.transactionId);
+    this.assertSuccess(result, 'void');
+
+    order.payment.status = 'voided';
+
+    logger.info('Payment voided:', { orderNumber: order.orderNumber, transactionId: result.transactionId });
+
+    return order;
+  }
+
+  /**
+   * Refund a captured payment
+   * @param {Object} order - Order document
+   * @param {Number} amount - Amount to refund
+   * @param {String} idempotencyKey - Retries with the same key don't refund twice
+   * @returns {Object} Provider result
+   */
+  async refund(order, amount, idempotencyKey) {
+    const provider = this.getProvider(order.payment.provider);
+    const result = await this.callProvider(provider, 'refund', order.payment.transactionId, amount, idempotencyKey);
+    this.assertSuccess(result, 'refund');
+
+    logger.info('Payment refunded:', { orderNumber: order.orderNumber, transactionId: result.transactionId, amount });
+
+    return result;
+  }
+
+  /**
+   * Verify a webhook signature header of the form "t=<unix seconds>,v1=<hex hmac>"
+   * The HMAC-SHA256 is computed over "<t>.<raw body>" with the webhook secret.
+   * @param {Buffer} rawBody - Unparsed request body
+   * @param {String} signatureHeader - Signature header value
+   * @returns {Boolean} Validity status
+   */
+  verifyWebhookSignature(rawBody, signatureHeader) {
+    const { webhookSecret, webhookToleranceSec } = config.payment;
+
+    if (!webhookSecret || !rawBody || !signatureHeader) {
+      return false;
+    }
+
+    const parts = {};
+    signatureHeader.split(',').forEach(part => {
+      const [key, value] = part.trim().split('=');
+      parts[key] = value;
+    });
+
+    const timestamp = parseInt(parts.t);
+    if (!timestamp || !parts.v1) {
+      return false;
+    }
+
+    // Reject stale signatures to limit replay of captured requests
+    if (Math.abs(Date.now() / 1000 - timestamp) > webhookToleranceSec) {
+      return false;
+    }
+
+    const expected = crypto
+      .createHmac('sha256', webhookSecret)
+      .update(`${timestamp}.${rawBody}`)
+      .digest('hex');
+
+    const expectedBuffer = Buffer.from(expected);
+    const receivedBuffer = Buffer.from(parts.v1);
+
+    return expectedBuffer.length === receivedBuffer.length &&
+      crypto.timingSafeEqual(expectedBuffer, receivedBuffer);
+  }
+
+  /**
+   * Record and apply an inbound webhook event exactly once
+   * @param {Object} event - Verified event: { id, type, created, data: { transactionId, orderNumber, refundId, amount } }
+   * @param {String} provider - Provider name
+   * @returns {Object} Processing result
+   */
+  async handleWebhookEvent(event, provider = config.payment.provider) {
+    let record;
+
+    try {
+      record = await PaymentEvent.create({
+        eventId: event.id,
+        provider,
+        type: event.type,
+        transactionId: event.data.transactionId,
+        payload: event,
+        occurredAt: event.created ? new Date(event.created * 1000) : undefined
+      });
+    } catch (error) {
+      if (error.code !== 11000) {
+        throw error;
+      }
+
+      // Known event: only a previously failed one, or one left processing by a crash, is processed again
+      const staleBefore = new Date(Date.now() - config.payment.webhookProcessingTimeoutMs);
+      record = await PaymentEvent.findOneAndUpdate(
+        {
+          eventId: event.id,
+          $or: [{ status: 'failed' }, { status: 'processing', updatedAt: { $lt: staleBefore } }]
+        },
+        { $set: { status: 'processing' }, $inc: { deliveryCount: 1 } },
+        { new: true }
+      );
+
+      if (!record) {
+        await PaymentEvent.updateOne({ eventId: event.id }, { $inc: { deliveryCount: 1 } });
+        logger.warn('Duplicate payment webhook ignored:', { eventId: event.id, type: event.type });
+
+        return {
+          success: true,
+          eventId: event.id,
+          status: 'ignored',
+          reason: 'duplicate'
+        };
+      }
+    }
+
+    try {
+      const outcome = await this.applyWebhookEvent(event);
+
+      record.status = outcome.status;
+      record.reason = outcome.reason;
+      record.order = outcome.orderId;
+      record.processedAt = new Date();
+      await record.save();
+
+      return {
+        success: true,
+        eventId: event.id,
+        status: record.status,
+        ...(record.reason && { reason: record.reason })
+      };
+    } catch (error) {
+      record.status = 'failed';
+      record.reason = error.message;
+      await record.save();
+
+      logger.error('Payment webhook processing error:', { eventId: event.id, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Move the order's payment status for a webhook event
+   * The update is conditional on the current status, so concurrent retries cannot apply it twice
+   * and events arriving out of order (e.g. refunded before completed) are skipped. A capture for an order that
+   * was cancelled, or is being cancelled for not being paid in time, doesn't make it paid; it is flagged for refund.
+   * @param {Object} event - Webhook event
+   * @returns {Object} { status, reason, orderId }
+   */
+  async applyWebhookEvent(event) {
+    if (WEBHOOK_REFUND_EVENTS.includes(event.type)) {
+      return this.applyRefundEvent(event);
+    }
+
+    const newStatus = WEBHOOK_EVENT_STATUSES[event.type];
+
+    if (!newStatus) {
+      return { status: 'ignored', reason: 'unsupported_event_type' };
+    }
+
+    const { transactionId } = event.data;
+    const order = await this.findEventOrder(event);
+
+    const currentStatus = order.payment.status;
+
+    if (currentStatus === newStatus) {
+      return { status: 'ignored', reason: 'already_applied', orderId: order._id };
+    }
+
+    const allowedFrom = Object.keys(Order.PAYMENT_TRANSITIONS)
+      .filter(status => Order.PAYMENT_TRANSITIONS[status].includes(newStatus));
+
+    const update = { 'payment.status': newStatus };
+    if (newStatus === 'completed') {
+      update['payment.paidAt'] = event.created ? new Date(event.created * 1000) : new Date();
+    }
+    if (transactionId && !order.payment.transactionId) {
+      update['payment.transactionId'] = transactionId;
+    }
+
+    const filter = { _id: order._id, 'payment.status': { $in: allowedFrom } };
+    if (CAPTURE_STATUSES.includes(newStatus)) {
+      Object.assign(filter, this.unpayableOrderFilter(false));
+    }
+
+    const updated = await Order.findOneAndUpdate(filter, { $set: update }, { new: true });
+
+    if (!updated && CAPTURE_STATUSES.includes(newStatus) && await this.flagLatePayment(order, event)) {
+      return { status: 'processed', reason: 'order_cancelled: refund required', orderId: order._id };
+    }
+
+    if (!updated) {
+      logger.warn('Out-of-order payment webhook ignored:', {
+        eventId: event.id,
+        orderId: order._id,
+        from: currentStatus,
+        to: newStatus
+      });
+
+      return {
+        status: 'ignored',
+        reason: `out_of_order: ${currentStatus} -> ${newStatus}`,
+        orderId: order._id
+      };
+    }
+
+    if (newStatus === 'completed') {
+      await ReservationService.convertForOrder(updated);
+    }
+
+    logger.info('Payment status updated from webhook:', { eventId: event.id, orderId: order._id, status: newStatus });
+
+    return { status: 'processed', orderId: order._id };
+  }
+
+  /**
+   * Filter on whether an order can no longer be paid: it is cancelled, or the unpaid order sweep has expired its payment
+   * @param {Boolean} unpayable - Match unpayable (true) or payable (false) orders
+   * @returns {Object} Query conditions
+   */
+  unpayableOrderFilter(unpayable) {
+    const conditions = [{ status: 'cancelled' }, { 'payment.failureReason': 'payment_expired' }];
+
+    return unpayable ? { $or: conditions } : { $nor: conditions };
+  }
+
+  /**
+   * Flag the late payment of an order that can no longer be paid, so it is given back at the provider
+   * @param {Object} order - Order document
+   * @param {Object} event - Webhook event
+   * @returns {Boolean} Whether the order was flagged
+   */
+  async flagLatePayment(order, event) {
+    const { transactionId } = event.data;
+
+    const flagged = await Order.findOneAndUpdate(
+      { _id: order._id, 'payment.refundRequired': { $ne: true }, ...this.unpayableOrderFilter(true) },
+      {
+        $set: {
+          'payment.refundRequired': true,
+          ...(transactionId && !order.payment.transactionId && { 'payment.transactionId': transactionId })
+        }
+      }
+    );
+
+    if (flagged) {
+      logger.error('Payment received for an order that can no longer be paid, refund it at the provider:', {
+        eventId: event.id,
+        orderId: order._id,
+        transactionId: transactionId || order.payment.transactionId
+      });
+    }
+
+    return Boolean(flagged);
+  }
+
+  /**
+   * Record a refund made at the provider (e.g. from its dashboard) in the order's refund ledger
+   * Refunds are matched on the provider's refund id, so the events of refunds made through the API, and
+   * retries, are skipped. A full refund without an amount covers what is left on the payment method.
+   * @param {Object} event - Webhook event: data { transactionId, orderNumber, refundId, amount }
+   * @returns {Object} { status, reason, orderId }
+   */
+  async applyRefundEvent(event) {
+    const { transactionId, refundId, amount } = event.data;
+
+    if (!refundId) {
+      return { status: 'ignored', reason: 'missing_refund_id' };
+    }
+
+    const order = await this.findEventOrder(event);
+
+    if (order.refunds.some(refund => refund.refundId === refundId)) {
+      return { status: 'ignored', reason: 'already_applied', orderId: order._id };
+    }
+
+    const refundAmount = amount ?? (event.type === 'payment.refunded' ? order.getRefundablePaymentAmount() : 0);
+
+    if (!refundAmount) {
+      return { status: 'ignored', reason: 'missing_amount', orderId: order._id };
+    }
+
+    // Required here: the order service depends on this service
+    const OrderService = require('./orderService');
+
+    // Saves the order unless an API refund with the same refund id was saved in the meantime
+    const refund = await OrderService.recordRefund(order, {
+      amount: refundAmount,
+      reason: 'Refunded at the payment provider',
+      providerRefund: { refundId, transactionId: transactionId || order.payment.transactionId }
+    });
+
+    logger.info('Provider refund recorded from webhook:', { eventId: event.id, orderId: order._id, refundId, amount: refund.amount });
+
+    return { status: 'processed', orderId: order._id };
+  }
+
+  /**
+   * Find the order a webhook event is about, or fail
+   * @param {Object} event - Webhook event
+   * @returns {Object} Order document
+   */
+  async findEventOrder(event) {
+    const { transactionId, orderNumber } = event.data;
+    const order = await Order.findOne(
+      transactionId ? { 'payment.transactionId': transactionId } : { orderNumber }
+    );
+
+    if (!order) {
+      throw new Error('Order not found for payment event');
+    }
+
+    return order;
+  }
+}
+
+module.exports = new PaymentService();
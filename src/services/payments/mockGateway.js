@@ -0,0 +1,180 @@
+const crypto = require('crypto');
+const PaymentProvider = require('./paymentProvider');
+const config = require('../../config');
+
+/**
+ * Local mock gateway - deterministic outcomes for offline checkout development
+ * The card number decides the result: approve, decline or timeout (never answers).
+ * Transactions are kept in memory, so they are lost on restart.
+ */
+class MockGateway extends PaymentProvider {
+  constructor(options = config.payment.mock) {
+    super('mock');
+    this.approveCards = options.approveCards;
+    this.declineCards = options.declineCards;
+    this.timeoutCards = options.timeoutCards;
+    this.transactions = new Map();
+    this.refunds = new Map();
+  }
+
+  /**
+   * Luhn checksum for card numbers that are in none of the configured lists
+   * @param {String} number - Card number
+   * @returns {Boolean} Validity status
+   */
+  isValidCardNumber(number) {
+    let sum = 0;
+    let double = false;
+
+    for (let i = number.length - 1; i >= 0; i--) {
+      let digit = parseInt(number[i], 10);
+      if (double) {
+        digit *= 2;
+        if (digit > 9) digit -= 9;
+      }
+      sum += digit;
+      double = !double;
+    }
+
+    return number.length >= 12 && sum % 10 === 0;
+  }
+
+  async authorize({ amount, currency, reference, card = {} }) {
+    const number = String(card.number || '').replace(/\s+/g, '');
+
+    if (this.timeoutCards.includes(number)) {
+      // Simulates a gateway that never answers; the caller's timeout fires
+      return new Promise(() => {});
+    }
+
+    if (this.declineCards.includes(number)) {
+      return {
+        success: false,
+        status: 'declined',
+        code: 'card_declined',
+        message: 'Card was declined'
+      };
+    }
+
+    if (!this.approveCards.includes(number) && !this.isValidCardNumber(number)) {
+      return {
+        success: false,
+        status: 'declined',
+        code: 'invalid_number',
+        message: 'Card number is invalid'
+      };
+    }
+
+    const transactionId = `mock_${crypto.randomUUID()}`;
+    this.transactions.set(transactionId, {
+      status: 'authorized',
+      amount,
+      currency,
+      reference,
+      captured: 0,
+      refunded: 0
+    });
+
+    return {
+      success: true,
+      status: 'authorized',
+      transactionId,
+      amount
+    };
+  }
+
+  async capture(transactionId, amount) {
+    const transaction = this.transactions.get(transactionId);
+
+    if (!transaction || transaction.status !== 'authorized') {
+      return this.failure(transactionId, 'invalid_state', 'Transaction cannot be captured');
+    }
+
+    const captureAmount = amount ?? transaction.amount;
+    if (captureAmount > transaction.amount) {
+      return this.failure(transactionId, 'amount_exceeded', 'Capture exceeds authorized amount');
+    }
+
+    transaction.status = 'captured';
+    transaction.captured = captureAmount;
+
+    return {
+      success: true,
+      status: 'captured',
+      transactionId,
+      amount: captureAmount
+    };
+  }
+
+  async void(transactionId) {
+    const transaction = this.transactions.get(transactionId);
+
+    if (!transaction || transaction.status !== 'authorized') {
+      return this.failure(transactionId, 'invalid_state', 'Transaction cannot be voided');
+    }
+
+    transaction.status = 'voided';
+
+    return {
+      success: true,
+      status: 'voided',
+      transactionId,
+      amount: transaction.amount
+    };
+  }
+
+  async refund(transactionId, amount, idempotencyKey) {
+    const previous = idempotencyKey && this.refunds.get(idempotencyKey);
+    if (previous) {
+      return previous.amount === amount
+        ? previous
+        : this.failure(transactionId, 'idempotency_conflict', 'Idempotency key was used for a different refund');
+    }
+
+    const transaction = this.transactions.get(transactionId);
+
+    if (!transaction || !['captured', 'refunded'].includes(transaction.status)) {
+      return this.failure(transactionId, 'invalid_state', 'Transaction cannot be refunded');
+    }
+
+    const refundable = transaction.captured - transaction.refunded;
+    const refundAmount = amount ?? refundable;
+    if (refundAmount > refundable) {
+      return this.failure(transactionId, 'amount_exceeded', 'Refund exceeds captured amount');
+    }
+
+    transaction.refunded += refundAmount;
+    if (transaction.refunded >= transaction.captured) {
+      transaction.status = 'refunded';
+    }
+
+    const result = {
+      success: true,
+      status: 'refunded',
+      transactionId,
+      refundId: `mock_re_${crypto.randomUUID()}`,
+      amount: refundAmount
+    };
+
+    if (idempotencyKey) {
+      this.refunds.set(idempotencyKey, result);
+    }
+
+    return result;
+  }
+
+  /**
+   * Build a failed operation result
+   */
+  failure(transactionId, code, message) {
+    return {
+      success: false,
+      status: 'failed',
+      transactionId,
+      code,
+      message
+    };
+  }
+}
+
+module.exports = MockGateway;
@@ -0,0 +1,53 @@
+/**
+ * Payment provider interface - every gateway adapter extends this class
+ *
+ * All methods resolve to a result object:
+ * { success: Boolean, status: String, transactionId: String, amount: Number, code?: String, message?: String }
+ * A declined operation resolves with success: false; only unexpected failures reject.
+ */
+class PaymentProvider {
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Reserve the amount on the customer's payment method
+   * @param {Object} payment - { amount, currency, reference, card }
+   * @returns {Object} Provider result
+   */
+  async authorize(payment) {
+    throw new Error(`${this.name} provider does not implement authorize`);
+  }
+
+  /**
+   * Collect a previously authorized amount
+   * @param {String} transactionId - Authorization transaction ID
+   * @param {Number} amount - Amount to capture (defaults to the authorized amount)
+   * @returns {Object} Provider result
+   */
+  async capture(transactionId, amount) {
+    throw new Error(`${this.name} provider does not implement capture`);
+  }
+
+  /**
+   * Release an authorization that will not be captured
+   * @param {String} transactionId - Authorization transaction ID
+   * @returns {Object} Provider result
+   */
+  async void(transactionId) {
+    throw new Error(`${this.name} provider does not implement void`);
+  }
+
+  /**
+   * Return a captured amount to the customer
+   * @param {String} transactionId - Captured transaction ID
+   * @param {Number} amount - Amount to refund
+   * @param {String} idempotencyKey - A repeated key returns the first refund instead of refunding again
+   * @returns {Object} Provider result, with the provider's refundId
+   */
+  async refund(transactionId, amount, idempotencyKey) {
+    throw new Error(`${this.name} provider does not implement refund`);
+  }
+}
+
+module.exports = PaymentProvider;
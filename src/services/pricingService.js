@@ -0,0 +1,390 @@
+const Product = require('../models/Product');
+const PriceSchedule = require('../models/PriceSchedule');
+const PriceHistory = require('../models/PriceHistory');
+const ProductService = require('./productService');
+const logger = require('../utils/logger');
+
+/**
+ * Scheduled pricing service class
+ * Future price changes and time-boxed sales live in PriceSchedule; the product carries the next of each
+ * (Product.pendingPrice / Product.sale) so its finalPrice is right at any moment, and the scheduler
+ * applies due changes, opens and closes sales and keeps the price history.
+ */
+class PricingService {
+  /**
+   * Get the price schedules of a product (Admin)
+   * @param {String} productId - Product ID
+   * @param {Object} options - Pagination options and status filter
+   * @returns {Object} Schedule list
+   */
+  async getPriceSchedules(productId, options = {}) {
+    try {
+      const { page = 1, limit = 20, status } = options;
+      const skip = (page - 1) * limit;
+
+      await this.findProduct(productId);
+
+      const filter = { product: productId };
+      if (status) {
+        filter.status = status;
+      }
+
+      const schedules = await PriceSchedule.find(filter)
+        .sort({ startsAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .populate('createdBy', 'firstName lastName email');
+
+      const total = await PriceSchedule.countDocuments(filter);
+
+      return {
+        success: true,
+        schedules,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalItems: total,
+          itemsPerPage: limit
+        }
+      };
+    } catch (error) {
+      logger.error('Error fetching price schedules:', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Schedule a price change or a sale (Admin) - one that is already due takes effect right away
+   * @param {String} productId - Product ID
+   * @param {Object} scheduleData - { type, name, price, discountPrice, percentOff, startsAt, endsAt }
+   * @param {String} actorId - Admin user ID
+   * @returns {Object} Created schedule
+   */
+  async createPriceSchedule(productId, scheduleData, actorId) {
+    try {
+      const now = new Date();
+
+      await this.findProduct(productId);
+
+      const schedule = new PriceSchedule({ ...scheduleData, product: productId, createdBy: actorId });
+      await schedule.validate();
+
+      if (schedule.type === 'sale') {
+        if (schedule.endsAt <= now) {
+          const error = new Error('Sale end date must be in the future');
+          error.statusCode = 400;
+          throw error;
+        }
+
+        // One sale at a time per product
+        const overlapping = await PriceSchedule.exists({
+          product: productId,
+          type: 'sale',
+          status: { $in: ['scheduled', 'active'] },
+          startsAt: { $lt: schedule.endsAt },
+          endsAt: { $gt: schedule.startsAt }
+        });
+
+        if (overlapping) {
+          const error = new Error('Another sale of this product overlaps this period');
+          error.statusCode = 409;
+          throw error;
+        }
+      }
+
+      await schedule.save();
+
+      if (schedule.startsAt <= now) {
+        await this.applyPriceSchedules(now);
+      } else {
+        await this.syncProduct(productId, now);
+      }
+
+      logger.info('Price schedule created:', { scheduleId: schedule._id, productId, type: schedule.type });
+
+      return {
+        success: true,
+        message: schedule.type === 'sale' ? 'Sale scheduled successfully' : 'Price change scheduled successfully',
+        schedule: await PriceSchedule.findById(schedule._id)
+      };
+    } catch (error) {
+      logger.error('Error creating price schedule:', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Cancel a pending price change or a pending/running sale (Admin)
+   * @param {String} productId - Product ID
+   * @param {String} scheduleId - Schedule ID
+   * @param {String} actorId - Admin user ID
+   * @returns {Object} Cancelled schedule
+   */
+  async cancelPriceSchedule(productId, scheduleId, actorId) {
+    try {
+      const now = new Date();
+
+      const schedule = await PriceSchedule.findOneAndUpdate(
+        { _id: scheduleId, product: productId, status: { $in: ['scheduled', 'active'] } },
+        { $set: { status: 'cancelled', cancelledBy: actorId, endedAt: now } }
+      );
+
+      if (!schedule) {
+        if (await PriceSchedule.exists({ _id: scheduleId, product: productId })) {
+          const error = new Error('Only pending price changes and pending or running sales can be cancelled');
+          error.statusCode = 400;
+          throw error;
+        }
+        throw new Error('Price schedule not found');
+      }
+
+      const product = await this.syncProduct(productId, now);
+
+      // A running sale ends now
+      if (product && schedule.status === 'active') {
+        await ProductService.recordPrice(product, 'sale_end', { schedule: schedule._id, actor: actorId });
+      }
+
+      logger.info('Price schedule cancelled:', { scheduleId, productId, actorId });
+
+      return {
+        success: true,
+        message: 'Price schedule cancelled',
+        schedule: await PriceSchedule.findById(scheduleId)
+      };
+    } catch (error) {
+      logger.error('Error cancelling price schedule:', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Get a product's price history (Admin)
+   * @param {String} productId - Product ID
+   * @param {Object} options - Pagination options and reason filter
+   * @returns {Object} Price history entries
+   */
+  async getPriceHistory(productId, options = {}) {
+    try {
+      const { page = 1, limit = 20, reason } = options;
+      const skip = (page - 1) * limit;
+
+      const product = await this.findProduct(productId);
+
+      const filter = { product: productId };
+      if (reason) {
+        filter.reason = reason;
+      }
+
+      const history = await PriceHistory.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .populate('schedule', 'type name')
+        .populate('actor', 'firstName lastName email');
+
+      const total = await PriceHistory.countDocuments(filter);
+
+      return {
+        success: true,
+        pricing: product.getPricing(),
+        history,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalItems: total,
+          itemsPerPage: limit
+        }
+      };
+    } catch (error) {
+      logger.error('Error fetching price history:', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Apply due price changes and open/close sales (scheduler job)
+   * Schedules are claimed one by one, so concurrent runs don't apply one twice.
+   * @param {Date} now - Reference time
+   * @returns {Object} Counts of applied changes, started and ended sales, failures
+   */
+  async applyPriceSchedules(now = new Date()) {
+    const result = { applied: 0, started: 0, ended: 0, failed: 0 };
+
+    const dueChanges = await PriceSchedule.find({ type: 'price_change', status: 'scheduled', startsAt: { $lte: now } })
+      .sort({ startsAt: 1 })
+      .limit(500);
+
+    for (const due of dueChanges) {
+      const schedule = await PriceSchedule.findOneAndUpdate(
+        { _id: due._id, status: 'scheduled' },
+        { $set: { status: 'completed', appliedAt: now } },
+        { new: true }
+      );
+
+      if (schedule) {
+        const applied = await this.applyPriceChange(schedule, now);
+        result[applied ? 'applied' : 'failed']++;
+      }
+    }
+
+    const starting = await PriceSchedule.find({ type: 'sale', status: 'scheduled', startsAt: { $lte: now } })
+      .limit(500);
+
+    for (const due of starting) {
+      const schedule = await PriceSchedule.findOneAndUpdate(
+        { _id: due._id, status: 'scheduled' },
+        { $set: { status: 'active', appliedAt: now } },
+        { new: true }
+      );
+
+      if (schedule) {
+        const product = await this.syncProduct(schedule.product, now);
+        if (product) {
+          await ProductService.recordPrice(product, 'sale_start', { schedule: schedule._id });
+        }
+        result.started++;
+      }
+    }
+
+    const ending = await PriceSchedule.find({ type: 'sale', status: 'active', endsAt: { $lte: now } })
+      .limit(500);
+
+    for (const due of ending) {
+      const schedule = await PriceSchedule.findOneAndUpdate(
+        { _id: due._id, status: 'active' },
+        { $set: { status: 'completed', endedAt: now } },
+        { new: true }
+      );
+
+      if (schedule) {
+        const product = await this.syncProduct(schedule.product, now);
+        if (product) {
+          await ProductService.recordPrice(product, 'sale_end', { schedule: schedule._id });
+        }
+        result.ended++;
+      }
+    }
+
+    // Final prices feed the price filters and facets
+    if (result.applied + result.started + result.ended > 0) {
+      await ProductService.productsChanged();
+    }
+
+    if (Object.values(result).some(count => count > 0)) {
+      logger.info('Price schedules applied:', result);
+    }
+
+    return result;
+  }
+
+  /**
+   * Write a claimed price change to its product, or mark it failed
+   * @param {Object} schedule - Price schedule document
+   * @param {Date} now - Reference time
+   * @returns {Boolean} Applied
+   */
+  async applyPriceChange(schedule, now) {
+    try {
+      const product = await Product.findById(schedule.product);
+
+      if (!product) {
+        throw new Error('Product not found');
+      }
+
+      product.price = schedule.price;
+      product.discountPrice = schedule.discountPrice || 0;
+      await product.save();
+
+      const synced = await this.syncProduct(product._id, now);
+      await ProductService.recordPrice(synced, 'price_change', { schedule: schedule._id, actor: schedule.createdBy });
+
+      logger.info('Scheduled price change applied:', { scheduleId: schedule._id, productId: product._id });
+
+      return true;
+    } catch (error) {
+      await PriceSchedule.updateOne(
+        { _id: schedule._id },
+        { $set: { status: 'failed', error: error.message }, $unset: { appliedAt: 1 } }
+      );
+
+      await this.syncProduct(schedule.product, now);
+
+      logger.error('Error applying price change:', { scheduleId: schedule._id, error: error.message });
+      return false;
+    }
+  }
+
+  /**
+   * Point the product at its next price change and its current or next sale
+   * @param {String} productId - Product ID
+   * @param {Date} now - Reference time
+   * @returns {Object} Updated product (null when it no longer exists)
+   */
+  async syncProduct(productId, now = new Date()) {
+    const [pendingPrice] = await PriceSchedule.find({ product: productId, type: 'price_change', status: 'scheduled' })
+      .sort({ startsAt: 1 })
+      .limit(1);
+
+    const [sale] = await PriceSchedule.find({
+      product: productId,
+      type: 'sale',
+      status: { $in: ['scheduled', 'active'] },
+      endsAt: { $gt: now }
+    })
+      .sort({ startsAt: 1 })
+      .limit(1);
+
+    const set = {};
+    const unset = {};
+
+    if (pendingPrice) {
+      set.pendingPrice = {
+        schedule: pendingPrice._id,
+        price: pendingPrice.price,
+        discountPrice: pendingPrice.discountPrice,
+        effectiveAt: pendingPrice.startsAt
+      };
+    } else {
+      unset.pendingPrice = 1;
+    }
+
+    if (sale) {
+      set.sale = {
+        schedule: sale._id,
+        price: sale.price,
+        percentOff: sale.percentOff,
+        startsAt: sale.startsAt,
+        endsAt: sale.endsAt
+      };
+    } else {
+      unset.sale = 1;
+    }
+
+    return Product.findByIdAndUpdate(
+      productId,
+      {
+        ...(Object.keys(set).length > 0 && { $set: set }),
+        ...(Object.keys(unset).length > 0 && { $unset: unset })
+      },
+      { new: true }
+    );
+  }
+
+  /**
+   * Find a product, or fail
+   * @param {String} productId - Product ID
+   * @returns {Object} Product document
+   */
+  async findProduct(productId) {
+    const product = await Product.findById(productId);
+
+    if (!product) {
+      throw new Error('Product not found');
+    }
+
+    return product;
+  }
+}
+
+module.exports = new PricingService();
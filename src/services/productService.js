@@ -1,6 +1,17 @@
+const crypto = require('crypto');
 const Product = require('../models/Product');
+const StockMovement = require('../models/StockMovement');
+const PriceHistory = require('../models/PriceHistory');
+const AttributeService = require('./attributeService');
+const CategoryService = require('./categoryService');
+const SearchService = require('./searchService');
+const redisClient = require('../config/redis');
+const config = require('../config');
 const logger = require('../utils/logger');
 
+// Lower bounds of the rating facet bands (n stars & up)
+const RATING_BANDS = [4, 3, 2, 1];
+
 /**
  * Product management service class - handles product CRUD operations and search
  */
@@ -8,7 +19,7 @@ class ProductService {
   /**
    * Fetch product list with filtering, pagination, and sorting
    * @param {Object} options - Filtering and pagintion options
-   * @returns {Object} Product list and meta information
+   * @returns {Object} Product list, facet counts and meta information
    */
   async getProducts(options = {}) {
     try {
@@ -16,64 +27,61 @@ class ProductService {
         page = 1,
         limit = 12,
         search,
-        category,
-        brand,
-        minPrice,
-        maxPrice,
         sortBy = 'createdAt',
-        sortOrder = 'desc', 
-        featured,
-        inStock
+        sortOrder = 'desc',
+        facets = true
       } = options;
 
-      // Build filter object
-      const filter = { isActive: true };
-
-      if (search) {
-        filter.$text = { $search: search };
-      }
+      const filter = await this.buildProductFilter(options);
 
-      if (category) {
-        filter.category = category;
+      // Sorting - relevance needs a search, otherwise newest first
+      const relevance = sortBy === 'relevance' && Boolean(search);
+      const sort = {};
+      if (relevance) {
+        sort.score = { $meta: 'textScore' };
+        sort.createdAt = -1;
+      } else {
+        sort[sortBy === 'relevance' ? 'createdAt' : sortBy] = sortOrder === 'asc' ? 1 : -1;
       }
 
-      if (brand) {
-        filter.brand = brand;
-      }
+      // Pagination
+      const skip = (page - 1) * limit;
 
-      if (minPrice || maxPrice) {
-        filter.price = {};
-        if (minPrice) filter.price.$gte = minPrice;
-        if (maxPrice) filter.price.$lte = maxPrice;
-      }
+      // Merchandising pins lead relevance-ranked results (when they match the other filters)
+      let pinned = [];
+      let rankedFilter = filter;
+      if (relevance) {
+        const pinnedIds = await SearchService.getPinnedProducts(search);
 
-      if (featured !== undefined) {
-        filter.featured = featured;
-      }
+        if (pinnedIds.length > 0) {
+          const { $text, ...pinFilter } = filter;
+          const pinnedProducts = await Product.find({ ...pinFilter, _id: { $in: pinnedIds } });
+          pinned = pinnedIds
+            .map(id => pinnedProducts.find(product => product._id.equals(id)))
+            .filter(Boolean);
 
-      if (inStock) {
-        filter.stock = { $gt: 0 };
+          rankedFilter = { ...filter, _id: { $nin: pinned.map(product => product._id) } };
+        }
       }
 
-      // Sorting
-      const sort = {};
-      sort[sortBy] = sortOrder === 'asc' ? 1 : -1;
-
-      // Pagination
-      const skip = (page - 1) * limit;
+      const pinnedOnPage = pinned.slice(skip, skip + limit);
+      const rankedLimit = limit - pinnedOnPage.length;
 
       // Fetch products
-      const products = await Product.find(filter)
-        .sort(sort)
-        .skip(skip)
-        .limit(limit);
+      const products = rankedLimit > 0
+        ? await Product.find(rankedFilter, relevance ? { score: { $meta: 'textScore' } } : undefined)
+          .sort(sort)
+          .skip(Math.max(skip - pinned.length, 0))
+          .limit(rankedLimit)
+        : [];
 
       // Total count
-      const total = await Product.countDocuments(filter);
+      const total = await Product.countDocuments(rankedFilter) + pinned.length;
 
       return {
         success: true,
-        products,
+        products: [...pinnedOnPage, ...products],
+        ...(facets && { facets: await this.getFacets(filter, options) }),
         pagination: {
           currentPage: page,
           totalPages: Math.ceil(total / limit),
@@ -87,6 +95,202 @@ class ProductService {
     }
   }
 
+  /**
+   * Build the product filter for list queries (shared by the list and its facets)
+   * @param {Object} options - { search, category, brand, minPrice, maxPrice, featured, inStock, attributes }
+   * @returns {Object} Mongo filter
+   */
+  async buildProductFilter(options = {}) {
+    const {
+      search,
+      category,
+      brand,
+      minPrice,
+      maxPrice,
+      featured,
+      inStock,
+      attributes = []
+    } = options;
+
+    const filter = { isActive: true };
+
+    if (search) {
+      filter.$text = { $search: await SearchService.expandQuery(search) };
+    }
+
+    // A category matches its whole subtree
+    const categories = category ? await CategoryService.getSubtreeNames(category) : undefined;
+    if (categories) {
+      filter.category = { $in: categories };
+    }
+
+    if (brand) {
+      filter.brand = brand;
+    }
+
+    if (featured !== undefined) {
+      filter.featured = featured;
+    }
+
+    // Prices filter on what the product sells for now (sales and due price changes included)
+    const conditions = [];
+    if (minPrice) conditions.push({ $gte: [Product.finalPriceExpr(), minPrice] });
+    if (maxPrice) conditions.push({ $lte: [Product.finalPriceExpr(), maxPrice] });
+
+    if (inStock) {
+      conditions.push({ $gt: [Product.AVAILABLE_STOCK_EXPR, 0] });
+    }
+
+    if (conditions.length > 0) {
+      filter.$expr = conditions.length === 1 ? conditions[0] : { $and: conditions };
+    }
+
+    // attr.<key> filters
+    const attributeConditions = await AttributeService.buildFilterConditions(attributes, categories);
+    if (attributeConditions.length > 0) {
+      filter.$and = attributeConditions;
+    }
+
+    return filter;
+  }
+
+  /**
+   * Facet counts for a product filter: brands, categories, price buckets (by final price), rating bands and availability
+   * Counted in one $facet aggregation and cached in Redis per normalized query.
+   * @param {Object} filter - Product filter (see buildProductFilter)
+   * @param {Object} options - Query options the filter was built from (cache key)
+   * @returns {Object} Facet counts
+   */
+  async getFacets(filter, options = {}) {
+    const client = redisClient.getClient();
+    let cacheKey;
+
+    // The cache is best effort; the counts are computed without it when Redis is unavailable
+    try {
+      const version = (await client.get('facets:version')) || 0;
+      cacheKey = `facets:${version}:${this.facetCacheKey(options)}`;
+
+      const cached = await client.get(cacheKey);
+      if (cached) {
+        return JSON.parse(cached);
+      }
+    } catch (error) {
+      logger.warn('Facet cache read error:', { error: error.message });
+    }
+
+    const boundaries = config.search.priceBuckets;
+
+    const [result] = await Product.aggregate([
+      { $match: filter },
+      {
+        $facet: {
+          brands: [
+            { $group: { _id: '$brand', count: { $sum: 1 } } },
+            { $sort: { count: -1, _id: 1 } }
+          ],
+          categories: [
+            { $group: { _id: '$category', count: { $sum: 1 } } },
+            { $sort: { count: -1, _id: 1 } }
+          ],
+          price: [
+            { $bucket: { groupBy: Product.finalPriceExpr(), boundaries, default: 'other', output: { count: { $sum: 1 } } } }
+          ],
+          // "n stars & up" bands, so a band includes the ones above it
+          rating: [
+            {
+              $group: {
+                _id: null,
+                ...Object.fromEntries(RATING_BANDS.map(min => [
+                  `band${min}`,
+                  { $sum: { $cond: [{ $gte: ['$rating.average', min] }, 1, 0] } }
+                ]))
+              }
+            }
+          ],
+          availability: [
+            {
+              $group: {
+                _id: null,
+                inStock: { $sum: { $cond: [{ $gt: [Product.AVAILABLE_STOCK_EXPR, 0] }, 1, 0] } },
+                outOfStock: { $sum: { $cond: [{ $gt: [Product.AVAILABLE_STOCK_EXPR, 0] }, 0, 1] } }
+              }
+            }
+          ]
+        }
+      }
+    ]);
+
+    const ratingCounts = result.rating[0] || {};
+    const availability = result.availability[0] || {};
+
+    const facets = {
+      brands: result.brands.map(({ _id, count }) => ({ value: _id, count })),
+      categories: result.categories.map(({ _id, count }) => ({ value: _id, count })),
+      price: result.price.map(({ _id, count }) => {
+        if (_id === 'other') {
+          return { min: boundaries[boundaries.length - 1], max: null, count };
+        }
+        return { min: _id, max: boundaries[boundaries.indexOf(_id) + 1], count };
+      }),
+      rating: RATING_BANDS.map(min => ({ min, count: ratingCounts[`band${min}`] || 0 })),
+      inStock: {
+        true: availability.inStock || 0,
+        false: availability.outOfStock || 0
+      }
+    };
+
+    if (cacheKey) {
+      try {
+        await client.set(cacheKey, JSON.stringify(facets), {
+          expiration: { type: 'EX', value: config.search.facetCacheSeconds }
+        });
+      } catch (error) {
+        logger.warn('Facet cache write error:', { error: error.message });
+      }
+    }
+
+    return facets;
+  }
+
+  /**
+   * Cache key of a list query: the filtering options in a fixed order, hashed
+   * Paging and sorting don't change the counts, so they are left out.
+   * @param {Object} options - Query options
+   * @returns {String} Hash
+   */
+  facetCacheKey(options = {}) {
+    const attributes = (options.attributes || [])
+      .map(({ key, operator, value }) => [key, operator, Array.isArray(value) ? [...value].sort() : value])
+      .sort((a, b) => JSON.stringify(a).localeCompare(JSON.stringify(b)));
+
+    const normalized = [
+      (options.search || '').trim().toLowerCase(),
+      (options.category || '').trim().toLowerCase(),
+      (options.brand || '').trim(),
+      options.minPrice || null,
+      options.maxPrice || null,
+      options.featured ?? null,
+      options.inStock || null,
+      attributes
+    ];
+
+    return crypto.createHash('sha1').update(JSON.stringify(normalized)).digest('hex');
+  }
+
+  /**
+   * Drop derived search data after products change: cached facet counts (old entries expire on their own)
+   * and the suggestion index
+   */
+  async productsChanged() {
+    try {
+      await redisClient.getClient().incr('facets:version');
+    } catch (error) {
+      logger.warn('Facet cache invalidation error:', { error: error.message });
+    }
+
+    await SearchService.markStale();
+  }
+
   /**
    * Fetch product details
    * @param {String} productId - Product ID
@@ -106,7 +310,8 @@ class ProductService {
 
       return {
         success: true,
-        product
+        product,
+        ...(product.variants.length > 0 && { variantMatrix: product.getVariantMatrix() })
       };
     } catch (error) {
       logger.error('Error fetching product details:', { error: error.message });
@@ -117,13 +322,41 @@ class ProductService {
   /**
    * Create new product (Admin)
    * @param {Object} productData - Product information
+   * @param {String} actorId - Admin user ID
+   * @param {Object} options - { reason } of the opening stock movement and price history entry (default 'initial')
    * @returns {Object} Created product
    */
-  async createProduct(productData) {
+  async createProduct(productData, actorId, options = {}) {
     try {
-      const product = new Product(productData);
+      const { specifications, ...data } = productData;
+
+      await CategoryService.assertCategory(data.category);
+
+      const product = new Product(data);
+      if (specifications) {
+        product.attributes = await AttributeService.buildAttributes(data.category, specifications);
+      }
       await product.save();
 
+      // Opening balance for the stock ledger
+      const { reason = 'initial' } = options;
+      if (product.variants.length > 0) {
+        for (const variant of product.variants.filter(item => item.stock > 0)) {
+          await this.recordMovement(product, variant.stock, { variant: variant._id, reason, actor: actorId });
+        }
+      } else if (product.stock > 0) {
+        await this.recordMovement(product, product.stock, { reason, actor: actorId });
+      }
+
+      // Opening entries of the price history (variants with their own price get one each)
+      const priceReason = reason === 'import' ? 'import' : 'initial';
+      await this.recordPrice(product, priceReason, { actor: actorId });
+      for (const variant of product.variants.filter(item => item.price != null)) {
+        await this.recordPrice(product, priceReason, { variant: variant._id, actor: actorId });
+      }
+
+      await this.productsChanged();
+
       logger.info('New product created:', { productId: product._id });
 
       return {
@@ -141,19 +374,70 @@ class ProductService {
    * Update product (Admin)
    * @param {String} productId - Product ID
    * @param {Object} updateData - Data to update
+   * @param {String} actorId - Admin user ID
+   * @param {Object} options - { reason, note } of the stock movement for a stock change (default 'adjustment');
+   * price changes are recorded as 'manual' ('import' for imports). A new stock value is applied as an atomic
+   * change through updateStock, so sales made since the product was read are kept.
    * @returns {Object} Updated product
    */
-  async updateProduct(productId, updateData) {
+  async updateProduct(productId, updateData, actorId, options = {}) {
     try {
-      const product = await Product.findById(productId);
+      const product = await Product.findById(productId).select('+inventory');
       
       if (!product) {
         throw new Error('Product not found');
       }
 
-      Object.assign(product, updateData);
+      const oldStock = product.stock;
+      const oldPrices = [product.price, product.discountPrice];
+      const locatedStock = oldStock - product.getUnlocatedStock();
+      const { specifications, stock, ...data } = updateData;
+      const stockChange = stock === undefined ? 0 : stock - oldStock;
+
+      if (data.category && data.category !== product.category) {
+        await CategoryService.assertCategory(data.category);
+      }
+
+      // Specifications are re-typed when they or the category change
+      if (specifications || (data.category && data.category !== product.category)) {
+        product.attributes = await AttributeService.buildAttributes(
+          data.category || product.category,
+          specifications || product.specifications
+        );
+      }
+
+      Object.assign(product, data);
+
+      if (product.variants.length > 0 && stockChange !== 0) {
+        const error = new Error('Stock of a product with variants is adjusted per variant');
+        error.statusCode = 400;
+        throw error;
+      }
+
+      // Direct edits only change unlocated stock; warehouse stock is adjusted per warehouse
+      if (stock < locatedStock) {
+        const error = new Error('Stock is held in warehouses; adjust it per warehouse');
+        error.statusCode = 400;
+        throw error;
+      }
+
       await product.save();
 
+      if (stockChange !== 0) {
+        const result = await this.updateStock(product._id, stockChange, {
+          reason: options.reason || 'adjustment',
+          actor: actorId,
+          note: options.note || 'Product update'
+        });
+        product.stock = result.stock;
+      }
+
+      if (product.price !== oldPrices[0] || product.discountPrice !== oldPrices[1]) {
+        await this.recordPrice(product, options.reason === 'import' ? 'import' : 'manual', { actor: actorId });
+      }
+
+      await this.productsChanged();
+
       logger.info('Product updated:', { productId });
 
       return {
@@ -167,6 +451,150 @@ class ProductService {
     }
   }
 
+  /**
+   * Add a variant to a product (Admin)
+   * @param {String} productId - Product ID
+   * @param {Object} variantData - Variant information
+   * @param {String} actorId - Admin user ID
+   * @returns {Object} Created variant
+   */
+  async addVariant(productId, variantData, actorId) {
+    try {
+      const product = await Product.findById(productId);
+
+      if (!product) {
+        throw new Error('Product not found');
+      }
+
+      // Unlocated stock of a product without variants would have no variant to belong to
+      if (product.variants.length === 0 && product.stock > 0) {
+        const error = new Error('Bring product stock to 0 before adding variants');
+        error.statusCode = 400;
+        throw error;
+      }
+
+      product.variants.push(variantData);
+      const variant = product.variants[product.variants.length - 1];
+      await product.validate();
+
+      // The stock total moves atomically with the new variant
+      const updated = await Product.findOneAndUpdate(
+        { _id: productId, 'variants.sku': { $ne: variant.sku } },
+        { $push: { variants: variant.toObject({ virtuals: false }) }, $inc: { stock: variant.stock } },
+        { new: true }
+      );
+
+      if (!updated) {
+        const error = new Error(`Duplicate variant: ${variant.sku}`);
+        error.statusCode = 400;
+        throw error;
+      }
+
+      if (variant.stock > 0) {
+        await this.recordMovement(updated, variant.stock, { variant: variant._id, reason: 'initial', actor: actorId });
+      }
+
+      if (variant.price != null) {
+        await this.recordPrice(updated, 'initial', { variant: variant._id, actor: actorId });
+      }
+
+      await this.productsChanged();
+
+      logger.info('Product variant added:', { productId, variantId: variant._id });
+
+      return {
+        success: true,
+        message: 'Variant added successfully',
+        variant: updated.findVariant(variant._id)
+      };
+    } catch (error) {
+      logger.error('Error adding product variant:', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Update a product variant (Admin) - stock goes through the stock endpoint
+   * @param {String} productId - Product ID
+   * @param {String} variantId - Variant ID
+   * @param {Object} updateData - Data to update
+   * @param {String} actorId - Admin user ID
+   * @returns {Object} Updated variant
+   */
+  async updateVariant(productId, variantId, updateData, actorId) {
+    try {
+      const product = await Product.findById(productId);
+
+      if (!product) {
+        throw new Error('Product not found');
+      }
+
+      const variant = product.findVariant(variantId);
+      if (!variant) {
+        throw new Error('Variant not found');
+      }
+
+      const oldPrices = [variant.price, variant.discountPrice];
+
+      variant.set(updateData);
+      await product.save();
+
+      if (variant.price !== oldPrices[0] || variant.discountPrice !== oldPrices[1]) {
+        await this.recordPrice(product, 'manual', { variant: variantId, actor: actorId });
+      }
+
+      await this.productsChanged();
+
+      logger.info('Product variant updated:', { productId, variantId });
+
+      return {
+        success: true,
+        message: 'Variant updated successfully',
+        variant
+      };
+    } catch (error) {
+      logger.error('Error updating product variant:', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a product variant (Admin)
+   * @param {String} productId - Product ID
+   * @param {String} variantId - Variant ID
+   * @returns {Object} Deletion result
+   */
+  async deleteVariant(productId, variantId) {
+    try {
+      const product = await Product.findById(productId);
+
+      if (!product) {
+        throw new Error('Product not found');
+      }
+
+      const variant = product.findVariant(variantId);
+      if (!variant) {
+        throw new Error('Variant not found');
+      }
+
+      // Soft delete => stock and order history keep pointing at it
+      variant.isActive = false;
+      await product.save();
+
+      await this.productsChanged();
+
+      logger.info('Product variant deleted:', { productId, variantId });
+
+      return {
+        success: true,
+        message: 'Variant deleted successfully'
+      };
+    } catch (error) {
+      logger.error('Error deleting product variant:', { error: error.message });
+      throw error;
+    }
+  }
+
   /**
    * Delete product (Admin)
    * @param {String} productId - Product ID
@@ -184,6 +612,8 @@ class ProductService {
       product.isActive = false;
       await product.save();
 
+      await this.productsChanged();
+
       logger.info('Product deleted:', { productId });
 
       return {
@@ -242,7 +672,7 @@ class ProductService {
       const products = await Product.find({
         isActive: true,
         featured: true,
-        stock: { $gt: 0 }
+        $expr: { $gt: [Product.AVAILABLE_STOCK_EXPR, 0] }
       })
       .sort({ createdAt: -1 })
       .limit(limit);
@@ -258,40 +688,394 @@ class ProductService {
   }
 
   /**
-   * Update stock
+   * Update stock atomically - a decrease only applies while enough unreserved stock is left
    * @param {String} productId - Product ID
    * @param {Number} quantity - Amount (positive: increase, negative: decrease)
+   * @param {Object} options - { session, releaseReserved, variant, warehouse, reason, actor, order, note }
+   *   session: run inside a transaction
+   *   releaseReserved: reserved units freed by this update (a checkout consuming its own reservation)
+   *   variant: variant whose stock changes along with the product total (required for products with variants)
+   *   warehouse: warehouse whose stock changes along with the total (default: stock not placed in a warehouse)
+   *   reason, actor, order, note: recorded in the stock movement ledger (reason defaults to 'adjustment')
    * @returns {Object} Update result
    */
-  async updateStock(productId, quantity) {
+  async updateStock(productId, quantity, options = {}) {
     try {
-      const product = await Product.findById(productId);
-      
-      if (!product) {
-        throw new Error('Prouct not found');
+      const { session, releaseReserved = 0, variant, warehouse } = options;
+
+      if (warehouse && quantity > 0) {
+        await this.ensureInventoryEntry(productId, warehouse, variant, session);
       }
 
-      const newStock = product.stock + quantity;
-      
-      if (newStock < 0) {
-        throw new Error('Insufficient stock');
+      const filter = { _id: productId };
+      const conditions = [];
+
+      if (variant) {
+        filter['variants._id'] = variant;
+      } else {
+        // Product totals of a product with variants only move through its variants
+        filter['variants.0'] = { $exists: false };
       }
 
-      product.stock = newStock;
-      await product.save();
+      if (quantity < 0) {
+        conditions.push({ $gte: [{ $add: [Product.AVAILABLE_STOCK_EXPR, releaseReserved] }, -quantity] });
+
+        if (variant) {
+          conditions.push({
+            $gte: [{ $add: [Product.variantAvailableStockExpr(variant), releaseReserved] }, -quantity]
+          });
+        }
+
+        if (warehouse) {
+          filter.inventory = {
+            $elemMatch: { warehouse, variant: variant || null, stock: { $gte: -quantity } }
+          };
+        } else {
+          conditions.push({ $gte: [Product.unlocatedStockExpr(variant), -quantity] });
+        }
+
+        filter.$expr = { $and: conditions };
+      }
+
+      const update = { $inc: { stock: quantity } };
+      if (releaseReserved > 0) {
+        update.$inc.reservedStock = -releaseReserved;
+      }
+
+      const updateOptions = { new: true, session, arrayFilters: [] };
+      if (variant) {
+        update.$inc['variants.$[variant].stock'] = quantity;
+        if (releaseReserved > 0) {
+          update.$inc['variants.$[variant].reservedStock'] = -releaseReserved;
+        }
+        updateOptions.arrayFilters.push({ 'variant._id': variant });
+      }
+      if (warehouse) {
+        update.$inc['inventory.$[location].stock'] = quantity;
+        updateOptions.arrayFilters.push({ 'location.warehouse': warehouse, 'location.variant': variant || null });
+      }
+
+      const product = await Product.findOneAndUpdate(filter, update, updateOptions);
+
+      if (!product) {
+        const current = await Product.findById(productId).select('variants._id').session(session || null);
 
-      logger.info('Stock updated:', { productId, oldStock: product.stock - quantity, newStock });
+        if (!current) {
+          throw new Error('Product not found');
+        }
+
+        if (variant ? !current.findVariant(variant) : current.variants.length > 0) {
+          const error = new Error(variant ? 'Variant not found' : 'Variant is required for this product');
+          error.statusCode = variant ? 404 : 400;
+          throw error;
+        }
+
+        const error = new Error(warehouse ? 'Insufficient stock in warehouse' : 'Insufficient stock');
+        error.statusCode = 409;
+        throw error;
+      }
+
+      const newStock = product.stock;
+
+      await this.recordMovement(product, quantity, options);
+
+      // The availability facet counts products with unreserved stock
+      const available = newStock - (product.reservedStock || 0);
+      if ((available > 0) !== (available - quantity - releaseReserved > 0)) {
+        await this.productsChanged();
+      }
+
+      logger.info('Stock updated:', { productId, variant, warehouse, oldStock: newStock - quantity, newStock });
 
       return {
         success: true,
         message: 'Stock updated successfully',
-        stock: newStock
+        stock: newStock,
+        ...(variant && { variantStock: product.findVariant(variant).stock })
       };
     } catch (error) {
       logger.error('Error updating stock:', { error: error.message });
       throw error;
     }
   }
+
+  /**
+   * Add an empty inventory entry for a warehouse the product (or variant) isn't stocked in yet
+   * @param {String} productId - Product ID
+   * @param {String} warehouseId - Warehouse ID
+   * @param {String} variantId - Variant ID (products with variants)
+   * @param {Object} session - Transaction session
+   */
+  async ensureInventoryEntry(productId, warehouseId, variantId, session) {
+    const entry = { warehouse: warehouseId, variant: variantId || null };
+
+    await Product.updateOne(
+      { _id: productId, inventory: { $not: { $elemMatch: entry } } },
+      { $push: { inventory: variantId ? entry : { warehouse: warehouseId } } },
+      { session }
+    );
+  }
+
+  /**
+   * Get a product's stock per warehouse (Admin)
+   * @param {String} productId - Product ID
+   * @returns {Object} Stock levels
+   */
+  async getInventory(productId) {
+    try {
+      const product = await Product.findById(productId)
+        .select('name sku stock reservedStock variants +inventory')
+        .populate('inventory.warehouse', 'code name countries isActive');
+
+      if (!product) {
+        throw new Error('Product not found');
+      }
+
+      return {
+        success: true,
+        product: {
+          _id: product._id,
+          name: product.name,
+          sku: product.sku,
+          stock: product.stock,
+          reservedStock: product.reservedStock,
+          availableStock: product.availableStock,
+          unlocatedStock: product.variants.length > 0
+            ? product.variants.reduce((total, variant) => total + product.getUnlocatedStock(variant._id), 0)
+            : product.getUnlocatedStock()
+        },
+        variants: product.variants.map(variant => ({
+          _id: variant._id,
+          sku: variant.sku,
+          stock: variant.stock,
+          reservedStock: variant.reservedStock,
+          unlocatedStock: product.getUnlocatedStock(variant._id)
+        })),
+        inventory: product.inventory.map(location => ({
+          warehouse: location.warehouse,
+          variant: location.variant,
+          sku: location.variant ? product.findVariant(location.variant)?.sku : product.sku,
+          stock: location.stock
+        }))
+      };
+    } catch (error) {
+      logger.error('Error fetching product inventory:', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Write a stock movement ledger entry
+   * @param {Object} product - Product document holding the resulting stock
+   * @param {Number} quantity - Signed stock change
+   * @param {Object} options - { session, variant, warehouse, reason, actor, order, note }
+   * @returns {Object} Stock movement document
+   */
+  async recordMovement(product, quantity, options = {}) {
+    const { session, variant, warehouse, reason = 'adjustment', actor, order, note } = options;
+
+    const [movement] = await StockMovement.create([{
+      product: product._id,
+      variant,
+      warehouse,
+      quantity,
+      balance: product.stock,
+      reason,
+      actor,
+      order,
+      note
+    }], { session });
+
+    return movement;
+  }
+
+  /**
+   * Write a price history entry with the prices in effect right now
+   * @param {Object} product - Product document
+   * @param {String} reason - Change reason
+   * @param {Object} options - { variant, schedule, actor }
+   * @returns {Object} Price history document
+   */
+  async recordPrice(product, reason, options = {}) {
+    const { variant: variantId, schedule, actor } = options;
+
+    const variant = product.findVariant(variantId);
+    const { price, discountPrice, finalPrice } = variant || product.getPricing();
+
+    return PriceHistory.create({
+      product: product._id,
+      variant: variant ? variant._id : undefined,
+      price,
+      discountPrice,
+      finalPrice,
+      reason,
+      schedule,
+      actor
+    });
+  }
+
+  /**
+   * Get a product's stock movement history (Admin)
+   * @param {String} productId - Product ID
+   * @param {Object} options - Pagination options and reason filter
+   * @returns {Object} Movement list
+   */
+  async getStockHistory(productId, options = {}) {
+    try {
+      const { page = 1, limit = 20, reason } = options;
+      const skip = (page - 1) * limit;
+
+      const product = await Product.findById(productId).select('name sku stock reservedStock +stockAudit');
+
+      if (!product) {
+        throw new Error('Product not found');
+      }
+
+      const filter = { product: productId };
+      if (reason) {
+        filter.reason = reason;
+      }
+
+      const movements = await StockMovement.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .populate('actor', 'firstName lastName email')
+        .populate('order', 'orderNumber')
+        .populate('warehouse', 'code name');
+
+      const total = await StockMovement.countDocuments(filter);
+
+      return {
+        success: true,
+        product,
+        movements,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalItems: total,
+          itemsPerPage: limit
+        }
+      };
+    } catch (error) {
+      logger.error('Error fetching stock history:', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Compare every product's stock with the sum of its ledger movements and flag mismatches (scheduled job)
+   * A sale landing between the two reads can flag a false mismatch; it clears on the next run.
+   * @returns {Object} Number of checked and mismatched products
+   */
+  async reconcileStock() {
+    try {
+      const totals = await StockMovement.aggregate([
+        { $group: { _id: '$product', expected: { $sum: '$quantity' } } }
+      ]);
+      const expectedByProduct = new Map(totals.map(total => [total._id.toString(), total.expected]));
+
+      const checkedAt = new Date();
+      const products = await Product.find({}).select('stock');
+      const operations = [];
+      let mismatched = 0;
+
+      for (const product of products) {
+        const expected = expectedByProduct.get(product._id.toString()) || 0;
+        const status = expected === product.stock ? 'ok' : 'mismatch';
+
+        if (status === 'mismatch') {
+          mismatched++;
+          logger.warn('Stock mismatch detected:', { productId: product._id, expected, actual: product.stock });
+        }
+
+        operations.push({
+          updateOne: {
+            filter: { _id: product._id },
+            update: { $set: { stockAudit: { status, expected, actual: product.stock, checkedAt } } }
+          }
+        });
+      }
+
+      if (operations.length > 0) {
+        await Product.bulkWrite(operations);
+      }
+
+      logger.info('Stock reconciliation completed:', { checked: products.length, mismatched });
+
+      return {
+        success: true,
+        checked: products.length,
+        mismatched
+      };
+    } catch (error) {
+      logger.error('Stock reconciliation error:', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Get products flagged by the last reconciliation (Admin)
+   * @returns {Object} Product list
+   */
+  async getStockDiscrepancies() {
+    try {
+      const products = await Product.find({ 'stockAudit.status': 'mismatch' })
+        .select('name sku stock +stockAudit')
+        .sort({ 'stockAudit.checkedAt': -1 });
+
+      return {
+        success: true,
+        products
+      };
+    } catch (error) {
+      logger.error('Error fetching stock discrepancies:', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Key of the stock a cart/order line draws from
+   * @param {Object} item - Line with product and optional variant
+   * @returns {String} "<productId>" or "<productId>:<variantId>"
+   */
+  stockKey(item) {
+    return item.variant ? `${item.product}:${item.variant}` : item.product.toString();
+  }
+
+  /**
+   * Describe a product (or variant) that can't cover the requested quantity
+   * @param {Object} product - Product document
+   * @param {Number} requested - Requested quantity
+   * @param {String} variantId - Variant ID (products with variants)
+   * @returns {Object} Shortage details
+   */
+  describeShortage(product, requested, variantId) {
+    const variant = product.findVariant(variantId);
+    const name = variant ? `${product.name} (${variant.sku})` : product.name;
+
+    return {
+      field: 'items',
+      productId: product._id,
+      ...(variant && { variantId: variant._id }),
+      name,
+      requested,
+      available: (variant || product).availableStock,
+      message: `Insufficient stock: ${name}`
+    };
+  }
+
+  /**
+   * Build the 409 error listing products that ran out
+   * @param {Array} shortages - Shortage details
+   * @returns {Error} Error with statusCode 409
+   */
+  stockConflictError(shortages) {
+    const error = new Error(`Insufficient stock: ${shortages.map(item => item.name).join(', ')}`);
+    error.statusCode = 409;
+    error.errors = shortages;
+    return error;
+  }
 }
 
 module.exports = new ProductService();
\ No newline at end of file
@@ -0,0 +1,586 @@
+const Promotion = require('../models/Promotion');
+const PromotionRedemption = require('../models/PromotionRedemption');
+const Product = require('../models/Product');
+const CategoryService = require('./categoryService');
+const logger = require('../utils/logger');
+const { roundAmount } = require('../utils/money');
+
+/**
+ * Promotion service class
+ * Admin management of coupons and automatic promotions, and the engine that turns them into discount lines
+ * for a cart or an order. Promotions apply by priority; a non-stackable one only applies alone.
+ */
+class PromotionService {
+  /**
+   * Get promotions (Admin)
+   * @param {Object} options - Filtering and pagination options
+   * @returns {Object} Promotion list
+   */
+  async getPromotions(options = {}) {
+    try {
+      const { page = 1, limit = 20, isActive, code } = options;
+      const skip = (page - 1) * limit;
+
+      const filter = {};
+      if (isActive !== undefined) {
+        filter.isActive = isActive;
+      }
+      if (code) {
+        filter.code = code.toUpperCase();
+      }
+
+      const promotions = await Promotion.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit);
+
+      const total = await Promotion.countDocuments(filter);
+
+      return {
+        success: true,
+        promotions,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalItems: total,
+          itemsPerPage: limit
+        }
+      };
+    } catch (error) {
+      logger.error('Error fetching promotions:', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Get promotion details (Admin)
+   * @param {String} promotionId - Promotion ID
+   * @returns {Object} Promotion details
+   */
+  async getPromotionById(promotionId) {
+    try {
+      const promotion = await this.findPromotion(promotionId);
+
+      return {
+        success: true,
+        promotion
+      };
+    } catch (error) {
+      logger.error('Error fetching promotion:', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Create promotion (Admin)
+   * @param {Object} promotionData - Promotion information
+   * @param {String} actorId - Admin user ID
+   * @returns {Object} Created promotion
+   */
+  async createPromotion(promotionData, actorId) {
+    try {
+      await this.assertScope(promotionData.scope);
+
+      const promotion = new Promotion({ ...promotionData, createdBy: actorId });
+      await promotion.save();
+
+      logger.info('Promotion created:', { promotionId: promotion._id, code: promotion.code });
+
+      return {
+        success: true,
+        message: 'Promotion created successfully',
+        promotion
+      };
+    } catch (error) {
+      logger.error('Error creating promotion:', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Update promotion (Admin) - a null code turns a coupon into an automatic promotion
+   * @param {String} promotionId - Promotion ID
+   * @param {Object} updateData - Data to update
+   * @returns {Object} Updated promotion
+   */
+  async updatePromotion(promotionId, updateData) {
+    try {
+      const promotion = await this.findPromotion(promotionId);
+      const { code, ...data } = updateData;
+
+      await this.assertScope(data.scope);
+
+      promotion.set(data);
+      if (code !== undefined) {
+        // Left unset (not null) so the sparse unique index skips it
+        promotion.code = code || undefined;
+      }
+      await promotion.save();
+
+      logger.info('Promotion updated:', { promotionId });
+
+      return {
+        success: true,
+        message: 'Promotion updated successfully',
+        promotion
+      };
+    } catch (error) {
+      logger.error('Error updating promotion:', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Delete promotion (Admin) - used promotions are kept for the orders that reference them
+   * @param {String} promotionId - Promotion ID
+   * @returns {Object} Deletion result
+   */
+  async deletePromotion(promotionId) {
+    try {
+      const promotion = await this.findPromotion(promotionId);
+
+      if (await PromotionRedemption.exists({ promotion: promotion._id })) {
+        const error = new Error('Promotion has been used by orders; deactivate it instead');
+        error.statusCode = 400;
+        throw error;
+      }
+
+      await promotion.deleteOne();
+
+      logger.info('Promotion deleted:', { promotionId });
+
+      return {
+        success: true,
+        message: 'Promotion deleted successfully'
+      };
+    } catch (error) {
+      logger.error('Error deleting promotion:', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Work out the discounts for a set of lines from the running automatic promotions and the given coupons
+   * Per-user limits are checked only when options.userId is given (null => guest: such coupons need a login).
+   * @param {Array} lines - Cart or order lines: [{ product, price, quantity }]
+   * @param {Object} options - { coupons, userId, now }
+   * @returns {Object} { discounts, discountTotal, freeShipping, itemDiscounts, rejected }
+   */
+  async evaluate(lines, options = {}) {
+    const { coupons = [], userId, now = new Date() } = options;
+    const codes = coupons.map(code => code.toUpperCase());
+
+    const result = {
+      discounts: [],
+      discountTotal: 0,
+      freeShipping: false,
+      // Discount per line, same order as the lines
+      itemDiscounts: lines.map(() => 0),
+      rejected: []
+    };
+
+    if (lines.length === 0) {
+      return result;
+    }
+
+    const promotions = await Promotion.find({
+      $or: [{ code: null, isActive: true }, { code: { $in: codes } }]
+    }).sort({ priority: -1, createdAt: 1 });
+
+    for (const code of codes) {
+      const coupon = promotions.find(promotion => promotion.code === code);
+      const reason = this.describeInvalidCoupon(coupon, now);
+      if (reason) {
+        result.rejected.push({ code, reason });
+      }
+    }
+
+    const entries = await this.buildEntries(lines);
+
+    for (const promotion of promotions.filter(item => item.isRunning(now))) {
+      const reason = await this.applyPromotion(promotion, entries, result, userId);
+
+      if (reason && promotion.code) {
+        result.rejected.push({ code: promotion.code, reason });
+      }
+    }
+
+    result.discountTotal = roundAmount(result.discounts.reduce((total, line) => total + line.amount, 0));
+    result.itemDiscounts = result.itemDiscounts.map(roundAmount);
+
+    return result;
+  }
+
+  /**
+   * Apply one promotion to the lines if it is eligible
+   * @param {Object} promotion - Promotion document
+   * @param {Array} entries - Line entries (remaining amounts are reduced)
+   * @param {Object} result - Evaluation result being built
+   * @param {String} userId - User ID (see evaluate)
+   * @returns {String|null} Why it did not apply
+   */
+  async applyPromotion(promotion, entries, result, userId) {
+    if (promotion.usageLimit && promotion.usedCount >= promotion.usageLimit) {
+      return 'Coupon usage limit reached';
+    }
+
+    if (promotion.perUserLimit && userId !== undefined) {
+      if (!userId) {
+        return 'Log in to use this coupon';
+      }
+
+      const used = await PromotionRedemption.countDocuments({
+        promotion: promotion._id,
+        user: userId,
+        status: 'redeemed'
+      });
+
+      if (used >= promotion.perUserLimit) {
+        return 'You have already used this coupon';
+      }
+    }
+
+    const eligible = entries.filter(entry => this.matchesScope(promotion, entry));
+    if (eligible.length === 0) {
+      return 'Coupon does not apply to the items in your cart';
+    }
+
+    const eligibleSubtotal = eligible.reduce((total, entry) => total + entry.price * entry.quantity, 0);
+    if (eligibleSubtotal < promotion.minSubtotal) {
+      return `Spend at least ${promotion.minSubtotal} on eligible items to use this coupon`;
+    }
+
+    // Stacking: an exclusive promotion neither joins nor admits others
+    const applied = result.discounts.length > 0;
+    if (applied && (!promotion.stackable || result.discounts.some(line => !line.stackable))) {
+      return 'Coupon cannot be combined with other promotions';
+    }
+
+    if (promotion.type === 'free_shipping') {
+      result.freeShipping = true;
+      result.discounts.push(this.discountLine(promotion, 0));
+      return null;
+    }
+
+    const amounts = this.calculateDiscounts(promotion, eligible);
+    const amount = roundAmount(amounts.reduce((total, value) => total + value, 0));
+
+    if (amount <= 0) {
+      return promotion.type === 'buy_x_get_y'
+        ? 'Not enough eligible items in your cart'
+        : 'Coupon does not apply to the items in your cart';
+    }
+
+    eligible.forEach((entry, index) => {
+      entry.remaining = roundAmount(entry.remaining - amounts[index]);
+      result.itemDiscounts[entry.index] += amounts[index];
+    });
+
+    result.discounts.push(this.discountLine(promotion, amount));
+    return null;
+  }
+
+  /**
+   * Discount per eligible line, in cents and never above what is left of the line
+   * @param {Object} promotion - Promotion document
+   * @param {Array} eligible - Eligible line entries
+   * @returns {Array} Amounts
+   */
+  calculateDiscounts(promotion, eligible) {
+    const remaining = eligible.reduce((total, entry) => total + entry.remaining, 0);
+
+    if (promotion.type === 'percentage') {
+      let amount = remaining * promotion.value / 100;
+      if (promotion.maxDiscount) {
+        amount = Math.min(amount, promotion.maxDiscount);
+      }
+      return this.allocate(eligible, amount);
+    }
+
+    if (promotion.type === 'fixed') {
+      return this.allocate(eligible, Math.min(promotion.value, remaining));
+    }
+
+    // buy_x_get_y => the cheapest units of each group are discounted
+    const units = eligible.reduce((total, entry) => total + entry.quantity, 0);
+    let discounted = Math.floor(units / (promotion.buyQuantity + promotion.getQuantity)) * promotion.getQuantity;
+
+    const amounts = eligible.map(() => 0);
+    const byUnitPrice = eligible
+      .map((entry, index) => ({ index, quantity: entry.quantity, unitPrice: entry.remaining / entry.quantity }))
+      .sort((a, b) => a.unitPrice - b.unitPrice);
+
+    for (const { index, quantity, unitPrice } of byUnitPrice) {
+      if (discounted <= 0) {
+        break;
+      }
+
+      const count = Math.min(quantity, discounted);
+      amounts[index] = Math.min(roundAmount(unitPrice * count * promotion.getPercent / 100), eligible[index].remaining);
+      discounted -= count;
+    }
+
+    return amounts;
+  }
+
+  /**
+   * Spread an amount over lines in proportion to what is left of them (the last line takes the rounding)
+   * @param {Array} eligible - Eligible line entries
+   * @param {Number} amount - Amount to spread
+   * @returns {Array} Amounts
+   */
+  allocate(eligible, amount) {
+    const total = roundAmount(amount);
+    const remaining = eligible.reduce((sum, entry) => sum + entry.remaining, 0);
+
+    let left = total;
+    return eligible.map((entry, index) => {
+      const share = index === eligible.length - 1
+        ? left
+        : roundAmount(total * entry.remaining / remaining);
+      const value = Math.max(Math.min(share, entry.remaining), 0);
+      left = roundAmount(left - value);
+      return value;
+    });
+  }
+
+  /**
+   * Does a line fall under the promotion's scope (empty lists match everything)
+   * @param {Object} promotion - Promotion document
+   * @param {Object} entry - Line entry
+   * @returns {Boolean} Matches
+   */
+  matchesScope(promotion, entry) {
+    const { categories = [], brands = [], products = [] } = promotion.scope || {};
+
+    if (entry.remaining <= 0) {
+      return false;
+    }
+    if (products.length > 0 && !products.some(product => product.toString() === entry.product)) {
+      return false;
+    }
+    if (brands.length > 0 && !brands.includes(entry.brand)) {
+      return false;
+    }
+    if (categories.length > 0 && !categories.some(category => entry.categories.includes(category))) {
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Line entries with the product data scoping needs (category lineage, brand)
+   * @param {Array} lines - [{ product, price, quantity }]
+   * @returns {Array} Entries
+   */
+  async buildEntries(lines) {
+    const products = await Product.find({ _id: { $in: lines.map(line => line.product) } }).select('category brand');
+    const byId = new Map(products.map(product => [product._id.toString(), product]));
+
+    const lineages = new Map();
+    for (const { category } of products) {
+      if (!lineages.has(category)) {
+        lineages.set(category, await CategoryService.getLineageNames(category));
+      }
+    }
+
+    return lines.map((line, index) => {
+      const product = byId.get(line.product.toString());
+
+      return {
+        index,
+        product: line.product.toString(),
+        brand: product ? product.brand : undefined,
+        categories: product ? lineages.get(product.category) : [],
+        price: line.price,
+        quantity: line.quantity,
+        remaining: roundAmount(line.price * line.quantity)
+      };
+    });
+  }
+
+  /**
+   * Discount line as carried by carts and orders
+   * @param {Object} promotion - Promotion document
+   * @param {Number} amount - Discount amount
+   * @returns {Object} Discount line
+   */
+  discountLine(promotion, amount) {
+    return {
+      promotion: promotion._id,
+      code: promotion.code,
+      name: promotion.name,
+      type: promotion.type,
+      stackable: promotion.stackable,
+      amount
+    };
+  }
+
+  /**
+   * Why a coupon code can't be used at all
+   * @param {Object} coupon - Promotion document (undefined => unknown code)
+   * @param {Date} now - Reference time
+   * @returns {String|null} Reason
+   */
+  describeInvalidCoupon(coupon, now) {
+    if (!coupon || !coupon.isActive) {
+      return 'Invalid coupon code';
+    }
+    if (coupon.startsAt && coupon.startsAt > now) {
+      return 'Coupon is not valid yet';
+    }
+    if (coupon.endsAt && coupon.endsAt <= now) {
+      return 'Coupon has expired';
+    }
+    return null;
+  }
+
+  /**
+   * Count an order's promotions as used (inside the order transaction)
+   * @param {Object} order - Order document with its discount lines
+   * @param {Object} session - Transaction session
+   */
+  async redeem(order, session) {
+    for (const line of order.discounts) {
+      // Loyalty point lines are not promotions
+      if (!line.promotion) {
+        continue;
+      }
+
+      const claimed = await Promotion.findOneAndUpdate(
+        {
+          _id: line.promotion,
+          $or: [{ usageLimit: null }, { $expr: { $lt: ['$usedCount', '$usageLimit'] } }]
+        },
+        { $inc: { usedCount: 1 } },
+        { session }
+      );
+
+      if (!claimed) {
+        const error = new Error(`Coupon usage limit reached: ${line.code || line.name}`);
+        error.statusCode = 409;
+        throw error;
+      }
+
+      const slot = claimed.perUserLimit && order.user
+        ? await this.claimUserSlot(claimed, order.user, session)
+        : undefined;
+
+      try {
+        await PromotionRedemption.create([{
+          promotion: line.promotion,
+          user: order.user,
+          order: order._id,
+          code: line.code,
+          amount: line.amount,
+          slot
+        }], { session });
+      } catch (error) {
+        // Another order of the user took the same slot first
+        if (error.code === 11000) {
+          throw this.userLimitError(line);
+        }
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Pick a free per-user slot (1..perUserLimit) for a redemption of the user
+   * The unique slot index makes concurrent orders of the same user fail instead of both passing the count.
+   * @param {Object} promotion - Promotion document
+   * @param {String} userId - User ID
+   * @param {Object} session - Transaction session
+   * @returns {Number} Slot
+   */
+  async claimUserSlot(promotion, userId, session) {
+    const redemptions = await PromotionRedemption.find({ promotion: promotion._id, user: userId, status: 'redeemed' })
+      .select('slot')
+      .session(session);
+
+    const taken = new Set(redemptions.map(redemption => redemption.slot));
+    let slot = 1;
+    while (taken.has(slot)) {
+      slot++;
+    }
+
+    if (redemptions.length >= promotion.perUserLimit || slot > promotion.perUserLimit) {
+      throw this.userLimitError(promotion);
+    }
+
+    return slot;
+  }
+
+  /**
+   * Error for a coupon the user has used up
+   * @param {Object} promotion - Promotion or discount line ({ code, name })
+   * @returns {Error} Error
+   */
+  userLimitError(promotion) {
+    const error = new Error(`You have already used this coupon: ${promotion.code || promotion.name}`);
+    error.statusCode = 409;
+    return error;
+  }
+
+  /**
+   * Give back the promotion uses of a cancelled order
+   * @param {Object} order - Order document
+   * @param {Object} session - Transaction session
+   * @returns {Number} Released redemptions
+   */
+  async releaseRedemptions(order, session) {
+    const redemptions = await PromotionRedemption.find({ order: order._id, status: 'redeemed' }).session(session);
+
+    let count = 0;
+    for (const redemption of redemptions) {
+      const released = await PromotionRedemption.findOneAndUpdate(
+        { _id: redemption._id, status: 'redeemed' },
+        { $set: { status: 'released', releasedAt: new Date() } },
+        { session }
+      );
+
+      if (released) {
+        await Promotion.updateOne(
+          { _id: redemption.promotion, usedCount: { $gt: 0 } },
+          { $inc: { usedCount: -1 } },
+          { session }
+        );
+        count++;
+      }
+    }
+
+    if (count > 0) {
+      logger.info('Promotion redemptions released:', { orderId: order._id, count });
+    }
+
+    return count;
+  }
+
+  /**
+   * Fail unless the categories a promotion scope names exist
+   * @param {Object} scope - Promotion scope
+   */
+  async assertScope(scope) {
+    for (const category of (scope && scope.categories) || []) {
+      await CategoryService.assertCategory(category);
+    }
+  }
+
+  /**
+   * Find a promotion or fail
+   * @param {String} promotionId - Promotion ID
+   * @returns {Object} Promotion document
+   */
+  async findPromotion(promotionId) {
+    const promotion = await Promotion.findById(promotionId);
+
+    if (!promotion) {
+      throw new Error('Promotion not found');
+    }
+
+    return promotion;
+  }
+}
+
+module.exports = new PromotionService();
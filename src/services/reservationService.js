@@ -0,0 +1,326 @@
+const mongoose = require('mongoose');
+const StockReservation = require('../models/StockReservation');
+const Product = require('../models/Product');
+const CartService = require('./cartService');
+const ProductService = require('./productService');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+/**
+ * Stock reservation service class
+ * Holds cart stock during checkout; Product.reservedStock is the running total of active reservations
+ */
+class ReservationService {
+  /**
+   * Reserve every cart item for the checkout window, replacing earlier reservations of the cart
+   * @param {String} cartId - User ID or session ID
+   * @returns {Object} Reservations and their expiry
+   */
+  async reserveCart(cartId) {
+    try {
+      cartId = cartId.toString();
+      const cart = await CartService.getCart(cartId);
+
+      if (!cart.items || cart.items.length === 0) {
+        const error = new Error('Cart is empty');
+        error.statusCode = 400;
+        throw error;
+      }
+
+      const expiresAt = new Date(Date.now() + config.inventory.reservationMinutes * 60 * 1000);
+      let reservations = [];
+
+      await mongoose.connection.transaction(async (session) => {
+        await this.closeCartReservations(cartId, 'released', session);
+
+        const shortages = [];
+        reservations = [];
+
+        for (const item of cart.items) {
+          const filter = { _id: item.product, isActive: true };
+          const conditions = [{ $gte: [Product.AVAILABLE_STOCK_EXPR, item.quantity] }];
+          const update = { $inc: { reservedStock: item.quantity } };
+          const options = { new: true, session };
+
+          if (item.variant) {
+            filter.variants = { $elemMatch: { _id: item.variant, isActive: true } };
+            conditions.push({ $gte: [Product.variantAvailableStockExpr(item.variant), item.quantity] });
+            update.$inc['variants.$[variant].reservedStock'] = item.quantity;
+            options.arrayFilters = [{ 'variant._id': item.variant }];
+          }
+
+          filter.$expr = { $and: conditions };
+
+          const product = await Product.findOneAndUpdate(filter, update, options);
+
+          if (!product) {
+            const current = await Product.findById(item.product).session(session);
+            const variant = current && current.findVariant(item.variant);
+
+            if (!current || !current.isActive || (item.variant && (!variant || !variant.isActive))) {
+              throw new Error(`Product not found: ${item.name}`);
+            }
+            shortages.push(ProductService.describeShortage(current, item.quantity, item.variant));
+            continue;
+          }
+
+          reservations.push({
+            product: product._id,
+            variant: item.variant,
+            cartId,
+            quantity: item.quantity,
+            expiresAt
+          });
+        }
+
+        // Rolls back the reservations made so far
+        if (shortages.length > 0) {
+          throw ProductService.stockConflictError(shortages);
+        }
+
+        reservations = await StockReservation.insertMany(reservations, { session });
+      });
+
+      logger.info('Cart stock reserved:', { cartId, items: reservations.length, expiresAt });
+
+      return {
+        success: true,
+        message: 'Stock reserved for checkout',
+        reservations,
+        expiresAt
+      };
+    } catch (error) {
+      logger.error('Error reserving cart stock:', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Release a cart's active reservations (checkout abandoned)
+   * @param {String} cartId - User ID or session ID
+   * @returns {Object} Release result
+   */
+  async releaseCart(cartId) {
+    try {
+      let released = 0;
+
+      await mongoose.connection.transaction(async (session) => {
+        released = await this.closeCartReservations(cartId.toString(), 'released', session);
+      });
+
+      logger.info('Cart reservations released:', { cartId, released });
+
+      return {
+        success: true,
+        message: 'Reservations released',
+        released
+      };
+    } catch (error) {
+      logger.error('Error releasing cart reservations:', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Move a guest cart's unexpired reservations to the user's cart (the carts were merged at login)
+   * @param {String} fromCartId - Session ID
+   * @param {String} toCartId - User ID
+   * @returns {Number} Number of moved reservations
+   */
+  async transferCart(fromCartId, toCartId) {
+    const { modifiedCount } = await StockReservation.updateMany(
+      { cartId: fromCartId.toString(), status: 'active', expiresAt: { $gt: new Date() } },
+      { $set: { cartId: toCartId.toString() } }
+    );
+
+    if (modifiedCount > 0) {
+      logger.info('Cart reservations transferred:', { fromCartId, toCartId, count: modifiedCount });
+    }
+
+    return modifiedCount;
+  }
+
+  /**
+   * Reserved quantity per product/variant held by a cart (expired reservations no longer count)
+   * @param {String} cartId - User ID or session ID
+   * @returns {Map} stock key => { product, variant, quantity }
+   */
+  async getCartReservedQuantities(cartId) {
+    const reservations = await StockReservation.find({
+      cartId: cartId.toString(),
+      status: 'active',
+      expiresAt: { $gt: new Date() }
+    });
+
+    return this.sumByStock(reservations);
+  }
+
+  /**
+   * Hand a cart's unexpired reservations to an order (inside the checkout transaction)
+   * The caller deducts stock and frees the returned quantities from Product.reservedStock. The reservations
+   * are converted when the order is paid (right away when it already is); expired ones are left to the sweep.
+   * @param {String} cartId - User ID or session ID
+   * @param {Object} order - Order document
+   * @param {Object} session - Transaction session
+   * @returns {Map} stock key => { product, variant, quantity } that was handed over
+   */
+  async holdForOrder(cartId, order, session) {
+    const reservations = await StockReservation.find({
+      cartId: cartId.toString(),
+      status: 'active',
+      expiresAt: { $gt: new Date() }
+    }).session(session);
+
+    if (reservations.length === 0) {
+      return new Map();
+    }
+
+    const paid = order.payment.status === 'completed';
+    await StockReservation.updateMany(
+      { _id: { $in: reservations.map(reservation => reservation._id) }, status: 'active' },
+      { $set: { status: paid ? 'converted' : 'ordered', order: order._id, ...(paid && { convertedAt: new Date() }) } },
+      { session }
+    );
+
+    return this.sumByStock(reservations);
+  }
+
+  /**
+   * Convert the reservations an order holds once it is paid
+   * @param {Object} order - Order document
+   * @param {Object} session - Transaction session
+   * @returns {Number} Number of converted reservations
+   */
+  async convertForOrder(order, session) {
+    const { modifiedCount } = await StockReservation.updateMany(
+      { order: order._id, status: 'ordered' },
+      { $set: { status: 'converted', convertedAt: new Date() } },
+      { session }
+    );
+
+    return modifiedCount;
+  }
+
+  /**
+   * Close the reservations an order held when it is cancelled before payment (its stock is restored with the order)
+   * @param {Object} order - Order document
+   * @param {Object} session - Transaction session
+   * @returns {Number} Number of released reservations
+   */
+  async releaseForOrder(order, session) {
+    const { modifiedCount } = await StockReservation.updateMany(
+      { order: order._id, status: 'ordered' },
+      { $set: { status: 'released', releasedAt: new Date() } },
+      { session }
+    );
+
+    return modifiedCount;
+  }
+
+  /**
+   * Free reserved units on a product (and variant) without touching its stock
+   * @param {String} productId - Product ID
+   * @param {Number} quantity - Reserved units to free
+   * @param {Object} session - Transaction session
+   * @param {String} variantId - Variant ID (products with variants)
+   */
+  async releaseReservedStock(productId, quantity, session, variantId) {
+    const release = (field) => ({ $max: [{ $subtract: [{ $ifNull: [field, 0] }, quantity] }, 0] });
+    const set = { reservedStock: release('$reservedStock') };
+
+    if (variantId) {
+      set.variants = {
+        $map: {
+          input: '$variants',
+          in: {
+            $cond: [
+              { $eq: ['$$this._id', new mongoose.Types.ObjectId(variantId)] },
+              { $mergeObjects: ['$$this', { reservedStock: release('$$this.reservedStock') }] },
+              '$$this'
+            ]
+          }
+        }
+      };
+    }
+
+    await Product.updateOne({ _id: productId }, [{ $set: set }], { session });
+  }
+
+  /**
+   * Expire reservations whose checkout window has passed (scheduled job)
+   * @returns {Number} Number of expired reservations
+   */
+  async releaseExpired() {
+    const expired = await StockReservation.find({ status: 'active', expiresAt: { $lte: new Date() } })
+      .limit(500);
+
+    let count = 0;
+    for (const reservation of expired) {
+      await mongoose.connection.transaction(async (session) => {
+        const closed = await StockReservation.findOneAndUpdate(
+          { _id: reservation._id, status: 'active' },
+          { $set: { status: 'expired', releasedAt: new Date() } },
+          { session }
+        );
+
+        if (closed) {
+          await this.releaseReservedStock(closed.product, closed.quantity, session, closed.variant);
+          count++;
+        }
+      });
+    }
+
+    if (count > 0) {
+      logger.info('Expired stock reservations released:', { count });
+    }
+
+    return count;
+  }
+
+  /**
+   * Close all active reservations of a cart and free their units
+   * @param {String} cartId - Cart identifier
+   * @param {String} status - 'released' or 'expired'
+   * @param {Object} session - Transaction session
+   * @returns {Number} Number of closed reservations
+   */
+  async closeCartReservations(cartId, status, session) {
+    const reservations = await StockReservation.find({ cartId, status: 'active' }).session(session);
+
+    if (reservations.length === 0) {
+      return 0;
+    }
+
+    await StockReservation.updateMany(
+      { _id: { $in: reservations.map(reservation => reservation._id) }, status: 'active' },
+      { $set: { status, releasedAt: new Date() } },
+      { session }
+    );
+
+    for (const { product, variant, quantity } of this.sumByStock(reservations).values()) {
+      await this.releaseReservedStock(product, quantity, session, variant);
+    }
+
+    return reservations.length;
+  }
+
+  /**
+   * Sum reservation quantities per product/variant
+   * @param {Array} reservations - Reservation documents
+   * @returns {Map} stock key => { product, variant, quantity }
+   */
+  sumByStock(reservations) {
+    const totals = new Map();
+
+    reservations.forEach(reservation => {
+      const key = ProductService.stockKey(reservation);
+      const total = totals.get(key) || { product: reservation.product, variant: reservation.variant, quantity: 0 };
+      total.quantity += reservation.quantity;
+      totals.set(key, total);
+    });
+
+    return totals;
+  }
+}
+
+module.exports = new ReservationService();
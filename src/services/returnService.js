@@ -0,0 +1,377 @@
+const ReturnRequest = require('../models/ReturnRequest');
+const Order = require('../models/Order');
+const OrderService = require('./orderService');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { roundAmount } = require('../utils/money');
+
+// Return statuses that still hold a claim on the order's items
+const OPEN_STATUSES = ['requested', 'approved', 'receiving', 'received'];
+
+/**
+ * Return (RMA) management service class
+ * Customers open return requests for delivered orders, admins approve, reject and receive them
+ */
+class ReturnService {
+  /**
+   * Open a return request
+   * @param {String} userId - User ID
+   * @param {Object} returnData - { orderId, items: [{ itemId, quantity, reason }], reason }
+   * @returns {Object} Created return request
+   */
+  async createReturn(userId, returnData) {
+    try {
+      const { orderId, items, reason } = returnData;
+
+      const order = await Order.findOne({ _id: orderId, user: userId });
+
+      if (!order) {
+        throw new Error('Order not found');
+      }
+
+      if (order.status !== 'delivered' || !order.deliveredAt) {
+        const error = new Error('Only delivered orders can be returned');
+        error.statusCode = 400;
+        throw error;
+      }
+
+      const windowEnd = new Date(order.deliveredAt.getTime() + config.returns.windowDays * 24 * 60 * 60 * 1000);
+      if (new Date() > windowEnd) {
+        const error = new Error(`Return window of ${config.returns.windowDays} days has closed`);
+        error.statusCode = 400;
+        throw error;
+      }
+
+      // Quantities already claimed by other open returns, per order item
+      const openReturns = await ReturnRequest.find({ order: order._id, status: { $in: OPEN_STATUSES } });
+      const claimed = {};
+      openReturns.forEach(returnRequest => {
+        returnRequest.items.forEach(item => {
+          const key = item.itemId.toString();
+          claimed[key] = (claimed[key] || 0) + item.quantity;
+        });
+      });
+
+      const returnItems = [];
+      for (const { itemId, quantity, reason: itemReason } of items) {
+        const orderItem = order.items.id(itemId);
+
+        if (!orderItem) {
+          const error = new Error(`Order item not found: ${itemId}`);
+          error.statusCode = 400;
+          throw error;
+        }
+
+        const returnable = orderItem.quantity - orderItem.refundedQuantity - (claimed[itemId] || 0);
+        if (quantity > returnable) {
+          const error = new Error(`Return quantity exceeds returnable quantity: ${orderItem.name}`);
+          error.statusCode = 400;
+          throw error;
+        }
+
+        returnItems.push({
+          itemId: orderItem._id,
+          product: orderItem.product,
+          name: orderItem.name,
+          quantity,
+          reason: itemReason
+        });
+      }
+
+      const returnRequest = new ReturnRequest({
+        order: order._id,
+        user: userId,
+        items: returnItems,
+        reason
+      });
+
+      await returnRequest.save();
+
+      logger.info('Return request created:', { returnId: returnRequest._id, orderId, userId });
+
+      return {
+        success: true,
+        message: 'Return request created',
+        returnRequest
+      };
+    } catch (error) {
+      logger.error('Error creating return request:', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Get user return requests
+   * @param {String} userId - User ID
+   * @param {Object} options - Pagination options
+   * @returns {Object} Return request list
+   */
+  async getUserReturns(userId, options = {}) {
+    try {
+      return await this.listReturns({ user: userId }, options);
+    } catch (error) {
+      logger.error('Error retrieving user return requests:', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Get all return requests (Admin)
+   * @param {Object} options - Filtering and pagination options
+   * @returns {Object} Return request list
+   */
+  async getAllReturns(options = {}) {
+    try {
+      const filter = {};
+
+      if (options.status) {
+        filter.status = options.status;
+      }
+
+      return await this.listReturns(filter, options);
+    } catch (error) {
+      logger.error('Error retrieving all return requests:', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Get return request details
+   * @param {String} returnId - Return request ID
+   * @param {Object} user - Requesting user (admins can see every request)
+   * @returns {Object} Return request details
+   */
+  async getReturnById(returnId, user) {
+    try {
+      const filter = { _id: returnId };
+      if (user.role !== 'admin') {
+        filter.user = user._id;
+      }
+
+      const returnRequest = await ReturnRequest.findOne(filter)
+        .populate('order', 'orderNumber status deliveredAt')
+        .populate('user', 'firstName lastName email');
+
+      if (!returnRequest) {
+        throw new Error('Return request not found');
+      }
+
+      return {
+        success: true,
+        returnRequest
+      };
+    } catch (error) {
+      logger.error('Error retrieving return request details:', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Approve a return request (Admin)
+   * @param {String} returnId - Return request ID
+   * @param {String} actorId - Admin user ID
+   * @param {String} note - Status note
+   * @returns {Object} Update result
+   */
+  async approveReturn(returnId, actorId, note = '') {
+    try {
+      const returnRequest = await this.findReturn(returnId);
+
+      returnRequest.updateStatus('approved', note, actorId);
+      await returnRequest.save();
+
+      logger.info('Return request approved:', { returnId, actorId });
+
+      return {
+        success: true,
+        message: 'Return request approved',
+        returnRequest
+      };
+    } catch (error) {
+      logger.error('Error approving return request:', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Reject a return request (Admin)
+   * @param {String} returnId - Return request ID
+   * @param {String} actorId - Admin user ID
+   * @param {String} note - Status note
+   * @returns {Object} Update result
+   */
+  async rejectReturn(returnId, actorId, note = '') {
+    try {
+      const returnRequest = await this.findReturn(returnId);
+
+      returnRequest.updateStatus('rejected', note, actorId);
+      await returnRequest.save();
+
+      logger.info('Return request rejected:', { returnId, actorId });
+
+      return {
+        success: true,
+        message: 'Return request rejected',
+        returnRequest
+      };
+    } catch (error) {
+      logger.error('Error rejecting return request:', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Mark returned goods as received (Admin) - restocks the items and refunds their value
+   * The receipt is claimed atomically (approved => receiving), so repeated or concurrent submits cannot refund
+   * or restock twice; the claim is released if the refund fails before anything was recorded.
+   * @param {String} returnId - Return request ID
+   * @param {String} actorId - Admin user ID
+   * @param {Object} options - { restock, note, toStoreCredit }
+   * @returns {Object} Update result
+   */
+  async receiveReturn(returnId, actorId, { restock = true, note = '', toStoreCredit = false } = {}) {
+    try {
+      const returnRequest = await this.claimReceipt(returnId);
+      let recorded = false;
+
+      try {
+        const order = await Order.findById(returnRequest.order);
+        if (!order) {
+          throw new Error('Order not found');
+        }
+
+        const items = returnRequest.items.map(item => ({
+          itemId: item.itemId.toString(),
+          quantity: item.quantity
+        }));
+
+        if (order.getRefundableAmount() > 0) {
+          const itemsValue = returnRequest.items.reduce((total, item) => {
+            return total + order.getItemPaidAmount(order.items.id(item.itemId), item.quantity);
+          }, 0);
+
+          const refund = await OrderService.recordRefund(order, {
+            items,
+            amount: Math.min(roundAmount(itemsValue), roundAmount(order.getRefundableAmount())),
+            restock,
+            reason: `Return ${returnRequest.rmaNumber}`,
+            actorId,
+            stockReason: 'return',
+            toStoreCredit
+          });
+          recorded = true;
+
+          returnRequest.refund = { amount: refund.amount, refundId: refund._id };
+        } else {
+          // Nothing was captured (e.g. unpaid cash on delivery), so only the goods come back
+          logger.warn('Return received without refundable payment:', { returnId, orderId: order._id });
+
+          if (restock) {
+            recorded = true;
+            for (const item of returnRequest.items) {
+              await OrderService.restockItem(order.items.id(item.itemId), item.quantity, {
+                reason: 'return',
+                actor: actorId,
+                order: order._id,
+                note: returnRequest.rmaNumber
+              });
+            }
+            await order.save();
+          }
+        }
+      } catch (error) {
+        // Once money or stock moved, the request stays claimed so it can't be received twice
+        if (!recorded) {
+          await ReturnRequest.updateOne({ _id: returnRequest._id, status: 'receiving' }, { $set: { status: 'approved' } });
+        }
+        throw error;
+      }
+
+      returnRequest.updateStatus('received', note, actorId);
+      returnRequest.restocked = restock;
+      await returnRequest.save();
+
+      logger.info('Return request received:', { returnId, actorId, refund: returnRequest.refund?.amount });
+
+      return {
+        success: true,
+        message: 'Return received',
+        returnRequest
+      };
+    } catch (error) {
+      logger.error('Error receiving return request:', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Claim an approved return request for receipt (approved => receiving), or fail
+   * @param {String} returnId - Return request ID
+   * @returns {Object} Claimed return request document
+   */
+  async claimReceipt(returnId) {
+    const returnRequest = await ReturnRequest.findOneAndUpdate(
+      { _id: returnId, status: 'approved' },
+      { $set: { status: 'receiving' } },
+      { new: true }
+    );
+
+    if (!returnRequest) {
+      const current = await this.findReturn(returnId);
+      const error = new Error(current.status === 'receiving'
+        ? 'Return request is already being received'
+        : `Return request cannot move from ${current.status} to received`);
+      error.statusCode = current.status === 'receiving' ? 409 : 400;
+      throw error;
+    }
+
+    return returnRequest;
+  }
+
+  /**
+   * Find a return request or fail
+   * @param {String} returnId - Return request ID
+   * @returns {Object} Return request document
+   */
+  async findReturn(returnId) {
+    const returnRequest = await ReturnRequest.findById(returnId);
+
+    if (!returnRequest) {
+      throw new Error('Return request not found');
+    }
+
+    return returnRequest;
+  }
+
+  /**
+   * Paginated return request query
+   * @param {Object} filter - Mongo filter
+   * @param {Object} options - Pagination options
+   * @returns {Object} Return request list
+   */
+  async listReturns(filter, options = {}) {
+    const { page = 1, limit = 10 } = options;
+    const skip = (page - 1) * limit;
+
+    const returnRequests = await ReturnRequest.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .populate('order', 'orderNumber status deliveredAt');
+
+    const total = await ReturnRequest.countDocuments(filter);
+
+    return {
+      success: true,
+      returnRequests,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+        itemsPerPage: limit
+      }
+    };
+  }
+}
+
+module.exports = new ReturnService();
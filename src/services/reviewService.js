@@ -0,0 +1,439 @@
+const mongoose = require('mongoose');
+const Review = require('../models/Review');
+const Product = require('../models/Product');
+const Order = require('../models/Order');
+const ProductService = require('./productService');
+const logger = require('../utils/logger');
+
+// Sort options for public review lists
+const REVIEW_SORTS = {
+  recent: { createdAt: -1 },
+  helpful: { helpfulCount: -1, createdAt: -1 },
+  highest: { rating: -1, createdAt: -1 },
+  lowest: { rating: 1, createdAt: -1 }
+};
+
+/**
+ * Product review service class
+ * Customers review products once each, admins moderate; approved reviews make up Product.rating
+ */
+class ReviewService {
+  /**
+   * Write a review - it is published once an admin approves it
+   * @param {String} userId - User ID
+   * @param {Object} reviewData - { productId, rating, title, body }
+   * @returns {Object} Created review
+   */
+  async createReview(userId, reviewData) {
+    try {
+      const { productId, ...data } = reviewData;
+
+      const product = await Product.findOne({ _id: productId, isActive: true }).select('_id');
+
+      if (!product) {
+        throw new Error('Product not found');
+      }
+
+      if (await Review.exists({ product: productId, user: userId })) {
+        throw this.duplicateReviewError();
+      }
+
+      const verifiedPurchase = Boolean(await Order.exists({
+        user: userId,
+        status: 'delivered',
+        'items.product': productId
+      }));
+
+      const review = new Review({
+        ...data,
+        product: productId,
+        user: userId,
+        verifiedPurchase
+      });
+
+      try {
+        await review.save();
+      } catch (error) {
+        // A second review submitted at the same time hits the unique index
+        if (error.code === 11000) {
+          throw this.duplicateReviewError();
+        }
+        throw error;
+      }
+
+      logger.info('Review created:', { reviewId: review._id, productId, userId, verifiedPurchase });
+
+      return {
+        success: true,
+        message: 'Review submitted for moderation',
+        review
+      };
+    } catch (error) {
+      logger.error('Error creating review:', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Get the approved reviews of a product with its rating summary
+   * @param {String} productId - Product ID
+   * @param {Object} options - Pagination and sorting ({ sort: recent | helpful | highest | lowest })
+   * @returns {Object} Review list
+   */
+  async getProductReviews(productId, options = {}) {
+    try {
+      const { page = 1, limit = 10, sort = 'recent', verifiedOnly } = options;
+
+      const product = await Product.findOne({ _id: productId, isActive: true }).select('rating');
+
+      if (!product) {
+        throw new Error('Product not found');
+      }
+
+      const filter = { product: product._id, status: 'approved' };
+      if (verifiedOnly) {
+        filter.verifiedPurchase = true;
+      }
+
+      const reviews = await Review.find(filter)
+        .sort(REVIEW_SORTS[sort] || REVIEW_SORTS.recent)
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .select('-moderation')
+        .populate('user', 'firstName lastName');
+
+      const total = await Review.countDocuments(filter);
+
+      // Number of approved reviews per star
+      const counts = await Review.aggregate([
+        { $match: { product: product._id, status: 'approved' } },
+        { $group: { _id: '$rating', count: { $sum: 1 } } }
+      ]);
+      const distribution = Object.fromEntries([5, 4, 3, 2, 1].map(stars => [
+        stars,
+        (counts.find(({ _id }) => _id === stars) || {}).count || 0
+      ]));
+
+      return {
+        success: true,
+        rating: { average: product.rating.average, count: product.rating.count, distribution },
+        reviews,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalItems: total,
+          itemsPerPage: limit
+        }
+      };
+    } catch (error) {
+      logger.error('Error fetching product reviews:', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Get user reviews
+   * @param {String} userId - User ID
+   * @param {Object} options - Pagination options
+   * @returns {Object} Review list
+   */
+  async getUserReviews(userId, options = {}) {
+    try {
+      return await this.listReviews({ user: userId }, options);
+    } catch (error) {
+      logger.error('Error fetching user reviews:', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Get all reviews, e.g. the moderation queue (Admin)
+   * @param {Object} options - Filtering and pagination options
+   * @returns {Object} Review list
+   */
+  async getAllReviews(options = {}) {
+    try {
+      const filter = {};
+
+      if (options.status) {
+        filter.status = options.status;
+      }
+
+      if (options.product) {
+        filter.product = options.product;
+      }
+
+      return await this.listReviews(filter, options);
+    } catch (error) {
+      logger.error('Error fetching all reviews:', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Edit own review - an edited review goes back to moderation
+   * @param {String} userId - User ID
+   * @param {String} reviewId - Review ID
+   * @param {Object} updateData - { rating, title, body }
+   * @returns {Object} Updated review
+   */
+  async updateReview(userId, reviewId, updateData) {
+    try {
+      const review = await Review.findOne({ _id: reviewId, user: userId });
+
+      if (!review) {
+        throw new Error('Review not found');
+      }
+
+      const wasApproved = review.status === 'approved';
+
+      Object.assign(review, updateData);
+      review.status = 'pending';
+      await review.save();
+
+      if (wasApproved) {
+        await this.recomputeRating(review.product);
+      }
+
+      logger.info('Review updated:', { reviewId, userId });
+
+      return {
+        success: true,
+        message: 'Review updated and submitted for moderation',
+        review
+      };
+    } catch (error) {
+      logger.error('Error updating review:', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a review (its author or an admin)
+   * @param {String} reviewId - Review ID
+   * @param {Object} user - Requesting user
+   * @returns {Object} Deletion result
+   */
+  async deleteReview(reviewId, user) {
+    try {
+      const filter = { _id: reviewId };
+      if (user.role !== 'admin') {
+        filter.user = user._id;
+      }
+
+      const review = await Review.findOneAndDelete(filter);
+
+      if (!review) {
+        throw new Error('Review not found');
+      }
+
+      if (review.status === 'approved') {
+        await this.recomputeRating(review.product);
+      }
+
+      logger.info('Review deleted:', { reviewId, userId: user._id });
+
+      return {
+        success: true,
+        message: 'Review deleted successfully'
+      };
+    } catch (error) {
+      logger.error('Error deleting review:', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Approve or reject a review (Admin)
+   * @param {String} reviewId - Review ID
+   * @param {String} status - 'approved' or 'rejected'
+   * @param {String} actorId - Admin user ID
+   * @param {String} note - Moderation note
+   * @returns {Object} Update result
+   */
+  async moderateReview(reviewId, status, actorId, note = '') {
+    try {
+      const review = await Review.findById(reviewId);
+
+      if (!review) {
+        throw new Error('Review not found');
+      }
+
+      if (review.status === status) {
+        const error = new Error(`Review is already ${status}`);
+        error.statusCode = 400;
+        throw error;
+      }
+
+      const wasApproved = review.status === 'approved';
+
+      review.status = status;
+      review.moderation = { note, moderatedBy: actorId, moderatedAt: new Date() };
+      await review.save();
+
+      // The rating changes when a review enters or leaves the approved set
+      if (wasApproved || status === 'approved') {
+        await this.recomputeRating(review.product);
+      }
+
+      logger.info('Review moderated:', { reviewId, status, actorId });
+
+      return {
+        success: true,
+        message: `Review ${status}`,
+        review
+      };
+    } catch (error) {
+      logger.error('Error moderating review:', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Mark an approved review as helpful (once per user, not for own reviews)
+   * @param {String} reviewId - Review ID
+   * @param {String} userId - User ID
+   * @returns {Object} Vote result
+   */
+  async voteHelpful(reviewId, userId) {
+    try {
+      const review = await Review.findOneAndUpdate(
+        { _id: reviewId, status: 'approved', user: { $ne: userId }, helpfulVotes: { $ne: userId } },
+        { $addToSet: { helpfulVotes: userId }, $inc: { helpfulCount: 1 } },
+        { new: true }
+      );
+
+      if (!review) {
+        await this.explainVoteFailure(reviewId, userId);
+      }
+
+      return {
+        success: true,
+        message: 'Vote recorded',
+        helpfulCount: review.helpfulCount
+      };
+    } catch (error) {
+      logger.error('Error voting for review:', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Withdraw a helpful vote
+   * @param {String} reviewId - Review ID
+   * @param {String} userId - User ID
+   * @returns {Object} Vote result
+   */
+  async removeHelpfulVote(reviewId, userId) {
+    try {
+      const review = await Review.findOneAndUpdate(
+        { _id: reviewId, helpfulVotes: userId },
+        { $pull: { helpfulVotes: userId }, $inc: { helpfulCount: -1 } },
+        { new: true }
+      );
+
+      if (!review) {
+        const error = new Error('You have not voted for this review');
+        error.statusCode = 400;
+        throw error;
+      }
+
+      return {
+        success: true,
+        message: 'Vote removed',
+        helpfulCount: review.helpfulCount
+      };
+    } catch (error) {
+      logger.error('Error removing review vote:', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Recompute Product.rating from the approved reviews
+   * @param {String} productId - Product ID
+   * @returns {Object} New rating
+   */
+  async recomputeRating(productId) {
+    const [summary] = await Review.aggregate([
+      { $match: { product: new mongoose.Types.ObjectId(productId), status: 'approved' } },
+      { $group: { _id: null, average: { $avg: '$rating' }, count: { $sum: 1 } } }
+    ]);
+
+    const rating = {
+      average: summary ? Math.round(summary.average * 10) / 10 : 0,
+      count: summary ? summary.count : 0
+    };
+
+    await Product.updateOne({ _id: productId }, { $set: { rating } });
+
+    // Rating facets and search popularity depend on it
+    await ProductService.productsChanged();
+
+    logger.info('Product rating recomputed:', { productId, ...rating });
+
+    return rating;
+  }
+
+  /**
+   * Error for a second review of the same product by a user
+   * @returns {Error} Conflict error
+   */
+  duplicateReviewError() {
+    const error = new Error('You have already reviewed this product');
+    error.statusCode = 409;
+    return error;
+  }
+
+  /**
+   * Throw the reason a helpful vote was not recorded
+   * @param {String} reviewId - Review ID
+   * @param {String} userId - User ID
+   */
+  async explainVoteFailure(reviewId, userId) {
+    const review = await Review.findById(reviewId).select('user status');
+
+    if (!review || review.status !== 'approved') {
+      throw new Error('Review not found');
+    }
+
+    const error = new Error(review.user.equals(userId)
+      ? 'You cannot vote for your own review'
+      : 'You have already voted for this review');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  /**
+   * Paginated review query
+   * @param {Object} filter - Mongo filter
+   * @param {Object} options - Pagination options
+   * @returns {Object} Review list
+   */
+  async listReviews(filter, options = {}) {
+    const { page = 1, limit = 10 } = options;
+    const skip = (page - 1) * limit;
+
+    const reviews = await Review.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .populate('product', 'name sku')
+      .populate('user', 'firstName lastName email');
+
+    const total = await Review.countDocuments(filter);
+
+    return {
+      success: true,
+      reviews,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+        itemsPerPage: limit
+      }
+    };
+  }
+}
+
+module.exports = new ReviewService();
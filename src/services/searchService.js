@@ -0,0 +1,558 @@
+const Product = require('../models/Product');
+const Order = require('../models/Order');
+const SearchSynonym = require('../models/SearchSynonym');
+const SearchPin = require('../models/SearchPin');
+const redisClient = require('../config/redis');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+// Redis key bumped on every product change, so each instance knows its index is stale
+const INDEX_VERSION_KEY = 'search:index:version';
+
+/**
+ * Lowercase, strip accents and collapse whitespace ("Çalışma  Masası" => "calisma masasi")
+ * @param {String} text - Text
+ * @returns {String} Normalized text
+ */
+const normalize = (text) => String(text || '')
+  .toLocaleLowerCase('en')
+  .replace(/ı/g, 'i')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/[^a-z0-9]+/g, ' ')
+  .trim();
+
+/**
+ * Edit distance between a query token and a word, or the closest prefix of the word when typing
+ * Swapped neighbouring letters count as one edit ("samsnug" => "samsung").
+ * @param {String} query - Query token
+ * @param {String} word - Indexed word
+ * @param {Boolean} prefix - Compare against prefixes of the word
+ * @returns {Number} Edit distance
+ */
+const editDistance = (query, word, prefix) => {
+  let beforePrevious = null;
+  let previous = Array.from({ length: word.length + 1 }, (_, index) => index);
+
+  for (let i = 1; i <= query.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= word.length; j++) {
+      const cost = query[i - 1] === word[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+
+      if (i > 1 && j > 1 && query[i - 1] === word[j - 2] && query[i - 2] === word[j - 1]) {
+        current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+      }
+    }
+    beforePrevious = previous;
+    previous = current;
+  }
+
+  return prefix ? Math.min(...previous) : previous[word.length];
+};
+
+/**
+ * Typos allowed for a query token: none for short tokens, then one, then two
+ * @param {String} token - Query token
+ * @returns {Number} Maximum edit distance
+ */
+const allowedTypos = (token) => {
+  if (token.length <= 3) return 0;
+  if (token.length <= 7) return 1;
+  return 2;
+};
+
+/**
+ * Search service class
+ * Autocomplete over product names, brands and categories from an in-process index. The index is rebuilt
+ * lazily after products change (tracked with a Redis version, so every instance notices) and periodically
+ * to refresh popularity. Also manages search synonyms and merchandising pins (Admin).
+ */
+class SearchService {
+  constructor() {
+    this.index = null;
+    this.version = null;
+    this.stale = true;
+    this.building = null;
+    this.synonyms = null;
+  }
+
+  /**
+   * Suggest completions for what the user has typed so far
+   * The last word is matched as a prefix; each word tolerates typos by its length.
+   * @param {String} query - Typed text
+   * @param {Object} options - { limit }
+   * @returns {Object} Suggestions: [{ type, text, ... }]
+   */
+  async suggest(query, options = {}) {
+    try {
+      const { limit = 10 } = options;
+      const tokens = normalize(query).split(' ').filter(Boolean);
+
+      if (tokens.length === 0) {
+        return { success: true, query, suggestions: [] };
+      }
+
+      const index = await this.getIndex();
+
+      const suggestions = index
+        .map(entry => ({ entry, match: this.matchEntry(tokens, entry.words) }))
+        .filter(({ match }) => match > 0)
+        .map(({ entry, match }) => ({ entry, score: match * (1 + Math.log10(1 + entry.popularity)) }))
+        .sort((a, b) => b.score - a.score || a.entry.text.localeCompare(b.entry.text))
+        .slice(0, limit)
+        .map(({ entry, score }) => ({
+          type: entry.type,
+          text: entry.text,
+          ...(entry.product && { product: entry.product }),
+          ...(entry.category && { category: entry.category }),
+          ...(entry.brand && { brand: entry.brand }),
+          score: Math.round(score * 1000) / 1000
+        }));
+
+      return {
+        success: true,
+        query,
+        suggestions
+      };
+    } catch (error) {
+      logger.error('Error fetching search suggestions:', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * How well the query tokens match an entry's words (0: no match)
+   * Every token must match some word; typos lower the score and a match at the start raises it.
+   * @param {Array} tokens - Normalized query tokens
+   * @param {Array} words - Normalized entry words
+   * @returns {Number} Match quality
+   */
+  matchEntry(tokens, words) {
+    let total = 0;
+
+    for (const [position, token] of tokens.entries()) {
+      const prefix = position === tokens.length - 1;
+      const maxTypos = allowedTypos(token);
+
+      let best = Infinity;
+      let bestWord = -1;
+      for (const [wordIndex, word] of words.entries()) {
+        const distance = prefix && word.startsWith(token) ? 0 : editDistance(token, word, prefix);
+        if (distance < best) {
+          best = distance;
+          bestWord = wordIndex;
+        }
+      }
+
+      if (best > maxTypos) {
+        return 0;
+      }
+
+      total += (1 - 0.35 * best) + (bestWord === position ? 0.2 : 0);
+    }
+
+    return total / tokens.length;
+  }
+
+  /**
+   * Current index, rebuilt first when products changed since it was built
+   * @returns {Array} Index entries
+   */
+  async getIndex() {
+    let version = this.version;
+
+    // Without Redis the local stale flag still covers this instance's own changes
+    try {
+      version = await redisClient.getClient().get(INDEX_VERSION_KEY);
+    } catch (error) {
+      logger.warn('Search index version read error:', { error: error.message });
+    }
+
+    if (this.index && !this.stale && version === this.version) {
+      return this.index;
+    }
+
+    await this.rebuildIndex(version);
+
+    return this.index;
+  }
+
+  /**
+   * Rebuild the suggestion index from active products (one rebuild at a time)
+   * Popularity is units sold over the configured window plus the number of reviews.
+   * @param {String} version - Index version the rebuild corresponds to
+   * @returns {Object} Rebuild result
+   */
+  async rebuildIndex(version) {
+    if (this.building) {
+      return this.building;
+    }
+
+    this.building = (async () => {
+      const since = new Date(Date.now() - config.search.popularityDays * 24 * 60 * 60 * 1000);
+      this.stale = false;
+
+      const [products, sales] = await Promise.all([
+        Product.find({ isActive: true }).select('name brand category rating.count').lean(),
+        Order.aggregate([
+          { $match: { status: { $ne: 'cancelled' }, createdAt: { $gte: since } } },
+          { $unwind: '$items' },
+          { $group: { _id: '$items.product', sold: { $sum: '$items.quantity' } } }
+        ])
+      ]);
+
+      const soldByProduct = new Map(sales.map(({ _id, sold }) => [_id.toString(), sold]));
+
+      const index = [];
+      const groups = new Map();
+
+      // Brands and categories are as popular as their products together
+      const addToGroup = (type, text, popularity) => {
+        const key = `${type}:${normalize(text)}`;
+        const group = groups.get(key) || { type, text, [type]: text, words: normalize(text).split(' '), popularity: 0 };
+        group.popularity += popularity;
+        groups.set(key, group);
+      };
+
+      for (const product of products) {
+        const popularity = (soldByProduct.get(product._id.toString()) || 0) + ((product.rating && product.rating.count) || 0);
+
+        index.push({
+          type: 'product',
+          text: product.name,
+          product: product._id,
+          brand: product.brand,
+          category: product.category,
+          words: normalize(product.name).split(' '),
+          popularity
+        });
+
+        addToGroup('brand', product.brand, popularity + 1);
+        addToGroup('category', product.category, popularity + 1);
+      }
+
+      this.index = [...index, ...groups.values()].filter(entry => entry.words[0]);
+      this.version = version === undefined ? this.version : version;
+
+      logger.info('Search index rebuilt:', { entries: this.index.length });
+
+      return { success: true, entries: this.index.length };
+    })();
+
+    try {
+      return await this.building;
+    } catch (error) {
+      this.stale = true;
+      throw error;
+    } finally {
+      this.building = null;
+    }
+  }
+
+  /**
+   * Get synonym groups (Admin)
+   * @returns {Object} Synonym list
+   */
+  async getSynonyms() {
+    try {
+      const synonyms = await SearchSynonym.find().sort({ terms: 1 });
+
+      return {
+        success: true,
+        synonyms
+      };
+    } catch (error) {
+      logger.error('Error fetching search synonyms:', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Create synonym group (Admin)
+   * @param {Object} synonymData - { terms, isActive }
+   * @returns {Object} Created synonym group
+   */
+  async createSynonym(synonymData) {
+    try {
+      const synonym = new SearchSynonym({ ...synonymData, terms: this.normalizeTerms(synonymData.terms) });
+      await synonym.save();
+
+      this.synonyms = null;
+
+      logger.info('Search synonym created:', { synonymId: synonym._id, terms: synonym.terms });
+
+      return {
+        success: true,
+        message: 'Synonym created successfully',
+        synonym
+      };
+    } catch (error) {
+      logger.error('Error creating search synonym:', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Update synonym group (Admin)
+   * @param {String} synonymId - Synonym group ID
+   * @param {Object} updateData - Data to update
+   * @returns {Object} Updated synonym group
+   */
+  async updateSynonym(synonymId, updateData) {
+    try {
+      const synonym = await SearchSynonym.findById(synonymId);
+
+      if (!synonym) {
+        throw new Error('Synonym not found');
+      }
+
+      Object.assign(synonym, updateData);
+      if (updateData.terms) {
+        synonym.terms = this.normalizeTerms(updateData.terms);
+      }
+      await synonym.save();
+
+      this.synonyms = null;
+
+      logger.info('Search synonym updated:', { synonymId });
+
+      return {
+        success: true,
+        message: 'Synonym updated successfully',
+        synonym
+      };
+    } catch (error) {
+      logger.error('Error updating search synonym:', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Delete synonym group (Admin)
+   * @param {String} synonymId - Synonym group ID
+   * @returns {Object} Deletion result
+   */
+  async deleteSynonym(synonymId) {
+    try {
+      const synonym = await SearchSynonym.findByIdAndDelete(synonymId);
+
+      if (!synonym) {
+        throw new Error('Synonym not found');
+      }
+
+      this.synonyms = null;
+
+      logger.info('Search synonym deleted:', { synonymId });
+
+      return {
+        success: true,
+        message: 'Synonym deleted successfully'
+      };
+    } catch (error) {
+      logger.error('Error deleting search synonym:', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Get merchandising pins (Admin)
+   * @returns {Object} Pin list
+   */
+  async getPins() {
+    try {
+      const pins = await SearchPin.find()
+        .sort({ query: 1 })
+        .populate('products', 'name sku isActive');
+
+      return {
+        success: true,
+        pins
+      };
+    } catch (error) {
+      logger.error('Error fetching search pins:', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Create merchandising pin (Admin)
+   * @param {Object} pinData - { query, products, isActive }
+   * @returns {Object} Created pin
+   */
+  async createPin(pinData) {
+    try {
+      await this.assertProducts(pinData.products);
+
+      const pin = new SearchPin({ ...pinData, query: normalize(pinData.query) });
+      await pin.save();
+
+      logger.info('Search pin created:', { pinId: pin._id, query: pin.query });
+
+      return {
+        success: true,
+        message: 'Pin created successfully',
+        pin
+      };
+    } catch (error) {
+      logger.error('Error creating search pin:', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Update merchandising pin (Admin)
+   * @param {String} pinId - Pin ID
+   * @param {Object} updateData - Data to update
+   * @returns {Object} Updated pin
+   */
+  async updatePin(pinId, updateData) {
+    try {
+      const pin = await SearchPin.findById(pinId);
+
+      if (!pin) {
+        throw new Error('Pin not found');
+      }
+
+      if (updateData.products) {
+        await this.assertProducts(updateData.products);
+      }
+
+      Object.assign(pin, updateData);
+      if (updateData.query) {
+        pin.query = normalize(updateData.query);
+      }
+      await pin.save();
+
+      logger.info('Search pin updated:', { pinId });
+
+      return {
+        success: true,
+        message: 'Pin updated successfully',
+        pin
+      };
+    } catch (error) {
+      logger.error('Error updating search pin:', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Delete merchandising pin (Admin)
+   * @param {String} pinId - Pin ID
+   * @returns {Object} Deletion result
+   */
+  async deletePin(pinId) {
+    try {
+      const pin = await SearchPin.findByIdAndDelete(pinId);
+
+      if (!pin) {
+        throw new Error('Pin not found');
+      }
+
+      logger.info('Search pin deleted:', { pinId });
+
+      return {
+        success: true,
+        message: 'Pin deleted successfully'
+      };
+    } catch (error) {
+      logger.error('Error deleting search pin:', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Add the synonyms of the terms in a search to it ("tv stand" => "tv stand television")
+   * $text matches any of the words, so the added terms widen the search.
+   * @param {String} search - Search text
+   * @returns {String} Expanded search text
+   */
+  async expandQuery(search) {
+    const synonyms = await this.getSynonymMap();
+    const query = ` ${normalize(search)} `;
+
+    const added = new Set();
+    for (const [term, others] of synonyms) {
+      if (query.includes(` ${term} `)) {
+        others.forEach(other => !query.includes(` ${other} `) && added.add(other));
+      }
+    }
+
+    return added.size > 0 ? `${search} ${[...added].join(' ')}` : search;
+  }
+
+  /**
+   * Products pinned to the top for a search, in display order
+   * @param {String} search - Search text
+   * @returns {Array} Product IDs
+   */
+  async getPinnedProducts(search) {
+    const pin = await SearchPin.findOne({ query: normalize(search), isActive: true });
+
+    return pin ? pin.products : [];
+  }
+
+  /**
+   * Active synonyms as term => other terms of its groups, cached in-process for a short while
+   * @returns {Map} Synonym map
+   */
+  async getSynonymMap() {
+    if (this.synonyms && Date.now() - this.synonyms.loadedAt < config.search.synonymCacheMs) {
+      return this.synonyms.map;
+    }
+
+    const groups = await SearchSynonym.find({ isActive: true }).lean();
+
+    const map = new Map();
+    for (const { terms } of groups) {
+      for (const term of terms) {
+        const others = map.get(term) || new Set();
+        terms.filter(other => other !== term).forEach(other => others.add(other));
+        map.set(term, others);
+      }
+    }
+
+    this.synonyms = { map, loadedAt: Date.now() };
+
+    return map;
+  }
+
+  /**
+   * Normalize synonym terms, dropping empty and repeated ones
+   * @param {Array} terms - Terms
+   * @returns {Array} Normalized terms
+   */
+  normalizeTerms(terms = []) {
+    return [...new Set(terms.map(normalize).filter(Boolean))];
+  }
+
+  /**
+   * Fail unless every product exists
+   * @param {Array} productIds - Product IDs
+   */
+  async assertProducts(productIds = []) {
+    const found = await Product.countDocuments({ _id: { $in: productIds } });
+
+    if (found !== new Set(productIds.map(String)).size) {
+      const error = new Error('Some pinned products were not found');
+      error.statusCode = 400;
+      throw error;
+    }
+  }
+
+  /**
+   * Mark the index stale after products change; every instance rebuilds on its next suggestion
+   */
+  async markStale() {
+    this.stale = true;
+
+    try {
+      await redisClient.getClient().incr(INDEX_VERSION_KEY);
+    } catch (error) {
+      logger.warn('Search index invalidation error:', { error: error.message });
+    }
+  }
+}
+
+module.exports = new SearchService();
@@ -0,0 +1,265 @@
+const ShippingZone = require('../models/ShippingZone');
+const Product = require('../models/Product');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { roundAmount } = require('../utils/money');
+
+// Display names of methods that don't set their own
+const METHOD_NAMES = {
+  standard: 'Standard shipping',
+  express: 'Express shipping',
+  pickup: 'Store pickup'
+};
+
+/**
+ * Shipping rate service class
+ * Admin-managed zones match addresses by country, region and zip range; each zone prices its methods from
+ * weight brackets on the billable weight (actual or dimensional, whichever is higher). Until any zone exists,
+ * a single standard rate from the config applies everywhere.
+ */
+class ShippingService {
+  /**
+   * Get shipping zones (Admin)
+   * @param {Object} options - { includeInactive }
+   * @returns {Object} Zone list
+   */
+  async getZones(options = {}) {
+    try {
+      const filter = options.includeInactive ? {} : { isActive: true };
+
+      const zones = await ShippingZone.find(filter).sort({ priority: 1, createdAt: 1 });
+
+      return {
+        success: true,
+        zones
+      };
+    } catch (error) {
+      logger.error('Error fetching shipping zones:', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Get shipping zone details (Admin)
+   * @param {String} zoneId - Zone ID
+   * @returns {Object} Zone details
+   */
+  async getZoneById(zoneId) {
+    try {
+      const zone = await this.findZone(zoneId);
+
+      return {
+        success: true,
+        zone
+      };
+    } catch (error) {
+      logger.error('Error fetching shipping zone:', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Create shipping zone (Admin)
+   * @param {Object} zoneData - Zone information
+   * @returns {Object} Created zone
+   */
+  async createZone(zoneData) {
+    try {
+      const zone = new ShippingZone(zoneData);
+      await zone.save();
+
+      logger.info('New shipping zone created:', { zoneId: zone._id, name: zone.name });
+
+      return {
+        success: true,
+        message: 'Shipping zone created successfully',
+        zone
+      };
+    } catch (error) {
+      logger.error('Error creating shipping zone:', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Update shipping zone (Admin) - given lists (methods, countries, ...) replace the stored ones
+   * @param {String} zoneId - Zone ID
+   * @param {Object} updateData - Data to update
+   * @returns {Object} Updated zone
+   */
+  async updateZone(zoneId, updateData) {
+    try {
+      const zone = await this.findZone(zoneId);
+
+      Object.assign(zone, updateData);
+      await zone.save();
+
+      logger.info('Shipping zone updated:', { zoneId });
+
+      return {
+        success: true,
+        message: 'Shipping zone updated successfully',
+        zone
+      };
+    } catch (error) {
+      logger.error('Error updating shipping zone:', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Delete shipping zone (Admin) - orders keep the method and cost they were charged
+   * @param {String} zoneId - Zone ID
+   * @returns {Object} Deletion result
+   */
+  async deleteZone(zoneId) {
+    try {
+      const zone = await this.findZone(zoneId);
+      await zone.deleteOne();
+
+      logger.info('Shipping zone deleted:', { zoneId });
+
+      return {
+        success: true,
+        message: 'Shipping zone deleted'
+      };
+    } catch (error) {
+      logger.error('Error deleting shipping zone:', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Price the shipping methods available for items sent to an address
+   * cost is the zone rate (standard is free from the zone threshold on); a free_shipping promotion
+   * covers up to the standard cost on any method, and price is what is left to pay.
+   * @param {Array} items - Cart or order lines ({ product, variant, quantity })
+   * @param {Object} address - Shipping address
+   * @param {Number} subtotal - Subtotal after discounts
+   * @param {Object} options - { freeShipping: a free_shipping promotion applies }
+   * @returns {Object} { zone, weight, methods: [{ type, name, cost, promotionDiscount, price, estimatedDays, estimatedDelivery }] }
+   */
+  async quote(items, address, subtotal, { freeShipping = false } = {}) {
+    const zone = await this.findZoneFor(address);
+    const weight = await this.calculateWeight(items);
+
+    if (!zone) {
+      return { zone: null, weight, methods: [] };
+    }
+
+    const thresholdMet = zone.freeShippingThreshold !== null && zone.freeShippingThreshold !== undefined
+      && subtotal >= zone.freeShippingThreshold;
+
+    const methods = [];
+    for (const method of zone.methods) {
+      if (method.isActive === false) {
+        continue;
+      }
+
+      const rate = method.rates.find(entry => entry.maxWeight === null || entry.maxWeight === undefined || weight <= entry.maxWeight);
+      if (!rate) {
+        continue;
+      }
+
+      const estimatedDays = method.estimatedDays && method.estimatedDays.max ? method.estimatedDays : undefined;
+
+      methods.push({
+        type: method.type,
+        name: method.name || METHOD_NAMES[method.type],
+        cost: method.type === 'standard' && thresholdMet ? 0 : rate.price,
+        estimatedDays,
+        estimatedDelivery: estimatedDays
+          ? new Date(Date.now() + estimatedDays.max * 24 * 60 * 60 * 1000)
+          : undefined
+      });
+    }
+
+    const standard = methods.find(method => method.type === 'standard');
+    methods.forEach(method => {
+      method.promotionDiscount = freeShipping ? roundAmount(Math.min(method.cost, standard ? standard.cost : method.cost)) : 0;
+      method.price = roundAmount(method.cost - method.promotionDiscount);
+    });
+
+    return {
+      zone: { _id: zone._id, name: zone.name, freeShippingThreshold: zone.freeShippingThreshold },
+      weight,
+      methods
+    };
+  }
+
+  /**
+   * Billable weight of a set of lines: per unit the actual or the dimensional weight, whichever is higher
+   * @param {Array} items - Lines ({ product, variant, quantity })
+   * @returns {Number} Weight in kg
+   */
+  async calculateWeight(items) {
+    const products = await Product.find({ _id: { $in: items.map(item => item.product) } })
+      .select('weight dimensions variants');
+
+    let total = 0;
+    for (const item of items) {
+      const product = products.find(entry => entry._id.toString() === item.product.toString());
+      if (!product) {
+        continue;
+      }
+
+      const variant = item.variant ? product.findVariant(item.variant) : null;
+      const weight = variant?.weight ?? product.weight ?? 0;
+
+      total += Math.max(weight, this.dimensionalWeight(product.dimensions)) * item.quantity;
+    }
+
+    return Math.round(total * 1000) / 1000;
+  }
+
+  /**
+   * Dimensional weight of a parcel (0 when a dimension is missing)
+   * @param {Object} dimensions - Product dimensions in cm
+   * @returns {Number} Weight in kg
+   */
+  dimensionalWeight(dimensions) {
+    const { length, width, height } = dimensions || {};
+
+    if (!length || !width || !height) {
+      return 0;
+    }
+
+    return (length * width * height) / config.shipping.dimensionalDivisor;
+  }
+
+  /**
+   * First active zone (by priority) covering an address; the config rate while no zone exists
+   * @param {Object} address - Shipping address
+   * @returns {Object|null} Zone (null => no shipping to the address)
+   */
+  async findZoneFor(address = {}) {
+    const zones = await ShippingZone.find({ isActive: true }).sort({ priority: 1, createdAt: 1 });
+
+    if (zones.length === 0) {
+      return {
+        name: 'Default',
+        freeShippingThreshold: config.shipping.defaultFreeThreshold,
+        methods: [{ type: 'standard', rates: [{ maxWeight: null, price: config.shipping.defaultRate }] }]
+      };
+    }
+
+    return zones.find(zone => zone.matchesAddress(address)) || null;
+  }
+
+  /**
+   * Find a shipping zone, or fail
+   * @param {String} zoneId - Zone ID
+   * @returns {Object} Zone document
+   */
+  async findZone(zoneId) {
+    const zone = await ShippingZone.findById(zoneId);
+
+    if (!zone) {
+      throw new Error('Shipping zone not found');
+    }
+
+    return zone;
+  }
+}
+
+module.exports = new ShippingService();
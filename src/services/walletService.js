@@ -0,0 +1,415 @@
+const mongoose = require('mongoose');
+const Wallet = require('../models/Wallet');
+const WalletTransaction = require('../models/WalletTransaction');
+const User = require('../models/User');
+const logger = require('../utils/logger');
+const { roundAmount } = require('../utils/money');
+
+/**
+ * Expiry time of a credit for sorting (credits that never expire go last)
+ * @param {Object} credit - Credit ledger entry
+ * @returns {Number} Timestamp
+ */
+const expiryTime = (credit) => credit.expiresAt ? credit.expiresAt.getTime() : Infinity;
+
+/**
+ * Store credit wallet service class
+ * Every credit in the ledger is a lot with its own remaining amount and expiry; debits spend the lots that
+ * expire first, and the scheduler writes off what runs out. The wallet document holds the running balance
+ * so debits can be guarded atomically.
+ */
+class WalletService {
+  /**
+   * Get a user's wallet: usable balance, upcoming expiries and the ledger
+   * @param {String} userId - User ID
+   * @param {Object} options - Pagination options and type filter
+   * @returns {Object} Wallet information
+   */
+  async getWallet(userId, options = {}) {
+    try {
+      const { page = 1, limit = 20, type } = options;
+      const skip = (page - 1) * limit;
+
+      await this.findUser(userId);
+
+      const credits = await this.getActiveCredits(userId);
+
+      const filter = { user: userId };
+      if (type) {
+        filter.type = type;
+      }
+
+      const transactions = await WalletTransaction.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .select('-allocations')
+        .populate('order', 'orderNumber status');
+
+      const total = await WalletTransaction.countDocuments(filter);
+
+      return {
+        success: true,
+        wallet: {
+          balance: roundAmount(credits.reduce((sum, credit) => sum + credit.remaining, 0)),
+          expiring: credits
+            .filter(credit => credit.expiresAt)
+            .map(credit => ({ amount: roundAmount(credit.remaining), expiresAt: credit.expiresAt }))
+        },
+        transactions,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalItems: total,
+          itemsPerPage: limit
+        }
+      };
+    } catch (error) {
+      logger.error('Error fetching wallet:', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Grant store credit to a user, e.g. as a goodwill gesture (Admin)
+   * @param {String} userId - User ID
+   * @param {Object} creditData - { amount, reason, expiresAt }
+   * @param {String} actorId - Admin user ID
+   * @returns {Object} Ledger entry
+   */
+  async grantCredit(userId, creditData, actorId) {
+    try {
+      const { amount, reason, expiresAt } = creditData;
+
+      await this.findUser(userId);
+
+      let transaction;
+      await mongoose.connection.transaction(async (session) => {
+        transaction = await this.credit(userId, amount, { type: 'grant', expiresAt, actor: actorId, note: reason, session });
+      });
+
+      logger.info('Store credit granted:', { userId, amount, actorId });
+
+      return {
+        success: true,
+        message: 'Store credit granted',
+        transaction
+      };
+    } catch (error) {
+      logger.error('Error granting store credit:', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Take store credit back from a user (Admin)
+   * @param {String} userId - User ID
+   * @param {Object} debitData - { amount, reason }
+   * @param {String} actorId - Admin user ID
+   * @returns {Object} Ledger entry
+   */
+  async revokeCredit(userId, debitData, actorId) {
+    try {
+      const { amount, reason } = debitData;
+
+      await this.findUser(userId);
+
+      let transaction;
+      await mongoose.connection.transaction(async (session) => {
+        transaction = await this.debit(userId, amount, { type: 'revoke', actor: actorId, note: reason, session });
+      });
+
+      logger.info('Store credit revoked:', { userId, amount, actorId });
+
+      return {
+        success: true,
+        message: 'Store credit revoked',
+        transaction
+      };
+    } catch (error) {
+      logger.error('Error revoking store credit:', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Store credit a user can spend right now
+   * @param {String} userId - User ID
+   * @returns {Number} Usable balance
+   */
+  async getAvailableBalance(userId) {
+    const credits = await this.getActiveCredits(userId);
+    return roundAmount(credits.reduce((sum, credit) => sum + credit.remaining, 0));
+  }
+
+  /**
+   * Debit the order's store credit (inside the order transaction)
+   * A balance that dropped since checkout fails the order.
+   * @param {Object} order - Order document
+   * @param {Object} session - Transaction session
+   */
+  async redeem(order, session) {
+    if (!order.storeCredit) {
+      return;
+    }
+
+    await this.debit(order.user, order.storeCredit, { type: 'redeem', order: order._id, actor: order.user, session });
+  }
+
+  /**
+   * Put an amount of the order's store credit back in the wallet (caller saves the order)
+   * The credit comes back with the latest expiry among the credits the order spent.
+   * @param {Object} order - Order document
+   * @param {Number} amount - Amount to restore (at most what is still restorable)
+   * @param {String} note - Ledger note
+   * @param {Object} session - Transaction session (none => its own transaction)
+   * @returns {Number} Restored amount
+   */
+  async restore(order, amount, note = '', session) {
+    const restorable = roundAmount(Math.min(amount, order.getRestorableStoreCredit()));
+
+    if (restorable <= 0) {
+      return 0;
+    }
+
+    await this.inTransaction(session, async (transactionSession) => {
+      const redemption = await WalletTransaction.findOne({ order: order._id, type: 'redeem' }).session(transactionSession);
+      const allocations = redemption ? redemption.allocations : [];
+      const expiresAt = allocations.length > 0 && allocations.every(allocation => allocation.expiresAt)
+        ? new Date(Math.max(...allocations.map(allocation => allocation.expiresAt.getTime())))
+        : undefined;
+
+      await this.credit(order.user, restorable, {
+        type: 'restore',
+        expiresAt,
+        order: order._id,
+        note,
+        session: transactionSession
+      });
+    });
+
+    order.storeCreditRestored = roundAmount(order.storeCreditRestored + restorable);
+
+    logger.info('Store credit restored:', { orderId: order._id, amount: restorable });
+
+    return restorable;
+  }
+
+  /**
+   * Write off credits that ran out (scheduler job; also run for one user before a debit)
+   * Credits are claimed one by one, so concurrent runs don't expire one twice. Without a session
+   * (the scheduler) each credit is written off in its own transaction.
+   * @param {Date} now - Reference time
+   * @param {Object} options - { user, session }
+   * @returns {Object} Count and total of the expired credits
+   */
+  async expireCredits(now = new Date(), { user, session } = {}) {
+    const result = { expired: 0, amount: 0 };
+
+    const filter = { remaining: { $gt: 0 }, expiresAt: { $lte: now } };
+    if (user) {
+      filter.user = user;
+    }
+
+    const credits = await WalletTransaction.find(filter)
+      .limit(500)
+      .session(session);
+
+    for (const credit of credits) {
+      let expired = false;
+      await this.inTransaction(session, async (transactionSession) => {
+        expired = await this.expireCredit(credit, transactionSession);
+      });
+
+      if (!expired) {
+        continue;
+      }
+
+      result.expired++;
+      result.amount = roundAmount(result.amount + credit.remaining);
+    }
+
+    if (result.expired > 0) {
+      logger.info('Store credit expired:', { ...result, user });
+    }
+
+    return result;
+  }
+
+  /**
+   * Write off what is left of one credit: claim it, take it off the balance and log the expiry
+   * @param {Object} credit - Credit ledger entry (as read, with its remaining amount)
+   * @param {Object} session - Transaction session
+   * @returns {Boolean} Whether this call expired it (false => spent or expired meanwhile)
+   */
+  async expireCredit(credit, session) {
+    const claimed = await WalletTransaction.updateOne(
+      { _id: credit._id, remaining: credit.remaining },
+      { $set: { remaining: 0 } },
+      { session }
+    );
+
+    if (claimed.modifiedCount === 0) {
+      return false;
+    }
+
+    const wallet = await Wallet.findOneAndUpdate(
+      { user: credit.user },
+      { $inc: { balance: -credit.remaining } },
+      { session, new: true, projection: { balance: 1 } }
+    );
+
+    await WalletTransaction.create([{
+      user: credit.user,
+      type: 'expire',
+      amount: -credit.remaining,
+      balance: roundAmount(wallet.balance),
+      allocations: [{ credit: credit._id, amount: credit.remaining, expiresAt: credit.expiresAt }]
+    }], { session });
+
+    return true;
+  }
+
+  /**
+   * Run wallet writes in the caller's transaction, or in a new one when there is none
+   * @param {Object} session - Caller's transaction session
+   * @param {Function} fn - Async function receiving the session to write with
+   */
+  async inTransaction(session, fn) {
+    if (session) {
+      await fn(session);
+      return;
+    }
+
+    await mongoose.connection.transaction(fn);
+  }
+
+  /**
+   * Add a credit lot to the ledger and the wallet balance
+   * @param {String} userId - User ID
+   * @param {Number} amount - Amount
+   * @param {Object} options - { type, expiresAt, order, actor, note, session }
+   * @returns {Object} Ledger entry
+   */
+  async credit(userId, amount, { type, expiresAt, order, actor, note, session } = {}) {
+    const wallet = await Wallet.findOneAndUpdate(
+      { user: userId },
+      { $inc: { balance: amount } },
+      { session, new: true, upsert: true, projection: { balance: 1 } }
+    );
+
+    const [transaction] = await WalletTransaction.create([{
+      user: userId,
+      type,
+      amount,
+      balance: roundAmount(wallet.balance),
+      remaining: amount,
+      expiresAt,
+      order,
+      actor,
+      note
+    }], { session });
+
+    return transaction;
+  }
+
+  /**
+   * Take an amount from the wallet, spending the credits that expire first (inside a transaction)
+   * @param {String} userId - User ID
+   * @param {Number} amount - Amount
+   * @param {Object} options - { type, order, actor, note, session }
+   * @returns {Object} Ledger entry
+   */
+  async debit(userId, amount, { type, order, actor, note, session } = {}) {
+    const now = new Date();
+
+    // Credits that ran out can't pay
+    await this.expireCredits(now, { user: userId, session });
+
+    const wallet = await Wallet.findOneAndUpdate(
+      { user: userId, balance: { $gte: amount } },
+      { $inc: { balance: -amount } },
+      { session, new: true, projection: { balance: 1 } }
+    );
+
+    if (!wallet) {
+      const error = new Error(`Store credit balance is lower than ${amount}`);
+      error.statusCode = 409;
+      throw error;
+    }
+
+    const credits = await WalletTransaction.find({ user: userId, remaining: { $gt: 0 } }).session(session);
+    credits.sort((a, b) => (expiryTime(a) - expiryTime(b)) || 0);
+
+    const allocations = [];
+    let left = roundAmount(amount);
+
+    for (const credit of credits) {
+      if (left <= 0) {
+        break;
+      }
+
+      const take = roundAmount(Math.min(credit.remaining, left));
+      await WalletTransaction.updateOne(
+        { _id: credit._id },
+        { $set: { remaining: roundAmount(credit.remaining - take) } },
+        { session }
+      );
+
+      allocations.push({ credit: credit._id, amount: take, expiresAt: credit.expiresAt });
+      left = roundAmount(left - take);
+    }
+
+    // The balance and the credits disagree; the transaction rolls back
+    if (left > 0) {
+      const error = new Error('Store credit balance is out of sync with its ledger');
+      error.statusCode = 409;
+      throw error;
+    }
+
+    const [transaction] = await WalletTransaction.create([{
+      user: userId,
+      type,
+      amount: -amount,
+      balance: roundAmount(wallet.balance),
+      allocations,
+      order,
+      actor,
+      note
+    }], { session });
+
+    return transaction;
+  }
+
+  /**
+   * Unspent, unexpired credits of a user, earliest expiry first
+   * @param {String} userId - User ID
+   * @returns {Array} Credit ledger entries
+   */
+  async getActiveCredits(userId) {
+    const credits = await WalletTransaction.find({
+      user: userId,
+      remaining: { $gt: 0 },
+      $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+    }).select('remaining expiresAt');
+
+    return credits.sort((a, b) => (expiryTime(a) - expiryTime(b)) || 0);
+  }
+
+  /**
+   * Find a user, or fail
+   * @param {String} userId - User ID
+   * @returns {Object} User document
+   */
+  async findUser(userId) {
+    const user = await User.findById(userId).select('_id');
+
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    return user;
+  }
+}
+
+module.exports = new WalletService();
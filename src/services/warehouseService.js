@@ -0,0 +1,337 @@
+const mongoose = require('mongoose');
+const Warehouse = require('../models/Warehouse');
+const Product = require('../models/Product');
+const ProductService = require('./productService');
+const logger = require('../utils/logger');
+
+/**
+ * Warehouse management service class
+ * Warehouse CRUD, stock transfers and order allocation. Product.stock stays the total over all warehouses;
+ * stock that was never placed in a warehouse (e.g. from before warehouses existed) is "unlocated".
+ */
+class WarehouseService {
+  /**
+   * Get warehouses (Admin)
+   * @param {Object} options - { includeInactive }
+   * @returns {Object} Warehouse list
+   */
+  async getWarehouses(options = {}) {
+    try {
+      const filter = options.includeInactive ? {} : { isActive: true };
+
+      const warehouses = await Warehouse.find(filter).sort({ priority: 1, code: 1 });
+
+      return {
+        success: true,
+        warehouses
+      };
+    } catch (error) {
+      logger.error('Error fetching warehouse list:', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Get warehouse details with its stocked products (Admin)
+   * @param {String} warehouseId - Warehouse ID
+   * @returns {Object} Warehouse details
+   */
+  async getWarehouseById(warehouseId) {
+    try {
+      const warehouse = await this.findWarehouse(warehouseId);
+
+      const products = await Product.find({ 'inventory.warehouse': warehouse._id })
+        .select('name sku variants._id variants.sku +inventory')
+        .sort({ name: 1 });
+
+      // One row per product, or per variant for products with variants
+      const stock = products.flatMap(product => product.inventory
+        .filter(location => location.warehouse.equals(warehouse._id))
+        .map(location => ({
+          product: product._id,
+          variant: location.variant,
+          name: product.name,
+          sku: location.variant ? product.findVariant(location.variant)?.sku : product.sku,
+          stock: location.stock
+        })));
+
+      return {
+        success: true,
+        warehouse,
+        stock
+      };
+    } catch (error) {
+      logger.error('Error fetching warehouse details:', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Create warehouse (Admin)
+   * @param {Object} warehouseData - Warehouse information
+   * @returns {Object} Created warehouse
+   */
+  async createWarehouse(warehouseData) {
+    try {
+      const warehouse = new Warehouse(warehouseData);
+      await warehouse.save();
+
+      logger.info('New warehouse created:', { warehouseId: warehouse._id, code: warehouse.code });
+
+      return {
+        success: true,
+        message: 'Warehouse created successfully',
+        warehouse
+      };
+    } catch (error) {
+      logger.error('Error creating warehouse:', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Update warehouse (Admin)
+   * @param {String} warehouseId - Warehouse ID
+   * @param {Object} updateData - Data to update
+   * @returns {Object} Updated warehouse
+   */
+  async updateWarehouse(warehouseId, updateData) {
+    try {
+      const warehouse = await this.findWarehouse(warehouseId);
+
+      Object.assign(warehouse, updateData);
+      await warehouse.save();
+
+      logger.info('Warehouse updated:', { warehouseId });
+
+      return {
+        success: true,
+        message: 'Warehouse updated successfully',
+        warehouse
+      };
+    } catch (error) {
+      logger.error('Error updating warehouse:', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Deactivate warehouse (Admin) - only once its stock has been transferred out
+   * @param {String} warehouseId - Warehouse ID
+   * @returns {Object} Deletion result
+   */
+  async deleteWarehouse(warehouseId) {
+    try {
+      const warehouse = await this.findWarehouse(warehouseId);
+
+      const stocked = await Product.exists({
+        inventory: { $elemMatch: { warehouse: warehouse._id, stock: { $gt: 0 } } }
+      });
+
+      if (stocked) {
+        const error = new Error('Warehouse still holds stock; transfer it before deactivating');
+        error.statusCode = 400;
+        throw error;
+      }
+
+      // Soft delete
+      warehouse.isActive = false;
+      await warehouse.save();
+
+      logger.info('Warehouse deactivated:', { warehouseId });
+
+      return {
+        success: true,
+        message: 'Warehouse deactivated'
+      };
+    } catch (error) {
+      logger.error('Error deleting warehouse:', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Move stock of a product between warehouses (Admin)
+   * Without a source warehouse the units come from unlocated stock. The total stock doesn't change;
+   * the ledger gets a matching pair of 'transfer' movements.
+   * @param {Object} transferData - { productId, variantId, fromWarehouse, toWarehouse, quantity, note }
+   * @param {String} actorId - Admin user ID
+   * @returns {Object} Transfer result
+   */
+  async transferStock(transferData, actorId) {
+    try {
+      const { productId, variantId, fromWarehouse, toWarehouse, quantity, note } = transferData;
+
+      if (fromWarehouse && fromWarehouse.toString() === toWarehouse.toString()) {
+        const error = new Error('Source and destination warehouses must differ');
+        error.statusCode = 400;
+        throw error;
+      }
+
+      const destination = await this.findWarehouse(toWarehouse);
+      if (!destination.isActive) {
+        const error = new Error('Destination warehouse is not active');
+        error.statusCode = 400;
+        throw error;
+      }
+
+      if (fromWarehouse) {
+        await this.findWarehouse(fromWarehouse);
+      }
+
+      let product;
+
+      await mongoose.connection.transaction(async (session) => {
+        await ProductService.ensureInventoryEntry(productId, toWarehouse, variantId, session);
+
+        const variant = variantId || null;
+        const filter = variantId
+          ? { _id: productId, 'variants._id': variantId }
+          : { _id: productId, 'variants.0': { $exists: false } };
+        const update = { $inc: { 'inventory.$[destination].stock': quantity } };
+        const arrayFilters = [{ 'destination.warehouse': toWarehouse, 'destination.variant': variant }];
+
+        if (fromWarehouse) {
+          filter.inventory = { $elemMatch: { warehouse: fromWarehouse, variant, stock: { $gte: quantity } } };
+          update.$inc['inventory.$[source].stock'] = -quantity;
+          arrayFilters.push({ 'source.warehouse': fromWarehouse, 'source.variant': variant });
+        } else {
+          filter.$expr = { $gte: [Product.unlocatedStockExpr(variantId), quantity] };
+        }
+
+        product = await Product.findOneAndUpdate(filter, update, { new: true, session, arrayFilters })
+          .select('name sku stock variants +inventory');
+
+        if (!product) {
+          const current = await Product.findById(productId).select('variants._id').session(session);
+
+          if (!current) {
+            throw new Error('Product not found');
+          }
+
+          if (variantId ? !current.findVariant(variantId) : current.variants.length > 0) {
+            const error = new Error(variantId ? 'Variant not found' : 'Variant is required for this product');
+            error.statusCode = variantId ? 404 : 400;
+            throw error;
+          }
+
+          const error = new Error('Insufficient stock at source');
+          error.statusCode = 409;
+          throw error;
+        }
+
+        const movement = { session, variant: variantId, reason: 'transfer', actor: actorId, note };
+        await ProductService.recordMovement(product, -quantity, { ...movement, warehouse: fromWarehouse });
+        await ProductService.recordMovement(product, quantity, { ...movement, warehouse: toWarehouse });
+      });
+
+      logger.info('Stock transferred:', { productId, fromWarehouse, toWarehouse, quantity, actorId });
+
+      return {
+        success: true,
+        message: 'Stock transferred successfully',
+        product: product._id,
+        variant: variantId,
+        inventory: product.inventory.filter(location => String(location.variant || '') === String(variantId || '')),
+        unlocatedStock: product.getUnlocatedStock(variantId)
+      };
+    } catch (error) {
+      logger.error('Error transferring stock:', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Decide which warehouses ship each order line
+   * A single warehouse holding the whole order is preferred (one parcel); otherwise lines are split
+   * across warehouses. Warehouses serving the shipping country come first, then by priority.
+   * Units no warehouse can cover are taken from unlocated stock, where the stock update enforces the limit.
+   * @param {Array} items - Order items ({ product, variant, quantity })
+   * @param {Object} shippingAddress - Shipping address
+   * @param {Object} session - Transaction session
+   * @returns {Array} Allocations per item, in item order: [{ warehouse, quantity }]
+   */
+  async allocateItems(items, shippingAddress = {}, session = null) {
+    const warehouses = await Warehouse.find({ isActive: true })
+      .sort({ priority: 1 })
+      .session(session);
+
+    const country = shippingAddress.country;
+    const ranked = [
+      ...warehouses.filter(warehouse => warehouse.servesCountry(country)),
+      ...warehouses.filter(warehouse => !warehouse.servesCountry(country))
+    ];
+
+    const products = await Product.find({ _id: { $in: items.map(item => item.product) } })
+      .select('stock variants._id +inventory')
+      .session(session);
+    const productsById = new Map(products.map(product => [product._id.toString(), product]));
+
+    // Requested units per product or variant (one may span several lines)
+    const requested = new Map();
+    items.forEach(item => {
+      const key = ProductService.stockKey(item);
+      requested.set(key, {
+        product: productsById.get(item.product.toString()),
+        variant: item.variant,
+        quantity: ((requested.get(key) || {}).quantity || 0) + item.quantity
+      });
+    });
+
+    const single = ranked.find(warehouse => [...requested.values()].every(({ product, variant, quantity }) => {
+      return product && product.getWarehouseStock(warehouse._id, variant) >= quantity;
+    }));
+
+    if (single) {
+      return items.map(item => [{ warehouse: single._id, quantity: item.quantity }]);
+    }
+
+    // Stock left per product/variant and warehouse while splitting
+    const remaining = new Map();
+
+    return items.map(item => {
+      const product = productsById.get(item.product.toString());
+      const allocations = [];
+      let needed = item.quantity;
+
+      for (const warehouse of product ? ranked : []) {
+        if (needed === 0) {
+          break;
+        }
+
+        const key = `${ProductService.stockKey(item)}@${warehouse._id}`;
+        const stock = remaining.has(key) ? remaining.get(key) : product.getWarehouseStock(warehouse._id, item.variant);
+        const quantity = Math.min(stock, needed);
+
+        if (quantity > 0) {
+          allocations.push({ warehouse: warehouse._id, quantity });
+          remaining.set(key, stock - quantity);
+          needed -= quantity;
+        }
+      }
+
+      if (needed > 0) {
+        allocations.push({ quantity: needed });
+      }
+
+      return allocations;
+    });
+  }
+
+  /**
+   * Find a warehouse or fail
+   * @param {String} warehouseId - Warehouse ID
+   * @returns {Object} Warehouse document
+   */
+  async findWarehouse(warehouseId) {
+    const warehouse = await Warehouse.findById(warehouseId);
+
+    if (!warehouse) {
+      throw new Error('Warehouse not found');
+    }
+
+    return warehouse;
+  }
+}
+
+module.exports = new WarehouseService();
@@ -0,0 +1,24 @@
+const config = require('../config');
+const LocalStorage = require('./localStorage');
+
+/**
+ * File storage
+ * Adapters implement save(key, buffer) => url, delete(key) and getUrl(key); the driver is picked from config.
+ */
+const adapters = {
+  local: () => new LocalStorage({
+    directory: config.storage.local.directory,
+    publicUrl: config.storage.local.publicUrl
+  })
+};
+
+const createStorage = (driver = config.storage.driver) => {
+  if (!adapters[driver]) {
+    throw new Error(`Unknown storage driver: ${driver}`);
+  }
+
+  return adapters[driver]();
+};
+
+module.exports = createStorage();
+module.exports.createStorage = createStorage;
@@ -0,0 +1,64 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+/**
+ * Local disk storage adapter - files are written under a directory and served by the app
+ */
+class LocalStorage {
+  /**
+   * @param {Object} options - { directory, publicUrl }
+   */
+  constructor({ directory, publicUrl }) {
+    this.directory = path.resolve(directory);
+    this.publicUrl = publicUrl.replace(/\/+$/, '');
+  }
+
+  /**
+   * Store a file
+   * @param {String} key - Storage key (relative path, e.g. products/<id>/<image>.jpg)
+   * @param {Buffer} buffer - File content
+   * @returns {String} Public URL
+   */
+  async save(key, buffer) {
+    const filePath = this.resolve(key);
+
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, buffer);
+
+    return this.getUrl(key);
+  }
+
+  /**
+   * Delete a file (missing files are ignored)
+   * @param {String} key - Storage key
+   */
+  async delete(key) {
+    await fs.rm(this.resolve(key), { force: true });
+  }
+
+  /**
+   * Public URL of a stored file
+   * @param {String} key - Storage key
+   * @returns {String} URL
+   */
+  getUrl(key) {
+    return `${this.publicUrl}/${key}`;
+  }
+
+  /**
+   * Absolute path of a key, refusing keys that escape the storage directory
+   * @param {String} key - Storage key
+   * @returns {String} File path
+   */
+  resolve(key) {
+    const filePath = path.resolve(this.directory, key);
+
+    if (!filePath.startsWith(this.directory + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+
+    return filePath;
+  }
+}
+
+module.exports = LocalStorage;
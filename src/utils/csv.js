@@ -0,0 +1,81 @@
+/**
+ * Minimal CSV (RFC 4180) helpers: comma separated, double-quoted fields, "" escapes a quote
+ */
+class CsvUtils {
+  /**
+   * Parse CSV text into rows of fields
+   * @param {String} text - CSV text
+   * @returns {Array} Rows (arrays of strings)
+   */
+  static parse(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    // Strip a UTF-8 byte order mark (spreadsheet exports)
+    const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+    for (let i = 0; i < input.length; i++) {
+      const char = input[i];
+
+      if (quoted) {
+        if (char === '"' && input[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === ',') {
+        row.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && input[i + 1] === '\n') i++;
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = '';
+      } else {
+        field += char;
+      }
+    }
+
+    if (field !== '' || row.length > 0) {
+      row.push(field);
+      rows.push(row);
+    }
+
+    // Blank lines carry no data
+    return rows.filter(fields => fields.some(value => value.trim() !== ''));
+  }
+
+  /**
+   * Parse CSV text with a header line into objects keyed by column name
+   * @param {String} text - CSV text
+   * @returns {Array} Records
+   */
+  static parseRecords(text) {
+    const [header = [], ...rows] = CsvUtils.parse(text);
+    const columns = header.map(column => column.trim());
+
+    return rows.map(row => Object.fromEntries(columns.map((column, index) => [column, row[index] ?? ''])));
+  }
+
+  /**
+   * Format one CSV line
+   * @param {Array} values - Field values
+   * @returns {String} CSV line with a trailing newline
+   */
+  static formatRow(values) {
+    return values.map(value => {
+      const text = value === undefined || value === null ? '' : String(value);
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }).join(',') + '\n';
+  }
+}
+
+module.exports = CsvUtils;
@@ -0,0 +1,15 @@
+/**
+ * Money helpers: amounts are numbers in the currency unit, kept to cents
+ */
+class MoneyUtils {
+  /**
+   * Round a money amount to cents
+   * @param {Number} amount - Amount
+   * @returns {Number} Rounded amount
+   */
+  static roundAmount(amount) {
+    return Math.round(amount * 100) / 100;
+  }
+}
+
+module.exports = MoneyUtils;
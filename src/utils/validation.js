@@ -1,4 +1,5 @@
 const Joi = require('joi'); 
+const config = require('../config');
 /**
  * Data validation schemas and helper functions
  */
@@ -52,6 +53,46 @@ class ValidationUtils {
     })
   };
 
+  // Product variant validation schemas
+  static variantSchemas = {
+    options: Joi.array().items(
+      Joi.object({
+        name: Joi.string().max(50).required(),
+        values: Joi.array().items(Joi.string().max(50)).min(1).unique().required()
+      })
+    ).unique('name'),
+
+    create: Joi.object({
+      sku: Joi.string().required(),
+      options: Joi.object().pattern(Joi.string(), Joi.string()).min(1).required(),
+      price: Joi.number().min(0),
+      discountPrice: Joi.number().min(0).less(Joi.ref('price')),
+      stock: Joi.number().integer().min(0).default(0),
+      images: Joi.array().items(
+        Joi.object({
+          url: Joi.string().uri().required(),
+          alt: Joi.string()
+        })
+      ),
+      weight: Joi.number().min(0)
+    }),
+
+    update: Joi.object({
+      sku: Joi.string(),
+      options: Joi.object().pattern(Joi.string(), Joi.string()).min(1),
+      price: Joi.number().min(0),
+      discountPrice: Joi.number().min(0),
+      images: Joi.array().items(
+        Joi.object({
+          url: Joi.string().uri().required(),
+          alt: Joi.string()
+        })
+      ),
+      weight: Joi.number().min(0),
+      isActive: Joi.boolean()
+    })
+  };
+
   // Product validation schemas
   static productSchemas = {
     create: Joi.object({
@@ -62,15 +103,23 @@ class ValidationUtils {
       category: Joi.string().required(),
       brand: Joi.string().required(),
       sku: Joi.string().required(),
-      stock: Joi.number().integer().min(0).required(),
+      // Products with variants take their stock from the variants
+      stock: Joi.number().integer().min(0).when('variants', {
+        is: Joi.array().min(1).required(),
+        then: Joi.forbidden(),
+        otherwise: Joi.required()
+      }),
+      options: ValidationUtils.variantSchemas.options,
+      variants: Joi.array().items(ValidationUtils.variantSchemas.create).min(1).unique('sku'),
+      // Images can also be uploaded after creation (POST /api/products/:id/images)
       images: Joi.array().items(
         Joi.object({
           url: Joi.string().uri().required(),
           alt: Joi.string(),
           isPrimary: Joi.boolean()
         })
-      ).min(1).required(),
-      specifications: Joi.object().pattern(Joi.string(), Joi.string()),
+      ).min(1),
+      specifications: Joi.object().pattern(Joi.string(), Joi.alternatives().try(Joi.string(), Joi.number(), Joi.boolean())),
       tags: Joi.array().items(Joi.string()),
       weight: Joi.number().min(0),
       dimensions: Joi.object({
@@ -88,6 +137,7 @@ class ValidationUtils {
       category: Joi.string(),
       brand: Joi.string(),
       stock: Joi.number().integer().min(0),
+      options: ValidationUtils.variantSchemas.options,
       images: Joi.array().items(
         Joi.object({
           url: Joi.string().uri().required(),
@@ -95,7 +145,7 @@ class ValidationUtils {
           isPrimary: Joi.boolean()
         })
       ),
-      specifications: Joi.object().pattern(Joi.string(), Joi.string()),
+      specifications: Joi.object().pattern(Joi.string(), Joi.alternatives().try(Joi.string(), Joi.number(), Joi.boolean())),
       tags: Joi.array().items(Joi.string()),
       isActive: Joi.boolean(),
       featured: Joi.boolean(),
@@ -105,22 +155,327 @@ class ValidationUtils {
         width: Joi.number().min(0),
         height: Joi.number().min(0)
       })
+    }),
+
+    uploadImages: Joi.object({
+      alt: Joi.string().max(200),
+      isPrimary: Joi.boolean()
+    }),
+
+    import: Joi.object({
+      dryRun: Joi.boolean().default(false)
+    }),
+
+    suggest: Joi.object({
+      q: Joi.string().trim().max(100).required(),
+      limit: Joi.number().integer().min(1).max(20).default(10)
+    }),
+
+    // Sales take a fixed price or a percentage off; price changes set the list (and discount) price
+    priceSchedule: Joi.object({
+      type: Joi.string().valid('price_change', 'sale').required(),
+      name: Joi.string().max(100),
+      price: Joi.number().min(0).when('type', { is: 'price_change', then: Joi.required() }),
+      discountPrice: Joi.number().min(0).less(Joi.ref('price')).when('type', { is: 'sale', then: Joi.forbidden() }),
+      percentOff: Joi.number().min(1).max(99).when('type', { is: 'price_change', then: Joi.forbidden() }),
+      startsAt: Joi.date().iso().required(),
+      endsAt: Joi.date().iso().greater(Joi.ref('startsAt')).when('type', {
+        is: 'sale',
+        then: Joi.required(),
+        otherwise: Joi.forbidden()
+      })
+    }).oxor('price', 'percentOff')
+  };
+
+  // Search synonym and merchandising pin validation schemas
+  static searchSchemas = {
+    createSynonym: Joi.object({
+      terms: Joi.array().items(Joi.string().max(100)).min(2).unique().required(),
+      isActive: Joi.boolean()
+    }),
+
+    updateSynonym: Joi.object({
+      terms: Joi.array().items(Joi.string().max(100)).min(2).unique(),
+      isActive: Joi.boolean()
+    }),
+
+    createPin: Joi.object({
+      query: Joi.string().max(100).required(),
+      products: Joi.array().items(Joi.string().hex().length(24)).min(1).max(20).unique().required(),
+      isActive: Joi.boolean()
+    }),
+
+    updatePin: Joi.object({
+      query: Joi.string().max(100),
+      products: Joi.array().items(Joi.string().hex().length(24)).min(1).max(20).unique(),
+      isActive: Joi.boolean()
+    })
+  };
+
+  // Product attribute definition validation schemas
+  static attributeSchemas = {
+    create: Joi.object({
+      category: Joi.string().required(),
+      key: Joi.string().max(50).required(),
+      label: Joi.string().max(100).required(),
+      type: Joi.string().valid('number', 'string', 'boolean').default('string'),
+      unit: Joi.string().max(20),
+      values: Joi.array().items(Joi.string().max(100)).unique(),
+      required: Joi.boolean(),
+      filterable: Joi.boolean(),
+      sortOrder: Joi.number().integer()
+    }),
+
+    update: Joi.object({
+      label: Joi.string().max(100),
+      type: Joi.string().valid('number', 'string', 'boolean'),
+      unit: Joi.string().max(20).allow(''),
+      values: Joi.array().items(Joi.string().max(100)).unique(),
+      required: Joi.boolean(),
+      filterable: Joi.boolean(),
+      sortOrder: Joi.number().integer()
     })
   };
 
+  // Category validation schemas
+  static categorySchemas = {
+    create: Joi.object({
+      name: Joi.string().max(100).required(),
+      slug: Joi.string().pattern(/^[a-z0-9-]+$/).max(100),
+      description: Joi.string().max(2000).allow(''),
+      parentId: Joi.string().hex().length(24),
+      sortOrder: Joi.number().integer(),
+      pointsMultiplier: Joi.number().min(0).max(10).allow(null),
+      isActive: Joi.boolean()
+    }),
+
+    update: Joi.object({
+      name: Joi.string().max(100),
+      slug: Joi.string().pattern(/^[a-z0-9-]+$/).max(100),
+      description: Joi.string().max(2000).allow(''),
+      sortOrder: Joi.number().integer(),
+      pointsMultiplier: Joi.number().min(0).max(10).allow(null),
+      isActive: Joi.boolean()
+    }),
+
+    move: Joi.object({
+      parentId: Joi.string().hex().length(24).allow(null).required()
+    })
+  };
+
+  // Review validation schemas
+  static reviewSchemas = {
+    create: Joi.object({
+      productId: Joi.string().hex().length(24).required(),
+      rating: Joi.number().integer().min(1).max(5).required(),
+      title: Joi.string().max(100),
+      body: Joi.string().max(5000)
+    }),
+
+    update: Joi.object({
+      rating: Joi.number().integer().min(1).max(5),
+      title: Joi.string().max(100).allow(''),
+      body: Joi.string().max(5000).allow('')
+    }).min(1),
+
+    moderate: Joi.object({
+      note: Joi.string().max(500)
+    }).default({})
+  };
+
   // Cart validation schemas
   static cartSchemas = {
     addItem: Joi.object({
       productId: Joi.string().hex().length(24).required(),
+      variantId: Joi.string().hex().length(24),
       quantity: Joi.number().integer().min(1).required()
     }),
 
     updateItem: Joi.object({
       productId: Joi.string().hex().length(24).required(),
+      variantId: Joi.string().hex().length(24),
       quantity: Joi.number().integer().min(0).required()
+    }),
+
+    applyCoupon: Joi.object({
+      code: Joi.string().trim().max(32).required()
+    }),
+
+    shippingQuote: Joi.object({
+      address: Joi.object({
+        country: Joi.string().required(),
+        state: Joi.string(),
+        city: Joi.string(),
+        zipCode: Joi.string()
+      }).required()
     })
   }; 
 
+  // Promotion validation schemas
+  static promotionSchemas = {
+    create: Joi.object({
+      name: Joi.string().max(100).required(),
+      description: Joi.string().max(500),
+      // Without a code the promotion applies automatically
+      code: Joi.string().trim().pattern(/^[A-Za-z0-9_-]{3,32}$/).uppercase(),
+      type: Joi.string().valid('percentage', 'fixed', 'buy_x_get_y', 'free_shipping').required(),
+      value: Joi.number().positive().when('type', {
+        switch: [
+          { is: 'percentage', then: Joi.number().max(100).required() },
+          { is: 'fixed', then: Joi.required() }
+        ],
+        otherwise: Joi.forbidden()
+      }),
+      maxDiscount: Joi.number().positive().when('type', { is: 'percentage', otherwise: Joi.forbidden() }),
+      buyQuantity: Joi.number().integer().min(1).when('type', { is: 'buy_x_get_y', then: Joi.required(), otherwise: Joi.forbidden() }),
+      getQuantity: Joi.number().integer().min(1).when('type', { is: 'buy_x_get_y', then: Joi.required(), otherwise: Joi.forbidden() }),
+      getPercent: Joi.number().min(1).max(100).when('type', { is: 'buy_x_get_y', otherwise: Joi.forbidden() }),
+      minSubtotal: Joi.number().min(0),
+      scope: Joi.object({
+        categories: Joi.array().items(Joi.string()),
+        brands: Joi.array().items(Joi.string()),
+        products: Joi.array().items(Joi.string().hex().length(24))
+      }),
+      startsAt: Joi.date().iso(),
+      endsAt: Joi.date().iso().when('startsAt', { is: Joi.exist(), then: Joi.date().greater(Joi.ref('startsAt')) }),
+      usageLimit: Joi.number().integer().min(1),
+      perUserLimit: Joi.number().integer().min(1),
+      stackable: Joi.boolean(),
+      priority: Joi.number().integer(),
+      isActive: Joi.boolean()
+    }),
+
+    // Settings of the type are checked against the saved promotion
+    update: Joi.object({
+      name: Joi.string().max(100),
+      description: Joi.string().max(500).allow(''),
+      code: Joi.string().trim().pattern(/^[A-Za-z0-9_-]{3,32}$/).uppercase().allow(null),
+      type: Joi.string().valid('percentage', 'fixed', 'buy_x_get_y', 'free_shipping'),
+      value: Joi.number().positive(),
+      maxDiscount: Joi.number().positive().allow(null),
+      buyQuantity: Joi.number().integer().min(1),
+      getQuantity: Joi.number().integer().min(1),
+      getPercent: Joi.number().min(1).max(100),
+      minSubtotal: Joi.number().min(0),
+      scope: Joi.object({
+        categories: Joi.array().items(Joi.string()),
+        brands: Joi.array().items(Joi.string()),
+        products: Joi.array().items(Joi.string().hex().length(24))
+      }),
+      startsAt: Joi.date().iso().allow(null),
+      endsAt: Joi.date().iso().allow(null),
+      usageLimit: Joi.number().integer().min(1).allow(null),
+      perUserLimit: Joi.number().integer().min(1).allow(null),
+      stackable: Joi.boolean(),
+      priority: Joi.number().integer(),
+      isActive: Joi.boolean()
+    }).min(1)
+  };
+
+  // Gift card validation schemas
+  static giftCardSchemas = {
+    issue: Joi.object({
+      amount: Joi.number().positive().precision(2).required(),
+      // Default: config.giftCards.validityDays from now
+      expiresAt: Joi.date().iso().greater('now'),
+      recipientEmail: Joi.string().email(),
+      note: Joi.string().max(500)
+    }),
+
+    update: Joi.object({
+      isActive: Joi.boolean(),
+      expiresAt: Joi.date().iso().allow(null),
+      note: Joi.string().max(500).allow('')
+    }).min(1),
+
+    check: Joi.object({
+      code: Joi.string().trim().max(32).required()
+    })
+  };
+
+  // Shipping zone validation schemas
+  static shippingZoneSchemas = {
+    create: Joi.object({
+      name: Joi.string().max(100).required(),
+      countries: Joi.array().items(Joi.string().min(2).max(100)).unique(),
+      regions: Joi.array().items(Joi.string().max(100)).unique(),
+      zipRanges: Joi.array().items(
+        Joi.object({
+          from: Joi.string().max(20).required(),
+          to: Joi.string().max(20).required()
+        })
+      ),
+      freeShippingThreshold: Joi.number().min(0).precision(2).allow(null),
+      methods: Joi.array().items(
+        Joi.object({
+          type: Joi.string().valid('standard', 'express', 'pickup').required(),
+          name: Joi.string().max(100),
+          // Ordered by increasing maxWeight (kg); maxWeight null => no upper limit
+          rates: Joi.array().items(
+            Joi.object({
+              maxWeight: Joi.number().positive().allow(null),
+              price: Joi.number().min(0).precision(2).required()
+            })
+          ).min(1).required(),
+          estimatedDays: Joi.object({
+            min: Joi.number().integer().min(0).required(),
+            max: Joi.number().integer().min(Joi.ref('min')).required()
+          }),
+          isActive: Joi.boolean()
+        })
+      ).min(1).required(),
+      priority: Joi.number().integer().min(0),
+      isActive: Joi.boolean()
+    }),
+
+    update: Joi.object({
+      name: Joi.string().max(100),
+      countries: Joi.array().items(Joi.string().min(2).max(100)).unique(),
+      regions: Joi.array().items(Joi.string().max(100)).unique(),
+      zipRanges: Joi.array().items(
+        Joi.object({
+          from: Joi.string().max(20).required(),
+          to: Joi.string().max(20).required()
+        })
+      ),
+      freeShippingThreshold: Joi.number().min(0).precision(2).allow(null),
+      methods: Joi.array().items(
+        Joi.object({
+          type: Joi.string().valid('standard', 'express', 'pickup').required(),
+          name: Joi.string().max(100),
+          rates: Joi.array().items(
+            Joi.object({
+              maxWeight: Joi.number().positive().allow(null),
+              price: Joi.number().min(0).precision(2).required()
+            })
+          ).min(1).required(),
+          estimatedDays: Joi.object({
+            min: Joi.number().integer().min(0).required(),
+            max: Joi.number().integer().min(Joi.ref('min')).required()
+          }),
+          isActive: Joi.boolean()
+        })
+      ).min(1),
+      priority: Joi.number().integer().min(0),
+      isActive: Joi.boolean()
+    }).min(1)
+  };
+
+  // Store credit wallet validation schemas
+  static walletSchemas = {
+    grant: Joi.object({
+      amount: Joi.number().positive().precision(2).required(),
+      reason: Joi.string().max(500).required(),
+      // Empty => the credit never expires
+      expiresAt: Joi.date().iso().greater('now')
+    }),
+
+    revoke: Joi.object({
+      amount: Joi.number().positive().precision(2).required(),
+      reason: Joi.string().max(500).required()
+    })
+  };
+
   // Order validation schemas
   static orderSchemas = {
     create: Joi.object({
@@ -144,11 +499,141 @@ class ValidationUtils {
         country: Joi.string(),
         phone: Joi.string()
       }),
-      paymentMethod: Joi.string().valid('credit_card', 'bank_transfer', 'cash_on_delivery').required(),
+      shippingMethod: Joi.string().valid('standard', 'express', 'pickup').default('standard'),
+      // gift_card/store_credit => gift cards and store credit pay the whole order
+      paymentMethod: Joi.string().valid('credit_card', 'bank_transfer', 'cash_on_delivery', 'gift_card', 'store_credit').required(),
+      giftCards: Joi.array().items(Joi.string().trim().max(32)).unique().max(config.giftCards.maxPerOrder).when('paymentMethod', {
+        is: 'gift_card',
+        then: Joi.array().min(1).required()
+      }),
+      // Spend the wallet balance on what gift cards leave open
+      useStoreCredit: Joi.boolean().when('paymentMethod', {
+        is: 'store_credit',
+        then: Joi.valid(true).required()
+      }),
+      // Loyalty points to redeem as a discount
+      loyaltyPoints: Joi.number().integer().min(config.loyalty.minRedeemPoints),
+      card: Joi.when('paymentMethod', {
+        is: 'credit_card',
+        then: Joi.object({
+          number: Joi.string().pattern(/^[\d\s]{12,23}$/).required(),
+          holderName: Joi.string().required(),
+          expMonth: Joi.number().integer().min(1).max(12).required(),
+          // Checked against today on every request: a card stays valid through its expiry month
+          expYear: Joi.number().integer().required().custom((year, helpers) => {
+            const now = new Date();
+            const { expMonth } = helpers.state.ancestors[0];
+
+            if (year < now.getFullYear() || (year === now.getFullYear() && expMonth < now.getMonth() + 1)) {
+              return helpers.message('Card has expired');
+            }
+
+            return year;
+          }),
+          cvc: Joi.string().pattern(/^\d{3,4}$/).required()
+        }).required(),
+        otherwise: Joi.forbidden()
+      }),
       notes: Joi.string().max(500)
+    }),
+
+    refund: Joi.object({
+      items: Joi.array().items(
+        Joi.object({
+          itemId: Joi.string().hex().length(24).required(),
+          quantity: Joi.number().integer().min(1).required()
+        })
+      ).min(1),
+      amount: Joi.number().positive().precision(2),
+      restock: Joi.boolean().default(false),
+      reason: Joi.string().max(500),
+      // Pay the refund into the customer's store credit wallet instead of the payment method
+      toStoreCredit: Joi.boolean().default(false)
+    }).or('items', 'amount')
+  };
+
+  // Return validation schemas
+  static returnSchemas = {
+    create: Joi.object({
+      orderId: Joi.string().hex().length(24).required(),
+      items: Joi.array().items(
+        Joi.object({
+          itemId: Joi.string().hex().length(24).required(),
+          quantity: Joi.number().integer().min(1).required(),
+          reason: Joi.string().max(500)
+        })
+      ).min(1).unique('itemId').required(),
+      reason: Joi.string().max(500).required()
+    }),
+
+    review: Joi.object({
+      note: Joi.string().max(500)
+    }).default({}),
+
+    receive: Joi.object({
+      restock: Joi.boolean().default(true),
+      note: Joi.string().max(500),
+      toStoreCredit: Joi.boolean().default(false)
+    }).default({})
+  };
+
+  // Warehouse validation schemas
+  static warehouseSchemas = {
+    create: Joi.object({
+      code: Joi.string().alphanum().min(2).max(20).required(),
+      name: Joi.string().min(2).max(100).required(),
+      address: Joi.object({
+        street: Joi.string(),
+        city: Joi.string(),
+        state: Joi.string(),
+        zipCode: Joi.string(),
+        country: Joi.string()
+      }),
+      countries: Joi.array().items(Joi.string().min(2).max(100)).unique(),
+      priority: Joi.number().integer().min(0),
+      isActive: Joi.boolean()
+    }),
+
+    update: Joi.object({
+      code: Joi.string().alphanum().min(2).max(20),
+      name: Joi.string().min(2).max(100),
+      address: Joi.object({
+        street: Joi.string(),
+        city: Joi.string(),
+        state: Joi.string(),
+        zipCode: Joi.string(),
+        country: Joi.string()
+      }),
+      countries: Joi.array().items(Joi.string().min(2).max(100)).unique(),
+      priority: Joi.number().integer().min(0),
+      isActive: Joi.boolean()
+    }),
+
+    transfer: Joi.object({
+      productId: Joi.string().hex().length(24).required(),
+      variantId: Joi.string().hex().length(24),
+      fromWarehouse: Joi.string().hex().length(24),
+      toWarehouse: Joi.string().hex().length(24).required(),
+      quantity: Joi.number().integer().min(1).required(),
+      note: Joi.string().max(500)
     })
   };
 
+  // Payment validation schemas
+  static paymentSchemas = {
+    webhookEvent: Joi.object({
+      id: Joi.string().required(),
+      type: Joi.string().required(),
+      created: Joi.number().integer(),
+      data: Joi.object({
+        transactionId: Joi.string(),
+        orderNumber: Joi.string(),
+        amount: Joi.number().min(0),
+        refundId: Joi.string()
+      }).or('transactionId', 'orderNumber').unknown(true).required()
+    }).unknown(true)
+  };
+
   /**
    * Data validation
    * @param {Object} data - Data to validate
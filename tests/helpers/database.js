@@ -0,0 +1,13 @@
+const mongoose = require('mongoose');
+
+/**
+ * Run mongoose transactions inline with a stub session (no replica set needed)
+ * @param {Object} session - Session handed to the transaction callbacks
+ * @returns {Object} Jest spy
+ */
+const mockTransactions = (session = { id: 'test-session' }) =>
+  jest.spyOn(mongoose.connection, 'transaction').mockImplementation(async (fn) => fn(session));
+
+module.exports = {
+  mockTransactions
+};
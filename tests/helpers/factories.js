@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+const Order = require('../../src/models/Order');
+const Product = require('../../src/models/Product');
+
+/**
+ * Build an unsaved order (no database needed); save() resolves to the order
+ * @param {Object} overrides - Order fields
+ * @returns {Object} Order document
+ */
+const buildOrder = (overrides = {}) => {
+  const address = {
+    firstName: 'Test',
+    lastName: 'User',
+    street: 'Street 1',
+    city: 'City',
+    zipCode: '34000',
+    country: 'TR'
+  };
+
+  const order = new Order({
+    orderNumber: 'ORD-TEST-1',
+    user: new mongoose.Types.ObjectId(),
+    items: [
+      {
+        product: new mongoose.Types.ObjectId(),
+        name: 'Test product',
+        quantity: 2,
+        price: 50,
+        total: 100
+      }
+    ],
+    shippingAddress: address,
+    billingAddress: address,
+    payment: {
+      method: 'credit_card',
+      status: 'completed',
+      provider: 'mock',
+      transactionId: 'mock_tx_1'
+    },
+    subtotal: 100,
+    total: 100,
+    ...overrides
+  });
+
+  jest.spyOn(order, 'save').mockResolvedValue(order);
+
+  return order;
+};
+
+/**
+ * Build an unsaved product (no database needed); save() resolves to the product
+ * @param {Object} overrides - Product fields
+ * @returns {Object} Product document
+ */
+const buildProduct = (overrides = {}) => {
+  const product = new Product({
+    name: 'Test product',
+    description: 'A product for tests',
+    price: 50,
+    discountPrice: 0,
+    category: 'mugs',
+    brand: 'Acme',
+    sku: 'TEST-1',
+    stock: 10,
+    ...overrides
+  });
+
+  jest.spyOn(product, 'save').mockResolvedValue(product);
+
+  return product;
+};
+
+module.exports = {
+  buildOrder,
+  buildProduct
+};
@@ -0,0 +1,178 @@
+jest.mock('../../src/utils/logger');
+
+const http = require('http');
+const express = require('express');
+const request = require('supertest');
+const redisClient = require('../../src/config/redis');
+const { idempotent } = require('../../src/middleware/idempotency');
+
+/**
+ * In-memory stand-in for the node-redis commands the middleware uses
+ */
+const createRedis = () => {
+  const data = new Map();
+
+  return {
+    data,
+    async set(key, value, options = {}) {
+      if (options.condition === 'NX' && data.has(key)) {
+        return null;
+      }
+      data.set(key, { value, ttl: options.expiration && options.expiration.value });
+      return 'OK';
+    },
+    async get(key) {
+      return data.has(key) ? data.get(key).value : null;
+    },
+    async del(key) {
+      return data.delete(key) ? 1 : 0;
+    }
+  };
+};
+
+const stored = (redis) => [...redis.data.values()].map(entry => ({ ...JSON.parse(entry.value), ttl: entry.ttl }));
+
+const buildApp = (handler) => {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.sessionID = 'session-1';
+    next();
+  });
+  app.post('/orders', idempotent({ ttlSeconds: 600, processingTtlSeconds: 60 }), handler);
+  app.use((error, req, res, next) => {
+    res.status(error.statusCode || 500).json({ success: false, message: error.message });
+  });
+  return app;
+};
+
+let redis;
+
+beforeEach(() => {
+  redis = createRedis();
+  jest.spyOn(redisClient, 'getClient').mockReturnValue(redis);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('idempotent middleware', () => {
+  test('replays the stored response for a retry', async () => {
+    const handler = jest.fn((req, res) => res.status(201).json({ success: true, id: 1 }));
+    const app = buildApp(handler);
+
+    const first = await request(app).post('/orders').set('Idempotency-Key', 'key-1').send({ a: 1 });
+    const retry = await request(app).post('/orders').set('Idempotency-Key', 'key-1').send({ a: 1 });
+
+    expect(first.status).toBe(201);
+    expect(retry.status).toBe(201);
+    expect(retry.body).toEqual({ success: true, id: 1 });
+    expect(retry.headers['idempotent-replayed']).toBe('true');
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(stored(redis)).toEqual([expect.objectContaining({ status: 'completed', statusCode: 201, ttl: 600 })]);
+  });
+
+  test('keeps the key when the client disconnects mid-request', async () => {
+    let finish;
+    const handler = jest.fn((req, res) => new Promise(resolve => {
+      finish = () => {
+        res.status(201).json({ success: true, id: 1 });
+        resolve();
+      };
+    }));
+    const app = buildApp(handler);
+    const server = app.listen(0);
+
+    try {
+      // The client gives up while the order is still being created
+      await new Promise((resolve) => {
+        const body = JSON.stringify({ a: 1 });
+        const req = http.request({
+          port: server.address().port,
+          path: '/orders',
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json', 'Content-Length': body.length, 'Idempotency-Key': 'key-1' }
+        });
+        req.on('error', () => resolve());
+        req.end(body);
+        const waitForHandler = setInterval(() => {
+          if (finish) {
+            clearInterval(waitForHandler);
+            req.destroy();
+            setTimeout(resolve, 20);
+          }
+        }, 5);
+      });
+
+      expect(stored(redis)).toEqual([expect.objectContaining({ status: 'processing', ttl: 60 })]);
+
+      const concurrent = await request(server).post('/orders').set('Idempotency-Key', 'key-1').send({ a: 1 });
+      expect(concurrent.status).toBe(409);
+
+      finish();
+      await new Promise(resolve => setTimeout(resolve, 20));
+
+      const retry = await request(server).post('/orders').set('Idempotency-Key', 'key-1').send({ a: 1 });
+      expect(retry.status).toBe(201);
+      expect(retry.headers['idempotent-replayed']).toBe('true');
+      expect(handler).toHaveBeenCalledTimes(1);
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+
+  test('releases the key when the handler throws', async () => {
+    const handler = jest.fn()
+      .mockImplementationOnce(async () => {
+        throw new Error('Database unavailable');
+      })
+      .mockImplementationOnce((req, res) => res.status(201).json({ success: true }));
+    const app = buildApp(handler);
+
+    const first = await request(app).post('/orders').set('Idempotency-Key', 'key-1').send({ a: 1 });
+    const retry = await request(app).post('/orders').set('Idempotency-Key', 'key-1').send({ a: 1 });
+
+    expect(first.status).toBe(500);
+    expect(retry.status).toBe(201);
+    expect(retry.headers['idempotent-replayed']).toBeUndefined();
+    expect(handler).toHaveBeenCalledTimes(2);
+  });
+
+  test('stores 4xx responses like successful ones', async () => {
+    const error = Object.assign(new Error('Cart is empty'), { statusCode: 400 });
+    const handler = jest.fn(async () => {
+      throw error;
+    });
+    const app = buildApp(handler);
+
+    await request(app).post('/orders').set('Idempotency-Key', 'key-1').send({ a: 1 });
+    const retry = await request(app).post('/orders').set('Idempotency-Key', 'key-1').send({ a: 1 });
+
+    expect(retry.status).toBe(400);
+    expect(retry.headers['idempotent-replayed']).toBe('true');
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+
+  test('settles responses sent without a JSON body', async () => {
+    const handler = jest.fn((req, res) => res.status(204).end());
+    const app = buildApp(handler);
+
+    await request(app).post('/orders').set('Idempotency-Key', 'key-1').send({ a: 1 });
+    const retry = await request(app).post('/orders').set('Idempotency-Key', 'key-1').send({ a: 1 });
+
+    expect(retry.status).toBe(204);
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+
+  test('rejects a reused key with a different body', async () => {
+    const handler = jest.fn((req, res) => res.status(201).json({ success: true }));
+    const app = buildApp(handler);
+
+    await request(app).post('/orders').set('Idempotency-Key', 'key-1').send({ a: 1 });
+    const retry = await request(app).post('/orders').set('Idempotency-Key', 'key-1').send({ a: 2 });
+
+    expect(retry.status).toBe(422);
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+});
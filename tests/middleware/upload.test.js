@@ -0,0 +1,66 @@
+const express = require('express');
+const request = require('supertest');
+const { uploadImages, uploadFile } = require('../../src/middleware/upload');
+const { validateFileUpload } = require('../../src/middleware/validation');
+
+const buildApp = (...middleware) => {
+  const app = express();
+  app.post('/upload', ...middleware, (req, res) => {
+    res.json({
+      success: true,
+      files: (req.files || []).map(file => ({ name: file.originalname, size: file.size, inMemory: Buffer.isBuffer(file.buffer) }))
+    });
+  });
+  return app;
+};
+
+const image = (content = 'image') => Buffer.from(content);
+
+describe('upload middleware', () => {
+  test('keeps the uploaded files in memory on req.files', async () => {
+    const app = buildApp(uploadImages('images', 2));
+
+    const response = await request(app).post('/upload')
+      .attach('images', image('first'), 'a.png')
+      .attach('images', image('second!'), 'b.png');
+
+    expect(response.status).toBe(200);
+    expect(response.body.files).toEqual([
+      { name: 'a.png', size: 5, inMemory: true },
+      { name: 'b.png', size: 7, inMemory: true }
+    ]);
+  });
+
+  test.each([
+    ['too many files', uploadImages('images', 1), (req) => req.attach('images', image(), 'a.png').attach('images', image(), 'b.png'), 'Too many files. Maximum: 1'],
+    ['an oversized file', uploadFile('file', 1024 * 1024), (req) => req.attach('file', Buffer.alloc(1024 * 1024 + 1), 'big.csv'), 'File too large. Maximum size: 1MB'],
+    ['an unexpected field', uploadImages('images', 2), (req) => req.attach('photo', image(), 'a.png'), 'Unexpected file field: photo']
+  ])('answers %s with 400', async (name, middleware, attach, message) => {
+    const response = await attach(request(buildApp(middleware)).post('/upload'));
+
+    expect(response.status).toBe(400);
+    expect(response.body).toEqual({ success: false, message });
+  });
+});
+
+describe('validateFileUpload', () => {
+  test('rejects a type that is not allowed', async () => {
+    const app = buildApp(uploadImages('images', 2), validateFileUpload());
+
+    const response = await request(app).post('/upload').attach('images', image(), { filename: 'a.gif', contentType: 'image/gif' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.message).toBe('Unsupported file type: image/gif');
+  });
+
+  test('requires a file only when asked to', async () => {
+    const optional = buildApp(uploadImages('images', 2), validateFileUpload());
+    const required = buildApp(uploadImages('images', 2), validateFileUpload({ required: true }));
+
+    await expect(request(optional).post('/upload').field('alt', 'Front')).resolves.toMatchObject({ status: 200 });
+    const response = await request(required).post('/upload').field('alt', 'Front');
+
+    expect(response.status).toBe(400);
+    expect(response.body.message).toBe('File upload is required');
+  });
+});
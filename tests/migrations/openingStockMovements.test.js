@@ -0,0 +1,51 @@
+jest.mock('../../src/utils/logger');
+
+const mongoose = require('mongoose');
+const Product = require('../../src/models/Product');
+const StockMovement = require('../../src/models/StockMovement');
+const openingStockMovements = require('../../src/migrations/openingStockMovements');
+const { buildProduct } = require('../helpers/factories');
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('opening-stock-movements migration', () => {
+  test('writes an opening balance for products without movements', async () => {
+    const tracked = new mongoose.Types.ObjectId();
+    const plain = buildProduct({ stock: 12 });
+    const withVariants = buildProduct({
+      sku: 'TEST-2',
+      stock: 5,
+      variants: [
+        { sku: 'TEST-2-S', options: { size: 'S' }, price: 50, stock: 3 },
+        { sku: 'TEST-2-M', options: { size: 'M' }, price: 50, stock: 0 },
+        { sku: 'TEST-2-L', options: { size: 'L' }, price: 50, stock: 2 }
+      ]
+    });
+    jest.spyOn(StockMovement, 'distinct').mockResolvedValue([tracked]);
+    const find = jest.spyOn(Product, 'find').mockReturnValue({ select: async () => [plain, withVariants] });
+    const insert = jest.spyOn(StockMovement, 'insertMany').mockResolvedValue([]);
+
+    const result = await openingStockMovements();
+
+    expect(result).toEqual({ products: 2 });
+    expect(find).toHaveBeenCalledWith({ _id: { $nin: [tracked] } });
+
+    const movements = insert.mock.calls[0][0];
+    expect(movements).toEqual([
+      expect.objectContaining({ product: plain._id, quantity: 12, balance: 12, reason: 'initial' }),
+      expect.objectContaining({ product: withVariants._id, variant: withVariants.variants[0]._id, quantity: 3, balance: 3 }),
+      expect.objectContaining({ product: withVariants._id, variant: withVariants.variants[2]._id, quantity: 2, balance: 5 })
+    ]);
+  });
+
+  test('does nothing once every product has movements', async () => {
+    jest.spyOn(StockMovement, 'distinct').mockResolvedValue([]);
+    jest.spyOn(Product, 'find').mockReturnValue({ select: async () => [] });
+    const insert = jest.spyOn(StockMovement, 'insertMany');
+
+    await expect(openingStockMovements()).resolves.toEqual({ products: 0 });
+    expect(insert).not.toHaveBeenCalled();
+  });
+});
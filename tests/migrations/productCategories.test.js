@@ -0,0 +1,34 @@
+jest.mock('../../src/utils/logger');
+
+const Category = require('../../src/models/Category');
+const Product = require('../../src/models/Product');
+const productCategories = require('../../src/migrations/productCategories');
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('product-categories migration', () => {
+  test('creates the categories products use that do not exist yet', async () => {
+    jest.spyOn(Product, 'distinct').mockResolvedValue(['Laptops', 'Gaming Laptops', 'gaming laptops', '', null]);
+    jest.spyOn(Category, 'find').mockReturnValue({ select: async () => [{ name: 'Laptops', slug: 'laptops' }] });
+    const insert = jest.spyOn(Category, 'insertMany').mockResolvedValue([]);
+
+    const result = await productCategories();
+
+    expect(result).toEqual({ categories: 2 });
+    expect(insert).toHaveBeenCalledWith([
+      { name: 'Gaming Laptops', slug: 'gaming-laptops' },
+      { name: 'gaming laptops', slug: 'gaming-laptops-2' }
+    ]);
+  });
+
+  test('does nothing when every category exists', async () => {
+    jest.spyOn(Product, 'distinct').mockResolvedValue(['Laptops']);
+    jest.spyOn(Category, 'find').mockReturnValue({ select: async () => [{ name: 'Laptops', slug: 'laptops' }] });
+    const insert = jest.spyOn(Category, 'insertMany');
+
+    await expect(productCategories()).resolves.toEqual({ categories: 0 });
+    expect(insert).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,20 @@
+jest.mock('../../src/utils/logger');
+
+const Product = require('../../src/models/Product');
+const productDimensionWidth = require('../../src/migrations/productDimensionWidth');
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('product-dimension-width migration', () => {
+  test('renames the stored width field', async () => {
+    const update = jest.spyOn(Product.collection, 'updateMany').mockResolvedValue({ modifiedCount: 4 });
+
+    await expect(productDimensionWidth()).resolves.toEqual({ products: 4 });
+    expect(update).toHaveBeenCalledWith(
+      { 'dimensions.widht': { $exists: true } },
+      { $rename: { 'dimensions.widht': 'dimensions.width' } }
+    );
+  });
+});
@@ -0,0 +1,52 @@
+jest.mock('../../src/utils/logger');
+
+const Product = require('../../src/models/Product');
+const productTextIndex = require('../../src/migrations/productTextIndex');
+
+const serverError = (code) => Object.assign(new Error(`Server error ${code}`), { code });
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('product-text-index migration', () => {
+  test('drops the old text index before building the weighted one', async () => {
+    jest.spyOn(Product.collection, 'indexes').mockResolvedValue([
+      { name: '_id_', key: { _id: 1 } },
+      { name: 'name_text_description_text_brand_text', key: { _fts: 'text', _ftsx: 1 } },
+      { name: 'category_1', key: { category: 1 } }
+    ]);
+    const drop = jest.spyOn(Product.collection, 'dropIndex').mockResolvedValue({});
+    const create = jest.spyOn(Product.collection, 'createIndex').mockResolvedValue('product_text_search');
+
+    const result = await productTextIndex();
+
+    expect(result).toEqual({ dropped: ['name_text_description_text_brand_text'] });
+    expect(drop).toHaveBeenCalledTimes(1);
+    expect(create).toHaveBeenCalledWith(
+      { name: 'text', description: 'text', brand: 'text' },
+      expect.objectContaining({ name: 'product_text_search', weights: { name: 10, brand: 5, description: 1 } })
+    );
+    expect(drop.mock.invocationCallOrder[0]).toBeLessThan(create.mock.invocationCallOrder[0]);
+  });
+
+  test('keeps the weighted index and tolerates an index another instance dropped', async () => {
+    jest.spyOn(Product.collection, 'indexes').mockResolvedValue([
+      { name: 'product_text_search', key: { _fts: 'text', _ftsx: 1 } },
+      { name: 'name_text', key: { _fts: 'text', _ftsx: 1 } }
+    ]);
+    const drop = jest.spyOn(Product.collection, 'dropIndex').mockRejectedValue(serverError(27));
+    jest.spyOn(Product.collection, 'createIndex').mockResolvedValue('product_text_search');
+
+    await expect(productTextIndex()).resolves.toEqual({ dropped: ['name_text'] });
+    expect(drop).toHaveBeenCalledWith('name_text');
+  });
+
+  test('builds the index on a database without products', async () => {
+    jest.spyOn(Product.collection, 'indexes').mockRejectedValue(serverError(26));
+    const create = jest.spyOn(Product.collection, 'createIndex').mockResolvedValue('product_text_search');
+
+    await expect(productTextIndex()).resolves.toEqual({ dropped: [] });
+    expect(create).toHaveBeenCalled();
+  });
+});
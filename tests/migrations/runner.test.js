@@ -0,0 +1,52 @@
+jest.mock('../../src/utils/logger');
+
+const Migration = require('../../src/models/Migration');
+const migrations = require('../../src/migrations/runner');
+
+const MigrationRunner = migrations.constructor;
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('MigrationRunner', () => {
+  test('applies pending migrations in order and records them', async () => {
+    const runner = new MigrationRunner();
+    const calls = [];
+    runner.register('first', async () => calls.push('first'));
+    runner.register('second', async () => {
+      calls.push('second');
+      return { changed: 3 };
+    });
+    runner.register('third', async () => calls.push('third'));
+
+    jest.spyOn(Migration, 'find').mockReturnValue({ select: async () => [{ name: 'first' }] });
+    const record = jest.spyOn(Migration, 'updateOne').mockResolvedValue({});
+
+    const applied = await runner.run();
+
+    expect(applied).toEqual(['second', 'third']);
+    expect(calls).toEqual(['second', 'third']);
+    expect(record).toHaveBeenCalledWith(
+      { name: 'second' },
+      { $setOnInsert: expect.objectContaining({ name: 'second', result: { changed: 3 } }) },
+      { upsert: true }
+    );
+  });
+
+  test('stops at a failing migration without recording it', async () => {
+    const runner = new MigrationRunner();
+    const later = jest.fn();
+    runner.register('broken', async () => {
+      throw new Error('Index build failed');
+    });
+    runner.register('later', later);
+
+    jest.spyOn(Migration, 'find').mockReturnValue({ select: async () => [] });
+    const record = jest.spyOn(Migration, 'updateOne');
+
+    await expect(runner.run()).rejects.toThrow('Index build failed');
+    expect(record).not.toHaveBeenCalled();
+    expect(later).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,76 @@
+const { buildOrder } = require('../helpers/factories');
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('Order lifecycle', () => {
+  test('moves along allowed transitions and stamps the status time', () => {
+    const order = buildOrder();
+
+    order.updateStatus('confirmed', 'Stock checked');
+    order.updateStatus('processing');
+    order.updateStatus('shipped');
+
+    expect(order.status).toBe('shipped');
+    expect(order.confirmedAt).toBeInstanceOf(Date);
+    expect(order.shippedAt).toBeInstanceOf(Date);
+    expect(order.statusHistory.map(entry => entry.status)).toEqual(['confirmed', 'processing', 'shipped']);
+    expect(order.statusHistory[0].note).toBe('Stock checked');
+  });
+
+  test('rejects transitions the lifecycle does not allow', () => {
+    const order = buildOrder();
+
+    expect(() => order.updateStatus('delivered')).toThrow('Order cannot move from pending to delivered');
+    expect(order.status).toBe('pending');
+    expect(order.statusHistory).toHaveLength(0);
+  });
+
+  test('cancelled and returned orders are final', () => {
+    const cancelled = buildOrder();
+    cancelled.updateStatus('cancelled', 'Changed my mind');
+
+    expect(cancelled.cancelledReason).toBe('Changed my mind');
+    expect(cancelled.getAvailableTransitions()).toEqual([]);
+    expect(() => cancelled.updateStatus('confirmed')).toThrow(expect.objectContaining({ statusCode: 400 }));
+  });
+
+  test('shipped orders can only be delivered or returned', () => {
+    const order = buildOrder({ status: 'shipped' });
+
+    expect(order.getAvailableTransitions()).toEqual(['delivered', 'returned']);
+    expect(order.canTransitionTo('cancelled')).toBe(false);
+  });
+});
+
+describe('Order amounts', () => {
+  test('charges the payment method what gift cards and store credit leave', () => {
+    const order = buildOrder({ total: 100, giftCardTotal: 30, storeCredit: 20.5 });
+
+    expect(order.getAmountDue()).toBe(49.5);
+  });
+
+  test('counts prepaid amounts as refundable before the payment is captured', () => {
+    const order = buildOrder({ total: 100, giftCardTotal: 30, payment: { method: 'credit_card', status: 'authorized' } });
+
+    expect(order.getRefundableAmount()).toBe(30);
+    expect(order.getRefundablePaymentAmount()).toBe(0);
+  });
+
+  test('takes refunds off the refundable amount and the net total', async () => {
+    const order = buildOrder({ total: 100, refundedAmount: 25 });
+
+    await order.validate();
+
+    expect(order.getRefundableAmount()).toBe(75);
+    expect(order.netTotal).toBe(75);
+  });
+
+  test('prices a line share after its discount', () => {
+    const order = buildOrder();
+    order.items[0].discount = 10;
+
+    expect(order.getItemPaidAmount(order.items[0], 1)).toBe(45);
+  });
+});
@@ -0,0 +1,111 @@
+const Product = require('../../src/models/Product');
+
+/**
+ * Evaluate the aggregation operators finalPriceExpr uses against a plain document
+ */
+const evaluate = (expr, doc) => {
+  if (typeof expr === 'string' && expr.startsWith('$')) {
+    return expr.slice(1).split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc);
+  }
+  if (expr === null || typeof expr !== 'object' || expr instanceof Date) {
+    return expr;
+  }
+
+  const [operator, args] = Object.entries(expr)[0];
+  const values = () => (Array.isArray(args) ? args : [args]).map(arg => evaluate(arg, doc));
+
+  switch (operator) {
+    case '$cond': return evaluate(args[0], doc) ? evaluate(args[1], doc) : evaluate(args[2], doc);
+    case '$and': return values().every(Boolean);
+    case '$or': return values().some(Boolean);
+    case '$not': return !values()[0];
+    case '$ifNull': return values()[0] ?? values()[1];
+    case '$ne': return values()[0] !== values()[1];
+    case '$gt': return values()[0] > values()[1];
+    case '$lte': return values()[0] <= values()[1];
+    case '$min': return Math.min(...values().filter(value => value != null));
+    case '$add': return values().reduce((a, b) => a + b);
+    case '$subtract': return values()[0] - values()[1];
+    case '$multiply': return values()[0] * values()[1];
+    case '$divide': return values()[0] / values()[1];
+    case '$floor': return Math.floor(values()[0]);
+    default: throw new Error(`Unsupported operator ${operator}`);
+  }
+};
+
+const at = new Date('2026-10-19T12:00:00Z');
+const before = new Date('2026-10-01T00:00:00Z');
+const after = new Date('2026-11-01T00:00:00Z');
+
+describe('Product.finalPriceExpr', () => {
+  test.each([
+    ['list price', { price: 100, discountPrice: 0 }],
+    ['discount price', { price: 100, discountPrice: 80 }],
+    ['running percentage sale', { price: 99.99, discountPrice: 0, sale: { percentOff: 15, startsAt: before } }],
+    ['running fixed sale above the discount price', { price: 100, discountPrice: 70, sale: { price: 75, startsAt: before, endsAt: after } }],
+    ['sale that has not started', { price: 100, discountPrice: 0, sale: { price: 50, startsAt: after } }],
+    ['sale that has ended', { price: 100, discountPrice: 0, sale: { price: 50, startsAt: before, endsAt: before } }],
+    ['due price change', { price: 100, discountPrice: 90, pendingPrice: { price: 120, effectiveAt: before } }],
+    ['future price change', { price: 100, discountPrice: 0, pendingPrice: { price: 120, discountPrice: 110, effectiveAt: after } }],
+    ['sale on a due price change', { price: 100, discountPrice: 0, pendingPrice: { price: 200, effectiveAt: before }, sale: { percentOff: 25, startsAt: before } }]
+  ])('matches finalPrice for a %s', (name, fields) => {
+    const product = new Product({ name: 'Mug', description: 'Mug', category: 'mugs', brand: 'Acme', sku: 'MUG-1', ...fields });
+
+    expect(evaluate(Product.finalPriceExpr(at), product.toObject({ virtuals: false })))
+      .toBe(product.getPricing(at).finalPrice);
+  });
+});
+
+describe('Product.getPricing', () => {
+  const build = (fields) => new Product({ name: 'Mug', description: 'Mug', category: 'mugs', brand: 'Acme', sku: 'MUG-1', ...fields });
+
+  test('applies a sale only inside its window', () => {
+    const product = build({ price: 100, discountPrice: 0, sale: { price: 60, startsAt: at, endsAt: after } });
+
+    expect(product.getPricing(before)).toMatchObject({ finalPrice: 100, sale: null });
+    expect(product.getPricing(at)).toMatchObject({ finalPrice: 60, sale: { price: 60, endsAt: after } });
+    expect(product.getPricing(after)).toMatchObject({ finalPrice: 100, sale: null });
+  });
+
+  test('never raises the price above the discount price', () => {
+    const product = build({ price: 100, discountPrice: 50, sale: { percentOff: 10, startsAt: before } });
+
+    expect(product.getPricing(at)).toMatchObject({ finalPrice: 50, sale: { price: 90 } });
+  });
+
+  test('counts a due price change before the scheduler applies it', () => {
+    const product = build({ price: 100, discountPrice: 90, pendingPrice: { price: 80, effectiveAt: at } });
+
+    expect(product.getPricing(before)).toMatchObject({ price: 100, finalPrice: 90 });
+    expect(product.getPricing(at)).toMatchObject({ price: 80, discountPrice: 0, finalPrice: 80 });
+  });
+});
+
+describe('Product primary image', () => {
+  const build = (images) => new Product({
+    name: 'Mug',
+    description: 'A mug',
+    price: 10,
+    discountPrice: 0,
+    category: 'Kitchen',
+    brand: 'Acme',
+    sku: 'MUG-1',
+    images
+  });
+
+  test('the first image becomes primary when none is marked', async () => {
+    const product = build([{ url: '/a.jpg' }, { url: '/b.jpg' }]);
+
+    await product.validate();
+
+    expect(product.images.map(image => image.isPrimary)).toEqual([true, false]);
+  });
+
+  test('keeps only the first marked image as primary', async () => {
+    const product = build([{ url: '/a.jpg' }, { url: '/b.jpg', isPrimary: true }, { url: '/c.jpg', isPrimary: true }]);
+
+    await product.validate();
+
+    expect(product.images.map(image => image.isPrimary)).toEqual([false, true, false]);
+  });
+});
@@ -0,0 +1,135 @@
+jest.mock('../../src/utils/logger');
+
+const AttributeDefinition = require('../../src/models/AttributeDefinition');
+const AttributeService = require('../../src/services/attributeService');
+const CategoryService = require('../../src/services/categoryService');
+
+const definition = (fields) => new AttributeDefinition({ category: 'Laptops', label: fields.key, ...fields });
+
+const ram = definition({ key: 'ram', label: 'RAM', type: 'number', unit: 'GB' });
+const color = definition({ key: 'color', label: 'Color', values: ['Black', 'Silver'] });
+const touch = definition({ key: 'touch', label: 'Touchscreen', type: 'boolean' });
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('AttributeService.buildAttributes', () => {
+  beforeEach(() => {
+    jest.spyOn(CategoryService, 'getLineageNames').mockResolvedValue(['Computers', 'Laptops']);
+  });
+
+  test('types specifications with the category definitions and keeps others as given', async () => {
+    const find = jest.spyOn(AttributeDefinition, 'find').mockResolvedValue([ram, color, touch]);
+
+    const attributes = await AttributeService.buildAttributes('Laptops', {
+      RAM: '16',
+      Color: 'Silver',
+      Touch: 'yes',
+      'Screen Size': ' 14 inch '
+    });
+
+    expect(find).toHaveBeenCalledWith({ category: { $in: ['Computers', 'Laptops'] } });
+    expect(attributes).toEqual([
+      { k: 'ram', v: 16, unit: 'GB' },
+      { k: 'color', v: 'Silver' },
+      { k: 'touch', v: true },
+      { k: 'screen_size', v: '14 inch' }
+    ]);
+  });
+
+  test('the closest category definition wins over an ancestor one', async () => {
+    const inherited = definition({ key: 'weight', category: 'Computers', type: 'string' });
+    const own = definition({ key: 'weight', type: 'number', unit: 'kg' });
+    jest.spyOn(AttributeDefinition, 'find').mockResolvedValue([own, inherited]);
+
+    await expect(AttributeService.buildAttributes('Laptops', { weight: '1.4' }))
+      .resolves.toEqual([{ k: 'weight', v: 1.4, unit: 'kg' }]);
+  });
+
+  test('rejects values that do not fit their definition and missing required attributes', async () => {
+    const cpu = definition({ key: 'cpu', label: 'CPU', required: true });
+    jest.spyOn(AttributeDefinition, 'find').mockResolvedValue([ram, color, cpu]);
+
+    const error = await AttributeService.buildAttributes('Laptops', { ram: 'lots', color: 'Gold' }).catch(caught => caught);
+
+    expect(error).toMatchObject({ statusCode: 400, message: 'Invalid product specifications' });
+    expect(error.errors).toEqual([
+      { field: 'specifications.ram', message: 'RAM must be a number' },
+      { field: 'specifications.color', message: 'Color must be one of: Black, Silver' },
+      { field: 'specifications.cpu', message: 'CPU is required' }
+    ]);
+  });
+});
+
+describe('AttributeService.parseQueryFilters', () => {
+  test('reads attr.* parameters with their operators and ignores the rest', () => {
+    const filters = AttributeService.parseQueryFilters({
+      'attr.RAM[gte]': '16',
+      'attr.color[in]': 'black,silver',
+      'attr.touch': 'true',
+      'attr.size': ['13', '15'],
+      brand: 'Acme'
+    });
+
+    expect(filters).toEqual([
+      { key: 'ram', operator: 'gte', value: '16' },
+      { key: 'color', operator: 'in', value: ['black', 'silver'] },
+      { key: 'touch', operator: 'eq', value: 'true' },
+      { key: 'size', operator: 'in', value: ['13', '15'] }
+    ]);
+  });
+
+  test('rejects an unknown operator', () => {
+    expect(() => AttributeService.parseQueryFilters({ 'attr.ram[near]': '16' }))
+      .toThrow(expect.objectContaining({ statusCode: 400, message: 'Invalid attribute filter operator: near' }));
+  });
+});
+
+describe('AttributeService.buildFilterConditions', () => {
+  test('builds one typed $elemMatch per attribute, merging range operators', async () => {
+    const find = jest.spyOn(AttributeDefinition, 'find').mockResolvedValue([ram, touch]);
+
+    const conditions = await AttributeService.buildFilterConditions([
+      { key: 'ram', operator: 'gte', value: '8' },
+      { key: 'ram', operator: 'lt', value: '32' },
+      { key: 'touch', operator: 'eq', value: 'yes' }
+    ], ['Laptops']);
+
+    expect(find).toHaveBeenCalledWith({ key: { $in: ['ram', 'touch'] }, category: { $in: ['Laptops'] } });
+    expect(conditions).toEqual([
+      { attributes: { $elemMatch: { k: 'ram', v: { $gte: 8, $lt: 32 } } } },
+      { attributes: { $elemMatch: { k: 'touch', v: { $in: [true] } } } }
+    ]);
+  });
+
+  test('matches numeric-looking values of untyped attributes as text and number', async () => {
+    jest.spyOn(AttributeDefinition, 'find').mockResolvedValue([]);
+
+    await expect(AttributeService.buildFilterConditions([{ key: 'ports', operator: 'in', value: ['2', 'usb'] }]))
+      .resolves.toEqual([{ attributes: { $elemMatch: { k: 'ports', v: { $in: [2, '2', 'usb'] } } } }]);
+  });
+
+  test('tries every typing of a key shared by several categories', async () => {
+    const ramText = definition({ key: 'ram', category: 'Phones', type: 'string' });
+    jest.spyOn(AttributeDefinition, 'find').mockResolvedValue([ram, ramText]);
+
+    await expect(AttributeService.buildFilterConditions([{ key: 'ram', operator: 'eq', value: '8' }]))
+      .resolves.toEqual([{ attributes: { $elemMatch: { k: 'ram', v: { $in: [8, '8'] } } } }]);
+  });
+
+  test('rejects filters on attributes that are not filterable', async () => {
+    const serial = definition({ key: 'serial', filterable: false });
+    jest.spyOn(AttributeDefinition, 'find').mockResolvedValue([serial]);
+
+    await expect(AttributeService.buildFilterConditions([{ key: 'serial', operator: 'eq', value: 'X1' }]))
+      .rejects.toMatchObject({ statusCode: 400, message: 'Attribute is not filterable: serial' });
+  });
+
+  test('builds nothing without filters', async () => {
+    const find = jest.spyOn(AttributeDefinition, 'find');
+
+    await expect(AttributeService.buildFilterConditions([])).resolves.toEqual([]);
+    expect(find).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,127 @@
+jest.mock('../../src/utils/logger');
+
+const Product = require('../../src/models/Product');
+const ImportJob = require('../../src/models/ImportJob');
+const CatalogService = require('../../src/services/catalogService');
+const ProductService = require('../../src/services/productService');
+const CategoryService = require('../../src/services/categoryService');
+const AttributeService = require('../../src/services/attributeService');
+
+const csv = [
+  'sku,name,description,price,category,brand,stock,images,tags,dimensions.width,spec.color',
+  'mug-1,Coffee mug,A large coffee mug,12.5,Kitchen,Acme,10,https://cdn.test/a.jpg|https://cdn.test/b.jpg,mug| gift ,8,Blue'
+].join('\n');
+
+const row = (overrides = {}) => ({
+  sku: 'MUG-1',
+  name: 'Coffee mug',
+  description: 'A large coffee mug',
+  price: 12.5,
+  category: 'Kitchen',
+  brand: 'Acme',
+  stock: 10,
+  ...overrides
+});
+
+/**
+ * Stub the SKU lookup: the listed SKUs exist
+ */
+const stubExisting = (skus) => jest.spyOn(Product, 'findOne').mockImplementation(({ sku }) => ({
+  select: async () => (skus.includes(sku) ? { _id: `${sku}-id` } : null)
+}));
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('CatalogService.parseFile', () => {
+  test('reads CSV lists, dimensions and spec columns', () => {
+    const [product] = CatalogService.parseFile(csv, 'csv');
+
+    expect(product).toEqual({
+      sku: 'mug-1',
+      name: 'Coffee mug',
+      description: 'A large coffee mug',
+      price: '12.5',
+      category: 'Kitchen',
+      brand: 'Acme',
+      stock: '10',
+      images: [{ url: 'https://cdn.test/a.jpg' }, { url: 'https://cdn.test/b.jpg' }],
+      tags: ['mug', 'gift'],
+      dimensions: { width: '8' },
+      specifications: { color: 'Blue' }
+    });
+  });
+
+  test('accepts a JSON array or a products object and rejects anything else', () => {
+    expect(CatalogService.parseFile(JSON.stringify([row()]), 'json')).toHaveLength(1);
+    expect(CatalogService.parseFile(JSON.stringify({ products: [row()] }), 'json')).toHaveLength(1);
+    expect(() => CatalogService.parseFile('{ "products": 1 }', 'json')).toThrow('JSON file must contain an array of products');
+    expect(() => CatalogService.parseFile('[{', 'json')).toThrow(expect.objectContaining({ statusCode: 400 }));
+  });
+});
+
+describe('CatalogService.processRows', () => {
+  test('reports invalid rows and SKUs repeated in the file without saving them', async () => {
+    stubExisting([]);
+    const create = jest.spyOn(ProductService, 'createProduct').mockResolvedValue({});
+
+    const report = await CatalogService.processRows([row(), row({ price: 'free' }), row({ sku: 'mug-1' })]);
+
+    expect(report.summary).toEqual({ total: 3, processed: 3, created: 1, updated: 0, failed: 2 });
+    expect(report.errors).toEqual([
+      { row: 2, sku: 'MUG-1', field: 'price', message: '"price" must be a number' },
+      { row: 3, sku: 'MUG-1', field: 'sku', message: 'Duplicate SKU in file' }
+    ]);
+    expect(create).toHaveBeenCalledTimes(1);
+  });
+
+  test('a dry run checks categories and specifications but writes nothing', async () => {
+    stubExisting(['MUG-1']);
+    jest.spyOn(CategoryService, 'assertCategory').mockImplementation(async (name) => {
+      if (name !== 'Kitchen') {
+        throw Object.assign(new Error(`Category not found: ${name}`), { statusCode: 400 });
+      }
+    });
+    const attributes = jest.spyOn(AttributeService, 'buildAttributes').mockResolvedValue([]);
+    const create = jest.spyOn(ProductService, 'createProduct');
+    const update = jest.spyOn(ProductService, 'updateProduct');
+
+    const report = await CatalogService.processRows([
+      row({ specifications: { color: 'Blue' } }),
+      row({ sku: 'MUG-2', category: 'Garden' })
+    ], { dryRun: true });
+
+    expect(report.summary).toMatchObject({ updated: 1, created: 0, failed: 1 });
+    expect(report.errors).toEqual([{ row: 2, sku: 'MUG-2', message: 'Category not found: Garden' }]);
+    expect(attributes).toHaveBeenCalledWith('Kitchen', { color: 'Blue' });
+    expect(create).not.toHaveBeenCalled();
+    expect(update).not.toHaveBeenCalled();
+  });
+
+  test('updates existing SKUs and creates new ones', async () => {
+    stubExisting(['MUG-1']);
+    const update = jest.spyOn(ProductService, 'updateProduct').mockResolvedValue({});
+    const create = jest.spyOn(ProductService, 'createProduct').mockResolvedValue({});
+
+    const report = await CatalogService.processRows([row({ price: '15' }), row({ sku: 'MUG-2' })], { actorId: 'admin-1' });
+
+    expect(report.summary).toMatchObject({ updated: 1, created: 1, failed: 0 });
+    expect(update).toHaveBeenCalledWith('MUG-1-id', expect.objectContaining({ price: 15 }), 'admin-1', { reason: 'import', note: 'Product import' });
+    expect(update.mock.calls[0][1]).not.toHaveProperty('sku');
+    expect(create).toHaveBeenCalledWith(expect.objectContaining({ sku: 'MUG-2' }), 'admin-1', { reason: 'import' });
+  });
+});
+
+describe('CatalogService.failStaleImportJobs', () => {
+  test('fails queued and running jobs that made no progress within the stale window', async () => {
+    const update = jest.spyOn(ImportJob, 'updateMany').mockResolvedValue({ modifiedCount: 2 });
+    const now = new Date('2026-10-19T12:00:00Z');
+
+    await expect(CatalogService.failStaleImportJobs(now)).resolves.toEqual({ failed: 2 });
+    expect(update).toHaveBeenCalledWith(
+      { status: { $in: ['queued', 'running'] }, updatedAt: { $lte: new Date('2026-10-19T11:30:00Z') } },
+      { $set: expect.objectContaining({ status: 'failed', finishedAt: now }) }
+    );
+  });
+});
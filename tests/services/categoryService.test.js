@@ -0,0 +1,90 @@
+jest.mock('../../src/utils/logger');
+
+const Category = require('../../src/models/Category');
+const Product = require('../../src/models/Product');
+const AttributeDefinition = require('../../src/models/AttributeDefinition');
+const Promotion = require('../../src/models/Promotion');
+const CategoryService = require('../../src/services/categoryService');
+const ProductService = require('../../src/services/productService');
+const { mockTransactions } = require('../helpers/database');
+
+const session = { id: 'category-session' };
+
+/**
+ * Stub a stored category
+ */
+const stubCategory = (name) => {
+  const category = Category.hydrate({ _id: '64b000000000000000000001', name, slug: Category.slugify(name), ancestors: [] });
+  jest.spyOn(category, 'save').mockResolvedValue(category);
+  jest.spyOn(Category, 'findById').mockResolvedValue(category);
+  return category;
+};
+
+let transaction;
+
+beforeEach(() => {
+  transaction = mockTransactions(session);
+  jest.spyOn(ProductService, 'productsChanged').mockResolvedValue();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('CategoryService.updateCategory', () => {
+  test('carries a rename over to products, attribute definitions and promotion scopes in one transaction', async () => {
+    const category = stubCategory('Shoes');
+    const products = jest.spyOn(Product, 'updateMany').mockResolvedValue({});
+    const attributes = jest.spyOn(AttributeDefinition, 'updateMany').mockResolvedValue({});
+    const promotions = jest.spyOn(Promotion, 'updateMany').mockResolvedValue({});
+
+    await CategoryService.updateCategory(category._id, { name: 'Footwear' });
+
+    expect(category.save).toHaveBeenCalledWith({ session });
+    expect(products).toHaveBeenCalledWith({ category: 'Shoes' }, { $set: { category: 'Footwear' } }, { session });
+    expect(attributes).toHaveBeenCalledWith({ category: 'Shoes' }, { $set: { category: 'Footwear' } }, { session });
+    expect(promotions).toHaveBeenCalledWith(
+      { 'scope.categories': 'Shoes' },
+      { $set: { 'scope.categories.$[scoped]': 'Footwear' } },
+      { session, arrayFilters: [{ scoped: 'Shoes' }] }
+    );
+  });
+
+  test('drops the cached facets once the rename is committed', async () => {
+    const category = stubCategory('Shoes');
+    jest.spyOn(Product, 'updateMany').mockResolvedValue({});
+    jest.spyOn(AttributeDefinition, 'updateMany').mockResolvedValue({});
+    jest.spyOn(Promotion, 'updateMany').mockResolvedValue({});
+    let committed = false;
+    transaction.mockImplementation(async (fn) => {
+      await fn(session);
+      committed = true;
+    });
+    ProductService.productsChanged.mockImplementation(async () => {
+      expect(committed).toBe(true);
+    });
+
+    await CategoryService.updateCategory(category._id, { name: 'Footwear' });
+
+    expect(ProductService.productsChanged).toHaveBeenCalledTimes(1);
+  });
+
+  test('a failed rename leaves the cached facets alone', async () => {
+    const category = stubCategory('Shoes');
+    jest.spyOn(Product, 'updateMany').mockRejectedValue(new Error('Write conflict'));
+
+    await expect(CategoryService.updateCategory(category._id, { name: 'Footwear' })).rejects.toThrow('Write conflict');
+    expect(ProductService.productsChanged).not.toHaveBeenCalled();
+  });
+
+  test('saves other changes without touching the references', async () => {
+    const category = stubCategory('Shoes');
+    const promotions = jest.spyOn(Promotion, 'updateMany');
+
+    await CategoryService.updateCategory(category._id, { description: 'All shoes' });
+
+    expect(category.save).toHaveBeenCalledWith();
+    expect(promotions).not.toHaveBeenCalled();
+    expect(ProductService.productsChanged).not.toHaveBeenCalled();
+  });
+});
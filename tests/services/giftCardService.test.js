@@ -0,0 +1,99 @@
+jest.mock('../../src/utils/logger');
+
+const mongoose = require('mongoose');
+const GiftCard = require('../../src/models/GiftCard');
+const GiftCardService = require('../../src/services/giftCardService');
+const { buildOrder } = require('../helpers/factories');
+
+const session = { id: 'order-session' };
+
+const buildCard = (code, fields = {}) => ({ _id: new mongoose.Types.ObjectId(), code, isActive: true, balance: 50, ...fields });
+
+const giftCardOrder = (lines) => buildOrder({
+  giftCards: lines.map(([amount, restored = 0]) => ({ giftCard: new mongoose.Types.ObjectId(), code: '****-0001', amount, restored })),
+  giftCardTotal: lines.reduce((total, [amount]) => total + amount, 0)
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('GiftCardService.prepareRedemption', () => {
+  const stubCards = (cards) => jest.spyOn(GiftCard, 'find').mockReturnValue({ select: async () => cards });
+
+  test('takes from the cards in the given order up to the amount', async () => {
+    const first = buildCard('GIFT-AAAA-0001', { balance: 30 });
+    const second = buildCard('GIFT-AAAA-0002', { balance: 50 });
+    const third = buildCard('GIFT-AAAA-0003', { balance: 50 });
+    stubCards([first, second, third]);
+
+    const lines = await GiftCardService.prepareRedemption([' gift-aaaa-0001', 'GIFT-AAAA-0002', 'GIFT-AAAA-0003'], 45.5);
+
+    expect(lines).toEqual([
+      { giftCard: first._id, code: '****-0001', amount: 30 },
+      { giftCard: second._id, code: '****-0002', amount: 15.5 }
+    ]);
+  });
+
+  test.each([
+    ['unknown', [], 'Gift card not found: ****-0001'],
+    ['inactive', [buildCard('GIFT-AAAA-0001', { isActive: false })], 'Gift card not found: ****-0001'],
+    ['expired', [buildCard('GIFT-AAAA-0001', { expiresAt: new Date('2020-01-01') })], 'Gift card has expired: ****-0001'],
+    ['empty', [buildCard('GIFT-AAAA-0001', { balance: 0 })], 'Gift card has no balance left: ****-0001']
+  ])('rejects an %s card without revealing its code', async (name, cards, message) => {
+    stubCards(cards);
+
+    await expect(GiftCardService.prepareRedemption(['GIFT-AAAA-0001'], 10)).rejects.toMatchObject({ statusCode: 400, message });
+  });
+});
+
+describe('GiftCardService.redeem', () => {
+  test('debits each card only while its balance covers the line', async () => {
+    const order = giftCardOrder([[30], [20]]);
+    const debit = jest.spyOn(GiftCard, 'findOneAndUpdate').mockResolvedValue({ _id: order.giftCards[0].giftCard, balance: 0 });
+    const log = jest.spyOn(GiftCard, 'updateOne').mockResolvedValue({});
+
+    await GiftCardService.redeem(order, session);
+
+    const [filter, update, options] = debit.mock.calls[0];
+    expect(filter).toMatchObject({ _id: order.giftCards[0].giftCard, isActive: true, balance: { $gte: 30 } });
+    expect(update).toEqual({ $inc: { balance: -30 } });
+    expect(options.session).toBe(session);
+    expect(log).toHaveBeenCalledTimes(2);
+    expect(log.mock.calls[0][1].$push.transactions).toMatchObject({ type: 'redeem', amount: -30, order: order._id });
+  });
+
+  test('fails the order when a card was spent since checkout', async () => {
+    const order = giftCardOrder([[30]]);
+    jest.spyOn(GiftCard, 'findOneAndUpdate').mockResolvedValue(null);
+    const log = jest.spyOn(GiftCard, 'updateOne');
+
+    await expect(GiftCardService.redeem(order, session)).rejects.toMatchObject({ statusCode: 409 });
+    expect(log).not.toHaveBeenCalled();
+  });
+});
+
+describe('GiftCardService.restore', () => {
+  test('gives balance back to the last cards first, up to what each paid', async () => {
+    const order = giftCardOrder([[30], [20, 5]]);
+    const credit = jest.spyOn(GiftCard, 'findByIdAndUpdate').mockImplementation(async (id) => ({ _id: id, balance: 10 }));
+    jest.spyOn(GiftCard, 'updateOne').mockResolvedValue({});
+
+    const restored = await GiftCardService.restore(order, 25, 'Refund', session);
+
+    expect(restored).toBe(25);
+    expect(credit.mock.calls.map(([id, update, options]) => [id, update.$inc.balance, options.session])).toEqual([
+      [order.giftCards[1].giftCard, 15, session],
+      [order.giftCards[0].giftCard, 10, session]
+    ]);
+    expect(order.giftCards.map(line => line.restored)).toEqual([10, 20]);
+  });
+
+  test('restores nothing once every card got its amount back', async () => {
+    const order = giftCardOrder([[30, 30]]);
+    const credit = jest.spyOn(GiftCard, 'findByIdAndUpdate');
+
+    await expect(GiftCardService.restore(order, 10, 'Refund', session)).resolves.toBe(0);
+    expect(credit).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,137 @@
+jest.mock('../../src/utils/logger');
+
+const sharp = require('sharp');
+const Product = require('../../src/models/Product');
+const ImageService = require('../../src/services/imageService');
+const storage = require('../../src/storage');
+const { buildProduct } = require('../helpers/factories');
+
+const png = () => sharp({ create: { width: 4, height: 3, channels: 3, background: '#336699' } }).png().toBuffer();
+
+const upload = (buffer, overrides = {}) => ({
+  originalname: 'photo.png',
+  mimetype: 'image/png',
+  buffer,
+  ...overrides
+});
+
+/**
+ * A product whose save() runs validation, so the primary image hook applies
+ */
+const productWithImages = (images = []) => {
+  const product = buildProduct({ images });
+  product.save.mockImplementation(async () => {
+    await product.validate();
+    return product;
+  });
+  jest.spyOn(Product, 'findById').mockResolvedValue(product);
+  return product;
+};
+
+let save;
+let remove;
+
+beforeEach(() => {
+  save = jest.spyOn(storage, 'save').mockImplementation(async (key) => `/uploads/${key}`);
+  remove = jest.spyOn(storage, 'delete').mockResolvedValue();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('ImageService.uploadProductImages', () => {
+  test('stores the original as its real format with webp renditions', async () => {
+    const product = productWithImages();
+
+    // Declared as a jpeg, but the content decides the stored format
+    const result = await ImageService.uploadProductImages(product._id, [upload(await png(), { originalname: 'photo.jpg', mimetype: 'image/jpeg' })]);
+
+    const [image] = result.images;
+    const base = `products/${product._id}/${image._id}`;
+    expect(save.mock.calls.map(([key]) => key)).toEqual([`${base}/original.png`, `${base}/thumbnail.webp`, `${base}/medium.webp`]);
+    expect(image).toMatchObject({ url: `/uploads/${base}/original.png`, width: 4, height: 3, isPrimary: true });
+    expect(image.renditions.thumbnail).toBe(`/uploads/${base}/thumbnail.webp`);
+  });
+
+  test('rejects a file whose content is not an image without storing anything', async () => {
+    const product = productWithImages();
+
+    await expect(ImageService.uploadProductImages(product._id, [upload(Buffer.from('not an image'), { originalname: 'fake.png' })]))
+      .rejects.toMatchObject({ statusCode: 400, message: 'Invalid image file: fake.png' });
+    expect(save).not.toHaveBeenCalled();
+    expect(product.save).not.toHaveBeenCalled();
+  });
+
+  test('deletes the files already stored when a later file fails', async () => {
+    const product = productWithImages();
+
+    await expect(ImageService.uploadProductImages(product._id, [upload(await png()), upload(Buffer.from('nope'))]))
+      .rejects.toMatchObject({ statusCode: 400 });
+
+    const stored = save.mock.calls.map(([key]) => key);
+    expect(stored).toHaveLength(3);
+    expect(remove.mock.calls.map(([key]) => key)).toEqual(stored);
+    expect(product.images).toHaveLength(0);
+  });
+
+  test('deletes the stored files when the product cannot be saved', async () => {
+    const product = productWithImages();
+    product.save.mockRejectedValue(new Error('write conflict'));
+
+    await expect(ImageService.uploadProductImages(product._id, [upload(await png())])).rejects.toThrow('write conflict');
+    expect(remove).toHaveBeenCalledTimes(3);
+  });
+
+  test('an uploaded primary image takes the role from the current one', async () => {
+    const product = productWithImages([{ url: '/a.jpg', isPrimary: true }]);
+
+    await ImageService.uploadProductImages(product._id, [upload(await png())], { isPrimary: true, alt: 'Front' });
+
+    expect(product.images.map(image => image.isPrimary)).toEqual([false, true]);
+    expect(product.images[1].alt).toBe('Front');
+  });
+});
+
+describe('ImageService.deleteImage', () => {
+  test('removes the image and its files and passes the primary role on', async () => {
+    const product = productWithImages([
+      { url: '/a.jpg', isPrimary: true, storageKeys: ['products/p/a/original.jpg', 'products/p/a/thumbnail.webp'] },
+      { url: '/b.jpg' },
+      { url: '/c.jpg' }
+    ]);
+    const [primary, next] = product.images;
+
+    const result = await ImageService.deleteImage(product._id, primary._id);
+
+    expect(result.images.map(image => image.url)).toEqual(['/b.jpg', '/c.jpg']);
+    expect(next.isPrimary).toBe(true);
+    expect(remove.mock.calls).toEqual([['products/p/a/original.jpg'], ['products/p/a/thumbnail.webp']]);
+  });
+
+  test('keeps the product change when a stored file cannot be deleted', async () => {
+    const product = productWithImages([{ url: '/a.jpg', storageKeys: ['products/p/a/original.jpg'] }, { url: '/b.jpg' }]);
+    remove.mockRejectedValue(new Error('disk error'));
+
+    await expect(ImageService.deleteImage(product._id, product.images[0]._id)).resolves.toMatchObject({ success: true });
+    expect(product.images).toHaveLength(1);
+  });
+
+  test('rejects an image the product does not have', async () => {
+    const product = productWithImages([{ url: '/a.jpg' }]);
+
+    await expect(ImageService.deleteImage(product._id, buildProduct()._id))
+      .rejects.toMatchObject({ statusCode: 404, message: 'Image not found' });
+    expect(remove).not.toHaveBeenCalled();
+  });
+});
+
+describe('ImageService.setPrimaryImage', () => {
+  test('marks only the chosen image as primary', async () => {
+    const product = productWithImages([{ url: '/a.jpg', isPrimary: true }, { url: '/b.jpg' }]);
+
+    await ImageService.setPrimaryImage(product._id, product.images[1]._id);
+
+    expect(product.images.map(image => image.isPrimary)).toEqual([false, true]);
+  });
+});
@@ -0,0 +1,159 @@
+jest.mock('../../src/utils/logger');
+
+const mongoose = require('mongoose');
+const LoyaltyAccount = require('../../src/models/LoyaltyAccount');
+const LoyaltyTransaction = require('../../src/models/LoyaltyTransaction');
+const Order = require('../../src/models/Order');
+const Product = require('../../src/models/Product');
+const CategoryService = require('../../src/services/categoryService');
+const LoyaltyService = require('../../src/services/loyaltyService');
+const { buildOrder } = require('../helpers/factories');
+const { mockTransactions } = require('../helpers/database');
+
+const session = { id: 'loyalty-session' };
+
+let transaction;
+
+beforeEach(() => {
+  transaction = mockTransactions(session);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('LoyaltyService.getTier', () => {
+  test.each([
+    [0, 'standard', 1, { name: 'silver', remaining: 5000 }],
+    [5000, 'silver', 1.25, { name: 'gold', remaining: 10000 }],
+    [20000, 'gold', 1.5, null]
+  ])('a spend of %p is %p', async (spend, name, multiplier, next) => {
+    jest.spyOn(Order, 'aggregate').mockResolvedValue(spend ? [{ spend }] : []);
+
+    const tier = await LoyaltyService.getTier(new mongoose.Types.ObjectId());
+
+    expect(tier).toMatchObject({ name, multiplier, spend });
+    expect(tier.next).toEqual(next && expect.objectContaining(next));
+  });
+});
+
+describe('LoyaltyService.prepareRedemption', () => {
+  test('turns points into a discount', async () => {
+    jest.spyOn(LoyaltyAccount, 'findOne').mockResolvedValue({ points: 500 });
+
+    await expect(LoyaltyService.prepareRedemption('user-1', 300, 10)).resolves.toEqual({ points: 300, amount: 3 });
+  });
+
+  test('rejects more points than the user has or the order allows', async () => {
+    jest.spyOn(LoyaltyAccount, 'findOne').mockResolvedValue({ points: 500 });
+
+    await expect(LoyaltyService.prepareRedemption('user-1', 600, 10))
+      .rejects.toMatchObject({ statusCode: 400, message: 'Not enough loyalty points. Available: 500' });
+    await expect(LoyaltyService.prepareRedemption('user-1', 500, 2))
+      .rejects.toMatchObject({ statusCode: 400, message: 'At most 200 points can be redeemed on this order' });
+  });
+});
+
+describe('LoyaltyService.awardPoints', () => {
+  test('earns pending points on the paid amount with category and tier multipliers', async () => {
+    const order = buildOrder({ deliveredAt: new Date('2026-10-01T00:00:00Z') });
+    order.items[0].discount = 20;
+    jest.spyOn(LoyaltyTransaction, 'exists').mockResolvedValue(null);
+    jest.spyOn(LoyaltyService, 'getTier').mockResolvedValue({ name: 'silver', multiplier: 1.25 });
+    jest.spyOn(Product, 'find').mockReturnValue({ select: async () => [{ _id: order.items[0].product, category: 'mugs' }] });
+    jest.spyOn(CategoryService, 'getPointsMultiplier').mockResolvedValue(2);
+    const earn = jest.spyOn(LoyaltyTransaction, 'create').mockResolvedValue({});
+    const account = jest.spyOn(LoyaltyAccount, 'updateOne').mockResolvedValue({});
+
+    const points = await LoyaltyService.awardPoints(order);
+
+    // (100 - 20) paid x2 category x1.25 tier
+    expect(points).toBe(200);
+    expect(earn).toHaveBeenCalledWith(expect.objectContaining({ type: 'earn', points: 200, status: 'pending', pending: 200, tier: 'silver' }));
+    expect(account).toHaveBeenCalledWith({ user: order.user }, { $inc: { pendingPoints: 200 } }, { upsert: true });
+    expect(order.loyalty.pointsEarned).toBe(200);
+  });
+
+  test('does not award an order twice', async () => {
+    const order = buildOrder();
+    jest.spyOn(LoyaltyTransaction, 'exists').mockResolvedValue({ _id: 'earn-1' });
+    const earn = jest.spyOn(LoyaltyTransaction, 'create');
+
+    await expect(LoyaltyService.awardPoints(order)).resolves.toBe(0);
+    expect(earn).not.toHaveBeenCalled();
+  });
+});
+
+describe('LoyaltyService.clawback', () => {
+  test('takes the refunded share from pending points first', async () => {
+    const order = buildOrder({ refundedAmount: 50, loyalty: { pointsEarned: 100 } });
+    const earn = { _id: 'earn-1', pending: 30 };
+    jest.spyOn(LoyaltyTransaction, 'findOne').mockReturnValue({ session: async () => earn });
+    const claim = jest.spyOn(LoyaltyTransaction, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    const account = jest.spyOn(LoyaltyAccount, 'updateOne').mockResolvedValue({});
+    const ledger = jest.spyOn(LoyaltyTransaction, 'create').mockResolvedValue([]);
+
+    const points = await LoyaltyService.clawback(order, session);
+
+    expect(points).toBe(50);
+    expect(claim).toHaveBeenCalledWith({ _id: 'earn-1', status: 'pending', pending: 30 }, { $set: { pending: 0 } }, { session });
+    expect(account).toHaveBeenCalledWith(
+      { user: order.user },
+      { $inc: { pendingPoints: -30, points: -20 } },
+      { upsert: true, session }
+    );
+    expect(ledger).toHaveBeenCalledWith([expect.objectContaining({ type: 'clawback', points: -50 })], { session });
+    expect(order.loyalty.pointsClawedBack).toBe(50);
+  });
+
+  test('takes from the balance when the points were released meanwhile', async () => {
+    const order = buildOrder({ refundedAmount: 25, loyalty: { pointsEarned: 100, pointsClawedBack: 10 } });
+    jest.spyOn(LoyaltyTransaction, 'findOne').mockReturnValue({ session: async () => ({ _id: 'earn-1', pending: 90 }) });
+    jest.spyOn(LoyaltyTransaction, 'updateOne').mockResolvedValue({ modifiedCount: 0 });
+    const account = jest.spyOn(LoyaltyAccount, 'updateOne').mockResolvedValue({});
+    jest.spyOn(LoyaltyTransaction, 'create').mockResolvedValue([]);
+
+    await expect(LoyaltyService.clawback(order, session)).resolves.toBe(15);
+    expect(account.mock.calls[0][1]).toEqual({ $inc: { pendingPoints: -0, points: -15 } });
+  });
+});
+
+describe('LoyaltyService.releaseRedemption', () => {
+  test('gives the redeemed points back inside the cancellation transaction', async () => {
+    const order = buildOrder({ loyalty: { pointsRedeemed: 300 } });
+    const account = jest.spyOn(LoyaltyAccount, 'updateOne').mockResolvedValue({});
+    const ledger = jest.spyOn(LoyaltyTransaction, 'create').mockResolvedValue([]);
+
+    await expect(LoyaltyService.releaseRedemption(order, session)).resolves.toBe(300);
+    expect(account).toHaveBeenCalledWith({ user: order.user }, { $inc: { points: 300 } }, { upsert: true, session });
+    expect(ledger).toHaveBeenCalledWith([expect.objectContaining({ type: 'restore', points: 300 })], { session });
+    expect(order.loyalty.redemptionRestored).toBe(true);
+  });
+
+  test('restores the points once', async () => {
+    const order = buildOrder({ loyalty: { pointsRedeemed: 300, redemptionRestored: true } });
+    const account = jest.spyOn(LoyaltyAccount, 'updateOne').mockResolvedValue({});
+
+    await expect(LoyaltyService.releaseRedemption(order, session)).resolves.toBe(0);
+    expect(account).not.toHaveBeenCalled();
+  });
+});
+
+describe('LoyaltyService.releasePoints', () => {
+  test('moves each claimed entry from pending to available points in a transaction', async () => {
+    const user = new mongoose.Types.ObjectId();
+    jest.spyOn(LoyaltyTransaction, 'find').mockReturnValue({ limit: async () => [{ _id: 'earn-1' }, { _id: 'earn-2' }] });
+    jest.spyOn(LoyaltyTransaction, 'findOneAndUpdate')
+      .mockResolvedValueOnce({ _id: 'earn-1', user, pending: 40 })
+      .mockResolvedValueOnce(null);
+    const account = jest.spyOn(LoyaltyAccount, 'updateOne').mockResolvedValue({});
+
+    const result = await LoyaltyService.releasePoints(new Date('2026-10-19'));
+
+    expect(result).toEqual({ released: 1, points: 40 });
+    expect(transaction).toHaveBeenCalledTimes(2);
+    expect(LoyaltyTransaction.findOneAndUpdate.mock.calls[0][2]).toEqual({ session });
+    expect(account).toHaveBeenCalledTimes(1);
+    expect(account).toHaveBeenCalledWith({ user }, { $inc: { pendingPoints: -40, points: 40 } }, { upsert: true, session });
+  });
+});
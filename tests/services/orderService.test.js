@@ -0,0 +1,353 @@
+jest.mock('../../src/utils/logger');
+
+const mongoose = require('mongoose');
+const OrderService = require('../../src/services/orderService');
+const PaymentService = require('../../src/services/paymentService');
+const ProductService = require('../../src/services/productService');
+const GiftCardService = require('../../src/services/giftCardService');
+const CartService = require('../../src/services/cartService');
+const PromotionService = require('../../src/services/promotionService');
+const ReservationService = require('../../src/services/reservationService');
+const ShippingService = require('../../src/services/shippingService');
+const Order = require('../../src/models/Order');
+const Product = require('../../src/models/Product');
+const { buildOrder } = require('../helpers/factories');
+const { mockTransactions } = require('../helpers/database');
+
+const session = { id: 'refund-session' };
+
+const shippingAddress = {
+  firstName: 'Test',
+  lastName: 'User',
+  street: 'Street 1',
+  city: 'City',
+  zipCode: '34000',
+  country: 'TR'
+};
+
+/**
+ * Stub everything createOrder reads before placing the order: a cart with one line of the given price
+ */
+const stubCheckout = ({ price, quantity = 1, shipping = 0 }) => {
+  const productId = new mongoose.Types.ObjectId();
+
+  jest.spyOn(CartService, 'getCart').mockResolvedValue({ items: [{ product: productId, name: 'Mug', quantity }] });
+  jest.spyOn(CartService, 'clearCart').mockResolvedValue({ success: true });
+  jest.spyOn(ReservationService, 'getCartReservedQuantities').mockResolvedValue(new Map());
+  jest.spyOn(Product, 'findById').mockResolvedValue({
+    _id: productId,
+    name: 'Mug',
+    sku: 'MUG-1',
+    isActive: true,
+    variants: [],
+    availableStock: 10,
+    finalPrice: price,
+    findVariant: () => null
+  });
+  jest.spyOn(PromotionService, 'evaluate').mockResolvedValue({
+    rejected: [],
+    itemDiscounts: [0],
+    discountTotal: 0,
+    discounts: [],
+    freeShipping: false
+  });
+  jest.spyOn(ShippingService, 'quote').mockResolvedValue({
+    methods: [{ type: 'standard', cost: shipping, promotionDiscount: 0, price: shipping }]
+  });
+  jest.spyOn(OrderService, 'placeOrder').mockImplementation(async (order) => order);
+};
+
+beforeEach(() => {
+  mockTransactions(session);
+  jest.spyOn(ProductService, 'updateStock').mockResolvedValue({ success: true });
+  jest.spyOn(ReservationService, 'convertForOrder').mockResolvedValue(0);
+  jest.spyOn(ReservationService, 'releaseForOrder').mockResolvedValue(0);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('OrderService stock restoration', () => {
+  test('restores only the units that are not back in stock yet', async () => {
+    const order = buildOrder();
+    order.items[0].restockedQuantity = 1;
+
+    await OrderService.restoreStock(order, 'cancellation');
+
+    expect(ProductService.updateStock).toHaveBeenCalledTimes(1);
+    expect(ProductService.updateStock).toHaveBeenCalledWith(order.items[0].product, 1, expect.objectContaining({ reason: 'cancellation' }));
+    expect(order.items[0].restockedQuantity).toBe(2);
+
+    await OrderService.restoreStock(order, 'return');
+
+    expect(ProductService.updateStock).toHaveBeenCalledTimes(1);
+  });
+
+  test('a restocking refund followed by a cancellation restocks each unit once', async () => {
+    const order = buildOrder();
+    const item = order.items[0];
+    jest.spyOn(PaymentService, 'refund').mockResolvedValue({ transactionId: 'mock_tx_1', refundId: 're_1' });
+
+    await OrderService.recordRefund(order, {
+      items: [{ itemId: item._id.toString(), quantity: 1 }],
+      restock: true
+    });
+    await OrderService.restoreStock(order, 'cancellation');
+
+    const restocked = ProductService.updateStock.mock.calls.map(([, quantity]) => quantity);
+    expect(restocked).toEqual([1, 1]);
+    expect(ProductService.updateStock.mock.calls[0][2]).toMatchObject({ session, reason: 'refund' });
+    expect(item.restockedQuantity).toBe(2);
+  });
+
+  test('spreads restocked units over the line allocations', async () => {
+    const order = buildOrder();
+    const item = order.items[0];
+    item.allocations = [{ quantity: 1 }, { quantity: 1 }];
+
+    const restocked = await OrderService.restockItem(item, 5, { reason: 'return' });
+
+    expect(restocked).toBe(2);
+    expect(ProductService.updateStock).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('OrderService.recordRefund', () => {
+  test('keys the provider refund on the ledger position and saves the order in the transaction', async () => {
+    const order = buildOrder();
+    jest.spyOn(PaymentService, 'refund').mockResolvedValue({ transactionId: 'mock_tx_1', refundId: 're_1' });
+
+    const refund = await OrderService.recordRefund(order, { amount: 40, reason: 'Damaged' });
+
+    expect(PaymentService.refund).toHaveBeenCalledWith(order, 40, `${order._id}:refund:1`);
+    expect(order.save).toHaveBeenCalledWith({ session });
+    expect(refund).toMatchObject({ amount: 40, paymentAmount: 40, refundId: 're_1', transactionId: 'mock_tx_1' });
+    expect(order.refundedAmount).toBe(40);
+    expect(order.payment.status).toBe('partially_refunded');
+  });
+
+  test('a retry after a failed save does not refund at the provider again', async () => {
+    const order = buildOrder({ payment: { method: 'credit_card', status: 'pending' } });
+    await PaymentService.authorize(order, { number: '4242424242424242' });
+    await PaymentService.capture(order);
+
+    order.save.mockRejectedValueOnce(new Error('Write conflict'));
+    await expect(OrderService.recordRefund(order, { amount: 40 })).rejects.toThrow('Write conflict');
+
+    // The caller reloads the order, which has no ledger entry for the first attempt
+    const reloaded = buildOrder({ _id: order._id, payment: order.payment.toObject() });
+    const refund = await OrderService.recordRefund(reloaded, { amount: 40 });
+
+    const transaction = PaymentService.getProvider('mock').transactions.get(order.payment.transactionId);
+    expect(transaction.refunded).toBe(40);
+    expect(reloaded.refunds).toHaveLength(1);
+    expect(refund.amount).toBe(40);
+  });
+
+  test('a different refund on the same ledger position is rejected by the provider', async () => {
+    const order = buildOrder({ payment: { method: 'credit_card', status: 'pending' } });
+    await PaymentService.authorize(order, { number: '4242424242424242' });
+    await PaymentService.capture(order);
+
+    order.save.mockRejectedValueOnce(new Error('Write conflict'));
+    await expect(OrderService.recordRefund(order, { amount: 40 })).rejects.toThrow('Write conflict');
+
+    const reloaded = buildOrder({ _id: order._id, payment: order.payment.toObject() });
+    await expect(OrderService.recordRefund(reloaded, { amount: 25 })).rejects.toMatchObject({ statusCode: 402 });
+  });
+
+  test('restores gift cards inside the refund transaction before paying the card', async () => {
+    const order = buildOrder({ giftCardTotal: 30 });
+    jest.spyOn(GiftCardService, 'restore').mockResolvedValue(30);
+    jest.spyOn(PaymentService, 'refund').mockResolvedValue({ transactionId: 'mock_tx_1', refundId: 're_1' });
+
+    const refund = await OrderService.recordRefund(order, { amount: 50 });
+
+    expect(GiftCardService.restore).toHaveBeenCalledWith(order, 30, `Refund of order ${order.orderNumber}`, session);
+    expect(PaymentService.refund).toHaveBeenCalledWith(order, 20, expect.any(String));
+    expect(refund).toMatchObject({ giftCardAmount: 30, paymentAmount: 20 });
+  });
+
+  test('refuses to run the local writes a second time when the transaction retries', async () => {
+    mongoose.connection.transaction.mockImplementation(async (fn) => {
+      await fn(session).catch(() => {});
+      return fn(session);
+    });
+    const order = buildOrder({ payment: { method: 'bank_transfer', status: 'completed' } });
+
+    await expect(OrderService.recordRefund(order, { amount: 10 })).rejects.toMatchObject({ statusCode: 409 });
+  });
+});
+
+describe('OrderService.createOrder totals', () => {
+  test('rounds tax and total to cents', async () => {
+    stubCheckout({ price: 33.33, shipping: 4.99 });
+
+    const { order } = await OrderService.createOrder(new mongoose.Types.ObjectId(), {
+      shippingAddress,
+      paymentMethod: 'bank_transfer',
+      shippingMethod: 'standard'
+    });
+
+    expect(order.tax).toBe(6.67);
+    expect(order.total).toBe(44.99);
+    expect(order.getAmountDue()).toBe(44.99);
+  });
+
+  test('keeps cent totals exact over many lines', async () => {
+    stubCheckout({ price: 0.1, quantity: 3 });
+
+    const { order } = await OrderService.createOrder(new mongoose.Types.ObjectId(), {
+      shippingAddress,
+      paymentMethod: 'bank_transfer',
+      shippingMethod: 'standard'
+    });
+
+    expect(order.tax).toBe(0.06);
+    expect(order.total).toBe(0.36);
+  });
+});
+
+describe('OrderService.calculateTax', () => {
+  test.each([
+    [100, 20],
+    [33.33, 6.67],
+    [0.05, 0.01],
+    [19.99, 4]
+  ])('taxes %p as %p', (subtotal, tax) => {
+    expect(OrderService.calculateTax(subtotal)).toBe(tax);
+  });
+});
+
+describe('OrderService.capturePayment', () => {
+  test('converts the order reservations together with the paid order', async () => {
+    const order = buildOrder({ payment: { method: 'credit_card', status: 'authorized', provider: 'mock', transactionId: 'mock_tx_1' } });
+    jest.spyOn(PaymentService, 'capture').mockImplementation(async (target) => {
+      target.payment.status = 'completed';
+      return target;
+    });
+
+    await OrderService.capturePayment(order);
+
+    expect(order.save).toHaveBeenCalledWith({ session });
+    expect(ReservationService.convertForOrder).toHaveBeenCalledWith(order, session);
+  });
+
+  test('keeps the reservations of an order whose capture failed out of the sale', async () => {
+    const order = buildOrder({ payment: { method: 'credit_card', status: 'authorized', provider: 'mock', transactionId: 'mock_tx_1' } });
+    jest.spyOn(PaymentService, 'capture').mockRejectedValue(Object.assign(new Error('Capture declined'), { statusCode: 402 }));
+    jest.spyOn(PaymentService, 'void').mockResolvedValue(order);
+    jest.spyOn(Order, 'findOneAndUpdate').mockResolvedValue({ _id: order._id });
+    jest.spyOn(PromotionService, 'releaseRedemptions').mockResolvedValue(0);
+
+    await expect(OrderService.capturePayment(order)).rejects.toThrow('Capture declined');
+    expect(ReservationService.convertForOrder).not.toHaveBeenCalled();
+    expect(ReservationService.releaseForOrder).toHaveBeenCalledWith(order, session);
+    expect(order.status).toBe('cancelled');
+  });
+});
+
+describe('OrderService.cancelUnpaidOrders', () => {
+  const stubDue = (ids) => jest.spyOn(Order, 'find').mockReturnValue({
+    select: () => ({ limit: async () => ids.map(_id => ({ _id })) })
+  });
+
+  test('cancels bank transfer orders past the deadline and puts their stock back', async () => {
+    const order = buildOrder({ payment: { method: 'bank_transfer', status: 'failed', failureReason: 'payment_expired' } });
+    const find = stubDue([order._id]);
+    const claim = jest.spyOn(Order, 'findOneAndUpdate').mockResolvedValue(order);
+    jest.spyOn(PromotionService, 'releaseRedemptions').mockResolvedValue(0);
+    const now = new Date('2026-10-19T12:00:00Z');
+
+    const result = await OrderService.cancelUnpaidOrders(now);
+
+    expect(result).toEqual({ cancelled: 1 });
+    expect(find.mock.calls[0][0]).toMatchObject({
+      'payment.method': { $in: ['bank_transfer'] },
+      'payment.status': 'pending',
+      createdAt: { $lte: new Date('2026-10-16T12:00:00Z') }
+    });
+    expect(claim).toHaveBeenCalledWith(
+      expect.objectContaining({ _id: order._id, 'payment.status': 'pending' }),
+      { $set: { 'payment.status': 'failed', 'payment.failureReason': 'payment_expired' } },
+      { new: true }
+    );
+    expect(order.status).toBe('cancelled');
+    expect(ProductService.updateStock).toHaveBeenCalledWith(order.items[0].product, 2, expect.objectContaining({ reason: 'cancellation' }));
+    expect(order.save).toHaveBeenCalled();
+  });
+
+  test('keeps an order that was paid before it could be claimed', async () => {
+    stubDue([new mongoose.Types.ObjectId()]);
+    jest.spyOn(Order, 'findOneAndUpdate').mockResolvedValue(null);
+    const transition = jest.spyOn(OrderService, 'transitionOrder');
+
+    const result = await OrderService.cancelUnpaidOrders();
+
+    expect(result).toEqual({ cancelled: 0 });
+    expect(transition).not.toHaveBeenCalled();
+    expect(ProductService.updateStock).not.toHaveBeenCalled();
+  });
+});
+
+describe('OrderService.transitionOrder', () => {
+  test('claims the move and runs the cancellation effects in one transaction', async () => {
+    const order = buildOrder({ payment: { method: 'bank_transfer', status: 'pending' } });
+    const claim = jest.spyOn(Order, 'findOneAndUpdate').mockResolvedValue({ _id: order._id });
+    jest.spyOn(PromotionService, 'releaseRedemptions').mockResolvedValue(0);
+
+    await OrderService.transitionOrder(order, 'cancelled', 'Out of stock');
+
+    expect(order.status).toBe('cancelled');
+    expect(claim).toHaveBeenCalledWith(
+      { _id: order._id, status: 'pending' },
+      { $set: { status: 'cancelled' } },
+      expect.objectContaining({ session })
+    );
+    expect(ProductService.updateStock).toHaveBeenCalledWith(order.items[0].product, 2, expect.objectContaining({ reason: 'cancellation', session }));
+    expect(PromotionService.releaseRedemptions).toHaveBeenCalledWith(order, session);
+    expect(ReservationService.releaseForOrder).toHaveBeenCalledWith(order, session);
+    expect(order.save).toHaveBeenCalledWith({ session });
+  });
+
+  test('refunds a paid order inside the cancellation transaction', async () => {
+    const order = buildOrder({ payment: { method: 'bank_transfer', status: 'completed' } });
+    jest.spyOn(Order, 'findOneAndUpdate').mockResolvedValue({ _id: order._id });
+    jest.spyOn(PromotionService, 'releaseRedemptions').mockResolvedValue(0);
+
+    await OrderService.transitionOrder(order, 'cancelled');
+
+    expect(mongoose.connection.transaction).toHaveBeenCalledTimes(1);
+    expect(order.refunds).toHaveLength(1);
+    expect(order.refunds[0].amount).toBe(order.total);
+  });
+
+  test('a concurrent cancellation that lost the claim runs no effects', async () => {
+    const order = buildOrder();
+    jest.spyOn(Order, 'findOneAndUpdate').mockResolvedValue(null);
+    jest.spyOn(PromotionService, 'releaseRedemptions').mockResolvedValue(0);
+
+    await expect(OrderService.transitionOrder(order, 'cancelled')).rejects.toMatchObject({ statusCode: 409 });
+    expect(ProductService.updateStock).not.toHaveBeenCalled();
+    expect(PromotionService.releaseRedemptions).not.toHaveBeenCalled();
+    expect(order.save).not.toHaveBeenCalled();
+  });
+
+  test('a failing effect fails the transition before the order is saved', async () => {
+    const order = buildOrder({ payment: { method: 'bank_transfer', status: 'pending' } });
+    jest.spyOn(Order, 'findOneAndUpdate').mockResolvedValue({ _id: order._id });
+    jest.spyOn(PromotionService, 'releaseRedemptions').mockRejectedValue(new Error('Write conflict'));
+
+    await expect(OrderService.transitionOrder(order, 'cancelled')).rejects.toThrow('Write conflict');
+    expect(order.save).not.toHaveBeenCalled();
+  });
+
+  test('does not run effects for a move the lifecycle rejects', async () => {
+    const order = buildOrder({ status: 'delivered' });
+
+    await expect(OrderService.transitionOrder(order, 'cancelled')).rejects.toMatchObject({ statusCode: 400 });
+    expect(ProductService.updateStock).not.toHaveBeenCalled();
+    expect(order.save).not.toHaveBeenCalled();
+  });
+});
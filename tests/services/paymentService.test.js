@@ -0,0 +1,232 @@
+jest.mock('../../src/utils/logger');
+
+const config = require('../../src/config');
+const Order = require('../../src/models/Order');
+const PaymentEvent = require('../../src/models/PaymentEvent');
+const PaymentService = require('../../src/services/paymentService');
+const ReservationService = require('../../src/services/reservationService');
+const { buildOrder } = require('../helpers/factories');
+const { mockTransactions } = require('../helpers/database');
+
+const refundEvent = (data, type = 'payment.partially_refunded') => ({
+  id: 'evt_1',
+  type,
+  created: Math.floor(Date.now() / 1000),
+  data: { transactionId: 'mock_tx_1', ...data }
+});
+
+beforeEach(() => {
+  mockTransactions();
+  jest.spyOn(ReservationService, 'convertForOrder').mockResolvedValue(0);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('PaymentService.applyWebhookEvent refund events', () => {
+  test('records a provider-initiated partial refund in the ledger', async () => {
+    const order = buildOrder();
+    const conditions = [];
+    order.save.mockImplementation(async () => conditions.push(order.$where));
+    jest.spyOn(Order, 'findOne').mockResolvedValue(order);
+
+    const outcome = await PaymentService.applyWebhookEvent(refundEvent({ refundId: 're_1', amount: 30 }));
+
+    expect(outcome).toEqual({ status: 'processed', orderId: order._id });
+    expect(order.refundedAmount).toBe(30);
+    expect(order.payment.status).toBe('partially_refunded');
+    expect(order.refunds).toHaveLength(1);
+    expect(order.refunds[0]).toMatchObject({ amount: 30, paymentAmount: 30, giftCardAmount: 0, refundId: 're_1' });
+    // Not saved over an API refund that carries the same refund id
+    expect(conditions).toEqual([{ 'refunds.refundId': { $ne: 're_1' } }]);
+    expect(order.$where).toBeUndefined();
+
+    await order.validate();
+    expect(order.netTotal).toBe(70);
+  });
+
+  test('refunds what is left on the payment method when a full refund has no amount', async () => {
+    const order = buildOrder({ giftCardTotal: 40 });
+    jest.spyOn(Order, 'findOne').mockResolvedValue(order);
+
+    await PaymentService.applyWebhookEvent(refundEvent({ refundId: 're_1', amount: 10 }));
+    await PaymentService.applyWebhookEvent(refundEvent({ refundId: 're_2' }, 'payment.refunded'));
+
+    expect(order.refunds.map(refund => refund.amount)).toEqual([10, 50]);
+    expect(order.getRefundablePaymentAmount()).toBe(0);
+    // The gift card part is still the shop's to pay back
+    expect(order.getRestorableGiftCardAmount()).toBe(40);
+    expect(order.payment.status).toBe('partially_refunded');
+  });
+
+  test('skips refunds that are already in the ledger', async () => {
+    const order = buildOrder();
+    order.refunds.push({ amount: 30, paymentAmount: 30, refundId: 're_1' });
+    order.refundedAmount = 30;
+    jest.spyOn(Order, 'findOne').mockResolvedValue(order);
+
+    const outcome = await PaymentService.applyWebhookEvent(refundEvent({ refundId: 're_1', amount: 30 }));
+
+    expect(outcome).toEqual({ status: 'ignored', reason: 'already_applied', orderId: order._id });
+    expect(order.refundedAmount).toBe(30);
+    expect(order.save).not.toHaveBeenCalled();
+  });
+
+  test('ignores refund events without a refund id', async () => {
+    const findOne = jest.spyOn(Order, 'findOne');
+
+    const outcome = await PaymentService.applyWebhookEvent(refundEvent({ amount: 30 }));
+
+    expect(outcome).toEqual({ status: 'ignored', reason: 'missing_refund_id' });
+    expect(findOne).not.toHaveBeenCalled();
+  });
+
+  test('rejects a refund larger than what the payment method paid', async () => {
+    const order = buildOrder({ giftCardTotal: 40 });
+    jest.spyOn(Order, 'findOne').mockResolvedValue(order);
+
+    await expect(PaymentService.applyWebhookEvent(refundEvent({ refundId: 're_1', amount: 70 })))
+      .rejects.toThrow('Refund exceeds the paid amount');
+    expect(order.refunds).toHaveLength(0);
+  });
+});
+
+describe('PaymentService.applyWebhookEvent late payments', () => {
+  const completedEvent = { id: 'evt_2', type: 'payment.completed', data: { transactionId: 'tx_late' } };
+
+  test('does not mark an order cancelled for non-payment as paid, but flags it for refund', async () => {
+    const order = buildOrder({
+      status: 'cancelled',
+      payment: { method: 'bank_transfer', status: 'failed', failureReason: 'payment_expired' }
+    });
+    jest.spyOn(Order, 'findOne').mockResolvedValue(order);
+    const update = jest.spyOn(Order, 'findOneAndUpdate')
+      .mockResolvedValueOnce(null)
+      .mockResolvedValueOnce(order);
+
+    const outcome = await PaymentService.applyWebhookEvent(completedEvent);
+
+    expect(outcome).toEqual({ status: 'processed', reason: 'order_cancelled: refund required', orderId: order._id });
+    expect(update.mock.calls[0][0]).toMatchObject({
+      'payment.status': { $in: ['pending', 'authorized', 'failed'] },
+      $nor: [{ status: 'cancelled' }, { 'payment.failureReason': 'payment_expired' }]
+    });
+    expect(update.mock.calls[1][0]).toMatchObject({ _id: order._id, $or: [{ status: 'cancelled' }, { 'payment.failureReason': 'payment_expired' }] });
+    expect(update.mock.calls[1][1]).toEqual({ $set: { 'payment.refundRequired': true, 'payment.transactionId': 'tx_late' } });
+  });
+
+  test('marks a failed payment of an open order as paid', async () => {
+    const order = buildOrder({ payment: { method: 'credit_card', status: 'failed', failureReason: 'card_declined' } });
+    jest.spyOn(Order, 'findOne').mockResolvedValue(order);
+    const update = jest.spyOn(Order, 'findOneAndUpdate').mockResolvedValue(order);
+
+    const outcome = await PaymentService.applyWebhookEvent(completedEvent);
+
+    expect(outcome).toEqual({ status: 'processed', orderId: order._id });
+    expect(update).toHaveBeenCalledTimes(1);
+    expect(update.mock.calls[0][1].$set).toMatchObject({ 'payment.status': 'completed' });
+    expect(ReservationService.convertForOrder).toHaveBeenCalledWith(order);
+  });
+
+  test('a failure event is applied without the cancellation check', async () => {
+    const order = buildOrder({ status: 'cancelled', payment: { method: 'credit_card', status: 'authorized' } });
+    jest.spyOn(Order, 'findOne').mockResolvedValue(order);
+    const update = jest.spyOn(Order, 'findOneAndUpdate').mockResolvedValue(order);
+
+    await PaymentService.applyWebhookEvent({ ...completedEvent, type: 'payment.failed' });
+
+    expect(update.mock.calls[0][0]).not.toHaveProperty('$nor');
+  });
+});
+
+describe('PaymentService.handleWebhookEvent redelivery', () => {
+  const duplicateKeyError = () => Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+
+  test('reclaims a failed event or one left processing past the timeout', async () => {
+    jest.spyOn(PaymentEvent, 'create').mockRejectedValue(duplicateKeyError());
+    const claim = jest.spyOn(PaymentEvent, 'findOneAndUpdate').mockResolvedValue(null);
+    jest.spyOn(PaymentEvent, 'updateOne').mockResolvedValue({});
+
+    const result = await PaymentService.handleWebhookEvent({ id: 'evt_1', type: 'payment.completed', data: { transactionId: 'mock_tx_1' } });
+
+    expect(result).toMatchObject({ status: 'ignored', reason: 'duplicate' });
+
+    const [filter] = claim.mock.calls[0];
+    expect(filter.eventId).toBe('evt_1');
+    expect(filter.$or[0]).toEqual({ status: 'failed' });
+    expect(filter.$or[1].status).toBe('processing');
+    expect(filter.$or[1].updatedAt.$lt.getTime()).toBeLessThan(Date.now());
+  });
+
+  test('processes a reclaimed event again', async () => {
+    const order = buildOrder({ payment: { method: 'credit_card', status: 'authorized', transactionId: 'mock_tx_1' } });
+    const record = new PaymentEvent({ eventId: 'evt_1', provider: 'mock', type: 'payment.completed' });
+    jest.spyOn(record, 'save').mockResolvedValue(record);
+
+    jest.spyOn(PaymentEvent, 'create').mockRejectedValue(duplicateKeyError());
+    jest.spyOn(PaymentEvent, 'findOneAndUpdate').mockResolvedValue(record);
+    jest.spyOn(Order, 'findOne').mockResolvedValue(order);
+    jest.spyOn(Order, 'findOneAndUpdate').mockResolvedValue(order);
+
+    const result = await PaymentService.handleWebhookEvent({ id: 'evt_1', type: 'payment.completed', data: { transactionId: 'mock_tx_1' } });
+
+    expect(result).toEqual({ success: true, eventId: 'evt_1', status: 'processed' });
+    expect(record.status).toBe('processed');
+  });
+});
+
+describe('PaymentService gateway calls', () => {
+  const card = { number: '4242 4242 4242 4242' };
+
+  test('authorizes the amount due and records the card', async () => {
+    const order = buildOrder({ total: 100, giftCardTotal: 25, payment: { method: 'credit_card', status: 'pending' } });
+
+    await PaymentService.authorize(order, card);
+
+    expect(order.payment).toMatchObject({ provider: 'mock', status: 'authorized', cardLast4: '4242' });
+    const transaction = PaymentService.getProvider('mock').transactions.get(order.payment.transactionId);
+    expect(transaction.amount).toBe(75);
+  });
+
+  test('marks a declined authorization as failed', async () => {
+    const order = buildOrder({ payment: { method: 'credit_card', status: 'pending' } });
+
+    await expect(PaymentService.authorize(order, { number: '4000000000000002' }))
+      .rejects.toMatchObject({ statusCode: 402, code: 'card_declined' });
+    expect(order.payment.status).toBe('failed');
+    expect(order.payment.failureReason).toBe('card_declined');
+  });
+
+  test('fails a provider call that does not answer in time', async () => {
+    const timeoutMs = config.payment.timeoutMs;
+    config.payment.timeoutMs = 20;
+    const order = buildOrder({ payment: { method: 'credit_card', status: 'pending' } });
+
+    try {
+      await expect(PaymentService.authorize(order, { number: '4000000000000119' }))
+        .rejects.toMatchObject({ statusCode: 504, code: 'payment_timeout' });
+      expect(order.payment.failureReason).toBe('payment_timeout');
+    } finally {
+      config.payment.timeoutMs = timeoutMs;
+    }
+  });
+
+  test('captures and voids through the provider that authorized', async () => {
+    const captured = buildOrder({ payment: { method: 'credit_card', status: 'pending' } });
+    const voided = buildOrder({ payment: { method: 'credit_card', status: 'pending' } });
+    await PaymentService.authorize(captured, card);
+    await PaymentService.authorize(voided, card);
+
+    await PaymentService.capture(captured);
+    await PaymentService.void(voided);
+
+    expect(captured.payment.status).toBe('completed');
+    expect(captured.payment.paidAt).toBeInstanceOf(Date);
+    expect(voided.payment.status).toBe('voided');
+  });
+
+  test('rejects unknown providers', () => {
+    expect(() => PaymentService.getProvider('unknown')).toThrow('Payment provider not registered: unknown');
+  });
+});
@@ -0,0 +1,71 @@
+const MockGateway = require('../../../src/services/payments/mockGateway');
+
+const gateway = () => new MockGateway({
+  approveCards: ['4242424242424242'],
+  declineCards: ['4000000000000002'],
+  timeoutCards: ['4000000000000119']
+});
+
+describe('MockGateway', () => {
+  test('authorizes, captures and refunds an approved card', async () => {
+    const provider = gateway();
+
+    const authorization = await provider.authorize({ amount: 100, currency: 'TRY', reference: 'ORD-1', card: { number: '4242 4242 4242 4242' } });
+    const capture = await provider.capture(authorization.transactionId, 100);
+    const refund = await provider.refund(authorization.transactionId, 40);
+
+    expect(authorization).toMatchObject({ success: true, status: 'authorized', amount: 100 });
+    expect(capture).toMatchObject({ success: true, status: 'captured', amount: 100 });
+    expect(refund).toMatchObject({ success: true, amount: 40, refundId: expect.stringMatching(/^mock_re_/) });
+    expect(provider.transactions.get(authorization.transactionId)).toMatchObject({ captured: 100, refunded: 40 });
+  });
+
+  test('declines listed cards and invalid numbers', async () => {
+    const provider = gateway();
+
+    await expect(provider.authorize({ amount: 10, card: { number: '4000000000000002' } }))
+      .resolves.toMatchObject({ success: false, code: 'card_declined' });
+    await expect(provider.authorize({ amount: 10, card: { number: '1234567890123' } }))
+      .resolves.toMatchObject({ success: false, code: 'invalid_number' });
+  });
+
+  test('accepts unlisted numbers that pass the Luhn check', async () => {
+    await expect(gateway().authorize({ amount: 10, card: { number: '5555555555554444' } }))
+      .resolves.toMatchObject({ success: true });
+  });
+
+  test('refuses to capture more than authorized or to void a captured payment', async () => {
+    const provider = gateway();
+    const { transactionId } = await provider.authorize({ amount: 50, card: { number: '4242424242424242' } });
+
+    await expect(provider.capture(transactionId, 60)).resolves.toMatchObject({ success: false, code: 'amount_exceeded' });
+    await provider.capture(transactionId);
+    await expect(provider.void(transactionId)).resolves.toMatchObject({ success: false, code: 'invalid_state' });
+  });
+
+  test('refunds at most the captured amount', async () => {
+    const provider = gateway();
+    const { transactionId } = await provider.authorize({ amount: 50, card: { number: '4242424242424242' } });
+    await provider.capture(transactionId);
+
+    await provider.refund(transactionId, 30);
+
+    await expect(provider.refund(transactionId, 30)).resolves.toMatchObject({ success: false, code: 'amount_exceeded' });
+    await expect(provider.refund(transactionId, 20)).resolves.toMatchObject({ success: true });
+    expect(provider.transactions.get(transactionId).status).toBe('refunded');
+  });
+
+  test('returns the first refund for a repeated idempotency key', async () => {
+    const provider = gateway();
+    const { transactionId } = await provider.authorize({ amount: 50, card: { number: '4242424242424242' } });
+    await provider.capture(transactionId);
+
+    const first = await provider.refund(transactionId, 30, 'order-1:refund:1');
+    const retry = await provider.refund(transactionId, 30, 'order-1:refund:1');
+    const conflict = await provider.refund(transactionId, 10, 'order-1:refund:1');
+
+    expect(retry).toBe(first);
+    expect(conflict).toMatchObject({ success: false, code: 'idempotency_conflict' });
+    expect(provider.transactions.get(transactionId).refunded).toBe(30);
+  });
+});
@@ -0,0 +1,125 @@
+jest.mock('../../src/utils/logger');
+
+const mongoose = require('mongoose');
+const Product = require('../../src/models/Product');
+const PriceSchedule = require('../../src/models/PriceSchedule');
+const PricingService = require('../../src/services/pricingService');
+const ProductService = require('../../src/services/productService');
+const { buildProduct } = require('../helpers/factories');
+
+const now = new Date('2026-10-19T12:00:00Z');
+
+const query = (docs) => {
+  const chain = {
+    sort: () => chain,
+    limit: async () => docs
+  };
+  return chain;
+};
+
+/**
+ * Stub the schedule lists applyPriceSchedules reads: due changes, sales to start, sales to end
+ */
+const stubDue = ({ changes = [], starting = [], ending = [] }) => jest.spyOn(PriceSchedule, 'find').mockImplementation((filter) => {
+  if (filter.type === 'price_change') return query(changes);
+  return query(filter.status === 'active' ? ending : starting);
+});
+
+beforeEach(() => {
+  jest.spyOn(ProductService, 'productsChanged').mockResolvedValue();
+  jest.spyOn(ProductService, 'recordPrice').mockResolvedValue();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('PricingService.applyPriceSchedules', () => {
+  test('writes a claimed price change to the product and logs it', async () => {
+    const product = buildProduct({ price: 100, discountPrice: 90 });
+    const schedule = new PriceSchedule({ product: product._id, type: 'price_change', price: 120, startsAt: now });
+    stubDue({ changes: [schedule] });
+    const claim = jest.spyOn(PriceSchedule, 'findOneAndUpdate').mockResolvedValue(schedule);
+    jest.spyOn(Product, 'findById').mockResolvedValue(product);
+    const sync = jest.spyOn(PricingService, 'syncProduct').mockResolvedValue(product);
+
+    const result = await PricingService.applyPriceSchedules(now);
+
+    expect(result).toEqual({ applied: 1, started: 0, ended: 0, failed: 0 });
+    expect(claim).toHaveBeenCalledWith(
+      { _id: schedule._id, status: 'scheduled' },
+      { $set: { status: 'completed', appliedAt: now } },
+      { new: true }
+    );
+    expect(product.price).toBe(120);
+    expect(product.discountPrice).toBe(0);
+    expect(product.save).toHaveBeenCalled();
+    expect(sync).toHaveBeenCalledWith(product._id, now);
+    expect(ProductService.recordPrice).toHaveBeenCalledWith(product, 'price_change', expect.objectContaining({ schedule: schedule._id }));
+    expect(ProductService.productsChanged).toHaveBeenCalled();
+  });
+
+  test('skips a change another run claimed first', async () => {
+    stubDue({ changes: [new PriceSchedule({ product: new mongoose.Types.ObjectId(), type: 'price_change', price: 1 })] });
+    jest.spyOn(PriceSchedule, 'findOneAndUpdate').mockResolvedValue(null);
+    const findProduct = jest.spyOn(Product, 'findById');
+
+    const result = await PricingService.applyPriceSchedules(now);
+
+    expect(result).toEqual({ applied: 0, started: 0, ended: 0, failed: 0 });
+    expect(findProduct).not.toHaveBeenCalled();
+    expect(ProductService.productsChanged).not.toHaveBeenCalled();
+  });
+
+  test('marks a change failed when its product is gone', async () => {
+    const schedule = new PriceSchedule({ product: new mongoose.Types.ObjectId(), type: 'price_change', price: 1 });
+    stubDue({ changes: [schedule] });
+    jest.spyOn(PriceSchedule, 'findOneAndUpdate').mockResolvedValue(schedule);
+    jest.spyOn(Product, 'findById').mockResolvedValue(null);
+    const mark = jest.spyOn(PriceSchedule, 'updateOne').mockResolvedValue({});
+    jest.spyOn(PricingService, 'syncProduct').mockResolvedValue(null);
+
+    const result = await PricingService.applyPriceSchedules(now);
+
+    expect(result.failed).toBe(1);
+    expect(mark).toHaveBeenCalledWith(
+      { _id: schedule._id },
+      { $set: { status: 'failed', error: 'Product not found' }, $unset: { appliedAt: 1 } }
+    );
+  });
+
+  test('opens and closes sales and drops the cached facets', async () => {
+    const product = buildProduct();
+    const starting = new PriceSchedule({ product: product._id, type: 'sale', percentOff: 10, startsAt: now });
+    const ending = new PriceSchedule({ product: product._id, type: 'sale', price: 40, endsAt: now });
+    stubDue({ starting: [starting], ending: [ending] });
+    jest.spyOn(PriceSchedule, 'findOneAndUpdate').mockImplementation(async (filter) => filter._id === starting._id ? starting : ending);
+    jest.spyOn(PricingService, 'syncProduct').mockResolvedValue(product);
+
+    const result = await PricingService.applyPriceSchedules(now);
+
+    expect(result).toEqual({ applied: 0, started: 1, ended: 1, failed: 0 });
+    expect(ProductService.recordPrice.mock.calls.map(([, reason]) => reason)).toEqual(['sale_start', 'sale_end']);
+    expect(ProductService.productsChanged).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('PricingService.syncProduct', () => {
+  test('points the product at its next price change and sale', async () => {
+    const productId = new mongoose.Types.ObjectId();
+    const change = new PriceSchedule({ product: productId, type: 'price_change', price: 80, startsAt: new Date('2026-11-01') });
+    jest.spyOn(PriceSchedule, 'find').mockImplementation((filter) => query(filter.type === 'price_change' ? [change] : []));
+    const update = jest.spyOn(Product, 'findByIdAndUpdate').mockResolvedValue({});
+
+    await PricingService.syncProduct(productId, now);
+
+    expect(update).toHaveBeenCalledWith(
+      productId,
+      {
+        $set: { pendingPrice: { schedule: change._id, price: 80, discountPrice: undefined, effectiveAt: change.startsAt } },
+        $unset: { sale: 1 }
+      },
+      { new: true }
+    );
+  });
+});
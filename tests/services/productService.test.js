@@ -0,0 +1,280 @@
+jest.mock('../../src/utils/logger');
+
+const Product = require('../../src/models/Product');
+const StockMovement = require('../../src/models/StockMovement');
+const ProductService = require('../../src/services/productService');
+const redisClient = require('../../src/config/redis');
+const { buildProduct } = require('../helpers/factories');
+
+const stubFind = (product) => jest.spyOn(Product, 'findById').mockReturnValue({ select: async () => product });
+
+beforeEach(() => {
+  jest.spyOn(ProductService, 'productsChanged').mockResolvedValue();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('ProductService.updateProduct stock changes', () => {
+  test('applies a new stock value as an atomic change with a ledger movement', async () => {
+    // As loaded from the database, so only changed paths count as modified
+    const product = Product.hydrate(buildProduct({ stock: 10 }).toObject());
+    let savedPaths;
+    jest.spyOn(product, 'save').mockImplementation(async () => {
+      savedPaths = product.modifiedPaths();
+      return product;
+    });
+    stubFind(product);
+    const updateStock = jest.spyOn(ProductService, 'updateStock').mockResolvedValue({ success: true, stock: 4 });
+
+    const { product: updated } = await ProductService.updateProduct(product._id, { stock: 5, name: 'Renamed' }, 'admin-1');
+
+    expect(updateStock).toHaveBeenCalledWith(product._id, -5, { reason: 'adjustment', actor: 'admin-1', note: 'Product update' });
+    // The document save no longer writes stock, so a sale made meanwhile is kept
+    expect(savedPaths).toContain('name');
+    expect(savedPaths).not.toContain('stock');
+    expect(updated.name).toBe('Renamed');
+    expect(updated.stock).toBe(4);
+  });
+
+  test('leaves stock alone when it does not change', async () => {
+    const product = buildProduct({ stock: 10 });
+    stubFind(product);
+    const updateStock = jest.spyOn(ProductService, 'updateStock');
+
+    await ProductService.updateProduct(product._id, { stock: 10, brand: 'Other' }, 'admin-1');
+
+    expect(updateStock).not.toHaveBeenCalled();
+  });
+
+  test('records imports with their own reason', async () => {
+    const product = buildProduct({ stock: 10 });
+    stubFind(product);
+    const updateStock = jest.spyOn(ProductService, 'updateStock').mockResolvedValue({ success: true, stock: 25 });
+
+    await ProductService.updateProduct(product._id, { stock: 25 }, 'admin-1', { reason: 'import', note: 'Product import' });
+
+    expect(updateStock).toHaveBeenCalledWith(product._id, 15, { reason: 'import', actor: 'admin-1', note: 'Product import' });
+  });
+
+  test('rejects a stock change on a product with variants', async () => {
+    const product = buildProduct({
+      stock: 3,
+      variants: [{ sku: 'TEST-1-S', options: { size: 'S' }, price: 50, stock: 3 }]
+    });
+    stubFind(product);
+    const updateStock = jest.spyOn(ProductService, 'updateStock');
+
+    await expect(ProductService.updateProduct(product._id, { stock: 8 }, 'admin-1')).rejects.toMatchObject({ statusCode: 400 });
+    expect(updateStock).not.toHaveBeenCalled();
+    expect(product.save).not.toHaveBeenCalled();
+  });
+});
+
+describe('ProductService.reconcileStock', () => {
+  test('flags products whose stock differs from their movements', async () => {
+    const balanced = buildProduct({ stock: 12 });
+    const drifted = buildProduct({ sku: 'TEST-2', stock: 7 });
+    jest.spyOn(StockMovement, 'aggregate').mockResolvedValue([
+      { _id: balanced._id, expected: 12 },
+      { _id: drifted._id, expected: 9 }
+    ]);
+    jest.spyOn(Product, 'find').mockReturnValue({ select: async () => [balanced, drifted] });
+    const write = jest.spyOn(Product, 'bulkWrite').mockResolvedValue({});
+
+    const result = await ProductService.reconcileStock();
+
+    expect(result).toMatchObject({ checked: 2, mismatched: 1 });
+    const audits = write.mock.calls[0][0].map(operation => operation.updateOne.update.$set.stockAudit);
+    expect(audits).toEqual([
+      expect.objectContaining({ status: 'ok', expected: 12, actual: 12 }),
+      expect.objectContaining({ status: 'mismatch', expected: 9, actual: 7 })
+    ]);
+  });
+});
+
+describe('ProductService.updateStock variants', () => {
+  const buildVariantProduct = () => buildProduct({
+    stock: 8,
+    variants: [
+      { sku: 'TEST-1-S', options: { size: 'S' }, price: 50, stock: 5 },
+      { sku: 'TEST-1-M', options: { size: 'M' }, price: 50, stock: 3 }
+    ]
+  });
+
+  test('moves the variant and the product total together', async () => {
+    const product = buildVariantProduct();
+    const variant = product.variants[1];
+    const update = jest.spyOn(Product, 'findOneAndUpdate').mockImplementation(async () => {
+      variant.stock -= 2;
+      product.stock -= 2;
+      return product;
+    });
+    const record = jest.spyOn(ProductService, 'recordMovement').mockResolvedValue();
+
+    const result = await ProductService.updateStock(product._id, -2, { variant: variant._id, reason: 'sale' });
+
+    const [filter, change, options] = update.mock.calls[0];
+    expect(filter['variants._id']).toBe(variant._id);
+    expect(filter.$expr.$and).toHaveLength(3);
+    expect(change.$inc).toEqual({ stock: -2, 'variants.$[variant].stock': -2 });
+    expect(options.arrayFilters).toEqual([{ 'variant._id': variant._id }]);
+    expect(record).toHaveBeenCalledWith(product, -2, expect.objectContaining({ variant: variant._id }));
+    expect(result).toMatchObject({ stock: 6, variantStock: 1 });
+  });
+
+  test('requires a variant for products that have them', async () => {
+    const product = buildVariantProduct();
+    jest.spyOn(Product, 'findOneAndUpdate').mockResolvedValue(null);
+    jest.spyOn(Product, 'findById').mockReturnValue({ select: () => ({ session: async () => product }) });
+
+    await expect(ProductService.updateStock(product._id, 1))
+      .rejects.toMatchObject({ statusCode: 400, message: 'Variant is required for this product' });
+  });
+
+  test('reports an unknown variant and insufficient variant stock apart', async () => {
+    const product = buildVariantProduct();
+    jest.spyOn(Product, 'findOneAndUpdate').mockResolvedValue(null);
+    jest.spyOn(Product, 'findById').mockReturnValue({ select: () => ({ session: async () => product }) });
+
+    await expect(ProductService.updateStock(product._id, -1, { variant: new Product()._id }))
+      .rejects.toMatchObject({ statusCode: 404, message: 'Variant not found' });
+    await expect(ProductService.updateStock(product._id, -10, { variant: product.variants[0]._id }))
+      .rejects.toMatchObject({ statusCode: 409, message: 'Insufficient stock' });
+  });
+});
+
+describe('ProductService.updateStock availability', () => {
+  test('drops the cached facets when the product sells out or comes back in stock', async () => {
+    const product = buildProduct({ stock: 2 });
+    jest.spyOn(Product, 'findOneAndUpdate').mockImplementation(async (filter, { $inc }) => {
+      product.stock += $inc.stock;
+      product.reservedStock += $inc.reservedStock || 0;
+      return product;
+    });
+    jest.spyOn(ProductService, 'recordMovement').mockResolvedValue();
+
+    await ProductService.updateStock(product._id, -1, { reason: 'sale' });
+    expect(ProductService.productsChanged).not.toHaveBeenCalled();
+
+    await ProductService.updateStock(product._id, -1, { reason: 'sale' });
+    expect(ProductService.productsChanged).toHaveBeenCalledTimes(1);
+
+    await ProductService.updateStock(product._id, 3, { reason: 'restock' });
+    expect(ProductService.productsChanged).toHaveBeenCalledTimes(2);
+  });
+
+  test('a sale of reserved units leaves the availability facet alone', async () => {
+    const product = buildProduct({ stock: 2, reservedStock: 2 });
+    jest.spyOn(Product, 'findOneAndUpdate').mockImplementation(async (filter, { $inc }) => {
+      product.stock += $inc.stock;
+      product.reservedStock += $inc.reservedStock || 0;
+      return product;
+    });
+    jest.spyOn(ProductService, 'recordMovement').mockResolvedValue();
+
+    await ProductService.updateStock(product._id, -2, { reason: 'sale', releaseReserved: 2 });
+
+    expect(product.stock).toBe(0);
+    expect(ProductService.productsChanged).not.toHaveBeenCalled();
+  });
+});
+
+describe('ProductService price facets and filters', () => {
+  const finalPrice = { $finalPrice: true };
+
+  beforeEach(() => {
+    jest.spyOn(Product, 'finalPriceExpr').mockReturnValue(finalPrice);
+  });
+
+  test('filters a price range on the final price next to other conditions', async () => {
+    const filter = await ProductService.buildProductFilter({ minPrice: 20, maxPrice: 50, inStock: true });
+
+    expect(filter.price).toBeUndefined();
+    expect(filter.$expr).toEqual({
+      $and: [
+        { $gte: [finalPrice, 20] },
+        { $lte: [finalPrice, 50] },
+        { $gt: [Product.AVAILABLE_STOCK_EXPR, 0] }
+      ]
+    });
+  });
+
+  test('buckets prices by the final price', async () => {
+    jest.spyOn(redisClient, 'getClient').mockReturnValue({
+      get: async () => {
+        throw new Error('Redis unavailable');
+      }
+    });
+    const aggregate = jest.spyOn(Product, 'aggregate').mockResolvedValue([
+      { brands: [], categories: [], price: [{ _id: 0, count: 2 }], rating: [], availability: [] }
+    ]);
+
+    const facets = await ProductService.getFacets({ isActive: true });
+
+    const [, { $facet }] = aggregate.mock.calls[0][0];
+    expect($facet.price[0].$bucket.groupBy).toBe(finalPrice);
+    expect(facets.price[0]).toMatchObject({ min: 0, count: 2 });
+  });
+});
+
+describe('ProductService variant changes', () => {
+  const options = [{ name: 'size', values: ['S', 'M'] }];
+  const buildVariantProduct = () => buildProduct({
+    stock: 0,
+    options,
+    variants: [{ sku: 'TEST-1-S', options: { size: 'S' }, price: 50, stock: 0 }]
+  });
+
+  test('adding a variant drops the cached facets', async () => {
+    const product = buildProduct({ stock: 0, options });
+    jest.spyOn(Product, 'findById').mockResolvedValue(product);
+    jest.spyOn(Product, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+      product.variants = [update.$push.variants];
+      return product;
+    });
+    jest.spyOn(ProductService, 'recordPrice').mockResolvedValue();
+
+    await ProductService.addVariant(product._id, { sku: 'TEST-1-S', options: { size: 'S' }, price: 50, stock: 0 }, 'admin-1');
+
+    expect(ProductService.productsChanged).toHaveBeenCalledTimes(1);
+  });
+
+  test('updating or deleting a variant drops the cached facets', async () => {
+    const product = buildVariantProduct();
+    const variantId = product.variants[0]._id;
+    jest.spyOn(Product, 'findById').mockResolvedValue(product);
+    jest.spyOn(ProductService, 'recordPrice').mockResolvedValue();
+
+    await ProductService.updateVariant(product._id, variantId, { price: 40 }, 'admin-1');
+    await ProductService.deleteVariant(product._id, variantId);
+
+    expect(product.save).toHaveBeenCalledTimes(2);
+    expect(ProductService.productsChanged).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('ProductService.reconcileStock', () => {
+  test('flags products whose stock differs from the sum of their movements', async () => {
+    const balanced = buildProduct({ stock: 7 });
+    const drifted = buildProduct({ sku: 'TEST-2', stock: 9 });
+    const untracked = buildProduct({ sku: 'TEST-3', stock: 0 });
+    jest.spyOn(StockMovement, 'aggregate').mockResolvedValue([
+      { _id: balanced._id, expected: 7 },
+      { _id: drifted._id, expected: 10 }
+    ]);
+    jest.spyOn(Product, 'find').mockReturnValue({ select: async () => [balanced, drifted, untracked] });
+    const write = jest.spyOn(Product, 'bulkWrite').mockResolvedValue({});
+
+    const result = await ProductService.reconcileStock();
+
+    expect(result).toMatchObject({ checked: 3, mismatched: 1 });
+    const audits = write.mock.calls[0][0].map(({ updateOne }) => updateOne.update.$set.stockAudit);
+    expect(audits).toEqual([
+      expect.objectContaining({ status: 'ok', expected: 7, actual: 7 }),
+      expect.objectContaining({ status: 'mismatch', expected: 10, actual: 9 }),
+      expect.objectContaining({ status: 'ok', expected: 0, actual: 0 })
+    ]);
+  });
+});
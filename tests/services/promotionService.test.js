@@ -0,0 +1,105 @@
+jest.mock('../../src/utils/logger');
+
+const mongoose = require('mongoose');
+const Promotion = require('../../src/models/Promotion');
+const PromotionRedemption = require('../../src/models/PromotionRedemption');
+const Category = require('../../src/models/Category');
+const PromotionService = require('../../src/services/promotionService');
+const CategoryService = require('../../src/services/categoryService');
+const { buildOrder } = require('../helpers/factories');
+
+const session = { id: 'order-session' };
+
+const couponOrder = (promotion) => buildOrder({
+  discounts: [{ promotion: promotion._id, code: 'WELCOME', name: 'Welcome', type: 'percentage', amount: 10 }]
+});
+
+const stubRedemptions = (redemptions) => jest.spyOn(PromotionRedemption, 'find')
+  .mockReturnValue({ select: () => ({ session: async () => redemptions }) });
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('PromotionService.redeem per-user limit', () => {
+  const promotion = { _id: new mongoose.Types.ObjectId(), code: 'WELCOME', perUserLimit: 2 };
+
+  beforeEach(() => {
+    jest.spyOn(Promotion, 'findOneAndUpdate').mockResolvedValue(promotion);
+  });
+
+  test('records the redemption in the first free slot of the user', async () => {
+    const order = couponOrder(promotion);
+    stubRedemptions([{ slot: 2 }]);
+    const create = jest.spyOn(PromotionRedemption, 'create').mockResolvedValue([]);
+
+    await PromotionService.redeem(order, session);
+
+    expect(create).toHaveBeenCalledWith([expect.objectContaining({ promotion: promotion._id, user: order.user, slot: 1 })], { session });
+  });
+
+  test('rejects a user who has used up the coupon', async () => {
+    stubRedemptions([{ slot: 1 }, {}]);
+    const create = jest.spyOn(PromotionRedemption, 'create');
+
+    await expect(PromotionService.redeem(couponOrder(promotion), session))
+      .rejects.toMatchObject({ statusCode: 409, message: 'You have already used this coupon: WELCOME' });
+    expect(create).not.toHaveBeenCalled();
+  });
+
+  test('rejects the second of two concurrent orders taking the same slot', async () => {
+    stubRedemptions([{ slot: 1 }]);
+    jest.spyOn(PromotionRedemption, 'create')
+      .mockResolvedValueOnce([])
+      .mockRejectedValueOnce(Object.assign(new Error('E11000 duplicate key'), { code: 11000 }));
+
+    const results = await Promise.allSettled([
+      PromotionService.redeem(couponOrder(promotion), session),
+      PromotionService.redeem(couponOrder(promotion), session)
+    ]);
+
+    expect(results[0].status).toBe('fulfilled');
+    expect(results[1].reason).toMatchObject({ statusCode: 409 });
+  });
+
+  test('does not take slots for promotions without a per-user limit', async () => {
+    const unlimited = { _id: new mongoose.Types.ObjectId(), code: 'SALE' };
+    Promotion.findOneAndUpdate.mockResolvedValue(unlimited);
+    const find = jest.spyOn(PromotionRedemption, 'find');
+    const create = jest.spyOn(PromotionRedemption, 'create').mockResolvedValue([]);
+
+    await PromotionService.redeem(couponOrder(unlimited), session);
+
+    expect(find).not.toHaveBeenCalled();
+    expect(create.mock.calls[0][0][0].slot).toBeUndefined();
+  });
+
+  test('fails when the total usage limit is reached', async () => {
+    Promotion.findOneAndUpdate.mockResolvedValue(null);
+
+    await expect(PromotionService.redeem(couponOrder(promotion), session))
+      .rejects.toMatchObject({ statusCode: 409, message: 'Coupon usage limit reached: WELCOME' });
+  });
+});
+
+describe('PromotionService scoped categories', () => {
+  test('rejects a promotion scoped to a category that does not exist', async () => {
+    jest.spyOn(Category, 'exists').mockImplementation(async ({ name }) => name === 'Shoes');
+    const save = jest.spyOn(Promotion.prototype, 'save').mockResolvedValue();
+
+    await expect(PromotionService.createPromotion({ name: 'Shoe sale', scope: { categories: ['Shoes', 'Shoez'] } }))
+      .rejects.toMatchObject({ statusCode: 400, message: 'Category not found: Shoez' });
+    expect(save).not.toHaveBeenCalled();
+  });
+
+  test('checks the categories of an updated scope', async () => {
+    const promotion = { set: jest.fn(), save: jest.fn() };
+    jest.spyOn(Promotion, 'findById').mockResolvedValue(promotion);
+    const assertCategory = jest.spyOn(CategoryService, 'assertCategory').mockResolvedValue();
+
+    await PromotionService.updatePromotion('promotion-1', { scope: { categories: ['Shoes'] } });
+
+    expect(assertCategory).toHaveBeenCalledWith('Shoes');
+    expect(promotion.save).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,159 @@
+jest.mock('../../src/utils/logger');
+
+const mongoose = require('mongoose');
+const StockReservation = require('../../src/models/StockReservation');
+const Product = require('../../src/models/Product');
+const CartService = require('../../src/services/cartService');
+const ReservationService = require('../../src/services/reservationService');
+const { buildProduct } = require('../helpers/factories');
+const { mockTransactions } = require('../helpers/database');
+
+const session = { id: 'reservation-session' };
+
+const buildReservation = (product, quantity, fields = {}) => new StockReservation({
+  product,
+  cartId: 'cart-1',
+  quantity,
+  expiresAt: new Date(Date.now() + 60000),
+  ...fields
+});
+
+const stubActive = (reservations) => jest.spyOn(StockReservation, 'find').mockReturnValue({ session: async () => reservations });
+
+let transaction;
+
+beforeEach(() => {
+  transaction = mockTransactions(session);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('ReservationService.reserveCart', () => {
+  test('holds the available stock of every cart line', async () => {
+    const product = buildProduct({ stock: 5 });
+    jest.spyOn(CartService, 'getCart').mockResolvedValue({ items: [{ product: product._id, name: 'Mug', quantity: 2 }] });
+    stubActive([]);
+    const hold = jest.spyOn(Product, 'findOneAndUpdate').mockResolvedValue(product);
+    const insert = jest.spyOn(StockReservation, 'insertMany').mockImplementation(async (docs) => docs);
+
+    const result = await ReservationService.reserveCart('cart-1');
+
+    const [filter, update, options] = hold.mock.calls[0];
+    expect(filter.$expr).toEqual({ $and: [{ $gte: [Product.AVAILABLE_STOCK_EXPR, 2] }] });
+    expect(update).toEqual({ $inc: { reservedStock: 2 } });
+    expect(options.session).toBe(session);
+    expect(insert).toHaveBeenCalledWith([expect.objectContaining({ product: product._id, cartId: 'cart-1', quantity: 2 })], { session });
+    expect(result.reservations).toHaveLength(1);
+  });
+
+  test('reserves nothing when a line is short', async () => {
+    const product = buildProduct({ name: 'Mug', stock: 1 });
+    jest.spyOn(CartService, 'getCart').mockResolvedValue({ items: [{ product: product._id, name: 'Mug', quantity: 2 }] });
+    stubActive([]);
+    jest.spyOn(Product, 'findOneAndUpdate').mockResolvedValue(null);
+    jest.spyOn(Product, 'findById').mockReturnValue({ session: async () => product });
+    const insert = jest.spyOn(StockReservation, 'insertMany');
+
+    // The thrown error aborts the transaction and with it the holds made so far
+    await expect(ReservationService.reserveCart('cart-1')).rejects.toMatchObject({
+      statusCode: 409,
+      errors: [expect.objectContaining({ name: 'Mug', requested: 2, available: 1 })]
+    });
+    expect(insert).not.toHaveBeenCalled();
+  });
+
+  test('rejects an empty cart', async () => {
+    jest.spyOn(CartService, 'getCart').mockResolvedValue({ items: [] });
+
+    await expect(ReservationService.reserveCart('cart-1')).rejects.toMatchObject({ statusCode: 400 });
+    expect(transaction).not.toHaveBeenCalled();
+  });
+});
+
+describe('ReservationService releasing', () => {
+  test('frees the reserved units of a released cart once per product', async () => {
+    const productId = new mongoose.Types.ObjectId();
+    stubActive([buildReservation(productId, 2), buildReservation(productId, 1)]);
+    const close = jest.spyOn(StockReservation, 'updateMany').mockResolvedValue({ modifiedCount: 2 });
+    const free = jest.spyOn(Product, 'updateOne').mockResolvedValue({});
+
+    const result = await ReservationService.releaseCart('cart-1');
+
+    expect(result.released).toBe(2);
+    expect(close.mock.calls[0][1]).toEqual({ $set: { status: 'released', releasedAt: expect.any(Date) } });
+    expect(free).toHaveBeenCalledTimes(1);
+    const [filter, [{ $set }], options] = free.mock.calls[0];
+    expect(filter).toEqual({ _id: productId });
+    expect($set.reservedStock).toEqual({ $max: [{ $subtract: [{ $ifNull: ['$reservedStock', 0] }, 3] }, 0] });
+    expect(options).toEqual({ session });
+  });
+
+  test('expires each overdue reservation once', async () => {
+    const reservation = buildReservation(new mongoose.Types.ObjectId(), 2);
+    jest.spyOn(StockReservation, 'find').mockReturnValue({ limit: async () => [reservation, reservation] });
+    jest.spyOn(StockReservation, 'findOneAndUpdate')
+      .mockResolvedValueOnce(reservation)
+      .mockResolvedValueOnce(null);
+    const free = jest.spyOn(ReservationService, 'releaseReservedStock').mockResolvedValue();
+
+    await expect(ReservationService.releaseExpired()).resolves.toBe(1);
+    expect(free).toHaveBeenCalledTimes(1);
+    expect(free).toHaveBeenCalledWith(reservation.product, 2, session, undefined);
+  });
+});
+
+describe('ReservationService order reservations', () => {
+  test('counts only the unexpired reservations of a cart', async () => {
+    const find = jest.spyOn(StockReservation, 'find').mockResolvedValue([]);
+
+    await ReservationService.getCartReservedQuantities('cart-1');
+
+    expect(find.mock.calls[0][0]).toMatchObject({ cartId: 'cart-1', status: 'active', expiresAt: { $gt: expect.any(Date) } });
+  });
+
+  test('hands the unexpired cart reservations to an unpaid order and returns their totals', async () => {
+    const productId = new mongoose.Types.ObjectId();
+    const find = stubActive([buildReservation(productId, 2)]);
+    const hold = jest.spyOn(StockReservation, 'updateMany').mockResolvedValue({ modifiedCount: 1 });
+    const orderId = new mongoose.Types.ObjectId();
+
+    const held = await ReservationService.holdForOrder('cart-1', { _id: orderId, payment: { status: 'pending' } }, session);
+
+    expect(find.mock.calls[0][0].expiresAt).toEqual({ $gt: expect.any(Date) });
+    expect(hold.mock.calls[0][1]).toEqual({ $set: { status: 'ordered', order: orderId } });
+    expect([...held.values()]).toEqual([expect.objectContaining({ product: productId, quantity: 2 })]);
+  });
+
+  test('converts the reservations of an order paid at checkout right away', async () => {
+    stubActive([buildReservation(new mongoose.Types.ObjectId(), 1)]);
+    const hold = jest.spyOn(StockReservation, 'updateMany').mockResolvedValue({ modifiedCount: 1 });
+    const orderId = new mongoose.Types.ObjectId();
+
+    await ReservationService.holdForOrder('cart-1', { _id: orderId, payment: { status: 'completed' } }, session);
+
+    expect(hold.mock.calls[0][1].$set).toMatchObject({ status: 'converted', order: orderId, convertedAt: expect.any(Date) });
+  });
+
+  test('converts an order\'s reservations on payment and releases them on cancellation', async () => {
+    const update = jest.spyOn(StockReservation, 'updateMany').mockResolvedValue({ modifiedCount: 1 });
+    const order = { _id: new mongoose.Types.ObjectId() };
+
+    await ReservationService.convertForOrder(order, session);
+    await ReservationService.releaseForOrder(order, session);
+
+    expect(update).toHaveBeenNthCalledWith(1, { order: order._id, status: 'ordered' }, { $set: { status: 'converted', convertedAt: expect.any(Date) } }, { session });
+    expect(update).toHaveBeenNthCalledWith(2, { order: order._id, status: 'ordered' }, { $set: { status: 'released', releasedAt: expect.any(Date) } }, { session });
+  });
+
+  test('moves the unexpired reservations of a guest cart to the user cart', async () => {
+    const update = jest.spyOn(StockReservation, 'updateMany').mockResolvedValue({ modifiedCount: 2 });
+
+    await expect(ReservationService.transferCart('session-1', 'user-1')).resolves.toBe(2);
+    expect(update).toHaveBeenCalledWith(
+      { cartId: 'session-1', status: 'active', expiresAt: { $gt: expect.any(Date) } },
+      { $set: { cartId: 'user-1' } }
+    );
+  });
+});
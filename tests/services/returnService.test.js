@@ -0,0 +1,104 @@
+jest.mock('../../src/utils/logger');
+
+const ReturnRequest = require('../../src/models/ReturnRequest');
+const Order = require('../../src/models/Order');
+const ReturnService = require('../../src/services/returnService');
+const OrderService = require('../../src/services/orderService');
+const { buildOrder } = require('../helpers/factories');
+
+const buildReturn = (order, status = 'receiving') => {
+  const returnRequest = new ReturnRequest({
+    order: order._id,
+    user: order.user,
+    items: [{ itemId: order.items[0]._id, product: order.items[0].product, quantity: 1 }],
+    reason: 'Wrong size',
+    status
+  });
+  jest.spyOn(returnRequest, 'save').mockResolvedValue(returnRequest);
+
+  return returnRequest;
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('ReturnService.receiveReturn', () => {
+  test('claims the approved request atomically before refunding', async () => {
+    const order = buildOrder();
+    const returnRequest = buildReturn(order);
+    const claim = jest.spyOn(ReturnRequest, 'findOneAndUpdate').mockResolvedValue(returnRequest);
+    jest.spyOn(Order, 'findById').mockResolvedValue(order);
+    jest.spyOn(OrderService, 'recordRefund').mockResolvedValue({ _id: 'refund-1', amount: 50 });
+
+    const result = await ReturnService.receiveReturn(returnRequest._id, 'admin-1');
+
+    expect(claim).toHaveBeenCalledWith(
+      { _id: returnRequest._id, status: 'approved' },
+      { $set: { status: 'receiving' } },
+      { new: true }
+    );
+    expect(OrderService.recordRefund).toHaveBeenCalledWith(order, expect.objectContaining({ amount: 50, restock: true }));
+    expect(result.returnRequest.status).toBe('received');
+    expect(result.returnRequest.refund.amount).toBe(50);
+    expect(returnRequest.save).toHaveBeenCalled();
+  });
+
+  test('a repeated submit is rejected without a second refund', async () => {
+    const order = buildOrder();
+    const returnRequest = buildReturn(order);
+    jest.spyOn(ReturnRequest, 'findOneAndUpdate')
+      .mockResolvedValueOnce(returnRequest)
+      .mockResolvedValueOnce(null);
+    jest.spyOn(ReturnRequest, 'findById').mockResolvedValue(buildReturn(order, 'receiving'));
+    jest.spyOn(Order, 'findById').mockResolvedValue(order);
+    jest.spyOn(OrderService, 'recordRefund').mockResolvedValue({ _id: 'refund-1', amount: 50 });
+
+    const results = await Promise.allSettled([
+      ReturnService.receiveReturn(returnRequest._id, 'admin-1'),
+      ReturnService.receiveReturn(returnRequest._id, 'admin-1')
+    ]);
+
+    expect(results[0].status).toBe('fulfilled');
+    expect(results[1].reason).toMatchObject({ statusCode: 409 });
+    expect(OrderService.recordRefund).toHaveBeenCalledTimes(1);
+  });
+
+  test('rejects a request that is not approved', async () => {
+    const order = buildOrder();
+    jest.spyOn(ReturnRequest, 'findOneAndUpdate').mockResolvedValue(null);
+    jest.spyOn(ReturnRequest, 'findById').mockResolvedValue(buildReturn(order, 'received'));
+    const refund = jest.spyOn(OrderService, 'recordRefund');
+
+    await expect(ReturnService.receiveReturn('return-1', 'admin-1'))
+      .rejects.toMatchObject({ statusCode: 400, message: 'Return request cannot move from received to received' });
+    expect(refund).not.toHaveBeenCalled();
+  });
+
+  test('releases the claim when the refund fails', async () => {
+    const order = buildOrder();
+    const returnRequest = buildReturn(order);
+    jest.spyOn(ReturnRequest, 'findOneAndUpdate').mockResolvedValue(returnRequest);
+    const release = jest.spyOn(ReturnRequest, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(Order, 'findById').mockResolvedValue(order);
+    jest.spyOn(OrderService, 'recordRefund').mockRejectedValue(new Error('Payment refund failed'));
+
+    await expect(ReturnService.receiveReturn(returnRequest._id, 'admin-1')).rejects.toThrow('Payment refund failed');
+
+    expect(release).toHaveBeenCalledWith({ _id: returnRequest._id, status: 'receiving' }, { $set: { status: 'approved' } });
+  });
+
+  test('keeps the claim once the refund was recorded', async () => {
+    const order = buildOrder();
+    const returnRequest = buildReturn(order);
+    returnRequest.save.mockRejectedValue(new Error('Write failed'));
+    jest.spyOn(ReturnRequest, 'findOneAndUpdate').mockResolvedValue(returnRequest);
+    const release = jest.spyOn(ReturnRequest, 'updateOne');
+    jest.spyOn(Order, 'findById').mockResolvedValue(order);
+    jest.spyOn(OrderService, 'recordRefund').mockResolvedValue({ _id: 'refund-1', amount: 50 });
+
+    await expect(ReturnService.receiveReturn(returnRequest._id, 'admin-1')).rejects.toThrow('Write failed');
+
+    expect(release).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,155 @@
+jest.mock('../../src/utils/logger');
+
+const mongoose = require('mongoose');
+const Review = require('../../src/models/Review');
+const Product = require('../../src/models/Product');
+const Order = require('../../src/models/Order');
+const ReviewService = require('../../src/services/reviewService');
+const ProductService = require('../../src/services/productService');
+
+const productId = new mongoose.Types.ObjectId();
+const userId = new mongoose.Types.ObjectId();
+
+/**
+ * Stub the product lookup of createReview
+ */
+const stubProduct = (product = { _id: productId }) =>
+  jest.spyOn(Product, 'findOne').mockReturnValue({ select: async () => product });
+
+/**
+ * A stored review with save stubbed
+ */
+const buildReview = (fields = {}) => {
+  const review = Review.hydrate({ _id: new mongoose.Types.ObjectId(), product: productId, user: userId, rating: 4, ...fields });
+  jest.spyOn(review, 'save').mockResolvedValue(review);
+  return review;
+};
+
+beforeEach(() => {
+  jest.spyOn(ProductService, 'productsChanged').mockResolvedValue();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('ReviewService.createReview', () => {
+  test('flags a review of a delivered purchase as verified', async () => {
+    stubProduct();
+    jest.spyOn(Review, 'exists').mockResolvedValue(null);
+    const purchase = jest.spyOn(Order, 'exists').mockResolvedValue({ _id: 'order-1' });
+    jest.spyOn(Review.prototype, 'save').mockResolvedValue();
+
+    const { review } = await ReviewService.createReview(userId, { productId, rating: 5, title: 'Great' });
+
+    expect(purchase).toHaveBeenCalledWith({ user: userId, status: 'delivered', 'items.product': productId });
+    expect(review).toMatchObject({ rating: 5, status: 'pending', verifiedPurchase: true });
+  });
+
+  test('leaves reviews without a delivered order unverified', async () => {
+    stubProduct();
+    jest.spyOn(Review, 'exists').mockResolvedValue(null);
+    jest.spyOn(Order, 'exists').mockResolvedValue(null);
+    jest.spyOn(Review.prototype, 'save').mockResolvedValue();
+
+    const { review } = await ReviewService.createReview(userId, { productId, rating: 3 });
+
+    expect(review.verifiedPurchase).toBe(false);
+  });
+
+  test('allows one review per user and product', async () => {
+    stubProduct();
+    jest.spyOn(Review, 'exists').mockResolvedValue({ _id: 'review-1' });
+    const save = jest.spyOn(Review.prototype, 'save');
+
+    await expect(ReviewService.createReview(userId, { productId, rating: 3 }))
+      .rejects.toMatchObject({ statusCode: 409, message: 'You have already reviewed this product' });
+    expect(save).not.toHaveBeenCalled();
+  });
+
+  test('a review submitted at the same time is rejected by the unique index', async () => {
+    stubProduct();
+    jest.spyOn(Review, 'exists').mockResolvedValue(null);
+    jest.spyOn(Order, 'exists').mockResolvedValue(null);
+    jest.spyOn(Review.prototype, 'save').mockRejectedValue(Object.assign(new Error('E11000 duplicate key'), { code: 11000 }));
+
+    await expect(ReviewService.createReview(userId, { productId, rating: 3 })).rejects.toMatchObject({ statusCode: 409 });
+  });
+});
+
+describe('ReviewService rating aggregate', () => {
+  test('averages the approved reviews to one decimal', async () => {
+    const aggregate = jest.spyOn(Review, 'aggregate').mockResolvedValue([{ average: 4.333333, count: 3 }]);
+    const update = jest.spyOn(Product, 'updateOne').mockResolvedValue({});
+
+    await expect(ReviewService.recomputeRating(productId)).resolves.toEqual({ average: 4.3, count: 3 });
+    expect(aggregate.mock.calls[0][0][0]).toEqual({ $match: { product: productId, status: 'approved' } });
+    expect(update).toHaveBeenCalledWith({ _id: productId }, { $set: { rating: { average: 4.3, count: 3 } } });
+    expect(ProductService.productsChanged).toHaveBeenCalled();
+  });
+
+  test('resets the rating when no approved review is left', async () => {
+    jest.spyOn(Review, 'aggregate').mockResolvedValue([]);
+    jest.spyOn(Product, 'updateOne').mockResolvedValue({});
+
+    await expect(ReviewService.recomputeRating(productId)).resolves.toEqual({ average: 0, count: 0 });
+  });
+
+  test.each([
+    ['pending', 'approved', true],
+    ['approved', 'rejected', true],
+    ['pending', 'rejected', false]
+  ])('moderating a %s review to %s recomputes the rating: %p', async (from, to, recomputed) => {
+    const review = buildReview({ status: from });
+    jest.spyOn(Review, 'findById').mockResolvedValue(review);
+    const recompute = jest.spyOn(ReviewService, 'recomputeRating').mockResolvedValue({});
+
+    await ReviewService.moderateReview(review._id, to, 'admin-1', 'Checked');
+
+    expect(review.status).toBe(to);
+    expect(recompute).toHaveBeenCalledTimes(recomputed ? 1 : 0);
+  });
+
+  test('an edited approved review leaves the rating until it is approved again', async () => {
+    const review = buildReview({ status: 'approved' });
+    jest.spyOn(Review, 'findOne').mockResolvedValue(review);
+    const recompute = jest.spyOn(ReviewService, 'recomputeRating').mockResolvedValue({});
+
+    await ReviewService.updateReview(userId, review._id, { rating: 1 });
+
+    expect(review.status).toBe('pending');
+    expect(recompute).toHaveBeenCalledWith(productId);
+  });
+});
+
+describe('ReviewService helpful votes', () => {
+  const voterId = new mongoose.Types.ObjectId();
+
+  test('counts a vote once per user and never for the author', async () => {
+    const vote = jest.spyOn(Review, 'findOneAndUpdate').mockResolvedValue({ helpfulCount: 3 });
+
+    await expect(ReviewService.voteHelpful('review-1', voterId)).resolves.toMatchObject({ helpfulCount: 3 });
+    expect(vote).toHaveBeenCalledWith(
+      { _id: 'review-1', status: 'approved', user: { $ne: voterId }, helpfulVotes: { $ne: voterId } },
+      { $addToSet: { helpfulVotes: voterId }, $inc: { helpfulCount: 1 } },
+      { new: true }
+    );
+  });
+
+  test('tells a repeated vote and a vote for an own review apart', async () => {
+    jest.spyOn(Review, 'findOneAndUpdate').mockResolvedValue(null);
+    jest.spyOn(Review, 'findById').mockReturnValue({ select: async () => ({ user: userId, status: 'approved' }) });
+
+    await expect(ReviewService.voteHelpful('review-1', voterId))
+      .rejects.toMatchObject({ statusCode: 400, message: 'You have already voted for this review' });
+    await expect(ReviewService.voteHelpful('review-1', userId))
+      .rejects.toMatchObject({ statusCode: 400, message: 'You cannot vote for your own review' });
+  });
+
+  test('only withdraws a vote the user cast', async () => {
+    jest.spyOn(Review, 'findOneAndUpdate').mockResolvedValue(null);
+
+    await expect(ReviewService.removeHelpfulVote('review-1', voterId))
+      .rejects.toMatchObject({ statusCode: 400, message: 'You have not voted for this review' });
+  });
+});
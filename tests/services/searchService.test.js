@@ -0,0 +1,188 @@
+jest.mock('../../src/utils/logger');
+
+const mongoose = require('mongoose');
+const Product = require('../../src/models/Product');
+const Order = require('../../src/models/Order');
+const SearchSynonym = require('../../src/models/SearchSynonym');
+const SearchPin = require('../../src/models/SearchPin');
+const SearchService = require('../../src/services/searchService');
+const ProductService = require('../../src/services/productService');
+const redisClient = require('../../src/config/redis');
+
+const catalog = [
+  { _id: new mongoose.Types.ObjectId(), name: 'Samsung Galaxy S24', brand: 'Samsung', category: 'Phones', rating: { count: 4 } },
+  { _id: new mongoose.Types.ObjectId(), name: 'Samsung Monitor 27', brand: 'Samsung', category: 'Monitors', rating: { count: 0 } },
+  { _id: new mongoose.Types.ObjectId(), name: 'Çalışma Masası', brand: 'Ikea', category: 'Desks', rating: { count: 0 } }
+];
+
+let redisVersion;
+let productFind;
+
+/**
+ * Stub what an index rebuild reads: active products and their recent sales
+ */
+const stubCatalog = (products = catalog, sales = []) => {
+  productFind = jest.spyOn(Product, 'find').mockReturnValue({ select: () => ({ lean: async () => products }) });
+  jest.spyOn(Order, 'aggregate').mockResolvedValue(sales);
+};
+
+const texts = (result) => result.suggestions.map(suggestion => suggestion.text);
+
+beforeEach(() => {
+  Object.assign(SearchService, { index: null, version: null, stale: true, building: null, synonyms: null });
+  redisVersion = '1';
+  jest.spyOn(redisClient, 'getClient').mockReturnValue({
+    get: async () => redisVersion,
+    incr: async () => {
+      redisVersion = String(Number(redisVersion) + 1);
+    }
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('SearchService.suggest', () => {
+  test('completes the last word and ranks matches by popularity', async () => {
+    stubCatalog(catalog, [{ _id: catalog[1]._id, sold: 50 }]);
+
+    const result = await SearchService.suggest('sams');
+
+    expect(texts(result)).toEqual(['Samsung', 'Samsung Monitor 27', 'Samsung Galaxy S24']);
+    expect(result.suggestions[0]).toMatchObject({ type: 'brand', brand: 'Samsung' });
+    expect(result.suggestions[1]).toMatchObject({ type: 'product', product: catalog[1]._id, category: 'Monitors' });
+  });
+
+  test('matches accents and case loosely', async () => {
+    stubCatalog();
+
+    await expect(SearchService.suggest('calisma MAS').then(texts)).resolves.toEqual(['Çalışma Masası']);
+  });
+
+  test('returns nothing for a blank query without building the index', async () => {
+    stubCatalog();
+
+    await expect(SearchService.suggest('  ')).resolves.toMatchObject({ suggestions: [] });
+    expect(productFind).not.toHaveBeenCalled();
+  });
+
+  test('reuses the index until products change', async () => {
+    stubCatalog();
+
+    await SearchService.suggest('sams');
+    await SearchService.suggest('gal');
+    expect(productFind).toHaveBeenCalledTimes(1);
+
+    await SearchService.markStale();
+    await SearchService.suggest('gal');
+    expect(productFind).toHaveBeenCalledTimes(2);
+
+    // Another instance changed products
+    redisVersion = '9';
+    await SearchService.suggest('gal');
+    expect(productFind).toHaveBeenCalledTimes(3);
+  });
+});
+
+describe('SearchService typo tolerance', () => {
+  beforeEach(() => {
+    stubCatalog();
+  });
+
+  test.each([
+    ['samsnug galaxy', 'Samsung Galaxy S24'],
+    ['samsung galxy', 'Samsung Galaxy S24'],
+    ['monitr', 'Samsung Monitor 27']
+  ])('%p still finds %p', async (query, expected) => {
+    await expect(SearchService.suggest(query).then(texts)).resolves.toContain(expected);
+  });
+
+  test('short words must match exactly', async () => {
+    await expect(SearchService.suggest('s25 samsung').then(texts)).resolves.toEqual([]);
+  });
+
+  test('allows one typo up to seven letters and two beyond', async () => {
+    await expect(SearchService.suggest('mnitr').then(texts)).resolves.toEqual([]);
+    expect(SearchService.matchEntry(['tlevisoin', 'stand'], ['television', 'stand'])).toBeGreaterThan(0);
+    expect(SearchService.matchEntry(['tlvisoin', 'stand'], ['television', 'stand'])).toBe(0);
+  });
+
+  test('an exact match outranks a match with typos', () => {
+    expect(SearchService.matchEntry(['galaxy'], ['samsung', 'galaxy']))
+      .toBeGreaterThan(SearchService.matchEntry(['galxy'], ['samsung', 'galaxy']));
+  });
+});
+
+describe('SearchService synonym expansion', () => {
+  test('adds the other terms of matching synonym groups once', async () => {
+    const find = jest.spyOn(SearchSynonym, 'find').mockReturnValue({
+      lean: async () => [{ terms: ['tv', 'television'] }, { terms: ['stand', 'console'] }]
+    });
+
+    await expect(SearchService.expandQuery('TV stand')).resolves.toBe('TV stand television console');
+    await expect(SearchService.expandQuery('television')).resolves.toBe('television tv');
+    await expect(SearchService.expandQuery('monitor')).resolves.toBe('monitor');
+    expect(find).toHaveBeenCalledTimes(1);
+    expect(find).toHaveBeenCalledWith({ isActive: true });
+  });
+
+  test('only expands whole words', async () => {
+    jest.spyOn(SearchSynonym, 'find').mockReturnValue({ lean: async () => [{ terms: ['tv', 'television'] }] });
+
+    await expect(SearchService.expandQuery('tvs')).resolves.toBe('tvs');
+  });
+
+  test('a changed synonym group is read again', async () => {
+    const find = jest.spyOn(SearchSynonym, 'find').mockReturnValue({ lean: async () => [] });
+    jest.spyOn(SearchSynonym, 'findByIdAndDelete').mockResolvedValue({ _id: 'synonym-1' });
+
+    await SearchService.expandQuery('tv');
+    await SearchService.deleteSynonym('synonym-1');
+    await SearchService.expandQuery('tv');
+
+    expect(find).toHaveBeenCalledTimes(2);
+  });
+
+  test('stores terms normalized and without repeats', () => {
+    expect(SearchService.normalizeTerms(['TV', ' tv ', 'Télé', ''])).toEqual(['tv', 'tele']);
+  });
+});
+
+describe('SearchService pinned results', () => {
+  test('looks pins up by the normalized search', async () => {
+    const pinned = [new mongoose.Types.ObjectId()];
+    const findOne = jest.spyOn(SearchPin, 'findOne').mockResolvedValue({ products: pinned });
+
+    await expect(SearchService.getPinnedProducts('  Samsung  PHONES ')).resolves.toBe(pinned);
+    expect(findOne).toHaveBeenCalledWith({ query: 'samsung phones', isActive: true });
+  });
+
+  test('pinned products lead a relevance search in pin order and are not repeated', async () => {
+    const [first, second] = [new Product({ name: 'First' }), new Product({ name: 'Second' })];
+    const ranked = new Product({ name: 'Ranked' });
+    jest.spyOn(SearchService, 'expandQuery').mockImplementation(async (search) => search);
+    jest.spyOn(SearchService, 'getPinnedProducts').mockResolvedValue([second._id, first._id]);
+    const find = jest.spyOn(Product, 'find')
+      .mockResolvedValueOnce([first, second])
+      .mockReturnValueOnce({ sort: () => ({ skip: () => ({ limit: async () => [ranked] }) }) });
+    jest.spyOn(Product, 'countDocuments').mockResolvedValue(1);
+
+    const result = await ProductService.getProducts({ search: 'phone', sortBy: 'relevance', facets: false });
+
+    expect(result.products).toEqual([second, first, ranked]);
+    expect(find.mock.calls[0][0]).not.toHaveProperty('$text');
+    expect(find.mock.calls[1][0]._id).toEqual({ $nin: [second._id, first._id] });
+    expect(result.pagination.totalItems).toBe(3);
+  });
+
+  test('rejects pins of products that do not exist', async () => {
+    jest.spyOn(Product, 'countDocuments').mockResolvedValue(1);
+    const save = jest.spyOn(SearchPin.prototype, 'save');
+    const ids = [new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId()];
+
+    await expect(SearchService.createPin({ query: 'phones', products: ids }))
+      .rejects.toMatchObject({ statusCode: 400, message: 'Some pinned products were not found' });
+    expect(save).not.toHaveBeenCalled();
+  });
+});
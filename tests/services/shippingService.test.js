@@ -0,0 +1,156 @@
+jest.mock('../../src/utils/logger');
+
+const ShippingZone = require('../../src/models/ShippingZone');
+const Product = require('../../src/models/Product');
+const ShippingService = require('../../src/services/shippingService');
+const ProductService = require('../../src/services/productService');
+const CategoryService = require('../../src/services/categoryService');
+const ValidationUtils = require('../../src/utils/validation');
+const { buildProduct } = require('../helpers/factories');
+
+const address = { country: 'TR', state: 'Istanbul', zipCode: '34000' };
+
+const buildZone = (fields = {}) => new ShippingZone({
+  name: 'Turkey',
+  countries: ['TR'],
+  freeShippingThreshold: 500,
+  methods: [
+    { type: 'standard', rates: [{ maxWeight: 5, price: 30 }, { maxWeight: 20, price: 60 }] },
+    { type: 'express', rates: [{ maxWeight: 5, price: 80 }], estimatedDays: { min: 1, max: 2 } }
+  ],
+  ...fields
+});
+
+const stubZones = (zones) => jest.spyOn(ShippingZone, 'find').mockReturnValue({ sort: async () => zones });
+const stubProducts = (products) => jest.spyOn(Product, 'find').mockReturnValue({ select: async () => products });
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('ShippingService.quote', () => {
+  test('prices each method from the bracket covering the billable weight', async () => {
+    const product = buildProduct({ weight: 3 });
+    stubZones([buildZone()]);
+    stubProducts([product]);
+
+    const quote = await ShippingService.quote([{ product: product._id, quantity: 1 }], address, 100);
+
+    expect(quote.weight).toBe(3);
+    expect(quote.methods.map(({ type, cost, price }) => ({ type, cost, price }))).toEqual([
+      { type: 'standard', cost: 30, price: 30 },
+      { type: 'express', cost: 80, price: 80 }
+    ]);
+    expect(quote.methods[1].estimatedDelivery).toBeInstanceOf(Date);
+  });
+
+  test('drops methods whose brackets stop below the weight', async () => {
+    const product = buildProduct({ weight: 4 });
+    stubZones([buildZone()]);
+    stubProducts([product]);
+
+    const quote = await ShippingService.quote([{ product: product._id, quantity: 2 }], address, 100);
+
+    expect(quote.weight).toBe(8);
+    expect(quote.methods.map(({ type, cost }) => [type, cost])).toEqual([['standard', 60]]);
+  });
+
+  test('bills the dimensional weight when it is higher', async () => {
+    const product = buildProduct({ weight: 1, dimensions: { length: 50, width: 40, height: 30 } });
+    stubZones([buildZone()]);
+    stubProducts([product]);
+
+    const quote = await ShippingService.quote([{ product: product._id, quantity: 1 }], address, 100);
+
+    expect(quote.weight).toBe(12);
+    expect(quote.methods[0].cost).toBe(60);
+  });
+
+  test('makes standard shipping free from the zone threshold on', async () => {
+    const product = buildProduct({ weight: 1 });
+    stubZones([buildZone()]);
+    stubProducts([product]);
+
+    const quote = await ShippingService.quote([{ product: product._id, quantity: 1 }], address, 500);
+
+    expect(quote.methods.map(({ type, cost }) => [type, cost])).toEqual([['standard', 0], ['express', 80]]);
+  });
+
+  test('lets a free shipping promotion cover up to the standard cost on any method', async () => {
+    const product = buildProduct({ weight: 1 });
+    stubZones([buildZone()]);
+    stubProducts([product]);
+
+    const quote = await ShippingService.quote([{ product: product._id, quantity: 1 }], address, 100, { freeShipping: true });
+
+    expect(quote.methods.map(({ type, promotionDiscount, price }) => [type, promotionDiscount, price])).toEqual([
+      ['standard', 30, 0],
+      ['express', 30, 50]
+    ]);
+  });
+
+  test('uses the first zone by priority that covers the address', async () => {
+    const product = buildProduct({ weight: 1 });
+    const istanbul = buildZone({ name: 'Istanbul', zipRanges: [{ from: '34000', to: '34999' }], methods: [{ type: 'standard', rates: [{ price: 10 }] }] });
+    stubZones([istanbul, buildZone()]);
+    stubProducts([product]);
+
+    const local = await ShippingService.quote([{ product: product._id, quantity: 1 }], address, 100);
+    const elsewhere = await ShippingService.quote([{ product: product._id, quantity: 1 }], { ...address, zipCode: '06000' }, 100);
+
+    expect(local.zone.name).toBe('Istanbul');
+    expect(local.methods[0].cost).toBe(10);
+    expect(elsewhere.zone.name).toBe('Turkey');
+  });
+
+  test('offers no methods where no zone ships', async () => {
+    stubZones([buildZone()]);
+    stubProducts([]);
+
+    const quote = await ShippingService.quote([], { country: 'DE' }, 100);
+
+    expect(quote).toEqual({ zone: null, weight: 0, methods: [] });
+  });
+
+  test('falls back to the configured rate until zones are set up', async () => {
+    stubZones([]);
+    stubProducts([]);
+
+    const quote = await ShippingService.quote([], address, 100);
+
+    expect(quote.methods).toEqual([expect.objectContaining({ type: 'standard', cost: 29.99, price: 29.99 })]);
+  });
+});
+
+describe('ShippingService.quote for products created through the API', () => {
+  test('bills the dimensional weight from the submitted dimensions', async () => {
+    const { data } = ValidationUtils.validate({
+      name: 'Armchair',
+      description: 'A large armchair',
+      price: 400,
+      category: 'furniture',
+      brand: 'Acme',
+      sku: 'CHAIR-1',
+      stock: 0,
+      weight: 8,
+      dimensions: { length: 80, width: 70, height: 90 }
+    }, ValidationUtils.productSchemas.create);
+    jest.spyOn(CategoryService, 'assertCategory').mockResolvedValue();
+    jest.spyOn(Product.prototype, 'save').mockImplementation(async function () {
+      return this;
+    });
+    jest.spyOn(ProductService, 'recordPrice').mockResolvedValue();
+    jest.spyOn(ProductService, 'productsChanged').mockResolvedValue();
+
+    const { product } = await ProductService.createProduct(data, 'admin-1');
+    stubZones([buildZone({ methods: [{ type: 'standard', rates: [{ maxWeight: 50, price: 90 }, { price: 150 }] }] })]);
+    stubProducts([product]);
+
+    const quote = await ShippingService.quote([{ product: product._id, quantity: 1 }], address, 400);
+
+    expect(product.dimensions.width).toBe(70);
+    // 80 x 70 x 90 / 5000 = 100.8 kg beats the 8 kg actual weight
+    expect(quote.weight).toBe(100.8);
+    expect(quote.methods[0].cost).toBe(150);
+  });
+});
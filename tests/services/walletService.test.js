@@ -0,0 +1,162 @@
+jest.mock('../../src/utils/logger');
+
+const mongoose = require('mongoose');
+const Wallet = require('../../src/models/Wallet');
+const WalletTransaction = require('../../src/models/WalletTransaction');
+const WalletService = require('../../src/services/walletService');
+const { buildOrder } = require('../helpers/factories');
+const { mockTransactions } = require('../helpers/database');
+
+const session = { id: 'wallet-session' };
+
+const buildCredit = (fields) => new WalletTransaction({
+  user: new mongoose.Types.ObjectId(),
+  type: 'grant',
+  amount: fields.remaining,
+  balance: fields.remaining,
+  ...fields
+});
+
+let transaction;
+
+beforeEach(() => {
+  transaction = mockTransactions(session);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('WalletService.expireCredits', () => {
+  const stubExpired = (credits) => jest.spyOn(WalletTransaction, 'find')
+    .mockReturnValue({ limit: () => ({ session: async () => credits }) });
+
+  test('writes off each credit in its own transaction when run by the scheduler', async () => {
+    const credits = [
+      buildCredit({ remaining: 10, expiresAt: new Date('2026-10-01') }),
+      buildCredit({ remaining: 5.5, expiresAt: new Date('2026-10-02') })
+    ];
+    stubExpired(credits);
+    const claim = jest.spyOn(WalletTransaction, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    const balance = jest.spyOn(Wallet, 'findOneAndUpdate').mockResolvedValue({ balance: 0 });
+    const ledger = jest.spyOn(WalletTransaction, 'create').mockResolvedValue([]);
+
+    const result = await WalletService.expireCredits(new Date('2026-10-19'));
+
+    expect(result).toEqual({ expired: 2, amount: 15.5 });
+    expect(transaction).toHaveBeenCalledTimes(2);
+    expect(claim.mock.calls.map(([, , options]) => options.session)).toEqual([session, session]);
+    expect(balance).toHaveBeenCalledWith({ user: credits[0].user }, { $inc: { balance: -10 } }, expect.objectContaining({ session }));
+    expect(ledger).toHaveBeenCalledWith([expect.objectContaining({ type: 'expire', amount: -10 })], { session });
+  });
+
+  test('leaves the balance alone when the ledger write fails', async () => {
+    stubExpired([buildCredit({ remaining: 10, expiresAt: new Date('2026-10-01') })]);
+    jest.spyOn(WalletTransaction, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(Wallet, 'findOneAndUpdate').mockResolvedValue({ balance: 0 });
+    jest.spyOn(WalletTransaction, 'create').mockRejectedValue(new Error('Write failed'));
+
+    // The error aborts the transaction holding the claim and the balance change
+    await expect(WalletService.expireCredits()).rejects.toThrow('Write failed');
+    expect(transaction).toHaveBeenCalledTimes(1);
+  });
+
+  test('skips a credit another run expired or a debit spent', async () => {
+    stubExpired([buildCredit({ remaining: 10, expiresAt: new Date('2026-10-01') })]);
+    jest.spyOn(WalletTransaction, 'updateOne').mockResolvedValue({ modifiedCount: 0 });
+    const balance = jest.spyOn(Wallet, 'findOneAndUpdate');
+
+    await expect(WalletService.expireCredits()).resolves.toEqual({ expired: 0, amount: 0 });
+    expect(balance).not.toHaveBeenCalled();
+  });
+
+  test('uses the caller transaction when given a session', async () => {
+    stubExpired([buildCredit({ remaining: 10, expiresAt: new Date('2026-10-01') })]);
+    const claim = jest.spyOn(WalletTransaction, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(Wallet, 'findOneAndUpdate').mockResolvedValue({ balance: 0 });
+    jest.spyOn(WalletTransaction, 'create').mockResolvedValue([]);
+    const callerSession = { id: 'order-session' };
+
+    await WalletService.expireCredits(new Date(), { session: callerSession });
+
+    expect(transaction).not.toHaveBeenCalled();
+    expect(claim.mock.calls[0][2]).toEqual({ session: callerSession });
+  });
+});
+
+describe('WalletService.debit', () => {
+  beforeEach(() => {
+    jest.spyOn(WalletService, 'expireCredits').mockResolvedValue({ expired: 0, amount: 0 });
+  });
+
+  test('spends the credits that expire first', async () => {
+    const userId = new mongoose.Types.ObjectId();
+    const later = buildCredit({ user: userId, remaining: 20, expiresAt: new Date('2027-01-01') });
+    const never = buildCredit({ user: userId, remaining: 50 });
+    const sooner = buildCredit({ user: userId, remaining: 5, expiresAt: new Date('2026-11-01') });
+    jest.spyOn(Wallet, 'findOneAndUpdate').mockResolvedValue({ balance: 60 });
+    jest.spyOn(WalletTransaction, 'find').mockReturnValue({ session: async () => [never, later, sooner] });
+    const spend = jest.spyOn(WalletTransaction, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    const ledger = jest.spyOn(WalletTransaction, 'create').mockResolvedValue([{ type: 'redeem' }]);
+
+    await WalletService.debit(userId, 15, { type: 'redeem', session });
+
+    expect(spend.mock.calls.map(([filter, update]) => [filter._id, update.$set.remaining])).toEqual([[sooner._id, 0], [later._id, 10]]);
+    expect(ledger.mock.calls[0][0][0]).toMatchObject({ amount: -15, balance: 60 });
+    expect(ledger.mock.calls[0][0][0].allocations.map(allocation => allocation.amount)).toEqual([5, 10]);
+  });
+
+  test('fails when the balance does not cover the amount', async () => {
+    jest.spyOn(Wallet, 'findOneAndUpdate').mockResolvedValue(null);
+    const spend = jest.spyOn(WalletTransaction, 'updateOne');
+
+    await expect(WalletService.debit(new mongoose.Types.ObjectId(), 15, { type: 'redeem', session }))
+      .rejects.toMatchObject({ statusCode: 409 });
+    expect(spend).not.toHaveBeenCalled();
+  });
+});
+
+describe('WalletService.restore', () => {
+  test('gives credit back with the latest expiry of the spent credits', async () => {
+    const order = buildOrder({ storeCredit: 30 });
+    jest.spyOn(WalletTransaction, 'findOne').mockReturnValue({
+      session: async () => ({
+        allocations: [
+          { amount: 10, expiresAt: new Date('2026-11-01') },
+          { amount: 20, expiresAt: new Date('2027-01-01') }
+        ]
+      })
+    });
+    const credit = jest.spyOn(WalletService, 'credit').mockResolvedValue({});
+
+    const restored = await WalletService.restore(order, 50, 'Refund', session);
+
+    expect(restored).toBe(30);
+    expect(credit).toHaveBeenCalledWith(order.user, 30, expect.objectContaining({
+      type: 'restore',
+      expiresAt: new Date('2027-01-01'),
+      session
+    }));
+    expect(order.storeCreditRestored).toBe(30);
+    expect(transaction).not.toHaveBeenCalled();
+  });
+
+  test('opens its own transaction without a session', async () => {
+    const order = buildOrder({ storeCredit: 30 });
+    jest.spyOn(WalletTransaction, 'findOne').mockReturnValue({ session: async () => null });
+    const credit = jest.spyOn(WalletService, 'credit').mockResolvedValue({});
+
+    await WalletService.restore(order, 10, 'Refund');
+
+    expect(transaction).toHaveBeenCalledTimes(1);
+    expect(credit).toHaveBeenCalledWith(order.user, 10, expect.objectContaining({ expiresAt: undefined, session }));
+  });
+
+  test('restores nothing past what the order spent', async () => {
+    const order = buildOrder({ storeCredit: 30, storeCreditRestored: 30 });
+    const credit = jest.spyOn(WalletService, 'credit');
+
+    await expect(WalletService.restore(order, 10, 'Refund', session)).resolves.toBe(0);
+    expect(credit).not.toHaveBeenCalled();
+  });
+});
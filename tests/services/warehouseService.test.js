@@ -0,0 +1,117 @@
+jest.mock('../../src/utils/logger');
+
+const mongoose = require('mongoose');
+const WarehouseService = require('../../src/services/warehouseService');
+const ProductService = require('../../src/services/productService');
+const Warehouse = require('../../src/models/Warehouse');
+const Product = require('../../src/models/Product');
+const { buildProduct } = require('../helpers/factories');
+const { mockTransactions } = require('../helpers/database');
+
+const session = { id: 'warehouse-session' };
+
+const buildWarehouse = (code, countries = [], priority = 100) => new Warehouse({ code, name: code, countries, priority });
+
+/**
+ * Stub the warehouse and product reads allocateItems makes
+ */
+const stubStock = (warehouses, products) => {
+  jest.spyOn(Warehouse, 'find').mockReturnValue({ sort: () => ({ session: async () => warehouses }) });
+  jest.spyOn(Product, 'find').mockReturnValue({ select: () => ({ session: async () => products }) });
+};
+
+beforeEach(() => {
+  mockTransactions(session);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('WarehouseService.allocateItems', () => {
+  test('ships the whole order from one warehouse when one holds everything', async () => {
+    const istanbul = buildWarehouse('IST', ['TR'], 200);
+    const berlin = buildWarehouse('BER', ['DE'], 1);
+    const product = buildProduct({
+      stock: 10,
+      inventory: [{ warehouse: berlin._id, stock: 5 }, { warehouse: istanbul._id, stock: 5 }]
+    });
+    stubStock([berlin, istanbul], [product]);
+
+    const allocations = await WarehouseService.allocateItems([{ product: product._id, quantity: 3 }], { country: 'tr' });
+
+    // The warehouse serving the country wins over a higher priority one
+    expect(allocations).toEqual([[{ warehouse: istanbul._id, quantity: 3 }]]);
+  });
+
+  test('splits lines across warehouses and takes the rest from unlocated stock', async () => {
+    const first = buildWarehouse('A', [], 1);
+    const second = buildWarehouse('B', [], 2);
+    const product = buildProduct({
+      stock: 10,
+      inventory: [{ warehouse: first._id, stock: 2 }, { warehouse: second._id, stock: 3 }]
+    });
+    stubStock([first, second], [product]);
+
+    const allocations = await WarehouseService.allocateItems([
+      { product: product._id, quantity: 4 },
+      { product: product._id, quantity: 3 }
+    ]);
+
+    expect(allocations).toEqual([
+      [{ warehouse: first._id, quantity: 2 }, { warehouse: second._id, quantity: 2 }],
+      [{ warehouse: second._id, quantity: 1 }, { quantity: 2 }]
+    ]);
+  });
+
+  test('leaves lines of unknown products unallocated', async () => {
+    stubStock([buildWarehouse('A')], []);
+
+    const allocations = await WarehouseService.allocateItems([{ product: new mongoose.Types.ObjectId(), quantity: 2 }]);
+
+    expect(allocations).toEqual([[{ quantity: 2 }]]);
+  });
+});
+
+describe('WarehouseService.transferStock', () => {
+  test('rejects moving stock into the warehouse it comes from', async () => {
+    const warehouse = new mongoose.Types.ObjectId();
+
+    await expect(WarehouseService.transferStock({ productId: 'p', fromWarehouse: warehouse, toWarehouse: warehouse, quantity: 1 }, 'admin-1'))
+      .rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  test('moves stock only when the source holds enough and records both sides', async () => {
+    const from = buildWarehouse('A');
+    const to = buildWarehouse('B');
+    const product = buildProduct({ stock: 10, inventory: [{ warehouse: from._id, stock: 5 }, { warehouse: to._id, stock: 2 }] });
+    jest.spyOn(Warehouse, 'findById').mockImplementation(async (id) => [from, to].find(warehouse => warehouse._id.equals(id)));
+    jest.spyOn(ProductService, 'ensureInventoryEntry').mockResolvedValue();
+    const record = jest.spyOn(ProductService, 'recordMovement').mockResolvedValue();
+    const update = jest.spyOn(Product, 'findOneAndUpdate').mockReturnValue({ select: async () => product });
+
+    const result = await WarehouseService.transferStock({ productId: product._id, fromWarehouse: from._id, toWarehouse: to._id, quantity: 3 }, 'admin-1');
+
+    const [filter, change, options] = update.mock.calls[0];
+    expect(filter.inventory).toEqual({ $elemMatch: { warehouse: from._id, variant: null, stock: { $gte: 3 } } });
+    expect(change.$inc).toEqual({ 'inventory.$[destination].stock': 3, 'inventory.$[source].stock': -3 });
+    expect(options.session).toBe(session);
+    expect(record.mock.calls.map(([, quantity, movement]) => [quantity, movement.warehouse])).toEqual([[-3, from._id], [3, to._id]]);
+    expect(result.success).toBe(true);
+  });
+
+  test('reports insufficient stock when the source cannot cover the transfer', async () => {
+    const from = buildWarehouse('A');
+    const to = buildWarehouse('B');
+    const product = buildProduct();
+    jest.spyOn(Warehouse, 'findById').mockImplementation(async (id) => [from, to].find(warehouse => warehouse._id.equals(id)));
+    jest.spyOn(ProductService, 'ensureInventoryEntry').mockResolvedValue();
+    const record = jest.spyOn(ProductService, 'recordMovement');
+    jest.spyOn(Product, 'findOneAndUpdate').mockReturnValue({ select: async () => null });
+    jest.spyOn(Product, 'findById').mockReturnValue({ select: () => ({ session: async () => product }) });
+
+    await expect(WarehouseService.transferStock({ productId: product._id, fromWarehouse: from._id, toWarehouse: to._id, quantity: 30 }, 'admin-1'))
+      .rejects.toMatchObject({ statusCode: 409, message: 'Insufficient stock at source' });
+    expect(record).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,51 @@
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const LocalStorage = require('../../src/storage/localStorage');
+
+let directory;
+let storage;
+
+beforeEach(async () => {
+  directory = await fs.mkdtemp(path.join(os.tmpdir(), 'local-storage-'));
+  storage = new LocalStorage({ directory, publicUrl: 'https://cdn.test/uploads/' });
+});
+
+afterEach(async () => {
+  await fs.rm(directory, { recursive: true, force: true });
+});
+
+describe('LocalStorage', () => {
+  test('saves files under the directory and returns their public URL', async () => {
+    const url = await storage.save('products/p1/i1/original.png', Buffer.from('image'));
+
+    expect(url).toBe('https://cdn.test/uploads/products/p1/i1/original.png');
+    await expect(fs.readFile(path.join(directory, 'products/p1/i1/original.png'), 'utf8')).resolves.toBe('image');
+  });
+
+  test('deletes files and ignores missing ones', async () => {
+    await storage.save('a.png', Buffer.from('image'));
+
+    await storage.delete('a.png');
+    await expect(storage.delete('a.png')).resolves.toBeUndefined();
+    await expect(fs.readdir(directory)).resolves.toEqual([]);
+  });
+
+  test.each([
+    '../outside.png',
+    'products/../../outside.png',
+    '/etc/passwd',
+    '',
+    '.'
+  ])('refuses the key %p that escapes the directory', async (key) => {
+    expect(() => storage.resolve(key)).toThrow(`Invalid storage key: ${key}`);
+    await expect(storage.save(key, Buffer.from('x'))).rejects.toThrow('Invalid storage key');
+    await expect(storage.delete(key)).rejects.toThrow('Invalid storage key');
+  });
+
+  test('refuses a sibling directory sharing the name prefix', () => {
+    const sibling = `../${path.basename(directory)}-other/file.png`;
+
+    expect(() => storage.resolve(sibling)).toThrow('Invalid storage key');
+  });
+});
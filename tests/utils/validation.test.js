@@ -0,0 +1,52 @@
+const ValidationUtils = require('../../src/utils/validation');
+
+const order = (card) => ({
+  shippingAddress: {
+    firstName: 'Test',
+    lastName: 'User',
+    street: 'Street 1',
+    city: 'City',
+    zipCode: '34000',
+    country: 'TR'
+  },
+  paymentMethod: 'credit_card',
+  card: {
+    number: '4242 4242 4242 4242',
+    holderName: 'Test User',
+    cvc: '123',
+    ...card
+  }
+});
+
+const validateCard = (card) => ValidationUtils.validate(order(card), ValidationUtils.orderSchemas.create);
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+describe('ValidationUtils.orderSchemas.create card expiry', () => {
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2026-10-19T12:00:00Z') });
+  });
+
+  test.each([
+    [10, 2026],
+    [1, 2027]
+  ])('accepts a card expiring %p/%p', (expMonth, expYear) => {
+    expect(validateCard({ expMonth, expYear })).toMatchObject({ isValid: true });
+  });
+
+  test.each([
+    [9, 2026],
+    [12, 2025]
+  ])('rejects a card that expired %p/%p', (expMonth, expYear) => {
+    expect(validateCard({ expMonth, expYear }).errors).toEqual([{ field: 'card.expYear', message: 'Card has expired' }]);
+  });
+
+  test('compares against the date of the request, not of the module load', () => {
+    jest.setSystemTime(new Date('2027-01-02T12:00:00Z'));
+
+    expect(validateCard({ expMonth: 12, expYear: 2026 })).toMatchObject({ isValid: false });
+    expect(validateCard({ expMonth: 1, expYear: 2027 })).toMatchObject({ isValid: true });
+  });
+});